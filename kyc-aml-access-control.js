@@ -0,0 +1,252 @@
+/**
+ * Compliance Staff Access Control
+ *
+ * Role-based permissions for the admin API, and a maker-checker ("four-eyes")
+ * flow for sensitive actions: the person requesting the action cannot be the
+ * one who approves it, and the approver must hold the action's approval
+ * permission. Approved requests are executed by the handler registered for
+ * their action.
+ */
+
+const mongoose = require('mongoose');
+
+const ROLES = ['analyst', 'senior_reviewer', 'mlro', 'auditor', 'super_admin'];
+
+const ALL_STAFF = ROLES;
+const CASE_WORKERS = ['analyst', 'senior_reviewer', 'mlro', 'super_admin'];
+const REVIEWERS = ['senior_reviewer', 'mlro', 'super_admin'];
+const MLRO = ['mlro', 'super_admin'];
+
+// Permission -> roles holding it. The auditor role is read-only.
+const PERMISSIONS = {
+  'kyc.read': ALL_STAFF,
+  'kyc.review': CASE_WORKERS,
+  'kyc.approve_level': REVIEWERS,
+  'limits.override': REVIEWERS,
+  'risk.recompute': MLRO,
+  'reports.read': ALL_STAFF,
+  'ctr.review': REVIEWERS,
+  'transactions.read': ALL_STAFF,
+  'sar.create': CASE_WORKERS,
+  'sar.edit': CASE_WORKERS,
+  'sar.approve': MLRO,
+  'sar.submit': MLRO,
+  // Roles that may be emailed SAR events (see kyc-aml-events.js)
+  'sar.notify': CASE_WORKERS,
+  'cases.read': ALL_STAFF,
+  'cases.work': CASE_WORKERS,
+  'aml_rules.read': ALL_STAFF,
+  'aml_rules.manage': MLRO,
+  'sanctions.read': ALL_STAFF,
+  'sanctions.import': MLRO,
+  'sanctions.review': REVIEWERS,
+  'sanctions.clear': MLRO,
+  'privacy.read': ALL_STAFF,
+  'privacy.handle': REVIEWERS,
+  'retention.read': ALL_STAFF,
+  'retention.manage': MLRO,
+  'legal_hold.manage': REVIEWERS,
+  'chain_sync.read': ALL_STAFF,
+  'chain_sync.manage': MLRO,
+  'edd.read': ALL_STAFF,
+  'edd.review': REVIEWERS,
+  'edd.approve_pep': MLRO,
+  'edd.manage': MLRO,
+  'jurisdictions.read': ALL_STAFF,
+  'jurisdictions.manage': MLRO,
+  'jobs.read': ALL_STAFF,
+  'jobs.manage': MLRO,
+  'events.read': ALL_STAFF,
+  'events.manage': MLRO,
+  'approvals.read': ALL_STAFF,
+  'audit.read': ['auditor', 'mlro', 'super_admin'],
+  'roles.manage': ['super_admin'],
+  'keys.rotate': ['super_admin']
+};
+
+const ApprovalRequestSchema = new mongoose.Schema({
+  action: { type: String, required: true },
+  payload: mongoose.Schema.Types.Mixed,
+  targetType: String,
+  targetId: String,
+  reason: String,
+  requestedBy: { type: String, required: true },
+  requestedAt: { type: Date, default: Date.now },
+  status: {
+    type: String,
+    enum: ['pending', 'rejected', 'executed', 'failed'],
+    default: 'pending'
+  },
+  decidedBy: String,
+  decidedAt: Date,
+  decisionNote: String,
+  result: mongoose.Schema.Types.Mixed,
+  error: String
+});
+
+ApprovalRequestSchema.index({ status: 1, requestedAt: 1 });
+
+const ApprovalRequest = mongoose.model('ApprovalRequest', ApprovalRequestSchema);
+
+/**
+ * Check whether a token's roles grant a permission
+ * @param {Object} user - Decoded JWT ({ roles })
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+function hasPermission(user, permission) {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return !!user && Array.isArray(user.roles) && user.roles.some(role => allowed.includes(role));
+}
+
+/**
+ * Express middleware requiring a permission
+ * @param {string} permission - Permission name
+ * @returns {Function} - Middleware
+ */
+function requirePermission(permission) {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ message: `Requires permission: ${permission}` });
+    }
+    next();
+  };
+}
+
+class FourEyesApprovals {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Register an action that needs a second approver
+   * @param {string} action - Action name, e.g. 'kyc.raise_level'
+   * @param {Object} handler - { permission, execute(payload, { requestedBy, approvedBy }) }
+   */
+  register(action, handler) {
+    if (!PERMISSIONS[handler.permission]) {
+      throw new Error(`Unknown permission: ${handler.permission}`);
+    }
+    this.handlers.set(action, handler);
+  }
+
+  /**
+   * Open an approval request
+   * @param {string} action - Registered action
+   * @param {Object} payload - Everything the handler needs to execute later
+   * @param {Object} details - { requestedBy, targetType, targetId, reason }
+   * @returns {Promise<Object>} - ApprovalRequest
+   */
+  async request(action, payload, details) {
+    if (!this.handlers.has(action)) {
+      throw new ApprovalError(`Unknown approval action: ${action}`, 400);
+    }
+
+    const duplicate = await ApprovalRequest.findOne({
+      action,
+      targetId: details.targetId ? String(details.targetId) : undefined,
+      status: 'pending'
+    });
+    if (duplicate && details.targetId) {
+      throw new ApprovalError(`An approval request for this ${details.targetType || 'target'} is already pending`, 409);
+    }
+
+    const approval = new ApprovalRequest({
+      action,
+      payload,
+      targetType: details.targetType,
+      targetId: details.targetId ? String(details.targetId) : undefined,
+      reason: details.reason,
+      requestedBy: String(details.requestedBy)
+    });
+    await approval.save();
+
+    return approval;
+  }
+
+  /**
+   * Approve (and execute) or reject a pending request
+   * @param {string} approvalId - ApprovalRequest id
+   * @param {Object} approver - Decoded JWT of the approver ({ id, roles })
+   * @param {boolean} approve - true to approve, false to reject
+   * @param {string} note - Decision note
+   * @returns {Promise<Object>} - Updated ApprovalRequest
+   */
+  async decide(approvalId, approver, approve, note) {
+    const approval = await ApprovalRequest.findById(approvalId);
+    if (!approval) {
+      throw new ApprovalError('Approval request not found', 404);
+    }
+    if (approval.status !== 'pending') {
+      throw new ApprovalError(`Approval request is already ${approval.status}`, 409);
+    }
+
+    const handler = this.handlers.get(approval.action);
+    if (!hasPermission(approver, handler.permission)) {
+      throw new ApprovalError(`Requires permission: ${handler.permission}`, 403);
+    }
+    if (approval.requestedBy === String(approver.id)) {
+      throw new ApprovalError('The requester cannot approve their own request', 403);
+    }
+
+    // Claim the request so two approvers cannot execute it twice
+    const claimed = await ApprovalRequest.findOneAndUpdate(
+      { _id: approval._id, status: 'pending' },
+      { $set: { decidedBy: String(approver.id), decidedAt: new Date(), decisionNote: note,
+        status: approve ? 'executed' : 'rejected' } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new ApprovalError('Approval request was decided by someone else', 409);
+    }
+
+    if (!approve) return claimed;
+
+    try {
+      claimed.result = await handler.execute(claimed.payload, {
+        requestedBy: claimed.requestedBy,
+        approvedBy: String(approver.id)
+      });
+    } catch (error) {
+      claimed.status = 'failed';
+      claimed.error = error.message;
+    }
+    await claimed.save();
+
+    return claimed;
+  }
+
+  async list(filters = {}) {
+    const query = {};
+    if (filters.status) query.status = filters.status;
+    if (filters.action) query.action = filters.action;
+
+    return ApprovalRequest.find(query).sort({ requestedAt: -1 }).limit(500);
+  }
+}
+
+// Error carrying the HTTP status the route should answer with
+class ApprovalError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ApprovalError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ApprovalRequest,
+  ApprovalError,
+  FourEyesApprovals,
+  hasPermission,
+  requirePermission
+};
@@ -0,0 +1,316 @@
+/**
+ * Compliance Audit Log
+ *
+ * Append-only, hash-chained record of every admin action taken through the
+ * compliance API. Each AuditEvent stores the hash of the previous event, so
+ * editing, deleting or inserting an entry breaks the chain and is reported by
+ * verifyAuditChain().
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Fields never copied into audit snapshots
+// Credentials and PII (encrypted at rest in the User model) never go into the log
+const REDACTED_FIELDS = ['password', 'email', 'fullName', 'dateOfBirth', 'address', 'phoneNumber', 'retainedIdentity', 'pii', 'blindIndex'];
+const REDACTED_DOCUMENT_FIELDS = ['documentNumber'];
+// Entity (KYB) arrays of people, redacted like a user
+const PERSON_ARRAYS = ['directors', 'ubos'];
+
+const AuditEventSchema = new mongoose.Schema({
+  sequence: { type: Number, required: true, unique: true },
+  timestamp: { type: Date, default: Date.now },
+  actor: {
+    id: String,
+    email: String
+  },
+  action: { type: String, required: true },
+  targetType: String,
+  targetId: String,
+  reason: String,
+  ip: String,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  diff: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  previousHash: { type: String, required: true },
+  hash: { type: String, required: true }
+}, {
+  // Empty objects in snapshots are kept, so the stored entry matches its hash
+  minimize: false
+});
+
+// Audit events are append-only: refuse every update and delete through mongoose
+const blockMutation = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach(op => {
+  AuditEventSchema.pre(op, blockMutation);
+});
+
+AuditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit events are append-only'));
+  }
+  next();
+});
+
+const AuditEvent = mongoose.model('AuditEvent', AuditEventSchema);
+
+/**
+ * Take a JSON-safe snapshot of a mongoose document for auditing
+ * @param {Object} doc - Mongoose document or plain object
+ * @returns {Object|null} - Plain snapshot with sensitive fields removed
+ */
+function auditSnapshot(doc) {
+  if (!doc) return null;
+
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  const snapshot = JSON.parse(JSON.stringify(plain));
+
+  REDACTED_FIELDS.forEach(field => {
+    delete snapshot[field];
+  });
+
+  if (Array.isArray(snapshot.identityDocuments)) {
+    snapshot.identityDocuments.forEach(document => {
+      REDACTED_DOCUMENT_FIELDS.forEach(field => {
+        delete document[field];
+      });
+    });
+  }
+
+  PERSON_ARRAYS.filter(arrayPath => Array.isArray(snapshot[arrayPath])).forEach(arrayPath => {
+    snapshot[arrayPath].forEach(person => {
+      REDACTED_FIELDS.forEach(field => {
+        delete person[field];
+      });
+    });
+  });
+
+  return snapshot;
+}
+
+/**
+ * Compute the field-level changes between two snapshots
+ * @param {Object} before - Snapshot before the change
+ * @param {Object} after - Snapshot after the change
+ * @returns {Object[]} - List of { path, before, after }
+ */
+function diffSnapshots(before, after, prefix = '') {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const oldValue = before ? before[key] : undefined;
+    const newValue = after ? after[key] : undefined;
+
+    if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+      changes.push(...diffSnapshots(oldValue, newValue, path));
+    } else if (stableStringify(oldValue) !== stableStringify(newValue)) {
+      changes.push({
+        path,
+        before: oldValue === undefined ? null : oldValue,
+        after: newValue === undefined ? null : newValue
+      });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Append an event to the audit chain
+ * @param {Object} event - { actor, action, targetType, targetId, reason, ip, before, after }
+ * @returns {Promise<Object>} - Saved AuditEvent
+ */
+async function recordAuditEvent(event, retries = 5) {
+  const before = event.before === undefined ? null : JSON.parse(JSON.stringify(event.before));
+  const after = event.after === undefined ? null : JSON.parse(JSON.stringify(event.after));
+
+  const last = await AuditEvent.findOne().sort({ sequence: -1 }).select('sequence hash');
+
+  const entry = {
+    sequence: last ? last.sequence + 1 : 1,
+    timestamp: new Date(),
+    actor: {
+      id: event.actor && event.actor.id ? String(event.actor.id) : 'system',
+      email: event.actor && event.actor.email ? event.actor.email : undefined
+    },
+    action: event.action,
+    targetType: event.targetType,
+    targetId: event.targetId ? String(event.targetId) : undefined,
+    reason: event.reason,
+    ip: event.ip,
+    before,
+    after,
+    diff: diffSnapshots(before, after),
+    previousHash: last ? last.hash : GENESIS_HASH
+  };
+
+  entry.hash = hashAuditEvent(entry);
+
+  try {
+    return await new AuditEvent(entry).save();
+  } catch (error) {
+    // Another writer took this sequence number; rebuild on top of the new head
+    if (error.code === 11000 && retries > 0) {
+      return recordAuditEvent(event, retries - 1);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Record an audit event, then save the document it describes. The event is
+ * written first so a crash in between never leaves a change without its
+ * entry; if the save fails, an `<action>.failed` event says so.
+ * @param {Object} doc - Mongoose document with unsaved changes
+ * @param {Object} event - As for recordAuditEvent
+ * @returns {Promise<Object>} - Saved AuditEvent
+ */
+async function saveWithAudit(doc, event) {
+  const auditEvent = await recordAuditEvent(event);
+
+  try {
+    await doc.save();
+  } catch (error) {
+    await recordAuditEvent({
+      actor: event.actor,
+      ip: event.ip,
+      action: `${event.action}.failed`,
+      targetType: event.targetType,
+      targetId: event.targetId,
+      reason: error.message,
+      after: { auditSequence: auditEvent.sequence }
+    });
+    throw error;
+  }
+
+  return auditEvent;
+}
+
+/**
+ * Query audit events
+ * @param {Object} filters - { actorId, action, targetType, targetId, startDate, endDate }
+ * @param {Object} options - { limit, skip }
+ * @returns {Promise<Object[]>} - Matching events, oldest first
+ */
+async function queryAuditEvents(filters = {}, options = {}) {
+  const query = {};
+
+  if (filters.actorId) query['actor.id'] = String(filters.actorId);
+  if (filters.action) query.action = filters.action;
+  if (filters.targetType) query.targetType = filters.targetType;
+  if (filters.targetId) query.targetId = String(filters.targetId);
+
+  if (filters.startDate || filters.endDate) {
+    query.timestamp = {};
+    if (filters.startDate) query.timestamp.$gte = new Date(filters.startDate);
+    if (filters.endDate) query.timestamp.$lte = new Date(filters.endDate);
+  }
+
+  return AuditEvent.find(query)
+    .sort({ sequence: 1 })
+    .skip(options.skip || 0)
+    .limit(Math.min(options.limit || 100, 1000));
+}
+
+/**
+ * Walk the whole chain and report gaps, edited entries and broken links
+ * @returns {Promise<Object>} - { valid, checked, issues: [{ sequence, problem }] }
+ */
+async function verifyAuditChain() {
+  const issues = [];
+  let expectedSequence = 1;
+  let previousHash = GENESIS_HASH;
+  let checked = 0;
+
+  const cursor = AuditEvent.find().sort({ sequence: 1 }).lean().cursor();
+
+  for (let event = await cursor.next(); event != null; event = await cursor.next()) {
+    checked++;
+
+    if (event.sequence !== expectedSequence) {
+      issues.push({
+        sequence: event.sequence,
+        problem: `gap: expected sequence ${expectedSequence}`
+      });
+    }
+
+    if (event.previousHash !== previousHash) {
+      issues.push({ sequence: event.sequence, problem: 'previous hash does not match chain' });
+    }
+
+    if (hashAuditEvent(event) !== event.hash) {
+      issues.push({ sequence: event.sequence, problem: 'entry contents do not match its hash' });
+    }
+
+    expectedSequence = event.sequence + 1;
+    previousHash = event.hash;
+  }
+
+  return { valid: issues.length === 0, checked, issues };
+}
+
+function hashAuditEvent(event) {
+  const payload = {
+    sequence: event.sequence,
+    timestamp: new Date(event.timestamp).toISOString(),
+    actor: {
+      id: event.actor ? event.actor.id : undefined,
+      email: event.actor ? event.actor.email : undefined
+    },
+    action: event.action,
+    targetType: event.targetType,
+    targetId: event.targetId,
+    reason: event.reason,
+    ip: event.ip,
+    before: event.before,
+    after: event.after,
+    diff: event.diff || [],
+    previousHash: event.previousHash
+  };
+
+  return crypto.createHash('sha256').update(stableStringify(payload)).digest('hex');
+}
+
+// JSON.stringify with sorted keys so hashes survive a database round trip
+function stableStringify(value) {
+  if (value === undefined || value === null) return 'null';
+
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date);
+}
+
+module.exports = {
+  AuditEvent,
+  auditSnapshot,
+  diffSnapshots,
+  recordAuditEvent,
+  saveWithAudit,
+  queryAuditEvents,
+  verifyAuditChain
+};
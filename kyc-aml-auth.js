@@ -0,0 +1,465 @@
+/**
+ * Compliance API Authentication
+ *
+ * Login with bcrypt password checks and account lockout, email verification
+ * and password reset through emailed one-time tokens, and short-lived access
+ * tokens paired with rotating refresh tokens. Refresh tokens are stored
+ * hashed and grouped into families: presenting a token that was already
+ * rotated revokes the whole family, since it means the token was stolen.
+ *
+ * Mail goes through a mailer adapter: SmtpMailer for real delivery, or
+ * CaptureMailer, a local sink that keeps messages in memory (and optionally
+ * on disk) for tests and development.
+ */
+
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const RefreshTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  family: { type: String, required: true, index: true },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+  createdByIp: String,
+  revokedAt: Date,
+  revokedReason: String,
+  replacedBy: String
+});
+
+const OneTimeTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: ['email_verification', 'password_reset'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+OneTimeTokenSchema.index({ userId: 1, purpose: 1 });
+
+const RefreshToken = mongoose.model('RefreshToken', RefreshTokenSchema);
+const OneTimeToken = mongoose.model('OneTimeToken', OneTimeTokenSchema);
+
+// Compared against when the email is unknown, to keep login timing uniform
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+/**
+ * Mailer that sends through an SMTP server
+ */
+class SmtpMailer {
+  constructor(config = {}) {
+    this.config = {
+      url: config.url,
+      from: config.from || 'compliance@stabulum.io'
+    };
+    this.transport = nodemailer.createTransport(this.config.url);
+  }
+
+  async send(message) {
+    return this.transport.sendMail({ from: this.config.from, ...message });
+  }
+}
+
+/**
+ * Mailer that captures messages instead of sending them; only the most
+ * recent `maxMessages` are kept in memory
+ */
+class CaptureMailer {
+  constructor(config = {}) {
+    this.config = {
+      dir: config.dir || null,
+      from: config.from || 'compliance@stabulum.io',
+      maxMessages: config.maxMessages || 1000
+    };
+    this.messages = [];
+  }
+
+  async send(message) {
+    const captured = { from: this.config.from, ...message, sentAt: new Date() };
+    this.messages.push(captured);
+    if (this.messages.length > this.config.maxMessages) {
+      this.messages.splice(0, this.messages.length - this.config.maxMessages);
+    }
+
+    if (this.config.dir) {
+      fs.mkdirSync(this.config.dir, { recursive: true });
+      const fileName = `${captured.sentAt.getTime()}-${crypto.randomBytes(4).toString('hex')}.json`;
+      fs.writeFileSync(path.join(this.config.dir, fileName), JSON.stringify(captured, null, 2));
+    }
+
+    return captured;
+  }
+
+  // Most recent message sent to an address
+  lastMessageTo(address) {
+    return [...this.messages].reverse().find(message => message.to === address) || null;
+  }
+}
+
+/**
+ * Build a mailer from MAIL_TRANSPORT ('smtp' or 'capture'), SMTP_URL,
+ * MAIL_FROM and MAIL_CAPTURE_DIR. Captured mail never reaches customers, so
+ * unless NODE_ENV is development or test the server will not start without
+ * MAIL_TRANSPORT.
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} - Mailer
+ */
+function createMailerFromEnv(env = process.env) {
+  if (env.MAIL_TRANSPORT === 'smtp') {
+    return new SmtpMailer({ url: env.SMTP_URL, from: env.MAIL_FROM });
+  }
+  if (env.MAIL_TRANSPORT && env.MAIL_TRANSPORT !== 'capture') {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${env.MAIL_TRANSPORT}`);
+  }
+  if (!env.MAIL_TRANSPORT && !['development', 'test'].includes(env.NODE_ENV)) {
+    throw new Error('MAIL_TRANSPORT is not set: use smtp, or capture to keep mail from being delivered');
+  }
+  return new CaptureMailer({ dir: env.MAIL_CAPTURE_DIR, from: env.MAIL_FROM });
+}
+
+class AuthService {
+  constructor(config = {}) {
+    this.config = {
+      User: config.User,
+      mailer: config.mailer,
+      jwtSecret: config.jwtSecret,
+      appUrl: config.appUrl || 'http://localhost:3000',
+      accessTokenTtl: config.accessTokenTtl || '15m',
+      refreshTokenTtlDays: config.refreshTokenTtlDays || 30,
+      maxFailedAttempts: config.maxFailedAttempts || 5,
+      lockoutMinutes: config.lockoutMinutes || 15,
+      verificationTokenTtlHours: config.verificationTokenTtlHours || 24,
+      resetTokenTtlMinutes: config.resetTokenTtlMinutes || 60,
+      minPasswordLength: config.minPasswordLength || 8
+    };
+  }
+
+  /**
+   * Sign a short-lived access token
+   * @param {Object} user - User document
+   * @returns {string} - JWT
+   */
+  issueAccessToken(user) {
+    return jwt.sign(
+      { id: user._id, email: user.email, kycLevel: user.kycLevel, roles: user.roles || [] },
+      this.config.jwtSecret,
+      { expiresIn: this.config.accessTokenTtl }
+    );
+  }
+
+  /**
+   * Issue an access token and a refresh token
+   * @param {Object} user - User document
+   * @param {string} ip - Client IP
+   * @param {string} family - Refresh token family to continue (new family when omitted)
+   * @returns {Promise<Object>} - { accessToken, refreshToken, expiresIn }
+   */
+  async issueTokens(user, ip, family = crypto.randomUUID()) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+
+    await new RefreshToken({
+      userId: user._id,
+      tokenHash: hashToken(refreshToken),
+      family,
+      expiresAt: new Date(Date.now() + this.config.refreshTokenTtlDays * 24 * 60 * 60 * 1000),
+      createdByIp: ip
+    }).save();
+
+    return {
+      accessToken: this.issueAccessToken(user),
+      refreshToken,
+      expiresIn: this.config.accessTokenTtl
+    };
+  }
+
+  /**
+   * Check credentials, applying lockout after repeated failures
+   * @param {string} email - Email address
+   * @param {string} password - Password
+   * @param {string} ip - Client IP
+   * @returns {Promise<Object>} - { user, tokens }
+   */
+  async login(email, password, ip) {
+    // Objects would reach the query as operators ({ $ne: null })
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      throw new AuthError('Invalid email or password', 401);
+    }
+
+    const user = await this.config.User.findOne({ email });
+
+    // A locked account answers like a wrong password, so neither reveals
+    // which emails exist; the same time is spent as for a real check
+    if (!user || (user.lockedUntil && user.lockedUntil > new Date())) {
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+      throw new AuthError('Invalid email or password', 401);
+    }
+
+    const valid = await bcrypt.compare(password, user.password);
+    if (!valid) {
+      // Counted atomically, so parallel guesses cannot all record the same count
+      const counted = await this.config.User.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true, projection: { failedLoginAttempts: 1 } }
+      );
+      if (counted && counted.failedLoginAttempts >= this.config.maxFailedAttempts) {
+        await this.config.User.updateOne(
+          { _id: user._id },
+          { $set: {
+            lockedUntil: new Date(Date.now() + this.config.lockoutMinutes * 60 * 1000),
+            failedLoginAttempts: 0
+          } }
+        );
+      }
+      throw new AuthError('Invalid email or password', 401);
+    }
+
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = undefined;
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    return { user, tokens: await this.issueTokens(user, ip) };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair, rotating the refresh token
+   * @param {string} refreshToken - Refresh token
+   * @param {string} ip - Client IP
+   * @returns {Promise<Object>} - { accessToken, refreshToken, expiresIn }
+   */
+  async refresh(refreshToken, ip) {
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken || '') });
+    if (!stored) {
+      throw new AuthError('Invalid refresh token', 401);
+    }
+
+    if (stored.revokedAt) {
+      // A rotated token was presented again: assume theft and end the session
+      await this.revokeFamily(stored.family, 'reuse_detected');
+      throw new AuthError('Refresh token reuse detected; please log in again', 401);
+    }
+
+    if (stored.expiresAt <= new Date()) {
+      throw new AuthError('Refresh token expired', 401);
+    }
+
+    const user = await this.config.User.findById(stored.userId);
+    if (!user) {
+      throw new AuthError('Invalid refresh token', 401);
+    }
+
+    // Claim the token atomically so two concurrent refreshes cannot both rotate it
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'rotated' } }
+    );
+    if (!claimed) {
+      await this.revokeFamily(stored.family, 'reuse_detected');
+      throw new AuthError('Refresh token reuse detected; please log in again', 401);
+    }
+
+    const tokens = await this.issueTokens(user, ip, stored.family);
+    await RefreshToken.updateOne(
+      { _id: stored._id },
+      { $set: { replacedBy: hashToken(tokens.refreshToken) } }
+    );
+
+    return tokens;
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to
+   * @param {string} refreshToken - Refresh token
+   */
+  async logout(refreshToken) {
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken || '') });
+    if (stored) {
+      await this.revokeFamily(stored.family, 'logout');
+    }
+  }
+
+  async revokeFamily(family, reason) {
+    await RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  /**
+   * Revoke every refresh token a user holds
+   * @param {string} userId - User id
+   * @param {string} reason - Stored with the revocation
+   */
+  async revokeAllForUser(userId, reason = 'revoked') {
+    await RefreshToken.updateMany(
+      { userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  /**
+   * Email a verification link to the user
+   * @param {Object} user - User document
+   */
+  async sendEmailVerification(user) {
+    if (user.emailVerified) return;
+
+    const token = await this._createOneTimeToken(
+      user._id,
+      'email_verification',
+      this.config.verificationTokenTtlHours * 60 * 60 * 1000
+    );
+
+    await this.config.mailer.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Confirm your email address by opening ${this.config.appUrl}/verify-email?token=${token}\n\n` +
+        `This link expires in ${this.config.verificationTokenTtlHours} hours.`
+    });
+  }
+
+  /**
+   * Mark an email address verified
+   * @param {string} token - Token from the verification email
+   * @returns {Promise<Object>} - User document
+   */
+  async verifyEmail(token) {
+    const stored = await this._consumeOneTimeToken(token, 'email_verification');
+
+    const user = await this.config.User.findById(stored.userId);
+    if (!user) {
+      throw new AuthError('Invalid or expired token', 400);
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    return user;
+  }
+
+  /**
+   * Email a password reset link; silently does nothing for unknown emails
+   * @param {string} email - Email address
+   */
+  async requestPasswordReset(email) {
+    if (typeof email !== 'string') return;
+
+    const user = await this.config.User.findOne({ email });
+    if (!user) return;
+
+    // Only the newest reset link should work
+    await OneTimeToken.updateMany(
+      { userId: user._id, purpose: 'password_reset', usedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+
+    const token = await this._createOneTimeToken(
+      user._id,
+      'password_reset',
+      this.config.resetTokenTtlMinutes * 60 * 1000
+    );
+
+    await this.config.mailer.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Reset your password by opening ${this.config.appUrl}/reset-password?token=${token}\n\n` +
+        `This link expires in ${this.config.resetTokenTtlMinutes} minutes. ` +
+        'If you did not ask for a reset, you can ignore this email.'
+    });
+  }
+
+  /**
+   * Set a new password using a reset token, ending every existing session
+   * @param {string} token - Token from the reset email
+   * @param {string} newPassword - New password
+   * @returns {Promise<Object>} - User document
+   */
+  async resetPassword(token, newPassword) {
+    this.validatePassword(newPassword);
+
+    const stored = await this._consumeOneTimeToken(token, 'password_reset');
+
+    const user = await this.config.User.findById(stored.userId);
+    if (!user) {
+      throw new AuthError('Invalid or expired token', 400);
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    user.passwordChangedAt = new Date();
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = undefined;
+    await user.save();
+
+    await this.revokeAllForUser(user._id, 'password_reset');
+
+    return user;
+  }
+
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < this.config.minPasswordLength) {
+      throw new AuthError(`Password must be at least ${this.config.minPasswordLength} characters`, 400);
+    }
+  }
+
+  async _createOneTimeToken(userId, purpose, ttlMs) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await new OneTimeToken({
+      userId,
+      purpose,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + ttlMs)
+    }).save();
+
+    return token;
+  }
+
+  async _consumeOneTimeToken(token, purpose) {
+    // Atomically mark the token used so it cannot be redeemed twice
+    const stored = await OneTimeToken.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token || ''),
+        purpose,
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { usedAt: new Date() } }
+    );
+
+    if (!stored) {
+      throw new AuthError('Invalid or expired token', 400);
+    }
+    return stored;
+  }
+}
+
+// Error carrying the HTTP status the route should answer with
+class AuthError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = {
+  AuthService,
+  AuthError,
+  SmtpMailer,
+  CaptureMailer,
+  createMailerFromEnv,
+  RefreshToken,
+  OneTimeToken
+};
@@ -0,0 +1,299 @@
+/**
+ * AML Case Management
+ *
+ * Groups alerts for flagged activity into one working Case per user, and
+ * gives compliance analysts a queue with assignment, status transitions,
+ * comments, attachments and SLA timers.
+ */
+
+const mongoose = require('mongoose');
+
+const CASE_STATUSES = ['open', 'investigating', 'escalated', 'closed_no_action', 'closed_sar'];
+
+const CLOSED_STATUSES = ['closed_no_action', 'closed_sar'];
+
+// Allowed status transitions; closed cases can only be reopened
+const STATUS_TRANSITIONS = {
+  open: ['investigating', 'escalated', 'closed_no_action', 'closed_sar'],
+  investigating: ['escalated', 'closed_no_action', 'closed_sar'],
+  escalated: ['investigating', 'closed_no_action', 'closed_sar'],
+  closed_no_action: ['open'],
+  closed_sar: ['open']
+};
+
+const PRIORITIES = ['low', 'medium', 'high'];
+
+const CaseSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: { type: String, enum: CASE_STATUSES, default: 'open' },
+  priority: { type: String, enum: PRIORITIES, default: 'low' },
+  assignedTo: String,
+  alerts: [{
+    source: { type: String, default: 'transaction_monitoring' },
+    reason: String,
+    riskScore: Number,
+    transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+    // Typology findings point at several transactions
+    typology: String,
+    evidence: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' }],
+    fingerprint: String,
+    createdAt: { type: Date, default: Date.now }
+  }],
+  comments: [{
+    author: String,
+    text: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  attachments: [{
+    filename: String,
+    path: String,
+    uploadedBy: String,
+    uploadedAt: { type: Date, default: Date.now }
+  }],
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    changedBy: String,
+    note: String,
+    changedAt: { type: Date, default: Date.now }
+  }],
+  sla: {
+    dueAt: Date,
+    breachedAt: Date
+  },
+  reportId: { type: mongoose.Schema.Types.ObjectId, ref: 'Report' },
+  createdAt: { type: Date, default: Date.now },
+  closedAt: Date,
+  // Set when the retention purge redacted comments and shredded attachments
+  redactedAt: Date
+});
+
+CaseSchema.index({ userId: 1, status: 1 });
+CaseSchema.index({ status: 1, 'sla.dueAt': 1 });
+
+const Case = mongoose.model('Case', CaseSchema);
+
+class CaseManager {
+  constructor(config = {}) {
+    this.config = {
+      Transaction: config.Transaction,
+      createSAR: config.createSAR,
+      // Hours to resolve a case, by priority
+      slaHours: config.slaHours || { high: 24, medium: 72, low: 168 },
+      // Alert risk scores at or above these map to the priority
+      priorityThresholds: config.priorityThresholds || { high: 80, medium: 50 }
+    };
+  }
+
+  /**
+   * Attach an alert to the user's open case, opening a new case if needed
+   * @param {string} userId - User the alert concerns
+   * @param {Object} alert - { source, reason, riskScore, transactionId, typology, evidence, fingerprint }
+   * @returns {Promise<Object>} - The Case holding the alert
+   */
+  async raiseAlert(userId, alert) {
+    const priority = this._priorityForScore(alert.riskScore || 0);
+
+    let caseDoc = await Case.findOne({ userId, status: { $nin: CLOSED_STATUSES } });
+    // The same finding raised again is already on the case
+    if (caseDoc && alert.fingerprint && caseDoc.alerts.some(existing => existing.fingerprint === alert.fingerprint)) {
+      return caseDoc;
+    }
+    if (!caseDoc) {
+      caseDoc = new Case({ userId, priority });
+      caseDoc.sla.dueAt = this._dueDate(priority);
+    } else if (PRIORITIES.indexOf(priority) > PRIORITIES.indexOf(caseDoc.priority)) {
+      // Raising the priority can only pull the deadline closer
+      caseDoc.priority = priority;
+      const dueAt = this._dueDate(priority);
+      if (!caseDoc.sla.dueAt || dueAt < caseDoc.sla.dueAt) {
+        caseDoc.sla.dueAt = dueAt;
+      }
+    }
+
+    caseDoc.alerts.push(alert);
+    await caseDoc.save();
+
+    return caseDoc;
+  }
+
+  /**
+   * List cases for the analyst queue, most urgent first
+   * @param {Object} filters - { status, assignedTo, priority, overdue }
+   * @returns {Promise<Object[]>} - Cases
+   */
+  async listQueue(filters = {}) {
+    const query = {};
+
+    query.status = filters.status ? filters.status : { $nin: CLOSED_STATUSES };
+    if (filters.assignedTo) query.assignedTo = filters.assignedTo;
+    if (filters.priority) query.priority = filters.priority;
+    if (filters.overdue) query['sla.dueAt'] = { $lt: new Date() };
+
+    return Case.find(query)
+      .sort({ 'sla.dueAt': 1 })
+      .populate('userId', 'fullName email kycLevel riskLevel');
+  }
+
+  async getCase(caseId) {
+    const caseDoc = await Case.findById(caseId)
+      .populate('userId', 'fullName email kycLevel riskLevel')
+      .populate('alerts.transactionId')
+      .populate('alerts.evidence');
+
+    if (!caseDoc) {
+      throw new CaseError('Case not found', 404);
+    }
+    return caseDoc;
+  }
+
+  /**
+   * Assign a case to an analyst
+   * @param {string} caseId - Case id
+   * @param {string} analystId - User id of the analyst
+   * @param {string} actorId - User id making the assignment
+   * @returns {Promise<Object>} - Updated Case
+   */
+  async assign(caseId, analystId, actorId) {
+    const caseDoc = await this._load(caseId);
+
+    caseDoc.assignedTo = analystId;
+    caseDoc.comments.push({
+      author: actorId,
+      text: `Assigned to ${analystId}`
+    });
+    await caseDoc.save();
+
+    return caseDoc;
+  }
+
+  /**
+   * Move a case to a new status
+   * Closing a case marks its transactions as reviewed; closing with a SAR
+   * files one for the alerted transactions unless one is already linked.
+   * @param {string} caseId - Case id
+   * @param {string} status - Target status
+   * @param {string} actorId - User id making the change
+   * @param {string} note - Reviewer note
+   * @returns {Promise<Object>} - Updated Case
+   */
+  async transition(caseId, status, actorId, note) {
+    const caseDoc = await this._load(caseId);
+
+    if (!STATUS_TRANSITIONS[caseDoc.status].includes(status)) {
+      throw new CaseError(`Cannot move case from ${caseDoc.status} to ${status}`, 400);
+    }
+
+    const transactionIds = caseDoc.alerts
+      .map(alert => alert.transactionId)
+      .filter(Boolean);
+
+    if (status === 'closed_sar' && !caseDoc.reportId) {
+      const report = await this.config.createSAR(
+        caseDoc.userId,
+        note || `SAR filed from case ${caseDoc._id}`,
+        transactionIds
+      );
+      caseDoc.reportId = report._id;
+    }
+
+    if (CLOSED_STATUSES.includes(status)) {
+      caseDoc.closedAt = new Date();
+
+      if (transactionIds.length > 0) {
+        await this.config.Transaction.updateMany(
+          { _id: { $in: transactionIds } },
+          { $set: { reviewed: true, reviewerNotes: note || `Closed as ${status}` } }
+        );
+      }
+    } else if (CLOSED_STATUSES.includes(caseDoc.status)) {
+      // Reopened: restart the SLA clock
+      caseDoc.closedAt = undefined;
+      caseDoc.sla.dueAt = this._dueDate(caseDoc.priority);
+      caseDoc.sla.breachedAt = undefined;
+    }
+
+    caseDoc.statusHistory.push({ from: caseDoc.status, to: status, changedBy: actorId, note });
+    caseDoc.status = status;
+    await caseDoc.save();
+
+    return caseDoc;
+  }
+
+  async addComment(caseId, author, text) {
+    if (!text) {
+      throw new CaseError('Comment text is required', 400);
+    }
+
+    const caseDoc = await this._load(caseId);
+    caseDoc.comments.push({ author, text });
+    await caseDoc.save();
+
+    return caseDoc;
+  }
+
+  async addAttachment(caseId, uploadedBy, file) {
+    const caseDoc = await this._load(caseId);
+    caseDoc.attachments.push({
+      filename: file.originalname,
+      path: file.path,
+      uploadedBy
+    });
+    await caseDoc.save();
+
+    return caseDoc;
+  }
+
+  /**
+   * Stamp breachedAt on open cases whose SLA deadline has passed
+   * @returns {Promise<number>} - Number of newly breached cases
+   */
+  async markSlaBreaches() {
+    const result = await Case.updateMany(
+      {
+        status: { $nin: CLOSED_STATUSES },
+        'sla.dueAt': { $lt: new Date() },
+        'sla.breachedAt': null
+      },
+      { $set: { 'sla.breachedAt': new Date() } }
+    );
+
+    return result.modifiedCount || result.nModified || 0;
+  }
+
+  async _load(caseId) {
+    const caseDoc = await Case.findById(caseId);
+    if (!caseDoc) {
+      throw new CaseError('Case not found', 404);
+    }
+    return caseDoc;
+  }
+
+  _priorityForScore(riskScore) {
+    if (riskScore >= this.config.priorityThresholds.high) return 'high';
+    if (riskScore >= this.config.priorityThresholds.medium) return 'medium';
+    return 'low';
+  }
+
+  _dueDate(priority) {
+    return new Date(Date.now() + this.config.slaHours[priority] * 60 * 60 * 1000);
+  }
+}
+
+// Error carrying the HTTP status the route should answer with
+class CaseError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CaseError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  Case,
+  CaseManager,
+  CaseError,
+  CASE_STATUSES,
+  STATUS_TRANSITIONS
+};
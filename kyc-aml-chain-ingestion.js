@@ -0,0 +1,385 @@
+/**
+ * On-chain Transaction Ingestion
+ *
+ * Follows the Stabulum token's Transfer events and records every transfer
+ * that touches a registered wallet, so AML monitoring no longer depends on
+ * clients reporting their own transactions. Mints (from the zero address)
+ * and burns (to the zero address) are recorded as 'mint' and 'burn'; other
+ * transfers are 'transfer' for the sender and 'receive' for the recipient.
+ *
+ * Only blocks at least `confirmations` deep are ingested. The hashes of
+ * recently ingested blocks are kept as checkpoints; when one no longer
+ * matches the chain the cursor is rewound to the last block that still
+ * matches, records from orphaned blocks are rolled back and the range is
+ * ingested again. Records are keyed by (transactionHash, logIndex,
+ * walletAddress), so re-ingesting a range never duplicates them.
+ *
+ * A transaction the client already reported is adopted. When the reported
+ * amount, type or counterparty differ from the chain it is scored again on
+ * the on-chain figures and the mismatch is raised as an alert.
+ *
+ * Against a local Hardhat node set CHAIN_RPC_URL=http://127.0.0.1:8545,
+ * STABULUM_TOKEN_ADDRESS to the deployed token and CHAIN_INGEST_CONFIRMATIONS=0
+ * (Hardhat mines one block per transaction).
+ */
+
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+
+const TOKEN_ABI = [
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)'
+];
+
+const ZERO_ADDRESS = ethers.constants.AddressZero;
+
+const ChainCursorSchema = new mongoose.Schema({
+  _id: String,
+  lastBlock: { type: Number, required: true },
+  // Hashes of recently ingested blocks, newest last, for reorg detection
+  checkpoints: [{
+    _id: false,
+    number: Number,
+    hash: String
+  }],
+  reorgs: [{
+    _id: false,
+    detectedAt: Date,
+    fromBlock: Number,
+    rewoundTo: Number,
+    removed: Number,
+    kept: Number
+  }],
+  updatedAt: Date
+});
+
+const ChainCursor = mongoose.model('ChainCursor', ChainCursorSchema);
+
+class ChainIngestionService {
+  constructor(config = {}) {
+    this.config = {
+      User: config.User,
+      Transaction: config.Transaction,
+      // (user, details) => Promise<Transaction>; scores, saves and alerts
+      recordTransaction: config.recordTransaction,
+      // (user, transaction, mismatches) => Promise<Transaction>; scores an
+      // adopted client report again on the on-chain figures and alerts
+      rescoreTransaction: config.rescoreTransaction,
+      rpcUrl: config.rpcUrl,
+      tokenAddress: config.tokenAddress,
+      startBlock: config.startBlock || 0,
+      confirmations: config.confirmations !== undefined ? config.confirmations : 12,
+      // Blocks fetched per getLogs call
+      batchSize: config.batchSize || 2000,
+      maxCheckpoints: config.maxCheckpoints || 50,
+      interval: config.interval || 15 * 1000
+    };
+
+    this.enabled = !!(this.config.rpcUrl && this.config.tokenAddress);
+    this.cursorId = `transfers:${(this.config.tokenAddress || '').toLowerCase()}`;
+    this.syncing = false;
+    this.intervalId = null;
+
+    if (this.enabled) {
+      this.provider = new ethers.providers.JsonRpcProvider(this.config.rpcUrl);
+      this.token = new ethers.Contract(this.config.tokenAddress, TOKEN_ABI, this.provider);
+    }
+  }
+
+  async start() {
+    if (!this.enabled) {
+      console.log('Chain ingestion disabled: CHAIN_RPC_URL and STABULUM_TOKEN_ADDRESS are required');
+      return;
+    }
+    if (this.intervalId) return;
+
+    this.intervalId = setInterval(() => {
+      this.syncOnce().catch(error => {
+        console.error('Chain ingestion error:', error);
+      });
+    }, this.config.interval);
+  }
+
+  stop() {
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+  }
+
+  /**
+   * Ingest every confirmed block since the cursor
+   * @returns {Promise<Object>} - { fromBlock, toBlock, recorded, reorg }
+   */
+  async syncOnce() {
+    if (this.syncing) return null;
+    this.syncing = true;
+
+    try {
+      await this._loadTokenInfo();
+
+      let cursor = await ChainCursor.findById(this.cursorId);
+      if (!cursor) {
+        cursor = new ChainCursor({ _id: this.cursorId, lastBlock: this.config.startBlock - 1 });
+      }
+
+      const reorg = await this._handleReorg(cursor);
+
+      const head = await this.provider.getBlockNumber();
+      const safeHead = head - this.config.confirmations;
+      const fromBlock = cursor.lastBlock + 1;
+      let recorded = 0;
+
+      for (let start = fromBlock; start <= safeHead; start += this.config.batchSize) {
+        const end = Math.min(start + this.config.batchSize - 1, safeHead);
+
+        recorded += await this._ingestRange(start, end);
+
+        const block = await this.provider.getBlock(end);
+        cursor.lastBlock = end;
+        cursor.checkpoints.push({ number: end, hash: block.hash });
+        if (cursor.checkpoints.length > this.config.maxCheckpoints) {
+          cursor.checkpoints.splice(0, cursor.checkpoints.length - this.config.maxCheckpoints);
+        }
+        cursor.updatedAt = new Date();
+        await cursor.save();
+      }
+
+      return { fromBlock, toBlock: cursor.lastBlock, recorded, reorg };
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  async getStatus() {
+    const cursor = await ChainCursor.findById(this.cursorId);
+    const head = this.enabled ? await this.provider.getBlockNumber() : null;
+
+    return {
+      enabled: this.enabled,
+      tokenAddress: this.config.tokenAddress,
+      confirmations: this.config.confirmations,
+      head,
+      lastBlock: cursor ? cursor.lastBlock : null,
+      lag: cursor && head !== null ? head - cursor.lastBlock : null,
+      reorgs: cursor ? cursor.reorgs.slice(-20) : []
+    };
+  }
+
+  async _loadTokenInfo() {
+    if (this.decimals !== undefined) return;
+
+    this.decimals = await this.token.decimals();
+    this.symbol = await this.token.symbol();
+  }
+
+  async _ingestRange(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({
+      address: this.config.tokenAddress,
+      topics: [this.token.interface.getEventTopic('Transfer')],
+      fromBlock,
+      toBlock
+    });
+    if (logs.length === 0) return 0;
+
+    const wallets = await this._walletOwners();
+    const blockTimes = new Map();
+    let recorded = 0;
+
+    for (const log of logs) {
+      const { args } = this.token.interface.parseLog(log);
+      const from = args.from.toLowerCase();
+      const to = args.to.toLowerCase();
+
+      const entries = [];
+      if (from === ZERO_ADDRESS) {
+        entries.push({ walletAddress: to, type: 'mint' });
+      } else if (to === ZERO_ADDRESS) {
+        entries.push({ walletAddress: from, type: 'burn' });
+      } else {
+        entries.push({ walletAddress: from, type: 'transfer', counterpartyAddress: to });
+        entries.push({ walletAddress: to, type: 'receive', counterpartyAddress: from });
+      }
+
+      for (const entry of entries) {
+        const userId = wallets.get(entry.walletAddress);
+        if (!userId) continue;
+
+        if (!blockTimes.has(log.blockNumber)) {
+          const block = await this.provider.getBlock(log.blockNumber);
+          blockTimes.set(log.blockNumber, new Date(block.timestamp * 1000));
+        }
+
+        const details = {
+          ...entry,
+          transactionHash: log.transactionHash,
+          logIndex: log.logIndex,
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          timestamp: blockTimes.get(log.blockNumber),
+          amount: Number(ethers.utils.formatUnits(args.value, this.decimals)),
+          currency: this.symbol
+        };
+
+        if (await this._record(userId, details)) {
+          recorded++;
+        }
+      }
+    }
+
+    return recorded;
+  }
+
+  // Returns true when a new record was created
+  async _record(userId, details) {
+    const { Transaction, User } = this.config;
+
+    const existing = await Transaction.findOne({
+      transactionHash: details.transactionHash,
+      walletAddress: details.walletAddress,
+      logIndex: details.logIndex
+    });
+    if (existing) {
+      if (existing.blockHash !== details.blockHash || existing.reorgedAt) {
+        existing.blockNumber = details.blockNumber;
+        existing.blockHash = details.blockHash;
+        existing.reorgedAt = undefined;
+        await existing.save();
+      }
+      return false;
+    }
+
+    // Adopt a transaction the client already reported instead of scoring it twice
+    const reported = await Transaction.findOne({
+      transactionHash: details.transactionHash,
+      walletAddress: { $in: [details.walletAddress, ethers.utils.getAddress(details.walletAddress)] },
+      source: { $ne: 'chain' }
+    });
+    if (reported) {
+      // A report that understated the transfer was scored on the wrong figures
+      const mismatches = this._mismatches(reported, details);
+      Object.assign(reported, details, { source: 'chain' });
+
+      const owner = mismatches.length > 0 && await User.findById(reported.userId);
+      if (!owner) {
+        await reported.save();
+        return false;
+      }
+
+      await this.config.rescoreTransaction(owner, reported, mismatches);
+      return false;
+    }
+
+    const user = await User.findById(userId);
+    if (!user) return false;
+
+    await this.config.recordTransaction(user, { ...details, source: 'chain' });
+    return true;
+  }
+
+  // Reported values that differ from the chain, as 'field: reported -> on-chain'
+  _mismatches(reported, details) {
+    const normalize = {
+      amount: value => Number(value),
+      type: value => value || null,
+      counterpartyAddress: value => (value ? value.toLowerCase() : null)
+    };
+
+    return Object.keys(normalize)
+      .filter(field => normalize[field](reported[field]) !== normalize[field](details[field]))
+      .map(field => `${field}: ${reported[field] || 'none'} -> ${details[field] || 'none'}`);
+  }
+
+  async _walletOwners() {
+    const users = await this.config.User.find(
+      { 'walletAddresses.0': { $exists: true } },
+      { walletAddresses: 1 }
+    );
+
+    const owners = new Map();
+    for (const user of users) {
+      for (const address of user.walletAddresses) {
+        owners.set(address.toLowerCase(), user._id);
+      }
+    }
+    return owners;
+  }
+
+  /**
+   * Rewind the cursor to the newest checkpoint still on the canonical chain
+   * and roll back records from the orphaned blocks
+   */
+  async _handleReorg(cursor) {
+    if (cursor.checkpoints.length === 0) return null;
+
+    const latest = cursor.checkpoints[cursor.checkpoints.length - 1];
+    if (await this._isCanonical(latest)) return null;
+
+    let rewoundTo = this.config.startBlock - 1;
+    while (cursor.checkpoints.length > 0) {
+      const checkpoint = cursor.checkpoints.pop();
+      if (await this._isCanonical(checkpoint)) {
+        cursor.checkpoints.push(checkpoint);
+        rewoundTo = checkpoint.number;
+        break;
+      }
+    }
+
+    const { removed, kept } = await this._rollback(rewoundTo);
+    const reorg = {
+      detectedAt: new Date(),
+      fromBlock: cursor.lastBlock,
+      rewoundTo,
+      removed,
+      kept
+    };
+
+    console.warn(`Chain reorg detected: rewinding ingestion from block ${cursor.lastBlock} to ${rewoundTo}`);
+
+    cursor.lastBlock = rewoundTo;
+    cursor.reorgs.push(reorg);
+    cursor.updatedAt = new Date();
+    await cursor.save();
+
+    return reorg;
+  }
+
+  async _isCanonical(checkpoint) {
+    const block = await this.provider.getBlock(checkpoint.number);
+    return !!block && block.hash === checkpoint.hash;
+  }
+
+  async _rollback(afterBlock) {
+    const { Transaction } = this.config;
+    const candidates = await Transaction.find({ source: 'chain', blockNumber: { $gt: afterBlock } });
+    const canonical = new Map();
+    let removed = 0;
+    let kept = 0;
+
+    for (const transaction of candidates) {
+      if (!canonical.has(transaction.blockNumber)) {
+        const block = await this.provider.getBlock(transaction.blockNumber);
+        canonical.set(transaction.blockNumber, block ? block.hash : null);
+      }
+      if (canonical.get(transaction.blockNumber) === transaction.blockHash) continue;
+
+      // Flagged records may already be part of a case or SAR, so they stay for
+      // the analyst; re-ingestion clears reorgedAt if the transfer is re-mined
+      if (transaction.flagged) {
+        transaction.reorgedAt = new Date();
+        await transaction.save();
+        kept++;
+      } else {
+        await Transaction.deleteOne({ _id: transaction._id });
+        removed++;
+      }
+    }
+
+    return { removed, kept };
+  }
+}
+
+module.exports = {
+  ChainIngestionService,
+  ChainCursor,
+  TOKEN_ABI
+};
@@ -0,0 +1,485 @@
+/**
+ * On-chain KYC Sync
+ *
+ * Pushes KYC decisions made in Mongo to the StabulumKYCProvider contract so
+ * that `isVerified` checks in the token see them. Every change to a user's
+ * kycLevel, kycStatus, riskScore or linked wallets queues one contract call
+ * per wallet:
+ *
+ *   approved, kycLevel > 0, not sanctioned -> verifyUser(wallet, level, riskScore)
+ *   only riskScore changed                 -> setRiskScore(wallet, riskScore)
+ *   anything else except pending           -> rejectUser(wallet, reason)
+ *
+ * `removeFromVerifiedUsers` is internal to the contract and runs as part of
+ * rejectUser, so it is never called directly.
+ *
+ * Calls are signed by a dedicated operator key holding KYC_OFFICER_ROLE.
+ * Each job is claimed atomically, so several server instances never send the
+ * same one, and its nonce is the operator's pending transaction count at
+ * send time, so a failed send leaves no gap. Failed sends are retried with
+ * backoff, stuck transactions are replaced with a higher fee, and
+ * wallets that have not called registerUser yet are parked as "blocked"
+ * until they do. A periodic reconciliation compares getUserRecord() for
+ * every linked wallet with the database and queues whatever is missing.
+ */
+
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+
+const KYC_PROVIDER_ABI = [
+  'function verifyUser(address userAddress, uint8 level, uint256 riskScore)',
+  'function rejectUser(address userAddress, string reason)',
+  'function setRiskScore(address userAddress, uint256 riskScore)',
+  'function getUserRecord(address userAddress) view returns (address addr, uint8 status, uint8 level, uint256 verificationTime, uint256 expirationTime, address verifier, bool isCorporate, string jurisdiction, uint256 riskScore)',
+  'function hasRole(bytes32 role, address account) view returns (bool)',
+  'function KYC_OFFICER_ROLE() view returns (bytes32)'
+];
+
+// VerificationStatus enum in StabulumKYCProvider
+const CHAIN_STATUS = { NONE: 0, PENDING: 1, VERIFIED: 2, REJECTED: 3, EXPIRED: 4 };
+
+// Fields whose changes have to reach the chain
+const TRACKED_FIELDS = ['kycLevel', 'kycStatus', 'riskScore', 'walletAddresses', 'isOnSanctionsList'];
+
+// Generic reason only: the chain is public, so nothing about why is disclosed
+const REJECTION_REASON = 'kyc_not_approved';
+
+const ChainSyncJobSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  walletAddress: { type: String, required: true },
+  operation: { type: String, enum: ['verifyUser', 'setRiskScore', 'rejectUser'], required: true },
+  args: [mongoose.Schema.Types.Mixed],
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'confirmed', 'blocked', 'failed', 'superseded'],
+    default: 'queued'
+  },
+  source: { type: String, enum: ['change', 'reconciliation', 'manual'], default: 'change' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  nonce: Number,
+  txHash: String,
+  // The original and every fee-bumped replacement; they share the nonce, so one at most is mined
+  txHashes: [String],
+  sentAt: Date,
+  confirmedAt: Date,
+  blockNumber: Number,
+  lastError: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+ChainSyncJobSchema.index({ status: 1, nextAttemptAt: 1 });
+ChainSyncJobSchema.index({ walletAddress: 1, status: 1 });
+
+const ChainSyncJob = mongoose.model('ChainSyncJob', ChainSyncJobSchema);
+
+const OPEN_STATUSES = ['queued', 'sent', 'blocked'];
+
+class ChainSyncWorker {
+  constructor(config = {}) {
+    this.config = {
+      User: config.User,
+      rpcUrl: config.rpcUrl,
+      contractAddress: config.contractAddress,
+      operatorKey: config.operatorKey,
+      confirmations: config.confirmations || 2,
+      maxAttempts: config.maxAttempts || 8,
+      // Base delay for retries; doubles on every attempt
+      retryDelayMs: config.retryDelayMs || 30 * 1000,
+      // How long to wait for a wallet to call registerUser before checking again
+      blockedRetryMs: config.blockedRetryMs || 60 * 60 * 1000,
+      // Unmined transactions are re-sent with a higher fee after this long
+      replaceAfterMs: config.replaceAfterMs || 10 * 60 * 1000,
+      feeBumpPercent: config.feeBumpPercent || 25,
+      interval: config.interval || 15 * 1000,
+      // A claimed job becomes due again after this long if its instance died while sending
+      claimTimeoutMs: config.claimTimeoutMs || 5 * 60 * 1000,
+      reconcileInterval: config.reconcileInterval || 6 * 60 * 60 * 1000
+    };
+
+    this.enabled = !!(this.config.rpcUrl && this.config.contractAddress && this.config.operatorKey);
+    this.ticking = false;
+    this.intervalId = null;
+    this.reconcileIntervalId = null;
+
+    if (this.enabled) {
+      this.provider = new ethers.providers.JsonRpcProvider(this.config.rpcUrl);
+      this.signer = new ethers.Wallet(this.config.operatorKey, this.provider);
+      this.contract = new ethers.Contract(this.config.contractAddress, KYC_PROVIDER_ABI, this.signer);
+    }
+  }
+
+  async start() {
+    if (!this.enabled) {
+      console.log('Chain sync disabled: CHAIN_RPC_URL, KYC_PROVIDER_ADDRESS and CHAIN_SYNC_OPERATOR_KEY are required');
+      return;
+    }
+    if (this.intervalId) return;
+
+    const officerRole = await this.contract.KYC_OFFICER_ROLE();
+    if (!await this.contract.hasRole(officerRole, this.signer.address)) {
+      console.error(`Chain sync operator ${this.signer.address} does not hold KYC_OFFICER_ROLE; jobs will fail`);
+    }
+
+    this.intervalId = setInterval(() => {
+      this.tick().catch(error => {
+        console.error('Chain sync error:', error);
+      });
+    }, this.config.interval);
+
+    this.reconcileIntervalId = setInterval(() => {
+      this.reconcile().catch(error => {
+        console.error('Chain sync reconciliation error:', error);
+      });
+    }, this.config.reconcileInterval);
+  }
+
+  stop() {
+    clearInterval(this.intervalId);
+    clearInterval(this.reconcileIntervalId);
+    this.intervalId = null;
+    this.reconcileIntervalId = null;
+  }
+
+  /**
+   * On-chain state a user's wallets should have
+   * @param {Object} user - User document
+   * @returns {Object} - { verified, level, riskScore }
+   */
+  desiredState(user) {
+    return {
+      verified: user.kycStatus === 'approved' && user.kycLevel > 0 && !user.isOnSanctionsList,
+      level: user.kycLevel,
+      riskScore: Math.max(0, Math.min(100, Math.round(user.riskScore || 0)))
+    };
+  }
+
+  /**
+   * Queue contract calls after a user's tracked fields changed
+   * @param {Object} user - Saved User document
+   * @param {string[]} changed - Tracked fields that changed
+   * @returns {Promise<Object[]>} - Jobs queued
+   */
+  async enqueueForUser(user, changed = TRACKED_FIELDS) {
+    // Nothing can send these; once sync is configured, reconciliation catches up
+    if (!this.enabled) return [];
+
+    const desired = this.desiredState(user);
+    const onlyRiskScore = changed.length === 1 && changed[0] === 'riskScore';
+
+    let operation;
+    if (desired.verified) {
+      operation = onlyRiskScore ? 'setRiskScore' : 'verifyUser';
+    } else if (onlyRiskScore || user.kycStatus === 'pending') {
+      // Nothing verified on-chain to update or revoke yet
+      return [];
+    } else {
+      operation = 'rejectUser';
+    }
+
+    const jobs = [];
+    for (const walletAddress of user.walletAddresses || []) {
+      jobs.push(await this._enqueue(user._id, walletAddress, operation, desired, 'change'));
+    }
+    return jobs;
+  }
+
+  /**
+   * Send due jobs and check on sent ones
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      await this._checkSent();
+
+      for (let claimed = 0; claimed < 20; claimed++) {
+        const job = await this._claim();
+        if (!job) break;
+
+        // Keep calls for one wallet in order
+        const inFlight = await ChainSyncJob.exists({ walletAddress: job.walletAddress, status: 'sent' });
+        if (inFlight) {
+          job.nextAttemptAt = new Date(Date.now() + this.config.interval);
+          await job.save();
+          continue;
+        }
+
+        await this._send(job);
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Compare on-chain records for every linked wallet with the database and
+   * queue corrections for wallets without an open job
+   * @returns {Promise<Object>} - { checked, drifted, queued }
+   */
+  async reconcile() {
+    if (!this.enabled) {
+      throw new ChainSyncError('Chain sync is not configured', 503);
+    }
+
+    const summary = { checked: 0, drifted: 0, queued: 0 };
+    const cursor = this.config.User.find({ 'walletAddresses.0': { $exists: true } }).cursor();
+
+    for (let user = await cursor.next(); user != null; user = await cursor.next()) {
+      const desired = this.desiredState(user);
+
+      for (const walletAddress of user.walletAddresses) {
+        summary.checked++;
+
+        const record = await this.contract.getUserRecord(walletAddress);
+        const status = Number(record.status);
+        const onChainVerified = status === CHAIN_STATUS.VERIFIED;
+
+        let operation = null;
+        if (desired.verified && (!onChainVerified || Number(record.level) !== desired.level)) {
+          operation = 'verifyUser';
+        } else if (desired.verified && Number(record.riskScore) !== desired.riskScore) {
+          operation = 'setRiskScore';
+        } else if (!desired.verified && onChainVerified) {
+          operation = 'rejectUser';
+        }
+
+        if (!operation) continue;
+        summary.drifted++;
+
+        const open = await ChainSyncJob.exists({ walletAddress: walletAddress.toLowerCase(), status: { $in: OPEN_STATUSES } });
+        if (!open) {
+          await this._enqueue(user._id, walletAddress, operation, desired, 'reconciliation');
+          summary.queued++;
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  async listJobs(filters = {}) {
+    const query = {};
+    if (filters.status) query.status = filters.status;
+    if (filters.userId) query.userId = filters.userId;
+    if (filters.walletAddress) query.walletAddress = filters.walletAddress.toLowerCase();
+
+    return ChainSyncJob.find(query).sort({ createdAt: -1 }).limit(500);
+  }
+
+  async retryJob(jobId) {
+    const job = await ChainSyncJob.findById(jobId);
+    if (!job) {
+      throw new ChainSyncError('Chain sync job not found', 404);
+    }
+    if (!['failed', 'blocked'].includes(job.status)) {
+      throw new ChainSyncError(`Only failed or blocked jobs can be retried (job is ${job.status})`, 409);
+    }
+
+    job.status = 'queued';
+    job.attempts = 0;
+    job.nextAttemptAt = new Date();
+    job.source = 'manual';
+    await job.save();
+
+    return job;
+  }
+
+  async _enqueue(userId, walletAddress, operation, desired, source) {
+    const address = walletAddress.toLowerCase();
+
+    // A newer decision replaces anything not yet sent for this wallet
+    await ChainSyncJob.updateMany(
+      { walletAddress: address, status: { $in: ['queued', 'blocked'] } },
+      { $set: { status: 'superseded' } }
+    );
+
+    const args = {
+      verifyUser: [address, desired.level, desired.riskScore],
+      setRiskScore: [address, desired.riskScore],
+      rejectUser: [address, REJECTION_REASON]
+    }[operation];
+
+    const job = new ChainSyncJob({ userId, walletAddress: address, operation, args, source });
+    await job.save();
+
+    return job;
+  }
+
+  async _send(job) {
+    job.attempts++;
+
+    try {
+      // Dry-run first so reverts cost no gas and "not registered" is recognised
+      await this.contract.callStatic[job.operation](...job.args);
+
+      const nonce = await this.signer.getTransactionCount('pending');
+      const tx = await this.contract[job.operation](...job.args, { nonce });
+
+      job.status = 'sent';
+      job.nonce = nonce;
+      job.txHash = tx.hash;
+      job.txHashes = [tx.hash];
+      job.sentAt = new Date();
+      job.lastError = undefined;
+    } catch (error) {
+      const message = revertReason(error);
+
+      if (/User not registered/i.test(message)) {
+        job.status = 'blocked';
+        job.nextAttemptAt = new Date(Date.now() + this.config.blockedRetryMs);
+      } else {
+        this._scheduleRetry(job);
+      }
+      job.lastError = message;
+    }
+
+    await job.save();
+  }
+
+  async _checkSent() {
+    const sent = await ChainSyncJob.find({ status: 'sent' }).sort({ nonce: 1 });
+
+    for (const job of sent) {
+      const receipt = await this._findReceipt(job);
+
+      if (receipt && receipt.confirmations >= this.config.confirmations) {
+        job.txHash = receipt.transactionHash;
+        if (receipt.status === 1) {
+          job.status = 'confirmed';
+          job.confirmedAt = new Date();
+          job.blockNumber = receipt.blockNumber;
+        } else {
+          job.lastError = 'Transaction reverted';
+          this._scheduleRetry(job);
+        }
+        await job.save();
+      } else if (!receipt && Date.now() - job.sentAt.getTime() > this.config.replaceAfterMs) {
+        await this._replace(job);
+      }
+    }
+  }
+
+  // Re-send a stuck transaction with the same nonce and a higher fee
+  async _replace(job) {
+    // Only one instance replaces a given transaction
+    const claimed = await ChainSyncJob.findOneAndUpdate(
+      { _id: job._id, status: 'sent', sentAt: job.sentAt },
+      { $set: { sentAt: new Date() } }
+    );
+    if (!claimed) return;
+
+    try {
+      const original = await this.provider.getTransaction(job.txHash);
+      const overrides = { nonce: job.nonce };
+      const bump = value => value.mul(100 + this.config.feeBumpPercent).div(100);
+
+      if (original && original.maxFeePerGas) {
+        overrides.maxFeePerGas = bump(original.maxFeePerGas);
+        overrides.maxPriorityFeePerGas = bump(original.maxPriorityFeePerGas);
+      } else if (original && original.gasPrice) {
+        overrides.gasPrice = bump(original.gasPrice);
+      }
+
+      const tx = await this.contract[job.operation](...job.args, overrides);
+      job.txHash = tx.hash;
+      job.txHashes.push(tx.hash);
+      job.sentAt = new Date();
+      job.lastError = 'Replaced after waiting too long to be mined';
+    } catch (error) {
+      job.lastError = revertReason(error);
+      job.sentAt = new Date();
+
+      // The nonce is used up: by one of this job's transactions, which the next
+      // check confirms, or by another one, in which case the call was never made
+      if (isNonceUsed(error) && !await this._findReceipt(job)) {
+        this._scheduleRetry(job);
+      }
+    }
+
+    await job.save();
+  }
+
+  // Receipt of whichever of the job's transactions was mined
+  async _findReceipt(job) {
+    const hashes = job.txHashes && job.txHashes.length > 0 ? job.txHashes : [job.txHash];
+
+    for (const hash of hashes) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  // Atomically take the oldest due job, so no two instances send the same one
+  async _claim() {
+    const now = new Date();
+
+    return ChainSyncJob.findOneAndUpdate(
+      { status: { $in: ['queued', 'blocked'] }, nextAttemptAt: { $lte: now } },
+      // Not due for anyone else until it is sent or rescheduled
+      { $set: { nextAttemptAt: new Date(now.getTime() + this.config.claimTimeoutMs) } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  _scheduleRetry(job) {
+    if (job.attempts >= this.config.maxAttempts) {
+      job.status = 'failed';
+      return;
+    }
+
+    job.status = 'queued';
+    job.nextAttemptAt = new Date(Date.now() + this.config.retryDelayMs * 2 ** (job.attempts - 1));
+  }
+}
+
+/**
+ * Mongoose plugin: call onChange(user, changedFields) after a save that
+ * changed any field the chain cares about
+ */
+function trackKycChanges(schema, options) {
+  schema.pre('save', function () {
+    this.$locals.chainSyncChanged = this.isNew
+      ? TRACKED_FIELDS
+      : TRACKED_FIELDS.filter(field => this.isModified(field));
+  });
+
+  schema.post('save', function (user) {
+    const changed = user.$locals.chainSyncChanged || [];
+    if (changed.length === 0) return;
+
+    Promise.resolve(options.onChange(user, changed)).catch(error => {
+      console.error('Chain sync enqueue error:', error);
+    });
+  });
+}
+
+// Error carrying the HTTP status the route should answer with
+class ChainSyncError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ChainSyncError';
+    this.statusCode = statusCode;
+  }
+}
+
+function revertReason(error) {
+  return (error.error && error.error.message) || error.reason || error.message;
+}
+
+// "nonce too low": a transaction with this nonce has been mined
+function isNonceUsed(error) {
+  return error.code === 'NONCE_EXPIRED' ||
+    /nonce (too low|has already been used)/i.test(revertReason(error) || '');
+}
+
+module.exports = {
+  ChainSyncWorker,
+  ChainSyncJob,
+  ChainSyncError,
+  trackKycChanges,
+  KYC_PROVIDER_ABI,
+  CHAIN_STATUS
+};
@@ -3,7 +3,7 @@
 // more robust security practices and integrate with specialized KYC/AML providers.
 
 // Required packages:
-// npm install express mongoose jsonwebtoken dotenv bcrypt axios multer node-fetch
+// npm install express mongoose jsonwebtoken dotenv bcrypt axios multer node-fetch js-yaml libxmljs2 fast-xml-parser csv-parse nodemailer ethers@5
 
 const express = require('express');
 const mongoose = require('mongoose');
@@ -14,21 +14,63 @@ const fetch = require('node-fetch');
 const crypto = require('crypto');
 require('dotenv').config();
 
+const { createProviderRegistryFromEnv } = require('./kyc-aml-verification-providers');
+const {
+  auditSnapshot,
+  recordAuditEvent,
+  saveWithAudit,
+  queryAuditEvents,
+  verifyAuditChain
+} = require('./kyc-aml-audit-log');
+const {
+  AmlRulesEngine,
+  RuleSet,
+  parseRuleSet,
+  validateRuleSet
+} = require('./kyc-aml-rules-engine');
+const { Case, CaseManager } = require('./kyc-aml-case-management');
+const { SarLifecycle, PREPARER_STATUSES } = require('./kyc-aml-sar-lifecycle');
+const { CtrAggregator } = require('./kyc-aml-ctr-aggregator');
+const { TransactionLimits, LIMIT_WINDOWS } = require('./kyc-aml-transaction-limits');
+const { ReverificationScheduler } = require('./kyc-aml-reverification');
+const { SanctionsScreening, SanctionsHit } = require('./kyc-aml-sanctions');
+const { AuthService, createMailerFromEnv } = require('./kyc-aml-auth');
+const {
+  ROLES,
+  PERMISSIONS,
+  FourEyesApprovals,
+  hasPermission,
+  requirePermission
+} = require('./kyc-aml-access-control');
+const {
+  createVaultFromEnv,
+  encryptedFieldsPlugin,
+  rotateRecords
+} = require('./kyc-aml-pii-vault');
+const { PrivacyService } = require('./kyc-aml-privacy');
+const { RetentionEngine } = require('./kyc-aml-retention');
+const { ChainSyncWorker, trackKycChanges } = require('./kyc-aml-chain-sync');
+const { ChainIngestionService } = require('./kyc-aml-chain-ingestion');
+const { WalletOwnershipVerifier, normalizeAddress } = require('./kyc-aml-wallet-ownership');
+const { EntitySchema, KybService, trackOwnerRiskChanges } = require('./kyc-aml-kyb');
+const { RiskScoring, riskScoringPlugin } = require('./kyc-aml-risk-scoring');
+const { ExposureGraph } = require('./kyc-aml-exposure-graph');
+const { TypologyDetector, findingToAlert, SEVERITIES } = require('./kyc-aml-typologies');
+const { JurisdictionPolicy, jurisdictionPlugin } = require('./kyc-aml-jurisdictions');
+const { EddService, EddReviewSchema, eddPlugin } = require('./kyc-aml-edd');
+const { JobQueue } = require('./kyc-aml-job-queue');
+const { EventBus, EventSubscriberSchema, kycStatusEventsPlugin } = require('./kyc-aml-events');
+const { UploadGuard, createScannerFromEnv } = require('./kyc-aml-upload-guard');
+
 const app = express();
 app.use(express.json());
 
-// Configure file storage for identity documents
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, './uploads/');
-  },
-  filename: (req, file, cb) => {
-    cb(null, new Date().toISOString().replace(/:/g, '-') + file.originalname);
-  }
-});
+// Envelope encryption for PII fields and stored files
+const piiVault = createVaultFromEnv();
 
+// Uploads are held in memory and written to disk encrypted by piiVault
 const upload = multer({
-  storage: storage,
+  storage: multer.memoryStorage(),
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB max
   fileFilter: (req, file, cb) => {
     if (file.mimetype === 'image/jpeg' || file.mimetype === 'image/png' || file.mimetype === 'application/pdf') {
@@ -39,22 +81,30 @@ const upload = multer({
   }
 });
 
+// The declared type above is only a first filter; uploadGuard checks the
+// content, strips metadata, scans for malware and enforces quotas
+const uploadGuard = new UploadGuard({
+  piiVault,
+  scanner: createScannerFromEnv(),
+  maxUploadsPerDay: parseInt(process.env.UPLOAD_MAX_PER_DAY) || undefined,
+  maxStoredBytes: parseInt(process.env.UPLOAD_MAX_STORED_BYTES) || undefined,
+  onMalware: (userId, { purpose, signature }) => caseManager.raiseAlert(userId, {
+    source: 'upload_scanning',
+    reason: `Malware detected in uploaded ${purpose.replace(/_/g, ' ')}: ${signature}`,
+    riskScore: 80
+  })
+});
+
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 });
 
-// Risk scoring constants
-const RISK_FACTORS = {
-  HIGH_RISK_COUNTRY: 75,
-  POLITICALLY_EXPOSED: 50,
-  LARGE_TRANSACTION: 30,
-  RAPID_TRANSACTIONS: 40,
-  SUSPICIOUS_PATTERN: 60,
-  NEW_ACCOUNT: 15
-};
+// Identity verification providers (document, face match, PEP screening)
+const verificationProviders = createProviderRegistryFromEnv();
 
+// Risk level thresholds (factor points are in kyc-aml-risk-scoring.js)
 const RISK_THRESHOLDS = {
   LOW: 20,
   MEDIUM: 50,
@@ -63,8 +113,17 @@ const RISK_THRESHOLDS = {
 
 // Define User Schema
 const UserSchema = new mongoose.Schema({
-  email: { type: String, required: true, unique: true },
+  // Uniqueness is enforced on the email blind index (see encryptedFieldsPlugin below)
+  email: { type: String, required: true },
   password: { type: String, required: true },
+  // Compliance staff roles (see kyc-aml-access-control.js); empty for customers
+  roles: [{ type: String, enum: ROLES }],
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: Date,
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockedUntil: Date,
+  lastLoginAt: Date,
+  passwordChangedAt: Date,
   fullName: { type: String, required: true },
   dateOfBirth: { type: Date, required: true },
   address: {
@@ -94,9 +153,11 @@ const UserSchema = new mongoose.Schema({
     documentImage: String,  // Path to stored document
     verificationStatus: {
       type: String,
-      enum: ['pending', 'verified', 'rejected'],
+      enum: ['pending', 'verified', 'rejected', 'expired'],
       default: 'pending'
-    }
+    },
+    verifiedAt: Date,  // When the provider last verified it
+    redactedAt: Date  // File shredded and number removed by the retention purge
   }],
   selfieImage: String,
   riskScore: { type: Number, default: 0 },
@@ -107,23 +168,248 @@ const UserSchema = new mongoose.Schema({
   },
   isPEP: { type: Boolean, default: false },
   isOnSanctionsList: { type: Boolean, default: false },
+  sanctionsScreening: {
+    lastScreenedAt: Date,
+    status: { type: String, enum: ['clear', 'potential_match', 'confirmed_match'] }
+  },
   transactionLimits: {
     daily: { type: Number, default: 0 },
-    monthly: { type: Number, default: 0 }
+    rolling30d: { type: Number, default: 0 },
+    monthly: { type: Number, default: 0 },
+    byType: mongoose.Schema.Types.Mixed // Optional per-type caps, e.g. { mint: { daily: 5000 } }
+  },
+  // Admin-set limits that take precedence over the KYC-level defaults
+  limitOverrides: {
+    daily: Number,
+    rolling30d: Number,
+    monthly: Number,
+    byType: mongoose.Schema.Types.Mixed,
+    reason: String,
+    setBy: String,
+    setAt: Date,
+    expiresAt: Date
   },
-  walletAddresses: [String],
+  // Stored lowercase so the unique index treats every letter case as one address
+  walletAddresses: [{ type: String, lowercase: true }],
+  // Signed ownership challenge for each linked wallet
+  walletProofs: [{
+    _id: false,
+    address: String,
+    method: { type: String, enum: ['eoa', 'eip1271'] },
+    chainId: Number,
+    nonce: String,
+    message: String,
+    signature: String,
+    verifiedAt: Date
+  }],
   createdAt: { type: Date, default: Date.now },
-  lastVerified: Date
+  lastVerified: Date,
+  // Next KYC refresh deadline, maintained by the re-verification scheduler
+  reverification: {
+    dueAt: Date,
+    reason: { type: String, enum: ['document_expiry', 'periodic_review'] },
+    notifiedAt: Date,
+    downgradedAt: Date
+  },
+  // Set when an erasure request was completed but AML records must be kept
+  erasure: {
+    requestId: mongoose.Schema.Types.ObjectId,
+    erasedAt: Date,
+    retainUntil: Date
+  },
+  // Original identity of an erased user, kept (encrypted) for regulators only
+  retainedIdentity: mongoose.Schema.Types.Mixed,
+  // Retention periods for customer records count from the end of the relationship
+  relationshipEndedAt: Date,
+  redactedAt: Date,
+  // Blocks the retention purge while the user is under investigation
+  legalHold: {
+    active: { type: Boolean, default: false },
+    reason: String,
+    setBy: String,
+    setAt: Date
+  }
+});
+
+// Residence country normalized to ISO 3166-1 and classified by the jurisdiction policy
+UserSchema.plugin(jurisdictionPlugin, {
+  getPolicy: () => jurisdictionPolicy
+});
+
+// riskScore is recomputed from its factors; applied before encryption so the address is still readable
+UserSchema.plugin(riskScoringPlugin, {
+  getScoring: () => riskScoring
+});
+
+// High-risk, PEP and EDD-jurisdiction customers need an approved EDD review; after risk scoring so the level is current
+UserSchema.plugin(eddPlugin, {
+  getService: () => eddService,
+  onStatusChange: setTransactionLimits
+});
+
+// PII is encrypted at rest; email and document number stay searchable by exact match
+UserSchema.plugin(encryptedFieldsPlugin, {
+  vault: piiVault,
+  fields: ['email', 'fullName', 'dateOfBirth', 'address', 'phoneNumber', 'retainedIdentity'],
+  subdocuments: { identityDocuments: ['documentNumber'] },
+  blindIndexes: {
+    email: { path: 'email', unique: true, normalize: value => String(value).trim().toLowerCase() },
+    documentNumber: {
+      path: 'identityDocuments.documentNumber',
+      normalize: value => String(value).toUpperCase().replace(/[^A-Z0-9]/g, '')
+    }
+  }
+});
+
+// KYC decisions are mirrored to the on-chain KYC provider for linked wallets
+UserSchema.plugin(trackKycChanges, {
+  onChange: (user, changed) => chainSyncWorker.enqueueForUser(user, changed)
+});
+
+// Entities re-score when a beneficial owner is sanctioned, becomes a PEP or changes risk level
+UserSchema.plugin(trackOwnerRiskChanges, {
+  onChange: user => kybService.reassessForOwner(user)
+});
+
+// KYC status changes are published to event subscribers
+UserSchema.plugin(kycStatusEventsPlugin, {
+  onStatusChange: (user, from, to) => publishEvent('kyc.status_changed', {
+    userId: user._id,
+    from,
+    to,
+    kycLevel: user.kycLevel,
+    riskScore: user.riskScore
+  })
+});
+
+// A wallet can be linked to one profile only
+UserSchema.index(
+  { walletAddresses: 1 },
+  { unique: true, partialFilterExpression: { walletAddresses: { $type: 'string' } } }
+);
+
+const User = mongoose.model('User', UserSchema);
+
+mongoose.connection.once('open', () => {
+  // Addresses linked before they were stored lowercase; the unique index is
+  // built again once they are
+  User.updateMany(
+    { walletAddresses: /[A-F]/ },
+    [{ $set: { walletAddresses: { $map: { input: '$walletAddresses', in: { $toLower: '$$this' } } } } }]
+  )
+    .then(() => User.createIndexes())
+    .catch(error => {
+      console.error('Failed to normalize wallet addresses:', error);
+    });
+});
+
+// Blocked, high-risk and EDD countries with their KYC level and limit rules
+const jurisdictionPolicy = new JurisdictionPolicy({
+  User,
+  policyFile: process.env.JURISDICTION_POLICY_FILE,
+  onReevaluate: setTransactionLimits
+});
+
+mongoose.connection.once('open', () => {
+  jurisdictionPolicy.start().catch(error => {
+    console.error('Jurisdiction policy error:', error);
+  });
+});
+
+// Explainable risk factors with decay for behaviour-based ones
+const riskScoring = new RiskScoring({
+  User,
+  isHighRiskCountry: country => jurisdictionPolicy.isHighRisk(country),
+  calculateRiskLevel,
+  onLevelChange: setTransactionLimits
+});
+
+// Director and beneficial owner personal data is encrypted like a user's
+EntitySchema.plugin(encryptedFieldsPlugin, {
+  vault: piiVault,
+  subdocuments: {
+    directors: ['fullName', 'dateOfBirth'],
+    ubos: ['fullName', 'dateOfBirth', 'email']
+  }
+});
+
+const Entity = mongoose.model('Entity', EntitySchema);
+
+// EDD answers (source of funds and wealth) are encrypted like other PII
+EddReviewSchema.plugin(encryptedFieldsPlugin, {
+  vault: piiVault,
+  subdocuments: { submissions: ['answers'] }
 });
 
-const User = mongoose.model('User', new mongoose.Schema(UserSchema));
+const EddReview = mongoose.model('EddReview', EddReviewSchema);
+
+// Webhook URLs and signing secrets are credentials, so they are encrypted too
+EventSubscriberSchema.plugin(encryptedFieldsPlugin, {
+  vault: piiVault,
+  fields: ['url', 'secret']
+});
+
+const EventSubscriber = mongoose.model('EventSubscriber', EventSubscriberSchema);
+
+// Outgoing email (SMTP in production, captured locally otherwise)
+const mailer = createMailerFromEnv();
+
+// Enhanced due diligence questionnaires, supporting documents and sign-off
+const eddService = new EddService({
+  EddReview,
+  User,
+  piiVault,
+  notifyUser,
+  requiresEddForCountry: country => jurisdictionPolicy.forCountry(country).enhancedDueDiligence,
+  canApprovePep: staff => hasPermission(staff, 'edd.approve_pep'),
+  cappedKycLevel: isNaN(parseInt(process.env.EDD_CAPPED_KYC_LEVEL)) ? undefined : parseInt(process.env.EDD_CAPPED_KYC_LEVEL),
+  validityDays: parseInt(process.env.EDD_VALIDITY_DAYS) || undefined
+});
+
+// Business onboarding with beneficial owners linked to their own KYC
+const kybService = new KybService({
+  Entity,
+  User,
+  piiVault,
+  mailer,
+  appUrl: process.env.APP_URL,
+  isHighRiskCountry: country => jurisdictionPolicy.isHighRisk(country),
+  calculateRiskLevel,
+  uboThreshold: parseFloat(process.env.KYB_UBO_THRESHOLD) || undefined
+});
+
+// Login, email verification, password reset and token rotation
+const authService = new AuthService({
+  User,
+  mailer,
+  jwtSecret: process.env.JWT_SECRET,
+  appUrl: process.env.APP_URL,
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL
+});
+
+// Sign-In-With-Ethereum challenges proving control of a wallet before linking
+const walletOwnership = new WalletOwnershipVerifier({
+  appUrl: process.env.APP_URL,
+  domain: process.env.SIWE_DOMAIN,
+  chainId: parseInt(process.env.CHAIN_ID) || undefined,
+  rpcUrl: process.env.CHAIN_RPC_URL
+});
+
+// Periodic KYC refresh based on document expiry and risk level
+const reverificationScheduler = new ReverificationScheduler({
+  User,
+  setTransactionLimits,
+  notifyUser
+});
 
 // Define Transaction Schema for AML monitoring
 const TransactionSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Set when the user transacted on behalf of a business entity
+  entityId: { type: mongoose.Schema.Types.ObjectId, ref: 'Entity' },
   walletAddress: String,
-  transactionHash: { type: String, required: true, unique: true },
-  amount: { type: Number, required: true },
+  transactionHash: { type: String, required: true },
+  amount: { type: Number, required: true, min: 0 },
   currency: { type: String, required: true },
   timestamp: { type: Date, default: Date.now },
   type: { type: String, enum: ['mint', 'burn', 'transfer', 'receive'] },
@@ -131,12 +417,95 @@ const TransactionSchema = new mongoose.Schema({
   riskScore: Number,
   flagged: { type: Boolean, default: false },
   flagReason: String,
+  ruleSetVersion: Number,
+  ruleHits: [{
+    _id: false,
+    ruleId: String,
+    ruleSetVersion: Number,
+    contribution: Number,
+    detail: mongoose.Schema.Types.Mixed
+  }],
   reviewed: { type: Boolean, default: false },
-  reviewerNotes: String
+  reviewerNotes: String,
+  // 'chain' records come from the token's Transfer events, 'client' from the API
+  source: { type: String, enum: ['client', 'chain'], default: 'client' },
+  logIndex: Number,
+  blockNumber: Number,
+  blockHash: String,
+  // Set on flagged records whose block was orphaned by a reorg
+  reorgedAt: Date,
+  // Set when the retention purge removed addresses and notes
+  redactedAt: Date
 });
 
+// One transaction hash can move funds for several wallets, and for both sides
+TransactionSchema.index({ transactionHash: 1, logIndex: 1, walletAddress: 1 }, { unique: true });
+
 const Transaction = mongoose.model('Transaction', TransactionSchema);
 
+// Drop a unique index an older schema created and the current one replaced
+async function dropLegacyIndex(Model, indexName) {
+  let indexes;
+  try {
+    indexes = await Model.collection.indexes();
+  } catch (error) {
+    // NamespaceNotFound: a new database has nothing to migrate
+    if (error.code === 26) return;
+    throw error;
+  }
+
+  if (indexes.some(index => index.name === indexName && index.unique)) {
+    await Model.collection.dropIndex(indexName);
+    console.log(`Dropped legacy unique index ${indexName} on ${Model.collection.name}`);
+  }
+}
+
+// Daily, rolling 30-day and calendar-month limit enforcement
+const transactionLimits = new TransactionLimits({ Transaction });
+
+// Configurable AML rules used to score transactions
+const amlRulesEngine = new AmlRulesEngine({
+  Transaction,
+  checkCounterpartyRisk,
+  rulesFile: process.env.AML_RULES_FILE
+});
+
+mongoose.connection.once('open', () => {
+  amlRulesEngine.initialize().catch(error => {
+    console.error('AML rules initialization error:', error);
+  });
+});
+
+// Alert and case management for flagged activity
+const caseManager = new CaseManager({
+  Transaction,
+  createSAR
+});
+
+// Sanctions list import and fuzzy name screening
+const sanctionsScreening = new SanctionsScreening({
+  User,
+  listDir: process.env.SANCTIONS_LIST_DIR,
+  matchThreshold: parseFloat(process.env.SANCTIONS_MATCH_THRESHOLD) || undefined,
+  onPotentialMatch: async (user, hits) => {
+    await caseManager.raiseAlert(user._id, {
+      source: 'sanctions_screening',
+      reason: `Potential sanctions match: ${hits.map(hit => `${hit.matchedValue} (${hit.source}, ${hit.confidence})`).join('; ')}`,
+      riskScore: 100
+    });
+    await publishSanctionsHits(user, hits, 'open');
+  },
+  onConfirmedMatch: handleConfirmedSanctionsMatch
+});
+
+// Multi-hop counterparty exposure and shared-counterparty clusters
+const exposureGraph = new ExposureGraph({
+  Transaction,
+  User,
+  sanctionsScreening,
+  lookbackDays: parseInt(process.env.GRAPH_LOOKBACK_DAYS) || undefined
+});
+
 // Define Report Schema for SAR and regulatory reporting
 const ReportSchema = new mongoose.Schema({
   type: { 
@@ -150,16 +519,185 @@ const ReportSchema = new mongoose.Schema({
   submittedBy: String,
   status: { 
     type: String, 
-    enum: ['draft', 'submitted', 'acknowledged', 'investigation'], 
+    enum: ['draft', 'pending_approval', 'approved', 'submitted', 'acknowledged', 'investigation'], 
     default: 'draft' 
   },
   narrative: String,
   attachments: [String],
-  regulatoryReference: String
+  regulatoryReference: String,
+  // SAR workflow: who asked for approval, who gave it
+  approvalRequestedBy: String,
+  approvedBy: String,
+  approvedAt: Date,
+  exportBatchId: String,
+  exportedAt: Date,
+  acknowledgedAt: Date,
+  // CTR aggregation fields
+  businessDate: Date,
+  currency: String,
+  totalAmount: Number,
+  activitySummary: mongoose.Schema.Types.Mixed,
+  statusHistory: [{
+    _id: false,
+    from: String,
+    to: String,
+    changedBy: String,
+    note: String,
+    changedAt: { type: Date, default: Date.now }
+  }],
+  // Set when the retention purge removed the narrative and attachments
+  redactedAt: Date
 });
 
+// One CTR per customer, business day and currency
+ReportSchema.index(
+  { type: 1, userId: 1, businessDate: 1, currency: 1 },
+  { unique: true, partialFilterExpression: { type: 'CTR' } }
+);
+
 const Report = mongoose.model('Report', ReportSchema);
 
+// SAR approval, narrative rendering and regulator export
+const sarLifecycle = new SarLifecycle({
+  Report,
+  institutionName: process.env.INSTITUTION_NAME,
+  exportDir: process.env.SAR_EXPORT_DIR
+});
+
+// Daily CTR aggregation over mint/burn/transfer activity
+const ctrAggregator = new CtrAggregator({
+  Transaction,
+  Report,
+  threshold: parseFloat(process.env.CTR_THRESHOLD) || 10000,
+  businessDayOffsetMinutes: parseInt(process.env.CTR_BUSINESS_DAY_OFFSET_MINUTES) || 0
+});
+
+// Structuring, pass-through and other typologies for transaction analysis
+const typologyDetector = new TypologyDetector({
+  Transaction,
+  // Structuring stays just under the CTR threshold or a large-transaction rule
+  getThresholds: async () => {
+    const ruleSet = await amlRulesEngine.getActiveRuleSet();
+    return [{ name: 'ctr', amount: ctrAggregator.config.threshold }].concat(
+      ruleSet.rules
+        .filter(rule => rule.enabled && rule.type === 'amount_threshold')
+        .map(rule => ({ name: rule.id, amount: rule.params.threshold }))
+    );
+  }
+});
+
+// GDPR/CCPA data export and erasure requests
+const privacyService = new PrivacyService({
+  User,
+  Transaction,
+  Report,
+  Case,
+  SanctionsHit,
+  piiVault,
+  releaseUploads: filePaths => uploadGuard.release(filePaths),
+  authService,
+  notifyUser,
+  setTransactionLimits
+});
+
+// Retention rules per data class and jurisdiction, applied by a daily purge
+const retentionEngine = new RetentionEngine({
+  User,
+  Transaction,
+  Report,
+  Case,
+  SanctionsHit,
+  piiVault,
+  releaseUploads: filePaths => uploadGuard.release(filePaths),
+  policyFile: process.env.RETENTION_POLICY_FILE
+});
+
+// Signs verifyUser / setRiskScore / rejectUser calls with the operator key
+const chainSyncWorker = new ChainSyncWorker({
+  User,
+  rpcUrl: process.env.CHAIN_RPC_URL,
+  contractAddress: process.env.KYC_PROVIDER_ADDRESS,
+  operatorKey: process.env.CHAIN_SYNC_OPERATOR_KEY,
+  confirmations: parseInt(process.env.CHAIN_SYNC_CONFIRMATIONS) || undefined
+});
+
+mongoose.connection.once('open', () => {
+  chainSyncWorker.start().catch(error => {
+    console.error('Failed to start chain sync:', error);
+  });
+});
+
+// Records token transfers for registered wallets straight from the chain
+const chainIngestion = new ChainIngestionService({
+  User,
+  Transaction,
+  recordTransaction,
+  rescoreTransaction,
+  rpcUrl: process.env.CHAIN_RPC_URL,
+  tokenAddress: process.env.STABULUM_TOKEN_ADDRESS,
+  startBlock: parseInt(process.env.CHAIN_INGEST_START_BLOCK) || 0,
+  confirmations: isNaN(parseInt(process.env.CHAIN_INGEST_CONFIRMATIONS))
+    ? undefined
+    : parseInt(process.env.CHAIN_INGEST_CONFIRMATIONS)
+});
+
+mongoose.connection.once('open', () => {
+  // Databases from before per-wallet ledger rows have a unique index on the hash
+  // alone, which rejects the second side of a transfer between two wallets
+  dropLegacyIndex(Transaction, 'transactionHash_1')
+    .catch(error => {
+      console.error('Failed to drop legacy transaction indexes:', error);
+    })
+    .then(() => chainIngestion.start());
+});
+
+// Identity verification calls and the periodic compliance runs, persisted with retries
+const jobQueue = new JobQueue({
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || undefined,
+  retryDelayMs: parseInt(process.env.JOB_RETRY_DELAY_MS) || undefined
+});
+
+jobQueue.register('kyc.verify_document', ({ userId, documentId }) => verifyDocument(userId, documentId));
+jobQueue.register('kyc.verify_face_match', ({ userId }) => verifyFaceMatch(userId));
+jobQueue.register('sanctions.rescreen', () => sanctionsScreening.runScheduled());
+jobQueue.register('ctr.aggregate', async () => {
+  const created = await ctrAggregator.run();
+  return { reports: created.map(report => report._id) };
+});
+jobQueue.register('kyc.reverification', () => reverificationScheduler.run());
+jobQueue.register('retention.purge', async () => {
+  const purgeRun = await retentionEngine.run({ triggeredBy: 'system' });
+  return { purgeRun: purgeRun._id };
+});
+jobQueue.register('risk.recompute', () => riskScoring.recomputeAll());
+jobQueue.register('edd.expire_approvals', () => eddService.expireApprovals());
+jobQueue.register('cases.sla_check', async () => ({ breached: await caseManager.markSlaBreaches() }));
+
+jobQueue.schedule('sanctions.rescreen', sanctionsScreening.config.interval);
+jobQueue.schedule('ctr.aggregate', ctrAggregator.config.interval);
+jobQueue.schedule('kyc.reverification', reverificationScheduler.config.interval);
+jobQueue.schedule('retention.purge', retentionEngine.config.interval);
+jobQueue.schedule('risk.recompute', riskScoring.config.interval);
+jobQueue.schedule('edd.expire_approvals', eddService.config.interval);
+// Case SLA deadlines are checked every 15 minutes
+jobQueue.schedule('cases.sla_check', 15 * 60 * 1000);
+
+// Compliance events fanned out to webhooks, email and chat, delivered through the job queue
+const eventBus = new EventBus({
+  EventSubscriber,
+  User,
+  jobQueue,
+  mailer,
+  staffOnlyRoles: PERMISSIONS['sar.notify'],
+  allowInsecureUrls: process.env.EVENTS_ALLOW_HTTP === 'true'
+});
+
+jobQueue.register('events.deliver', ({ deliveryId }) => eventBus.deliver(deliveryId), { maxAttempts: 8 });
+
+mongoose.connection.once('open', () => {
+  jobQueue.start();
+});
+
 // Middleware to protect routes
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -168,19 +706,220 @@ const authenticateToken = (req, res, next) => {
   if (!token) return res.status(401).json({ message: 'Unauthorized' });
   
   jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    // Expired access tokens get a 401 so clients know to use their refresh token
+    if (err && err.name === 'TokenExpiredError') return res.status(401).json({ message: 'Token expired' });
     if (err) return res.status(403).json({ message: 'Forbidden' });
     req.user = user;
     next();
   });
 };
 
-// Admin authorization middleware
-const isAdmin = (req, res, next) => {
-  if (!req.user.isAdmin) {
-    return res.status(403).json({ message: 'Requires admin privileges' });
+// Record an admin action in the tamper-evident audit log
+const auditAdminAction = (req, details) => recordAuditEvent({
+  actor: { id: req.user.id, email: req.user.email },
+  ip: req.ip,
+  ...details
+});
+
+// Audit first, then save, so a crash in between cannot lose the entry
+const saveAudited = (req, doc, details) => saveWithAudit(doc, {
+  actor: { id: req.user.id, email: req.user.email },
+  ip: req.ip,
+  ...details
+});
+
+// Four-eyes approvals: these actions are requested by one staff member and
+// only take effect once a different staff member approves them
+const approvals = new FourEyesApprovals();
+
+approvals.register('kyc.raise_level', {
+  permission: 'kyc.approve_level',
+  execute: async ({ userId, kycLevel }, { approvedBy }) => {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const before = auditSnapshot(user);
+    user.kycLevel = kycLevel;
+    setTransactionLimits(user);
+
+    await saveWithAudit(user, {
+      actor: { id: approvedBy },
+      action: 'kyc.raise_level',
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: auditSnapshot(user)
+    });
+
+    return { userId: user._id, kycLevel: user.kycLevel };
   }
-  next();
-};
+});
+
+approvals.register('kyb.approve', {
+  permission: 'kyc.approve_level',
+  execute: async ({ entityId }, { approvedBy }) => {
+    const before = auditSnapshot(await Entity.findById(entityId));
+    const entity = await kybService.approve(entityId);
+
+    await recordAuditEvent({
+      actor: { id: approvedBy },
+      action: 'kyb.approve',
+      targetType: 'Entity',
+      targetId: entity._id,
+      before,
+      after: auditSnapshot(entity)
+    });
+
+    return { entityId: entity._id, kybStatus: entity.kybStatus, riskLevel: entity.riskLevel };
+  }
+});
+
+approvals.register('sanctions.clear_hit', {
+  permission: 'sanctions.clear',
+  execute: async ({ hitId, note }, { approvedBy }) => {
+    const { hit } = await sanctionsScreening.reviewHit(hitId, 'cleared', approvedBy, note);
+
+    await recordAuditEvent({
+      actor: { id: approvedBy },
+      action: 'sanctions.hit_cleared',
+      targetType: 'SanctionsHit',
+      targetId: hit._id,
+      reason: note,
+      after: { status: hit.status, userId: hit.userId, matchedValue: hit.matchedValue }
+    });
+
+    return { hitId: hit._id, status: hit.status };
+  }
+});
+
+approvals.register('sar.submit', {
+  permission: 'sar.submit',
+  execute: async ({ reportIds }, { approvedBy }) => {
+    const batch = await sarLifecycle.exportBatch(reportIds, approvedBy);
+
+    await recordAuditEvent({
+      actor: { id: approvedBy },
+      action: 'sar.export',
+      targetType: 'Report',
+      targetId: batch.batchId,
+      after: batch
+    });
+
+    return batch;
+  }
+});
+
+// Authentication Routes
+// 1. Login
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    
+    const { user, tokens } = await authService.login(email, password, req.ip);
+    
+    res.status(200).json({
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+      emailVerified: user.emailVerified,
+      kycStatus: user.kycStatus,
+      kycLevel: user.kycLevel
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 2. Refresh Access Token (rotates the refresh token)
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const tokens = await authService.refresh(req.body.refreshToken, req.ip);
+    
+    res.status(200).json({
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 3. Logout (revokes the refresh token's session)
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await authService.logout(req.body.refreshToken);
+    
+    res.status(200).json({ message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 4. Revoke All Sessions
+app.post('/api/auth/revoke-all', authenticateToken, async (req, res) => {
+  try {
+    await authService.revokeAllForUser(req.user.id, 'user_request');
+    
+    res.status(200).json({ message: 'All sessions revoked' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 5. Verify Email
+app.post('/api/auth/verify-email', async (req, res) => {
+  try {
+    await authService.verifyEmail(req.body.token);
+    
+    res.status(200).json({ message: 'Email verified' });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 6. Resend Verification Email
+app.post('/api/auth/verify-email/resend', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    await authService.sendEmailVerification(user);
+    
+    res.status(200).json({ message: user.emailVerified ? 'Email already verified' : 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 7. Request Password Reset
+app.post('/api/auth/password-reset', async (req, res) => {
+  try {
+    await authService.requestPasswordReset(req.body.email);
+    
+    // Same response whether or not the account exists
+    res.status(200).json({ message: 'If the account exists, a reset email has been sent' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 8. Confirm Password Reset
+app.post('/api/auth/password-reset/confirm', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    await authService.resetPassword(token, password);
+    
+    res.status(200).json({ message: 'Password updated. Please log in again.' });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
 
 // Routes for KYC Process
 // 1. User Registration
@@ -188,6 +927,11 @@ app.post('/api/register', async (req, res) => {
   try {
     const { email, password, fullName, dateOfBirth, address, phoneNumber } = req.body;
     
+    authService.validatePassword(password);
+    
+    // Unrecognised countries and blocked jurisdictions are refused up front
+    jurisdictionPolicy.assertRegistrationAllowed(address && address.country);
+    
     const hashedPassword = await bcrypt.hash(password, 10);
     
     const user = new User({
@@ -196,44 +940,42 @@ app.post('/api/register', async (req, res) => {
       fullName,
       dateOfBirth,
       address,
-      phoneNumber,
-      riskScore: RISK_FACTORS.NEW_ACCOUNT // New accounts start with base risk
+      phoneNumber
     });
     
-    // Check for sanctioned countries
-    const highRiskCountries = ['CountryA', 'CountryB', 'CountryC']; // Replace with actual high-risk jurisdictions
-    if (highRiskCountries.includes(address.country)) {
-      user.riskScore += RISK_FACTORS.HIGH_RISK_COUNTRY;
-    }
+    // The country is normalized by jurisdictionPlugin; initial risk (new account,
+    // residence country) and limits are set by riskScoringPlugin on save
     
-    // Set initial risk level based on score
-    user.riskLevel = calculateRiskLevel(user.riskScore);
+    await user.save();
     
-    // Set initial transaction limits based on KYC level
-    setTransactionLimits(user);
+    // Screen the new customer against the loaded sanctions lists
+    try {
+      await sanctionsScreening.screenUser(user);
+    } catch (error) {
+      // The scheduled re-screen will pick the user up
+      console.error('Registration sanctions screening error:', error);
+    }
     
-    await user.save();
+    await authService.sendEmailVerification(user);
     
-    // Generate token but don't allow operations until KYC is completed
-    const token = jwt.sign(
-      { id: user._id, email: user.email, kycLevel: user.kycLevel },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Generate tokens but don't allow operations until KYC is completed
+    const tokens = await authService.issueTokens(user, req.ip);
     
     res.status(201).json({
-      message: 'User registered successfully. Please complete KYC process.',
-      token,
+      message: 'User registered successfully. Please verify your email and complete KYC process.',
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
       kycStatus: user.kycStatus,
       kycLevel: user.kycLevel
     });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({ message: error.message });
   }
 });
 
 // 2. Document Upload
-app.post('/api/kyc/documents', authenticateToken, upload.single('document'), async (req, res) => {
+app.post('/api/kyc/documents', authenticateToken, upload.single('document'), uploadGuard.middleware('identity_document'), async (req, res) => {
   try {
     const { documentType, documentNumber, issuingCountry, issueDate, expiryDate } = req.body;
     
@@ -249,20 +991,22 @@ app.post('/api/kyc/documents', authenticateToken, upload.single('document'), asy
       issuingCountry,
       issueDate,
       expiryDate,
-      documentImage: req.file.path
+      documentImage: await piiVault.writeFile(req.file.buffer, { mimetype: req.file.mimetype }, { name: req.file.storageName })
     });
     
     // Update KYC status
     user.kycStatus = 'pending';
     await user.save();
     
-    // In a real system, we would now initiate document verification
-    // with a third-party service
-    verifyDocument(user._id, user.identityDocuments[user.identityDocuments.length - 1]);
+    // Verification with the third-party service runs as a queued job
+    const documentId = user.identityDocuments[user.identityDocuments.length - 1]._id;
+    await jobQueue.enqueue('kyc.verify_document', { userId: user._id, documentId }, {
+      idempotencyKey: `kyc.verify_document:${documentId}`
+    });
     
     res.status(200).json({
       message: 'Document uploaded successfully. Verification in progress.',
-      documentId: user.identityDocuments[user.identityDocuments.length - 1]._id
+      documentId
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -270,19 +1014,20 @@ app.post('/api/kyc/documents', authenticateToken, upload.single('document'), asy
 });
 
 // 3. Selfie Upload for Face Matching
-app.post('/api/kyc/selfie', authenticateToken, upload.single('selfie'), async (req, res) => {
+app.post('/api/kyc/selfie', authenticateToken, upload.single('selfie'), uploadGuard.middleware('selfie'), async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    user.selfieImage = req.file.path;
+    user.selfieImage = await piiVault.writeFile(req.file.buffer, { mimetype: req.file.mimetype }, { name: req.file.storageName });
     await user.save();
     
-    // In a real system, we would now initiate facial recognition
-    // with a third-party service to match selfie with ID document
-    verifyFaceMatch(user._id);
+    // Facial recognition against the ID document runs as a queued job, once per selfie
+    await jobQueue.enqueue('kyc.verify_face_match', { userId: user._id }, {
+      idempotencyKey: `kyc.verify_face_match:${user._id}:${user.selfieImage}`
+    });
     
     res.status(200).json({
       message: 'Selfie uploaded successfully. Verification in progress.'
@@ -292,32 +1037,43 @@ app.post('/api/kyc/selfie', authenticateToken, upload.single('selfie'), async (r
   }
 });
 
-// 4. Add wallet address
-app.post('/api/kyc/wallet-address', authenticateToken, async (req, res) => {
+// 4. Request a wallet ownership challenge (EIP-4361 message to sign)
+app.post('/api/kyc/wallet-address/challenge', authenticateToken, async (req, res) => {
   try {
-    const { walletAddress } = req.body;
+    const challenge = await walletOwnership.issueChallenge(req.user.id, req.body.walletAddress);
     
-    // Basic validation
-    if (!walletAddress || !/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
-      return res.status(400).json({ message: 'Invalid wallet address format' });
-    }
+    res.status(200).json(challenge);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 5. Add wallet address with a signed ownership challenge
+app.post('/api/kyc/wallet-address', authenticateToken, async (req, res) => {
+  try {
+    const walletAddress = normalizeAddress(req.body.walletAddress);
     
     const user = await User.findById(req.user.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    // Don't allow duplicate addresses
-    if (user.walletAddresses.includes(walletAddress)) {
+    // Don't allow duplicate addresses; both are stored lowercase
+    if (user.walletAddresses.includes(walletAddress.toLowerCase())) {
       return res.status(400).json({ message: 'Wallet address already registered' });
     }
+    if (await User.exists({ walletAddresses: walletAddress })) {
+      return res.status(409).json({ message: 'Wallet address is linked to another profile' });
+    }
+    
+    // The user must have signed the ownership challenge with this wallet
+    const proof = await walletOwnership.verify(user._id, walletAddress, req.body.signature);
     
     // Check if wallet is on a sanctions list
     const isSanctioned = await checkWalletSanctions(walletAddress);
     if (isSanctioned) {
       user.isOnSanctionsList = true;
-      user.riskScore += 100; // Critical risk increase
-      user.riskLevel = 'extreme';
+      user.$locals.riskReason = `Sanctioned wallet address ${walletAddress}`;
       await user.save();
       
       // Generate suspicious activity report
@@ -329,18 +1085,28 @@ app.post('/api/kyc/wallet-address', authenticateToken, async (req, res) => {
     }
     
     user.walletAddresses.push(walletAddress);
-    await user.save();
+    user.walletProofs.push(proof);
+    try {
+      await user.save();
+    } catch (error) {
+      // Another profile linked the address since the check above
+      if (error.code === 11000 && error.keyPattern && error.keyPattern.walletAddresses) {
+        return res.status(409).json({ message: 'Wallet address is linked to another profile' });
+      }
+      throw error;
+    }
     
     res.status(200).json({
       message: 'Wallet address added successfully.',
-      walletAddresses: user.walletAddresses
+      walletAddresses: user.walletAddresses,
+      ownershipProof: { address: proof.address, method: proof.method, verifiedAt: proof.verifiedAt }
     });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({ message: error.message });
   }
 });
 
-// 5. KYC Status Check
+// 6. KYC Status Check
 app.get('/api/kyc/status', authenticateToken, async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
@@ -359,37 +1125,328 @@ app.get('/api/kyc/status', authenticateToken, async (req, res) => {
   }
 });
 
-// Admin Routes
-// 1. Admin Review KYC
-app.put('/api/admin/kyc/:userId', authenticateToken, isAdmin, async (req, res) => {
+// 7. Transaction Limit Usage
+app.get('/api/kyc/limits', authenticateToken, async (req, res) => {
   try {
-    const { kycStatus, kycLevel, notes } = req.body;
-    
-    const user = await User.findById(req.params.userId);
+    const user = await User.findById(req.user.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    user.kycStatus = kycStatus;
-    
-    if (kycLevel) {
-      user.kycLevel = kycLevel;
-      // Update transaction limits based on KYC level
-      setTransactionLimits(user);
-    }
-    
+    res.status(200).json(await transactionLimits.describe(user));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 8. Enhanced Due Diligence Status and Questionnaire
+app.get('/api/kyc/edd', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    res.status(200).json(await eddService.forCustomer(user));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 9. Upload an EDD Supporting Document
+app.post('/api/kyc/edd/documents', authenticateToken, upload.single('document'), uploadGuard.middleware('edd_document'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const document = await eddService.addDocument(user, req.file, req.body.questionId);
+    
+    res.status(201).json({
+      message: 'Document uploaded',
+      document: { id: document._id, questionId: document.questionId, originalName: document.originalName }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 10. Submit EDD Answers (each submission is kept as a new version)
+app.post('/api/kyc/edd/answers', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const review = await eddService.submit(user, req.body.answers);
+    
+    res.status(200).json({
+      message: 'Answers submitted for review',
+      status: review.status,
+      version: review.submissions[review.submissions.length - 1].version
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// Business Verification (KYB) Routes
+// 1. Register a Business Entity
+app.post('/api/kyb/entities', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const entity = await kybService.createEntity(user, req.body);
+    
+    res.status(201).json({
+      message: 'Entity registered. Upload registration documents and declare beneficial owners.',
+      entityId: entity._id,
+      kybStatus: entity.kybStatus
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 2. Upload Registration Document
+app.post('/api/kyb/entities/:entityId/documents', authenticateToken, upload.single('document'), uploadGuard.middleware('kyb_document'), async (req, res) => {
+  try {
+    const entity = await kybService.getForUser(req.params.entityId, req.user.id);
+    
+    const document = await kybService.addDocument(entity, req.body.documentType, req.file);
+    
+    res.status(200).json({
+      message: 'Registration document uploaded. Review in progress.',
+      documentId: document._id
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 3. Add Director
+app.post('/api/kyb/entities/:entityId/directors', authenticateToken, async (req, res) => {
+  try {
+    const entity = await kybService.getForUser(req.params.entityId, req.user.id);
+    const director = await kybService.addDirector(entity, req.body);
+    
+    res.status(200).json({ message: 'Director added', directorId: director._id });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 4. Declare Beneficial Owner
+app.post('/api/kyb/entities/:entityId/ubos', authenticateToken, async (req, res) => {
+  try {
+    const entity = await kybService.getForUser(req.params.entityId, req.user.id);
+    const ubo = await kybService.addUbo(entity, req.body);
+    
+    res.status(200).json({
+      message: ubo.kycRequired
+        ? 'Beneficial owner added and invited to link their KYC profile'
+        : 'Beneficial owner added',
+      uboId: ubo._id,
+      kycRequired: ubo.kycRequired
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 5. Beneficial Owner Accepts Invitation (links the signed-in user's KYC)
+app.post('/api/kyb/entities/:entityId/ubos/:uboId/accept', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    await kybService.acceptUboInvitation(req.params.entityId, req.params.uboId, user);
+    
+    res.status(200).json({ message: 'Your KYC profile is now linked to this entity' });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 6. Entity Status Check
+app.get('/api/kyb/entities/:entityId/status', authenticateToken, async (req, res) => {
+  try {
+    const entity = await kybService.getForUser(req.params.entityId, req.user.id);
+    
+    res.status(200).json({
+      entityId: entity._id,
+      legalName: entity.legalName,
+      kybStatus: entity.kybStatus,
+      riskLevel: entity.riskLevel,
+      transactionLimits: entity.transactionLimits,
+      pendingItems: await kybService.approvalBlockers(entity)
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// Privacy Routes
+// 1. Export My Data
+app.get('/api/privacy/export', authenticateToken, async (req, res) => {
+  try {
+    const archive = await privacyService.buildExport(req.user.id);
+    
+    await auditAdminAction(req, {
+      action: 'privacy.export',
+      targetType: 'User',
+      targetId: req.user.id
+    });
+    
+    res.attachment(`privacy-export-${req.user.id}.json`);
+    res.status(200).json(archive);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 2. Request Erasure of My Data
+app.post('/api/privacy/erasure', authenticateToken, async (req, res) => {
+  try {
+    const { regulation, reason } = req.body;
+    
+    const request = await privacyService.requestErasure(req.user.id, { regulation, reason });
+    
+    await auditAdminAction(req, {
+      action: 'privacy.erasure_request',
+      targetType: 'PrivacyRequest',
+      targetId: request._id,
+      reason,
+      after: { userId: request.userId, regulation: request.regulation, dueAt: request.dueAt }
+    });
+    
+    res.status(202).json({
+      message: 'Erasure request received. Records we are legally required to keep will be retained.',
+      requestId: request._id,
+      dueAt: request.dueAt
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 3. Admin View Privacy Request Queue
+app.get('/api/admin/privacy/requests', authenticateToken, requirePermission('privacy.read'), async (req, res) => {
+  try {
+    const requests = await privacyService.listRequests({
+      type: req.query.type || 'erasure',
+      status: req.query.status || 'pending',
+      userId: req.query.userId
+    });
+    
+    res.status(200).json({ requests });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 4. Admin Complete or Reject an Erasure Request
+app.post('/api/admin/privacy/requests/:requestId/:decision', authenticateToken, requirePermission('privacy.handle'), async (req, res) => {
+  try {
+    const { decision } = req.params;
+    const { note } = req.body;
+    
+    let request;
+    if (decision === 'complete') {
+      request = await privacyService.completeErasure(req.params.requestId, req.user.id, note);
+    } else if (decision === 'reject') {
+      request = await privacyService.rejectRequest(req.params.requestId, req.user.id, note);
+    } else {
+      return res.status(404).json({ message: 'Unknown decision' });
+    }
+    
+    // The retained records and their legal basis are part of the audit trail
+    await auditAdminAction(req, {
+      action: `privacy.erasure_${decision}`,
+      targetType: 'PrivacyRequest',
+      targetId: request._id,
+      reason: note,
+      before: { status: 'pending' },
+      after: {
+        status: request.status,
+        userId: request.userId,
+        outcome: request.outcome,
+        retainedRecords: request.retainedRecords
+      }
+    });
+    
+    res.status(200).json({ request });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// Admin Routes
+// 1. Admin Review KYC
+app.put('/api/admin/kyc/:userId', authenticateToken, requirePermission('kyc.review'), async (req, res) => {
+  try {
+    const { kycStatus, kycLevel, notes } = req.body;
+    
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const before = auditSnapshot(user);
+    
+    user.kycStatus = kycStatus;
+    
+    // Raising kycLevel needs a second approver; lowering it applies immediately
+    let approval = null;
+    if (kycLevel && kycLevel > user.kycLevel) {
+      approval = await approvals.request('kyc.raise_level', { userId: user._id, kycLevel }, {
+        requestedBy: req.user.id,
+        targetType: 'User',
+        targetId: user._id,
+        reason: req.body.reason || notes
+      });
+    } else if (kycLevel) {
+      user.kycLevel = kycLevel;
+      // Update transaction limits based on KYC level
+      setTransactionLimits(user);
+    }
+    
     // If approved, update verification date
     if (kycStatus === 'approved') {
       user.lastVerified = new Date();
     }
     
-    await user.save();
+    await saveAudited(req, user, {
+      action: 'kyc.review',
+      targetType: 'User',
+      targetId: user._id,
+      reason: req.body.reason || notes,
+      before,
+      after: auditSnapshot(user)
+    });
     
-    // Log the review action
-    // In a real system, maintain an audit log of all admin actions
+    if (approval) {
+      await auditAdminAction(req, {
+        action: 'approval.request',
+        targetType: 'ApprovalRequest',
+        targetId: approval._id,
+        reason: req.body.reason || notes,
+        after: { action: approval.action, userId: user._id, kycLevel }
+      });
+    }
     
-    res.status(200).json({
-      message: 'KYC status updated successfully',
+    res.status(approval ? 202 : 200).json({
+      message: approval
+        ? 'KYC status updated; the kycLevel increase is awaiting a second approver'
+        : 'KYC status updated successfully',
+      approvalId: approval ? approval._id : undefined,
       user: {
         id: user._id,
         email: user.email,
@@ -399,328 +1456,1881 @@ app.put('/api/admin/kyc/:userId', authenticateToken, isAdmin, async (req, res) =
       }
     });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.statusCode || 500).json({ message: error.message });
   }
 });
 
 // 2. Admin View All Pending KYCs
-app.get('/api/admin/kyc/pending', authenticateToken, isAdmin, async (req, res) => {
+app.get('/api/admin/kyc/pending', authenticateToken, requirePermission('kyc.read'), async (req, res) => {
+  try {
+    const pendingUsers = await User.find({ 
+      kycStatus: { $in: ['pending', 'additional_info_required'] } 
+    }).select('-password');
+    
+    res.status(200).json({ pendingUsers });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 3. Admin Generate Reports
+app.get('/api/admin/reports', authenticateToken, requirePermission('reports.read'), async (req, res) => {
+  try {
+    const { reportType, startDate, endDate } = req.query;
+    
+    let report;
+    switch (reportType) {
+      case 'kyc_statistics':
+        report = await generateKycStatistics(startDate, endDate);
+        break;
+      case 'transaction_overview':
+        report = await generateTransactionReport(startDate, endDate);
+        break;
+      case 'risk_analysis':
+        report = await generateRiskReport();
+        break;
+      case 'regulatory':
+        report = await generateRegulatoryReport(startDate, endDate);
+        break;
+      case 'ctr':
+        report = await ctrAggregator.listReports({ startDate, endDate, status: req.query.status });
+        break;
+      default:
+        return res.status(400).json({ message: 'Invalid report type' });
+    }
+    
+    await auditAdminAction(req, {
+      action: 'report.generate',
+      targetType: 'Report',
+      reason: req.query.reason,
+      after: { reportType, startDate, endDate }
+    });
+    
+    if (reportType === 'ctr' && req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', 'attachment; filename="ctr-reports.csv"');
+      return res.status(200).send(ctrAggregator.toCsv(report));
+    }
+    
+    res.status(200).json({ report });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 4. Admin View Upcoming KYC Re-verifications
+app.get('/api/admin/kyc/reverification', authenticateToken, requirePermission('kyc.read'), async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    const users = await reverificationScheduler.listUpcoming(days);
+    const now = new Date();
+    
+    res.status(200).json({
+      days,
+      overdue: users.filter(user => user.reverification.dueAt <= now),
+      upcoming: users.filter(user => user.reverification.dueAt > now)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 5. Admin Set Per-User Limit Overrides
+app.put('/api/admin/users/:userId/limits', authenticateToken, requirePermission('limits.override'), async (req, res) => {
+  try {
+    const { byType, reason, expiresAt, clear } = req.body;
+    
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!clear && !reason) {
+      return res.status(400).json({ message: 'A reason is required for limit overrides' });
+    }
+    
+    const before = auditSnapshot(user.limitOverrides);
+    
+    if (clear) {
+      user.limitOverrides = undefined;
+    } else {
+      const overrides = { byType, reason, setBy: req.user.id, setAt: new Date() };
+      for (const window of LIMIT_WINDOWS) {
+        const value = req.body[window];
+        if (value !== undefined && value !== null && (typeof value !== 'number' || value < 0)) {
+          return res.status(400).json({ message: `${window} must be a non-negative number` });
+        }
+        overrides[window] = value === null ? undefined : value;
+      }
+      if (expiresAt) {
+        overrides.expiresAt = new Date(expiresAt);
+      }
+      user.limitOverrides = overrides;
+    }
+    
+    await saveAudited(req, user, {
+      action: clear ? 'limits.clear_override' : 'limits.override',
+      targetType: 'User',
+      targetId: user._id,
+      reason,
+      before,
+      after: auditSnapshot(user.limitOverrides)
+    });
+    
+    res.status(200).json({
+      message: 'Transaction limits updated',
+      limits: transactionLimits.getEffectiveLimits(user)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 6. Admin Review CTR
+app.put('/api/admin/reports/ctr/:reportId', authenticateToken, requirePermission('ctr.review'), async (req, res) => {
+  try {
+    const { status, regulatoryReference, reason } = req.body;
+    
+    const before = await Report.findById(req.params.reportId);
+    const report = await ctrAggregator.reviewReport(
+      req.params.reportId,
+      status,
+      req.user.id,
+      regulatoryReference
+    );
+    
+    await auditAdminAction(req, {
+      action: 'ctr.review',
+      targetType: 'Report',
+      targetId: report._id,
+      reason,
+      before: { status: before.status },
+      after: { status: report.status, regulatoryReference: report.regulatoryReference }
+    });
+    
+    res.status(200).json({ reportId: report._id, status: report.status });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 7. Admin View Pending Entities
+app.get('/api/admin/kyb/pending', authenticateToken, requirePermission('kyc.read'), async (req, res) => {
+  try {
+    res.status(200).json({ pendingEntities: await kybService.listPending() });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 8. Admin View Entity
+app.get('/api/admin/kyb/:entityId', authenticateToken, requirePermission('kyc.read'), async (req, res) => {
+  try {
+    const entity = await Entity.findById(req.params.entityId);
+    if (!entity) {
+      return res.status(404).json({ message: 'Entity not found' });
+    }
+    
+    res.status(200).json({
+      entity,
+      approvalBlockers: await kybService.approvalBlockers(entity),
+      limits: await transactionLimits.describe(entity)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 9. Admin Review Registration Document
+app.put('/api/admin/kyb/:entityId/documents/:documentId', authenticateToken, requirePermission('kyc.review'), async (req, res) => {
+  try {
+    const { verificationStatus, notes, reason } = req.body;
+    
+    const entity = await Entity.findById(req.params.entityId);
+    if (!entity) {
+      return res.status(404).json({ message: 'Entity not found' });
+    }
+    
+    const document = await kybService.reviewDocument(entity, req.params.documentId, verificationStatus, req.user.id, notes);
+    
+    await auditAdminAction(req, {
+      action: 'kyb.review_document',
+      targetType: 'Entity',
+      targetId: entity._id,
+      reason: reason || notes,
+      after: { documentId: document._id, verificationStatus }
+    });
+    
+    res.status(200).json({ documentId: document._id, verificationStatus: document.verificationStatus });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 10. Admin Review Entity
+// Approval needs a second approver; other decisions apply immediately
+app.put('/api/admin/kyb/:entityId', authenticateToken, requirePermission('kyc.review'), async (req, res) => {
+  try {
+    const { kybStatus, notes } = req.body;
+    
+    if (!['approved', 'rejected', 'additional_info_required'].includes(kybStatus)) {
+      return res.status(400).json({ message: 'kybStatus must be approved, rejected or additional_info_required' });
+    }
+    
+    const entity = await Entity.findById(req.params.entityId);
+    if (!entity) {
+      return res.status(404).json({ message: 'Entity not found' });
+    }
+    
+    if (kybStatus === 'approved') {
+      const blockers = await kybService.approvalBlockers(entity);
+      if (blockers.length > 0) {
+        return res.status(409).json({ message: 'Entity cannot be approved yet', blockers });
+      }
+      
+      const approval = await approvals.request('kyb.approve', { entityId: entity._id }, {
+        requestedBy: req.user.id,
+        targetType: 'Entity',
+        targetId: entity._id,
+        reason: req.body.reason || notes
+      });
+      
+      await auditAdminAction(req, {
+        action: 'approval.request',
+        targetType: 'ApprovalRequest',
+        targetId: approval._id,
+        reason: req.body.reason || notes,
+        after: { action: approval.action, entityId: entity._id }
+      });
+      
+      return res.status(202).json({
+        message: 'Entity approval is awaiting a second approver',
+        approvalId: approval._id
+      });
+    }
+    
+    const before = auditSnapshot(entity);
+    
+    entity.kybStatus = kybStatus;
+    entity.reviewNotes = notes;
+    kybService.setLimits(entity);
+    
+    await saveAudited(req, entity, {
+      action: 'kyb.review',
+      targetType: 'Entity',
+      targetId: entity._id,
+      reason: req.body.reason || notes,
+      before,
+      after: auditSnapshot(entity)
+    });
+    
+    res.status(200).json({
+      message: 'Entity status updated',
+      entity: {
+        id: entity._id,
+        legalName: entity.legalName,
+        kybStatus: entity.kybStatus,
+        transactionLimits: entity.transactionLimits
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 11. Admin Set Entity Limit Overrides
+app.put('/api/admin/kyb/:entityId/limits', authenticateToken, requirePermission('limits.override'), async (req, res) => {
+  try {
+    const { byType, reason, expiresAt, clear } = req.body;
+    
+    const entity = await Entity.findById(req.params.entityId);
+    if (!entity) {
+      return res.status(404).json({ message: 'Entity not found' });
+    }
+    
+    if (!clear && !reason) {
+      return res.status(400).json({ message: 'A reason is required for limit overrides' });
+    }
+    
+    const before = auditSnapshot(entity.limitOverrides);
+    
+    if (clear) {
+      entity.limitOverrides = undefined;
+    } else {
+      const overrides = { byType, reason, setBy: req.user.id, setAt: new Date() };
+      for (const window of LIMIT_WINDOWS) {
+        const value = req.body[window];
+        if (value !== undefined && value !== null && (typeof value !== 'number' || value < 0)) {
+          return res.status(400).json({ message: `${window} must be a non-negative number` });
+        }
+        overrides[window] = value === null ? undefined : value;
+      }
+      if (expiresAt) {
+        overrides.expiresAt = new Date(expiresAt);
+      }
+      entity.limitOverrides = overrides;
+    }
+    
+    await saveAudited(req, entity, {
+      action: clear ? 'limits.clear_override' : 'limits.override',
+      targetType: 'Entity',
+      targetId: entity._id,
+      reason,
+      before,
+      after: auditSnapshot(entity.limitOverrides)
+    });
+    
+    res.status(200).json({
+      message: 'Transaction limits updated',
+      limits: transactionLimits.getEffectiveLimits(entity)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 12. Admin View Risk Score Breakdown and History
+app.get('/api/admin/users/:userId/risk', authenticateToken, requirePermission('kyc.read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    res.status(200).json({
+      userId: user._id,
+      breakdown: riskScoring.breakdown(user),
+      history: await riskScoring.history(user._id, parseInt(req.query.limit) || 100)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 13. Admin Recompute All Risk Scores
+app.post('/api/admin/risk/recompute', authenticateToken, requirePermission('risk.recompute'), async (req, res) => {
+  try {
+    const summary = await riskScoring.recomputeAll();
+    
+    await auditAdminAction(req, {
+      action: 'risk.recompute',
+      targetType: 'User',
+      reason: req.body.reason,
+      after: summary
+    });
+    
+    res.status(200).json(summary);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// AML Monitoring Routes
+// 1. Transaction Monitoring
+app.post('/api/transactions/record', authenticateToken, async (req, res) => {
+  try {
+    const { 
+      walletAddress, 
+      transactionHash, 
+      amount, 
+      currency, 
+      type, 
+      counterpartyAddress,
+      entityId
+    } = req.body;
+    
+    // Verify the wallet address belongs to the user
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!walletAddress || !user.walletAddresses.some(address => address.toLowerCase() === walletAddress.toLowerCase())) {
+      return res.status(403).json({ message: 'Unauthorized wallet address' });
+    }
+    
+    // A transfer already ingested from the chain is on record; a second report would count it twice
+    const normalizedHash = typeof transactionHash === 'string' ? transactionHash.toLowerCase() : transactionHash;
+    if (normalizedHash && await Transaction.exists({ transactionHash: normalizedHash, source: 'chain' })) {
+      return res.status(409).json({ message: 'Transaction has already been recorded from the chain' });
+    }
+    
+    // Transactions on behalf of a business count against the entity's limits
+    let entity = null;
+    if (entityId) {
+      entity = await kybService.getForUser(entityId, user._id);
+      if (entity.kybStatus !== 'approved') {
+        return res.status(403).json({ message: 'Entity has not completed business verification' });
+      }
+    }
+    
+    // Check daily, rolling 30-day and calendar-month limits
+    const limitCheck = await transactionLimits.check(entity || user, { amount, type });
+    
+    if (!limitCheck.allowed) {
+      const [firstViolation] = limitCheck.violations;
+      return res.status(403).json({ 
+        message: `Transaction exceeds ${firstViolation.window} limit` +
+          (firstViolation.scope === 'overall' ? '' : ` for ${firstViolation.scope}`),
+        limit: firstViolation.limit,
+        used: firstViolation.used,
+        remaining: firstViolation.remaining,
+        violations: limitCheck.violations
+      });
+    }
+    
+    const transaction = await recordTransaction(user, {
+      walletAddress,
+      transactionHash: normalizedHash,
+      amount,
+      currency,
+      type,
+      counterpartyAddress,
+      entityId: entity ? entity._id : undefined
+    });
+    
+    res.status(201).json({
+      message: 'Transaction recorded successfully',
+      transaction: {
+        id: transaction._id,
+        timestamp: transaction.timestamp,
+        amount,
+        type
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 2. Transaction Analysis
+app.get('/api/admin/transactions/analysis', authenticateToken, requirePermission('transactions.read'), async (req, res) => {
+  try {
+    const { startDate, endDate, riskThreshold } = req.query;
+    
+    const query = {
+      timestamp: {
+        $gte: new Date(startDate || Date.now() - 30*24*60*60*1000), // Default to last 30 days
+        $lte: new Date(endDate || Date.now())
+      }
+    };
+    
+    const transactions = await Transaction.find(query)
+      .populate('userId', 'fullName email kycLevel riskLevel');
+    
+    // Typologies look at every transaction in the window: structuring legs are low-risk one by one
+    const patterns = await detectAnomalousPatterns(transactions);
+    
+    // The risk threshold only narrows the listing
+    const listed = riskThreshold
+      ? transactions.filter(t => t.riskScore >= parseInt(riskThreshold))
+      : transactions;
+    
+    res.status(200).json({
+      totalTransactions: transactions.length,
+      flaggedTransactions: transactions.filter(t => t.flagged).length,
+      highRiskTransactions: transactions.filter(t => t.riskScore > RISK_THRESHOLDS.HIGH).length,
+      patterns,
+      transactions: listed.map(t => ({
+        id: t._id,
+        user: t.userId ? {
+          id: t.userId._id,
+          name: t.userId.fullName,
+          email: t.userId.email,
+          kycLevel: t.userId.kycLevel,
+          riskLevel: t.userId.riskLevel
+        } : null,
+        amount: t.amount,
+        type: t.type,
+        timestamp: t.timestamp,
+        riskScore: t.riskScore,
+        flagged: t.flagged,
+        ruleHits: t.ruleHits
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 3. Generate SAR Report
+app.post('/api/admin/reports/sar', authenticateToken, requirePermission('sar.create'), async (req, res) => {
+  try {
+    const { userId, narrative, transactionIds } = req.body;
+    
+    const sarReport = await createSAR(userId, narrative, transactionIds, req.user.id);
+    
+    await auditAdminAction(req, {
+      action: 'sar.create',
+      targetType: 'Report',
+      targetId: sarReport._id,
+      reason: req.body.reason,
+      after: auditSnapshot(sarReport)
+    });
+    
+    res.status(201).json({
+      message: 'SAR created successfully',
+      reportId: sarReport._id,
+      status: sarReport.status
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 4. Render SAR Narrative from a Template
+app.put('/api/admin/reports/sar/:reportId/narrative', authenticateToken, requirePermission('sar.edit'), async (req, res) => {
+  try {
+    const { template, reason } = req.body;
+    
+    const report = await sarLifecycle.renderNarrative(req.params.reportId, template, reason);
+    
+    await auditAdminAction(req, {
+      action: 'sar.narrative',
+      targetType: 'Report',
+      targetId: report._id,
+      reason,
+      after: { template: template || 'default', narrative: report.narrative }
+    });
+    
+    res.status(200).json({ reportId: report._id, narrative: report.narrative });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 5. Move SAR Through the Approval Workflow
+app.put('/api/admin/reports/sar/:reportId/status', authenticateToken, requirePermission('sar.edit'), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    
+    // Preparers can request approval; every other move needs an approver.
+    // Submission and acknowledgement have their own routes below.
+    if (!PREPARER_STATUSES.includes(status) && !hasPermission(req.user, 'sar.approve')) {
+      return res.status(403).json({ message: 'Requires permission: sar.approve' });
+    }
+    
+    const report = await sarLifecycle.transition(req.params.reportId, status, req.user.id, note);
+    const lastChange = report.statusHistory[report.statusHistory.length - 1];
+    
+    await auditAdminAction(req, {
+      action: 'sar.status',
+      targetType: 'Report',
+      targetId: report._id,
+      reason: note,
+      before: { status: lastChange.from },
+      after: { status: report.status, approvedBy: report.approvedBy }
+    });
+    
+    res.status(200).json({ reportId: report._id, status: report.status });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 6. Request Submission of Approved SARs as a Regulator Batch File
+// The batch is exported once a second MLRO approves the request.
+app.post('/api/admin/reports/sar/export', authenticateToken, requirePermission('sar.edit'), async (req, res) => {
+  try {
+    // Pin the batch contents so the approver signs off on a fixed set of SARs
+    const query = { type: 'SAR', status: 'approved' };
+    if (req.body.reportIds && req.body.reportIds.length > 0) {
+      query._id = { $in: req.body.reportIds };
+    }
+    const reports = await Report.find(query).select('_id');
+    if (reports.length === 0) {
+      return res.status(400).json({ message: 'No approved SARs to export' });
+    }
+    
+    const reportIds = reports.map(report => String(report._id));
+    const approval = await approvals.request('sar.submit', { reportIds }, {
+      requestedBy: req.user.id,
+      targetType: 'Report',
+      reason: req.body.reason
+    });
+    
+    await auditAdminAction(req, {
+      action: 'approval.request',
+      targetType: 'ApprovalRequest',
+      targetId: approval._id,
+      reason: req.body.reason,
+      after: { action: approval.action, reportIds }
+    });
+    
+    res.status(202).json({
+      message: 'SAR submission is awaiting a second approver',
+      approvalId: approval._id,
+      reportIds
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 7. Record Regulator Acknowledgement
+app.post('/api/admin/reports/sar/:reportId/acknowledgement', authenticateToken, requirePermission('sar.submit'), async (req, res) => {
+  try {
+    const { regulatoryReference, acknowledgedAt } = req.body;
+    
+    const report = await sarLifecycle.recordAcknowledgement(
+      req.params.reportId,
+      regulatoryReference,
+      req.user.id,
+      acknowledgedAt
+    );
+    
+    await auditAdminAction(req, {
+      action: 'sar.acknowledge',
+      targetType: 'Report',
+      targetId: report._id,
+      after: { status: report.status, regulatoryReference, acknowledgedAt: report.acknowledgedAt }
+    });
+    
+    res.status(200).json({
+      reportId: report._id,
+      status: report.status,
+      regulatoryReference: report.regulatoryReference
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// Case Management Routes
+// 1. Case Queue
+app.get('/api/admin/cases', authenticateToken, requirePermission('cases.read'), async (req, res) => {
+  try {
+    const { status, assignedTo, priority, overdue } = req.query;
+    
+    const cases = await caseManager.listQueue({
+      status,
+      assignedTo: assignedTo === 'me' ? req.user.id : assignedTo,
+      priority,
+      overdue: overdue === 'true'
+    });
+    
+    res.status(200).json({ cases });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 2. Case Details
+app.get('/api/admin/cases/:caseId', authenticateToken, requirePermission('cases.read'), async (req, res) => {
+  try {
+    const caseDoc = await caseManager.getCase(req.params.caseId);
+    
+    res.status(200).json({ case: caseDoc });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 3. Assign Case
+app.put('/api/admin/cases/:caseId/assign', authenticateToken, requirePermission('cases.work'), async (req, res) => {
+  try {
+    const { analystId } = req.body;
+    if (!analystId) {
+      return res.status(400).json({ message: 'analystId is required' });
+    }
+    
+    const caseDoc = await caseManager.assign(req.params.caseId, analystId, req.user.id);
+    
+    await auditAdminAction(req, {
+      action: 'case.assign',
+      targetType: 'Case',
+      targetId: caseDoc._id,
+      reason: req.body.reason,
+      after: { assignedTo: analystId }
+    });
+    
+    res.status(200).json({ case: caseDoc });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 4. Change Case Status
+app.put('/api/admin/cases/:caseId/status', authenticateToken, requirePermission('cases.work'), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    
+    const caseDoc = await caseManager.transition(req.params.caseId, status, req.user.id, note);
+    const lastChange = caseDoc.statusHistory[caseDoc.statusHistory.length - 1];
+    
+    await auditAdminAction(req, {
+      action: 'case.status',
+      targetType: 'Case',
+      targetId: caseDoc._id,
+      reason: note,
+      before: { status: lastChange.from },
+      after: { status: caseDoc.status, reportId: caseDoc.reportId }
+    });
+    
+    res.status(200).json({ case: caseDoc });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 5. Comment on Case
+app.post('/api/admin/cases/:caseId/comments', authenticateToken, requirePermission('cases.work'), async (req, res) => {
+  try {
+    const caseDoc = await caseManager.addComment(req.params.caseId, req.user.id, req.body.text);
+    
+    res.status(201).json({ comments: caseDoc.comments });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 6. Attach Evidence to Case
+app.post('/api/admin/cases/:caseId/attachments', authenticateToken, requirePermission('cases.work'), upload.single('attachment'), uploadGuard.middleware('case_attachment', { quota: false }), async (req, res) => {
+  try {
+    const caseDoc = await caseManager.addAttachment(req.params.caseId, req.user.id, {
+      ...req.file,
+      path: await piiVault.writeFile(req.file.buffer, { mimetype: req.file.mimetype })
+    });
+    
+    await auditAdminAction(req, {
+      action: 'case.attachment',
+      targetType: 'Case',
+      targetId: caseDoc._id,
+      after: { filename: req.file.originalname }
+    });
+    
+    res.status(201).json({ attachments: caseDoc.attachments });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 7. Open Cases from Typology Findings
+// Re-running over the same period does not add the same finding twice.
+app.post('/api/admin/cases/from-analysis', authenticateToken, requirePermission('cases.work'), async (req, res) => {
+  try {
+    const { startDate, endDate, minSeverity = 'medium' } = req.body;
+    
+    if (!SEVERITIES.includes(minSeverity)) {
+      return res.status(400).json({ message: `minSeverity must be one of: ${SEVERITIES.join(', ')}` });
+    }
+    
+    const transactions = await Transaction.find({
+      timestamp: {
+        $gte: new Date(startDate || Date.now() - 30*24*60*60*1000),
+        $lte: new Date(endDate || Date.now())
+      }
+    });
+    
+    const findings = (await detectAnomalousPatterns(transactions))
+      .filter(finding => SEVERITIES.indexOf(finding.severity) >= SEVERITIES.indexOf(minSeverity));
+    
+    const caseIds = new Set();
+    for (const finding of findings) {
+      const caseDoc = await caseManager.raiseAlert(finding.userId, findingToAlert(finding));
+      finding.caseId = caseDoc._id;
+      caseIds.add(String(caseDoc._id));
+    }
+    
+    await auditAdminAction(req, {
+      action: 'case.open_from_analysis',
+      targetType: 'Case',
+      after: { startDate, endDate, minSeverity, findings: findings.length, cases: [...caseIds] }
+    });
+    
+    res.status(200).json({ findings, cases: [...caseIds] });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// AML Rules Administration
+// 1. View Rule Set Versions
+app.get('/api/admin/aml/rules', authenticateToken, requirePermission('aml_rules.read'), async (req, res) => {
+  try {
+    const active = await amlRulesEngine.getActiveRuleSet();
+    const versions = await RuleSet.find()
+      .sort({ version: -1 })
+      .select('version name active createdBy createdAt activatedAt');
+    
+    res.status(200).json({ active, versions });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 2. Publish a New Rule Set Version (JSON body or JSON/YAML text)
+app.post('/api/admin/aml/rules', authenticateToken, requirePermission('aml_rules.manage'), async (req, res) => {
+  try {
+    const { format, definition, activate } = req.body;
+    
+    let ruleSetDefinition;
+    try {
+      ruleSetDefinition = typeof definition === 'string'
+        ? parseRuleSet(definition, format || 'json')
+        : definition;
+      validateRuleSet(ruleSetDefinition);
+    } catch (error) {
+      return res.status(400).json({ message: `Invalid rule set: ${error.message}` });
+    }
+    
+    let ruleSet = await amlRulesEngine.createVersion(ruleSetDefinition, req.user.id);
+    if (activate) {
+      ruleSet = await amlRulesEngine.activateVersion(ruleSet.version);
+    }
+    
+    await auditAdminAction(req, {
+      action: 'aml_rules.publish',
+      targetType: 'RuleSet',
+      targetId: ruleSet._id,
+      reason: req.body.reason,
+      after: auditSnapshot(ruleSet)
+    });
+    
+    res.status(201).json({ message: 'Rule set version created', ruleSet });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 3. Activate a Rule Set Version
+app.post('/api/admin/aml/rules/:version/activate', authenticateToken, requirePermission('aml_rules.manage'), async (req, res) => {
+  try {
+    const before = await amlRulesEngine.getActiveRuleSet();
+    const ruleSet = await amlRulesEngine.activateVersion(parseInt(req.params.version));
+    
+    await auditAdminAction(req, {
+      action: 'aml_rules.activate',
+      targetType: 'RuleSet',
+      targetId: ruleSet._id,
+      reason: req.body.reason,
+      before: { version: before.version },
+      after: { version: ruleSet.version }
+    });
+    
+    res.status(200).json({ message: 'Rule set activated', version: ruleSet.version });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// 4. Enable or Disable a Single Rule
+app.put('/api/admin/aml/rules/:ruleId', authenticateToken, requirePermission('aml_rules.manage'), async (req, res) => {
+  try {
+    const { enabled } = req.body;
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ message: 'enabled must be a boolean' });
+    }
+    
+    const ruleSet = await amlRulesEngine.setRuleEnabled(req.params.ruleId, enabled, req.user.id);
+    
+    await auditAdminAction(req, {
+      action: enabled ? 'aml_rules.enable' : 'aml_rules.disable',
+      targetType: 'RuleSet',
+      targetId: ruleSet._id,
+      reason: req.body.reason,
+      after: { ruleId: req.params.ruleId, enabled, version: ruleSet.version }
+    });
+    
+    res.status(200).json({ message: 'Rule updated', version: ruleSet.version });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Exposure Graph Routes
+// 1. Subgraph and Exposure Around a User
+app.get('/api/admin/graph/users/:userId', authenticateToken, requirePermission('cases.read'), async (req, res) => {
+  try {
+    const { hops, lookbackDays } = req.query;
+    
+    res.status(200).json(await exposureGraph.forUser(req.params.userId, { hops, lookbackDays }));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 2. Subgraph and Exposure Around an Address
+app.get('/api/admin/graph/addresses/:address', authenticateToken, requirePermission('cases.read'), async (req, res) => {
+  try {
+    const { hops, lookbackDays } = req.query;
+    
+    res.status(200).json(await exposureGraph.forAddresses([req.params.address], { hops, lookbackDays }));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 3. Customer Clusters Sharing Counterparties (possible mule networks)
+app.get('/api/admin/graph/clusters', authenticateToken, requirePermission('cases.read'), async (req, res) => {
+  try {
+    const { lookbackDays, minShared, minSize } = req.query;
+    
+    res.status(200).json({ clusters: await exposureGraph.clusters({ lookbackDays, minShared, minSize }) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Enhanced Due Diligence Routes
+// 1. Review Queue (submitted reviews by default)
+app.get('/api/admin/edd/reviews', authenticateToken, requirePermission('edd.read'), async (req, res) => {
+  try {
+    const { status, userId } = req.query;
+    
+    res.status(200).json({ reviews: await eddService.listQueue({ status, userId }) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 2. Review Details with Every Answer Version
+app.get('/api/admin/edd/reviews/:reviewId', authenticateToken, requirePermission('edd.read'), async (req, res) => {
+  try {
+    const review = await eddService.getReview(req.params.reviewId);
+    
+    res.status(200).json({
+      review: {
+        ...review.toObject(),
+        documents: review.documents.map(doc => ({
+          id: doc._id,
+          questionId: doc.questionId,
+          originalName: doc.originalName,
+          mimetype: doc.mimetype,
+          size: doc.size,
+          uploadedAt: doc.uploadedAt
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 3. Download a Supporting Document
+app.get('/api/admin/edd/reviews/:reviewId/documents/:documentId', authenticateToken, requirePermission('edd.read'), async (req, res) => {
+  try {
+    const review = await eddService.getReview(req.params.reviewId);
+    const file = await eddService.readDocument(review, req.params.documentId);
+    
+    await auditAdminAction(req, {
+      action: 'edd.document_view',
+      targetType: 'EddReview',
+      targetId: review._id,
+      after: { documentId: req.params.documentId }
+    });
+    
+    res.set('Content-Type', file.metadata.mimetype || 'application/octet-stream');
+    res.set('Content-Disposition', `attachment; filename="${String(file.originalName || 'document').replace(/"/g, '')}"`);
+    res.status(200).send(file.content);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 4. Approve, Reject or Request Changes
+// Approving the review of a politically exposed person needs edd.approve_pep.
+app.post('/api/admin/edd/reviews/:reviewId/decision', authenticateToken, requirePermission('edd.review'), async (req, res) => {
+  try {
+    const { decision, note, submissionVersion } = req.body;
+    
+    const { review, user } = await eddService.decide(req.params.reviewId, req.user, { decision, note, submissionVersion });
+    
+    await auditAdminAction(req, {
+      action: `edd.${decision}`,
+      targetType: 'EddReview',
+      targetId: review._id,
+      reason: note,
+      before: { status: 'submitted' },
+      after: {
+        status: review.status,
+        submissionVersion: review.decisions[review.decisions.length - 1].submissionVersion,
+        expiresAt: review.expiresAt,
+        transactionLimits: user.transactionLimits
+      }
+    });
+    
+    res.status(200).json({ message: `EDD review ${review.status}`, review });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 5. Require EDD for a User
+app.post('/api/admin/users/:userId/edd', authenticateToken, requirePermission('edd.review'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const before = { status: user.edd.status, reviewId: user.edd.reviewId };
+    await eddService.requireReview(user, req.body.reason);
+    
+    await auditAdminAction(req, {
+      action: 'edd.require',
+      targetType: 'User',
+      targetId: user._id,
+      reason: req.body.reason,
+      before,
+      after: { status: user.edd.status, reviewId: user.edd.reviewId }
+    });
+    
+    res.status(200).json({ message: 'EDD required', edd: user.edd });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 6. Questionnaire Versions
+app.get('/api/admin/edd/questionnaires', authenticateToken, requirePermission('edd.read'), async (req, res) => {
+  try {
+    const active = await eddService.getActiveQuestionnaire();
+    const versions = await eddService.listQuestionnaires();
+    
+    res.status(200).json({ active, versions });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 7. Publish a New Questionnaire Version
+app.post('/api/admin/edd/questionnaires', authenticateToken, requirePermission('edd.manage'), async (req, res) => {
+  try {
+    const { definition, activate } = req.body;
+    
+    let questionnaire = await eddService.publishQuestionnaire(definition, req.user.id);
+    if (activate) {
+      questionnaire = await eddService.activateQuestionnaire(questionnaire.version);
+    }
+    
+    await auditAdminAction(req, {
+      action: 'edd.questionnaire_publish',
+      targetType: 'EddQuestionnaire',
+      targetId: questionnaire._id,
+      reason: req.body.reason,
+      after: auditSnapshot(questionnaire)
+    });
+    
+    res.status(201).json({ message: 'Questionnaire version created', questionnaire });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 8. Activate a Questionnaire Version
+app.post('/api/admin/edd/questionnaires/:version/activate', authenticateToken, requirePermission('edd.manage'), async (req, res) => {
+  try {
+    const before = await eddService.getActiveQuestionnaire();
+    const questionnaire = await eddService.activateQuestionnaire(parseInt(req.params.version));
+    
+    await auditAdminAction(req, {
+      action: 'edd.questionnaire_activate',
+      targetType: 'EddQuestionnaire',
+      targetId: questionnaire._id,
+      reason: req.body.reason,
+      before: { version: before.version },
+      after: { version: questionnaire.version }
+    });
+    
+    res.status(200).json({ message: 'Questionnaire activated', version: questionnaire.version });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// Jurisdiction Policy Routes
+// 1. Active Policy
+app.get('/api/admin/jurisdictions', authenticateToken, requirePermission('jurisdictions.read'), async (req, res) => {
+  try {
+    res.status(200).json(jurisdictionPolicy.describe());
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 2. Rules and Resident Count for One Country (code or name)
+app.get('/api/admin/jurisdictions/:country', authenticateToken, requirePermission('jurisdictions.read'), async (req, res) => {
+  try {
+    const rules = jurisdictionPolicy.forCountry(req.params.country);
+    if (!rules.country) {
+      return res.status(404).json({ message: `Unrecognised country: ${req.params.country}` });
+    }
+    
+    const residents = await User.countDocuments({ 'jurisdiction.country': rules.country });
+    
+    res.status(200).json({ ...rules, residents });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 3. Reload the Policy File Now
+// The file is also watched; this is for file systems where watching is unreliable.
+app.post('/api/admin/jurisdictions/reload', authenticateToken, requirePermission('jurisdictions.manage'), async (req, res) => {
+  try {
+    const previousVersion = jurisdictionPolicy.policy ? jurisdictionPolicy.policy.version : null;
+    const result = await jurisdictionPolicy.reload();
+    
+    await auditAdminAction(req, {
+      action: 'jurisdictions.reload',
+      targetType: 'JurisdictionPolicy',
+      targetId: result.version,
+      before: { version: previousVersion },
+      after: result
+    });
+    
+    res.status(200).json(result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// Sanctions Routes
+// 1. View Loaded List Versions
+app.get('/api/admin/sanctions/lists', authenticateToken, requirePermission('sanctions.read'), async (req, res) => {
+  try {
+    const lists = await sanctionsScreening.listVersions();
+    
+    res.status(200).json({ lists });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 2. Import a List File from the Sanctions List Directory
+app.post('/api/admin/sanctions/import', authenticateToken, requirePermission('sanctions.import'), async (req, res) => {
+  try {
+    const { source, format, fileName } = req.body;
+    if (!source || !format || !fileName) {
+      return res.status(400).json({ message: 'source, format and fileName are required' });
+    }
+    
+    const result = await sanctionsScreening.importList(source, format, fileName, req.user.id);
+    
+    await auditAdminAction(req, {
+      action: 'sanctions.import',
+      targetType: 'SanctionsList',
+      targetId: result.list._id,
+      reason: req.body.reason,
+      after: { source, format, fileName, version: result.list.version, imported: result.imported }
+    });
+    
+    res.status(result.imported ? 201 : 200).json({
+      message: result.imported ? 'Sanctions list imported and users re-screened' : 'List version already loaded',
+      list: result.list
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// 3. View Screening Hits
+app.get('/api/admin/sanctions/hits', authenticateToken, requirePermission('sanctions.read'), async (req, res) => {
+  try {
+    const hits = await sanctionsScreening.listHits({
+      status: req.query.status || 'open',
+      userId: req.query.userId
+    });
+    
+    res.status(200).json({ hits });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 4. Confirm or Clear a Screening Hit
+app.put('/api/admin/sanctions/hits/:hitId', authenticateToken, requirePermission('sanctions.review'), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    
+    // Clearing a hit needs a second approver; confirming it applies immediately
+    if (status === 'cleared') {
+      const approval = await approvals.request('sanctions.clear_hit', { hitId: req.params.hitId, note }, {
+        requestedBy: req.user.id,
+        targetType: 'SanctionsHit',
+        targetId: req.params.hitId,
+        reason: note
+      });
+      
+      await auditAdminAction(req, {
+        action: 'approval.request',
+        targetType: 'ApprovalRequest',
+        targetId: approval._id,
+        reason: note,
+        after: { action: approval.action, hitId: req.params.hitId }
+      });
+      
+      return res.status(202).json({
+        message: 'Clearing this hit is awaiting a second approver',
+        approvalId: approval._id
+      });
+    }
+    
+    const { hit, unchanged } = await sanctionsScreening.reviewHit(req.params.hitId, status, req.user.id, note);
+    
+    if (!unchanged) {
+      await auditAdminAction(req, {
+        action: `sanctions.hit_${status}`,
+        targetType: 'SanctionsHit',
+        targetId: hit._id,
+        reason: note,
+        after: { status: hit.status, userId: hit.userId, matchedValue: hit.matchedValue }
+      });
+    }
+    
+    res.status(200).json({ hit });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ message: error.message });
+  }
+});
+
+// Approval and Role Routes
+// 1. View Approval Requests
+app.get('/api/admin/approvals', authenticateToken, requirePermission('approvals.read'), async (req, res) => {
+  try {
+    const requests = await approvals.list({
+      status: req.query.status || 'pending',
+      action: req.query.action
+    });
+    
+    res.status(200).json({ approvals: requests });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 2. Approve or Reject a Request
+// The approver must be a different person from the requester and hold the
+// action's approval permission; both are checked in FourEyesApprovals.decide().
+app.post('/api/admin/approvals/:approvalId/:decision', authenticateToken, async (req, res) => {
+  try {
+    const { decision } = req.params;
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(404).json({ message: 'Unknown decision' });
+    }
+    
+    const approval = await approvals.decide(req.params.approvalId, req.user, decision === 'approve', req.body.note);
+    
+    await auditAdminAction(req, {
+      action: `approval.${decision}`,
+      targetType: 'ApprovalRequest',
+      targetId: approval._id,
+      reason: req.body.note,
+      before: { status: 'pending' },
+      after: { status: approval.status, action: approval.action, requestedBy: approval.requestedBy, error: approval.error }
+    });
+    
+    res.status(approval.status === 'failed' ? 500 : 200).json({ approval });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 3. Assign Staff Roles
+app.put('/api/admin/users/:userId/roles', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const { roles, reason } = req.body;
+    
+    if (!Array.isArray(roles) || roles.some(role => !ROLES.includes(role))) {
+      return res.status(400).json({ message: `roles must be a list drawn from: ${ROLES.join(', ')}` });
+    }
+    if (String(req.params.userId) === String(req.user.id)) {
+      return res.status(403).json({ message: 'Staff cannot change their own roles' });
+    }
+    
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const before = { roles: [...user.roles] };
+    user.roles = [...new Set(roles)];
+    
+    await saveAudited(req, user, {
+      action: 'user.roles',
+      targetType: 'User',
+      targetId: user._id,
+      reason,
+      before,
+      after: { roles: user.roles }
+    });
+    
+    // Existing sessions keep their old roles until they refresh or log in again
+    await authService.revokeAllForUser(user._id, 'roles_changed');
+    
+    res.status(200).json({ userId: user._id, roles: user.roles });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Security Routes
+// 1. Rotate PII Encryption Keys
+// Re-encrypts every user record and stored file not yet under the active
+// master key; with rotateMasterKey a new master key is made active first.
+app.post('/api/admin/security/rotate-keys', authenticateToken, requirePermission('keys.rotate'), async (req, res) => {
+  try {
+    const { rotateMasterKey, reason } = req.body;
+    
+    const previousKeyId = await piiVault.getActiveKeyId();
+    if (rotateMasterKey) {
+      await piiVault.rotateMasterKey();
+    }
+    const activeKeyId = await piiVault.getActiveKeyId();
+    
+    const records = await rotateRecords(piiVault, User) +
+      await rotateRecords(piiVault, Entity) +
+      await rotateRecords(piiVault, EddReview) +
+      await rotateRecords(piiVault, EventSubscriber);
+    const files = await reencryptStoredFiles();
+    
+    await auditAdminAction(req, {
+      action: 'security.rotate_keys',
+      targetType: 'KeyProvider',
+      targetId: activeKeyId,
+      reason,
+      before: { activeKeyId: previousKeyId },
+      after: { activeKeyId, records, files }
+    });
+    
+    res.status(200).json({ activeKeyId, records, files });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Chain Sync and Ingestion Routes
+// 1. List On-chain Sync Jobs
+app.get('/api/admin/chain-sync/jobs', authenticateToken, requirePermission('chain_sync.read'), async (req, res) => {
+  try {
+    const { status, userId, walletAddress } = req.query;
+    
+    const jobs = await chainSyncWorker.listJobs({ status, userId, walletAddress });
+    
+    res.status(200).json({ enabled: chainSyncWorker.enabled, jobs });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 2. Retry a Failed or Blocked Job
+app.post('/api/admin/chain-sync/jobs/:jobId/retry', authenticateToken, requirePermission('chain_sync.manage'), async (req, res) => {
+  try {
+    const job = await chainSyncWorker.retryJob(req.params.jobId);
+    
+    await auditAdminAction(req, {
+      action: 'chain_sync.retry',
+      targetType: 'ChainSyncJob',
+      targetId: job._id,
+      reason: req.body.reason,
+      after: { status: job.status, operation: job.operation, walletAddress: job.walletAddress }
+    });
+    
+    res.status(200).json(job);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 3. Reconcile On-chain Records Against the Database
+app.post('/api/admin/chain-sync/reconcile', authenticateToken, requirePermission('chain_sync.manage'), async (req, res) => {
+  try {
+    const summary = await chainSyncWorker.reconcile();
+    
+    await auditAdminAction(req, {
+      action: 'chain_sync.reconcile',
+      targetType: 'KYCProvider',
+      targetId: process.env.KYC_PROVIDER_ADDRESS,
+      reason: req.body.reason,
+      after: summary
+    });
+    
+    res.status(200).json(summary);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 4. Chain Ingestion Status
+app.get('/api/admin/chain-ingestion/status', authenticateToken, requirePermission('transactions.read'), async (req, res) => {
+  try {
+    res.status(200).json(await chainIngestion.getStatus());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Job Queue Routes
+// 1. List Background Jobs
+app.get('/api/admin/jobs', authenticateToken, requirePermission('jobs.read'), async (req, res) => {
+  try {
+    const { status, type, limit } = req.query;
+    
+    const [jobs, stats] = await Promise.all([
+      jobQueue.listJobs({ status, type, limit }),
+      jobQueue.stats()
+    ]);
+    
+    res.status(200).json({ stats, jobs });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 2. Get Job Details
+app.get('/api/admin/jobs/:jobId', authenticateToken, requirePermission('jobs.read'), async (req, res) => {
+  try {
+    res.status(200).json(await jobQueue.getJob(req.params.jobId));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 3. Retry a Dead-lettered Job
+app.post('/api/admin/jobs/:jobId/retry', authenticateToken, requirePermission('jobs.manage'), async (req, res) => {
+  try {
+    const job = await jobQueue.retryJob(req.params.jobId, req.user.id);
+    
+    await auditAdminAction(req, {
+      action: 'jobs.retry',
+      targetType: 'Job',
+      targetId: job._id,
+      reason: req.body.reason,
+      after: { status: job.status, type: job.type, lastError: job.lastError }
+    });
+    
+    res.status(200).json(job);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// Compliance Event Routes
+// 1. List Event Subscribers
+app.get('/api/admin/events/subscribers', authenticateToken, requirePermission('events.read'), async (req, res) => {
+  try {
+    res.status(200).json(await eventBus.listSubscribers());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 2. Add a Subscriber (the webhook signing secret is only shown here)
+app.post('/api/admin/events/subscribers', authenticateToken, requirePermission('events.manage'), async (req, res) => {
+  try {
+    const { subscriber, secret } = await eventBus.createSubscriber(req.body, req.user.id);
+    
+    await auditAdminAction(req, {
+      action: 'events.subscriber_create',
+      targetType: 'EventSubscriber',
+      targetId: subscriber._id,
+      reason: req.body.reason,
+      after: { name: subscriber.name, channel: subscriber.channel, events: subscriber.events, filters: subscriber.filters }
+    });
+    
+    res.status(201).json({ subscriber, secret });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 3. Update or Deactivate a Subscriber
+app.put('/api/admin/events/subscribers/:subscriberId', authenticateToken, requirePermission('events.manage'), async (req, res) => {
+  try {
+    const before = await eventBus.getSubscriber(req.params.subscriberId);
+    const beforeSnapshot = {
+      name: before.name,
+      events: before.events,
+      filters: before.filters,
+      active: before.active
+    };
+    
+    const subscriber = await eventBus.updateSubscriber(req.params.subscriberId, req.body);
+    
+    await auditAdminAction(req, {
+      action: 'events.subscriber_update',
+      targetType: 'EventSubscriber',
+      targetId: subscriber._id,
+      reason: req.body.reason,
+      before: beforeSnapshot,
+      after: { name: subscriber.name, events: subscriber.events, filters: subscriber.filters, active: subscriber.active }
+    });
+    
+    res.status(200).json(subscriber);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 4. Rotate a Webhook Signing Secret
+app.post('/api/admin/events/subscribers/:subscriberId/rotate-secret', authenticateToken, requirePermission('events.manage'), async (req, res) => {
+  try {
+    const { subscriber, secret } = await eventBus.rotateSecret(req.params.subscriberId);
+    
+    await auditAdminAction(req, {
+      action: 'events.secret_rotate',
+      targetType: 'EventSubscriber',
+      targetId: subscriber._id,
+      reason: req.body.reason
+    });
+    
+    res.status(200).json({ subscriber, secret });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// 5. Delivery Log
+app.get('/api/admin/events/deliveries', authenticateToken, requirePermission('events.read'), async (req, res) => {
+  try {
+    const { subscriberId, eventType, status, limit } = req.query;
+    
+    res.status(200).json(await eventBus.listDeliveries({ subscriberId, eventType, status, limit }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 6. Redeliver an Event
+app.post('/api/admin/events/deliveries/:deliveryId/redeliver', authenticateToken, requirePermission('events.manage'), async (req, res) => {
+  try {
+    const delivery = await eventBus.redeliver(req.params.deliveryId);
+    
+    await auditAdminAction(req, {
+      action: 'events.redeliver',
+      targetType: 'EventDelivery',
+      targetId: delivery._id,
+      reason: req.body.reason,
+      after: { status: delivery.status, eventType: delivery.eventType, subscriberId: delivery.subscriberId }
+    });
+    
+    res.status(200).json(delivery);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+});
+
+// Data Retention Routes
+// 1. View Active Retention Policy
+app.get('/api/admin/retention/policy', authenticateToken, requirePermission('retention.read'), async (req, res) => {
+  try {
+    res.status(200).json(retentionEngine.loadPolicy());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 2. Run the Purge (dryRun reports what would be purged without changing anything)
+app.post('/api/admin/retention/run', authenticateToken, requirePermission('retention.manage'), async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun !== false;
+    
+    const purgeRun = await retentionEngine.run({ dryRun, triggeredBy: req.user.id });
+    
+    await auditAdminAction(req, {
+      action: dryRun ? 'retention.dry_run' : 'retention.purge',
+      targetType: 'PurgeRun',
+      targetId: purgeRun._id,
+      reason: req.body.reason,
+      after: { status: purgeRun.status, summary: purgeRun.summary, held: purgeRun.held.length }
+    });
+    
+    res.status(200).json({ purgeRun });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 3. Purge Reports for Auditors
+app.get('/api/admin/retention/runs', authenticateToken, requirePermission('retention.read'), async (req, res) => {
   try {
-    const pendingUsers = await User.find({ 
-      kycStatus: { $in: ['pending', 'additional_info_required'] } 
-    }).select('-password');
-    
-    res.status(200).json({ pendingUsers });
+    res.status(200).json({ runs: await retentionEngine.listRuns(parseInt(req.query.limit) || 50) });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// 3. Admin Generate Reports
-app.get('/api/admin/reports', authenticateToken, isAdmin, async (req, res) => {
+app.get('/api/admin/retention/runs/:runId', authenticateToken, requirePermission('retention.read'), async (req, res) => {
   try {
-    const { reportType, startDate, endDate } = req.query;
-    
-    let report;
-    switch (reportType) {
-      case 'kyc_statistics':
-        report = await generateKycStatistics(startDate, endDate);
-        break;
-      case 'transaction_overview':
-        report = await generateTransactionReport(startDate, endDate);
-        break;
-      case 'risk_analysis':
-        report = await generateRiskReport();
-        break;
-      case 'regulatory':
-        report = await generateRegulatoryReport(startDate, endDate);
-        break;
-      default:
-        return res.status(400).json({ message: 'Invalid report type' });
+    const purgeRun = await retentionEngine.getRun(req.params.runId);
+    if (!purgeRun) {
+      return res.status(404).json({ message: 'Purge run not found' });
     }
     
-    res.status(200).json({ report });
+    res.status(200).json({ purgeRun });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// AML Monitoring Routes
-// 1. Transaction Monitoring
-app.post('/api/transactions/record', authenticateToken, async (req, res) => {
+// 4. Place or Release a Legal Hold
+app.put('/api/admin/users/:userId/legal-hold', authenticateToken, requirePermission('legal_hold.manage'), async (req, res) => {
   try {
-    const { 
-      walletAddress, 
-      transactionHash, 
-      amount, 
-      currency, 
-      type, 
-      counterpartyAddress 
-    } = req.body;
-    
-    // Verify the wallet address belongs to the user
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    const { active, reason } = req.body;
     
-    if (!user.walletAddresses.includes(walletAddress)) {
-      return res.status(403).json({ message: 'Unauthorized wallet address' });
+    if (active && !reason) {
+      return res.status(400).json({ message: 'A reason is required to place a legal hold' });
     }
     
-    // Check transaction limits
-    const dailyTransactions = await Transaction.aggregate([
-      { $match: { 
-        userId: user._id, 
-        timestamp: { $gte: new Date(Date.now() - 24*60*60*1000) },
-        type: { $in: ['mint', 'transfer'] }
-      }},
-      { $group: { _id: null, total: { $sum: "$amount" } }}
-    ]);
-    
-    const dailyTotal = dailyTransactions.length > 0 ? dailyTransactions[0].total : 0;
-    
-    if (dailyTotal + amount > user.transactionLimits.daily) {
-      return res.status(403).json({ 
-        message: 'Transaction exceeds daily limit',
-        limit: user.transactionLimits.daily,
-        used: dailyTotal,
-        remaining: user.transactionLimits.daily - dailyTotal
-      });
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
     }
     
-    // Calculate risk score for this transaction
-    let transactionRiskScore = 0;
-    
-    // Check for large transactions
-    const largeTransactionThreshold = 10000; // Example threshold
-    if (amount > largeTransactionThreshold) {
-      transactionRiskScore += RISK_FACTORS.LARGE_TRANSACTION;
-    }
+    const before = auditSnapshot(user.legalHold);
+    user.legalHold = { active: !!active, reason, setBy: req.user.id, setAt: new Date() };
     
-    // Check for rapid successive transactions
-    const recentTransactions = await Transaction.find({
-      userId: user._id,
-      timestamp: { $gte: new Date(Date.now() - 60*60*1000) } // Last hour
+    await saveAudited(req, user, {
+      action: active ? 'retention.legal_hold_placed' : 'retention.legal_hold_released',
+      targetType: 'User',
+      targetId: user._id,
+      reason,
+      before,
+      after: auditSnapshot(user.legalHold)
     });
     
-    if (recentTransactions.length > 5) { // More than 5 transactions in an hour
-      transactionRiskScore += RISK_FACTORS.RAPID_TRANSACTIONS;
-    }
+    res.status(200).json({ userId: user._id, legalHold: user.legalHold });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// 5. Record the End of a Customer Relationship
+app.put('/api/admin/users/:userId/relationship-end', authenticateToken, requirePermission('retention.manage'), async (req, res) => {
+  try {
+    const { endedAt, reason } = req.body;
     
-    // Check counterparty for known risk
-    if (counterpartyAddress) {
-      const isRiskyCounterparty = await checkCounterpartyRisk(counterpartyAddress);
-      if (isRiskyCounterparty) {
-        transactionRiskScore += RISK_FACTORS.SUSPICIOUS_PATTERN;
-      }
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
     }
     
-    // Determine if transaction should be flagged
-    const shouldFlag = transactionRiskScore > RISK_THRESHOLDS.HIGH;
-    let flagReason = '';
+    const before = { relationshipEndedAt: user.relationshipEndedAt };
+    user.relationshipEndedAt = endedAt ? new Date(endedAt) : new Date();
     
-    if (shouldFlag) {
-      flagReason = 'High risk transaction detected';
-      
-      // For high-risk transactions, adjust user's risk score
-      user.riskScore = Math.min(100, user.riskScore + 5);
-      user.riskLevel = calculateRiskLevel(user.riskScore);
-      await user.save();
-    }
-    
-    // Record the transaction
-    const transaction = new Transaction({
-      userId: user._id,
-      walletAddress,
-      transactionHash,
-      amount,
-      currency,
-      type,
-      counterpartyAddress,
-      riskScore: transactionRiskScore,
-      flagged: shouldFlag,
-      flagReason
+    await saveAudited(req, user, {
+      action: 'retention.relationship_end',
+      targetType: 'User',
+      targetId: user._id,
+      reason,
+      before,
+      after: { relationshipEndedAt: user.relationshipEndedAt }
     });
     
-    await transaction.save();
-    
-    // If flagged, create notification for review
-    if (shouldFlag) {
-      // In a real system, notify compliance officers
-      notifyComplianceTeam(transaction._id);
-      
-      // For very high risk, consider filing SAR
-      if (transactionRiskScore > 80) {
-        await createSAR(user._id, 'Extremely high-risk transaction', [transaction._id]);
-      }
-    }
+    // A closed relationship cannot keep using its sessions
+    await authService.revokeAllForUser(user._id, 'relationship_ended');
     
-    res.status(201).json({
-      message: 'Transaction recorded successfully',
-      transaction: {
-        id: transaction._id,
-        timestamp: transaction.timestamp,
-        amount,
-        type
-      }
-    });
+    res.status(200).json({ userId: user._id, relationshipEndedAt: user.relationshipEndedAt });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// 2. Transaction Analysis
-app.get('/api/admin/transactions/analysis', authenticateToken, isAdmin, async (req, res) => {
+// Audit Log Routes
+// 1. Query Audit Log
+app.get('/api/admin/audit', authenticateToken, requirePermission('audit.read'), async (req, res) => {
   try {
-    const { startDate, endDate, riskThreshold } = req.query;
-    
-    const query = {
-      timestamp: {
-        $gte: new Date(startDate || Date.now() - 30*24*60*60*1000), // Default to last 30 days
-        $lte: new Date(endDate || Date.now())
-      }
-    };
+    const { actorId, action, targetType, targetId, startDate, endDate, limit, skip } = req.query;
     
-    if (riskThreshold) {
-      query.riskScore = { $gte: parseInt(riskThreshold) };
-    }
-    
-    const transactions = await Transaction.find(query)
-      .populate('userId', 'fullName email kycLevel riskLevel');
-    
-    // Perform pattern analysis on these transactions
-    const patterns = await detectAnomalousPatterns(transactions);
+    const events = await queryAuditEvents(
+      { actorId, action, targetType, targetId, startDate, endDate },
+      { limit: parseInt(limit) || 100, skip: parseInt(skip) || 0 }
+    );
     
-    res.status(200).json({
-      totalTransactions: transactions.length,
-      flaggedTransactions: transactions.filter(t => t.flagged).length,
-      highRiskTransactions: transactions.filter(t => t.riskScore > RISK_THRESHOLDS.HIGH).length,
-      patterns,
-      transactions: transactions.map(t => ({
-        id: t._id,
-        user: t.userId ? {
-          id: t.userId._id,
-          name: t.userId.fullName,
-          email: t.userId.email,
-          kycLevel: t.userId.kycLevel,
-          riskLevel: t.userId.riskLevel
-        } : null,
-        amount: t.amount,
-        type: t.type,
-        timestamp: t.timestamp,
-        riskScore: t.riskScore,
-        flagged: t.flagged
-      }))
-    });
+    res.status(200).json({ events });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// 3. Generate SAR Report
-app.post('/api/admin/reports/sar', authenticateToken, isAdmin, async (req, res) => {
+// 2. Verify Audit Log Integrity
+app.get('/api/admin/audit/verify', authenticateToken, requirePermission('audit.read'), async (req, res) => {
   try {
-    const { userId, narrative, transactionIds } = req.body;
+    const result = await verifyAuditChain();
     
-    const sarReport = await createSAR(userId, narrative, transactionIds);
-    
-    res.status(201).json({
-      message: 'SAR created successfully',
-      reportId: sarReport._id,
-      status: sarReport.status
-    });
+    res.status(result.valid ? 200 : 409).json(result);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
 // Helper Functions
-async function verifyDocument(userId, document) {
-  // In a real system, this would call a third-party API for document verification
-  try {
-    // Simulate API call to verification service
-    console.log(`Verifying document ${document.documentNumber} for user ${userId}`);
-    
-    // Simulate checking government databases
-    const verificationResult = await simulateDocVerification(document);
-    
-    // Update document status
-    const user = await User.findById(userId);
-    if (!user) return;
-    
-    const docIndex = user.identityDocuments.findIndex(
-      doc => doc._id.toString() === document._id.toString()
-    );
-    
-    if (docIndex === -1) return;
-    
-    user.identityDocuments[docIndex].verificationStatus = verificationResult.status;
-    
-    // If document is verified, check PEP status
-    if (verificationResult.status === 'verified') {
-      const pepCheck = await checkPEPStatus(user.fullName, user.dateOfBirth);
-      user.isPEP = pepCheck.isPEP;
-      
-      if (pepCheck.isPEP) {
-        user.riskScore += RISK_FACTORS.POLITICALLY_EXPOSED;
-        user.riskLevel = calculateRiskLevel(user.riskScore);
-      }
-    }
-    
-    await user.save();
-    
-    // Update KYC level if all documents are verified
-    updateUserKycLevel(userId);
-  } catch (error) {
-    console.error('Document verification error:', error);
-    // In production, log this error and notify administrators
+
+// Job handler: errors are left to the job queue, which retries them
+async function verifyDocument(userId, documentId) {
+  const user = await User.findById(userId);
+  if (!user) return { skipped: 'user_not_found' };
+  
+  const document = user.identityDocuments.id(documentId);
+  if (!document) return { skipped: 'document_not_found' };
+  
+  console.log(`Verifying document ${documentId} for user ${userId}`);
+  
+  const verificationResult = await verificationProviders.verifyDocument(document);
+  
+  // Update document status
+  document.verificationStatus = verificationResult.status;
+  if (verificationResult.status === 'verified') {
+    document.verifiedAt = new Date();
   }
+  
+  // If document is verified, check PEP status
+  if (verificationResult.status === 'verified') {
+    const pepCheck = await checkPEPStatus(user.fullName, user.dateOfBirth);
+    user.isPEP = pepCheck.isPEP;
+  }
+  
+  await user.save();
+  
+  // Update KYC level if all documents are verified
+  await updateUserKycLevel(userId);
+  
+  return { status: verificationResult.status };
 }
 
+// Job handler: errors are left to the job queue, which retries them
 async function verifyFaceMatch(userId) {
-  // In a real system, this would call a third-party API for facial recognition
-  try {
-    const user = await User.findById(userId);
-    if (!user || !user.selfieImage || user.identityDocuments.length === 0) return;
+  const user = await User.findById(userId);
+  if (!user || !user.selfieImage || user.identityDocuments.length === 0) return { skipped: 'nothing_to_match' };
+  
+  // Find a verified document with an image
+  const verifiedDocument = user.identityDocuments.find(
+    doc => doc.verificationStatus === 'verified' && doc.documentImage
+  );
+  
+  if (!verifiedDocument) return { skipped: 'no_verified_document' };
+  
+  console.log(`Verifying face match for user ${userId}`);
+  
+  // Update KYC level if facial verification passes
+  const faceMatchResult = await verificationProviders.verifyFaceMatch(
+    user.selfieImage,
+    verifiedDocument.documentImage
+  );
+  
+  if (faceMatchResult.matches) {
+    // Update KYC status and level
+    await updateUserKycLevel(userId);
+  } else {
+    // Flag for manual review
+    user.kycStatus = 'additional_info_required';
+    await user.save();
+  }
+  
+  return { matches: !!faceMatchResult.matches };
+}
+
+// Re-encrypt stored documents, selfies and case attachments under the active master key
+async function reencryptStoredFiles() {
+  let rotated = 0;
+  
+  const users = User.find({ $or: [{ selfieImage: { $ne: null } }, { 'identityDocuments.0': { $exists: true } }] }).cursor();
+  for (let user = await users.next(); user != null; user = await users.next()) {
+    const replaced = [];
+    
+    for (const doc of user.identityDocuments) {
+      const newPath = await piiVault.rotateFile(doc.documentImage);
+      if (newPath) {
+        replaced.push(doc.documentImage);
+        doc.documentImage = newPath;
+      }
+    }
     
-    // Find a verified document with an image
-    const verifiedDocument = user.identityDocuments.find(
-      doc => doc.verificationStatus === 'verified' && doc.documentImage
-    );
+    const selfiePath = await piiVault.rotateFile(user.selfieImage);
+    if (selfiePath) {
+      replaced.push(user.selfieImage);
+      user.selfieImage = selfiePath;
+    }
     
-    if (!verifiedDocument) return;
+    if (replaced.length > 0) {
+      await user.save();
+      await Promise.all(replaced.map(filePath => piiVault.deleteFile(filePath)));
+      rotated += replaced.length;
+    }
+  }
+  
+  const entities = Entity.find({ 'registrationDocuments.0': { $exists: true } }).cursor();
+  for (let entity = await entities.next(); entity != null; entity = await entities.next()) {
+    const replaced = [];
+    
+    for (const doc of entity.registrationDocuments) {
+      const newPath = await piiVault.rotateFile(doc.filePath);
+      if (newPath) {
+        replaced.push(doc.filePath);
+        doc.filePath = newPath;
+      }
+    }
     
-    // Simulate API call to facial recognition service
-    console.log(`Verifying face match for user ${userId}`);
+    if (replaced.length > 0) {
+      await entity.save();
+      await Promise.all(replaced.map(filePath => piiVault.deleteFile(filePath)));
+      rotated += replaced.length;
+    }
+  }
+  
+  const reviews = EddReview.find({ 'documents.0': { $exists: true } }).cursor();
+  for (let review = await reviews.next(); review != null; review = await reviews.next()) {
+    const replaced = [];
+    
+    for (const doc of review.documents) {
+      const newPath = await piiVault.rotateFile(doc.filePath);
+      if (newPath) {
+        replaced.push(doc.filePath);
+        doc.filePath = newPath;
+      }
+    }
     
-    // Update KYC level if facial verification passes
-    const faceMatchResult = await simulateFaceMatch(
-      user.selfieImage,
-      verifiedDocument.documentImage
-    );
+    if (replaced.length > 0) {
+      await review.save();
+      await Promise.all(replaced.map(filePath => piiVault.deleteFile(filePath)));
+      rotated += replaced.length;
+    }
+  }
+  
+  const cases = Case.find({ 'attachments.0': { $exists: true } }).cursor();
+  for (let caseDoc = await cases.next(); caseDoc != null; caseDoc = await cases.next()) {
+    const replaced = [];
+    
+    for (const attachment of caseDoc.attachments) {
+      const newPath = await piiVault.rotateFile(attachment.path);
+      if (newPath) {
+        replaced.push(attachment.path);
+        attachment.path = newPath;
+      }
+    }
     
-    if (faceMatchResult.matches) {
-      // Update KYC status and level
-      updateUserKycLevel(userId);
-    } else {
-      // Flag for manual review
-      user.kycStatus = 'additional_info_required';
-      await user.save();
+    if (replaced.length > 0) {
+      await caseDoc.save();
+      await Promise.all(replaced.map(filePath => piiVault.deleteFile(filePath)));
+      rotated += replaced.length;
     }
-  } catch (error) {
-    console.error('Face verification error:', error);
-    // In production, log this error and notify administrators
   }
+  
+  return rotated;
+}
+
+async function checkPEPStatus(fullName, dateOfBirth) {
+  return verificationProviders.checkPEPStatus(fullName, dateOfBirth);
 }
 
 async function updateUserKycLevel(userId) {
   const user = await User.findById(userId);
   if (!user) return;
   
+  // After a re-verification downgrade the old documents cannot restore the
+  // level on their own; a document has to be verified since the downgrade
+  const downgradedAt = user.reverification && user.reverification.downgradedAt;
+  if (downgradedAt && !user.identityDocuments.some(doc => doc.verifiedAt && doc.verifiedAt > downgradedAt)) {
+    return;
+  }
+  
+  // Expired documents are kept for the record but no longer count
+  const activeDocuments = user.identityDocuments.filter(doc => doc.verificationStatus !== 'expired');
+  
   // Check if all required documents are verified
-  const allDocsVerified = user.identityDocuments.length > 0 && 
-                         user.identityDocuments.every(doc => doc.verificationStatus === 'verified');
+  const allDocsVerified = activeDocuments.length > 0 && 
+                         activeDocuments.every(doc => doc.verificationStatus === 'verified');
   
   // Check if face verification is complete (selfie exists)
   const faceVerified = !!user.selfieImage;
@@ -732,7 +3342,7 @@ async function updateUserKycLevel(userId) {
     newKycLevel = 3; // Full KYC
   } else if (allDocsVerified) {
     newKycLevel = 2; // Advanced KYC (documents only)
-  } else if (user.identityDocuments.some(doc => doc.verificationStatus === 'verified')) {
+  } else if (activeDocuments.some(doc => doc.verificationStatus === 'verified')) {
     newKycLevel = 1; // Basic KYC (at least one verified document)
   }
   
@@ -740,6 +3350,10 @@ async function updateUserKycLevel(userId) {
   if (newKycLevel > user.kycLevel) {
     user.kycLevel = newKycLevel;
     user.kycStatus = 'approved';
+    user.lastVerified = new Date();
+    if (downgradedAt) {
+      user.reverification.downgradedAt = undefined;
+    }
     
     // Update transaction limits
     setTransactionLimits(user);
@@ -749,40 +3363,60 @@ async function updateUserKycLevel(userId) {
 }
 
 function setTransactionLimits(user) {
+  // Customers who need EDD stay on a lower tier until it is approved
+  const tier = eddService.isCapped(user)
+    ? Math.min(user.kycLevel, eddService.config.cappedKycLevel)
+    : user.kycLevel;
+  
   // Set transaction limits based on KYC level
-  switch (user.kycLevel) {
+  switch (tier) {
     case 0: // No KYC
       user.transactionLimits = {
         daily: 0,
+        rolling30d: 0,
         monthly: 0
       };
       break;
     case 1: // Basic KYC
       user.transactionLimits = {
         daily: 1000,
+        rolling30d: 10000,
         monthly: 10000
       };
       break;
     case 2: // Advanced KYC
       user.transactionLimits = {
         daily: 10000,
+        rolling30d: 100000,
         monthly: 100000
       };
       break;
     case 3: // Full KYC
       user.transactionLimits = {
         daily: 50000,
+        rolling30d: 500000,
         monthly: 500000
       };
       break;
   }
   
+  // Residents of policy-listed countries need a minimum KYC level, then get reduced limits
+  const jurisdiction = jurisdictionPolicy.forCountry(user.jurisdiction && user.jurisdiction.country);
+  const multiplier = user.kycLevel >= jurisdiction.minKycLevel ? jurisdiction.limitMultiplier : 0;
+  if (multiplier !== 1) {
+    user.transactionLimits.daily *= multiplier;
+    user.transactionLimits.rolling30d *= multiplier;
+    user.transactionLimits.monthly *= multiplier;
+  }
+  
   // Adjust limits based on risk level
   if (user.riskLevel === 'high') {
     user.transactionLimits.daily *= 0.5;
+    user.transactionLimits.rolling30d *= 0.5;
     user.transactionLimits.monthly *= 0.5;
   } else if (user.riskLevel === 'extreme') {
     user.transactionLimits.daily = 0;
+    user.transactionLimits.rolling30d = 0;
     user.transactionLimits.monthly = 0;
   }
 }
@@ -814,18 +3448,23 @@ function getPendingKycItems(user) {
     pendingItems.push('wallet_address');
   }
   
+  if (user.reverification && user.reverification.dueAt && user.reverification.dueAt <= new Date()) {
+    pendingItems.push('reverification');
+  }
+  
+  // Residents of some countries cannot transact below a higher KYC level
+  const jurisdiction = jurisdictionPolicy.forCountry(user.jurisdiction && user.jurisdiction.country);
+  if (user.kycLevel > 0 && user.kycLevel < jurisdiction.minKycLevel) {
+    pendingItems.push(`kyc_level_${jurisdiction.minKycLevel}`);
+  }
+  
   return pendingItems;
 }
 
 async function checkWalletSanctions(walletAddress) {
-  // In a real system, this would query sanctions databases or use a third-party service
   try {
-    // Simulate API call to check wallet against sanctions lists
-    console.log(`Checking wallet ${walletAddress} against sanctions lists`);
-    
-    // Example implementation - replace with actual API call
-    const response = await simulateSanctionsCheck(walletAddress);
-    return response.sanctioned;
+    const entry = await sanctionsScreening.findSanctionedAddress(walletAddress);
+    return !!entry;
   } catch (error) {
     console.error('Sanctions check error:', error);
     // In production, log this error and always fail closed (assume sanctioned)
@@ -834,13 +3473,16 @@ async function checkWalletSanctions(walletAddress) {
 }
 
 async function checkCounterpartyRisk(counterpartyAddress) {
-  // In a real system, this would check transaction history and risk databases
   try {
-    // Check if address is associated with any known high-risk entities
-    console.log(`Checking counterparty risk for ${counterpartyAddress}`);
+    // Sanctioned addresses, or addresses linked to a sanctioned customer
+    if (await sanctionsScreening.findSanctionedAddress(counterpartyAddress)) {
+      return true;
+    }
     
-    // Example implementation - replace with actual checks
-    return await simulateCounterpartyCheck(counterpartyAddress);
+    return !!(await User.exists({
+      walletAddresses: counterpartyAddress,
+      isOnSanctionsList: true
+    }));
   } catch (error) {
     console.error('Counterparty check error:', error);
     // Fail closed - assume risky
@@ -848,27 +3490,168 @@ async function checkCounterpartyRisk(counterpartyAddress) {
   }
 }
 
-async function createSAR(userId, narrative, transactionIds = []) {
+async function handleConfirmedSanctionsMatch(user, hits) {
+  user.isOnSanctionsList = true;
+  await user.save();
+  
+  // A hit confirmed again (e.g. cleared and re-confirmed) already has its SAR
+  const unreported = hits.filter(hit => !hit.sarReportId);
+  if (unreported.length === 0) return;
+  
+  const report = await createSAR(
+    user._id,
+    `Confirmed sanctions match: ${unreported.map(hit => `${hit.matchedValue} (${hit.source} ${hit.externalId})`).join('; ')}`
+  );
+  await SanctionsHit.updateMany(
+    { _id: { $in: unreported.map(hit => hit._id) } },
+    { $set: { sarReportId: report._id } }
+  );
+  
+  await publishSanctionsHits(user, unreported, 'confirmed');
+}
+
+async function publishSanctionsHits(user, hits, status) {
+  await publishEvent('sanctions.hit', {
+    userId: user._id,
+    status,
+    hitIds: hits.map(hit => hit._id),
+    sources: [...new Set(hits.map(hit => hit.source))],
+    matchTypes: [...new Set(hits.map(hit => hit.matchType))],
+    maxConfidence: Math.max(...hits.map(hit => hit.confidence || 0)),
+    riskScore: 100
+  });
+}
+
+// Score a transaction against the active AML rule set, store it and alert on flags
+async function recordTransaction(user, details) {
+  return scoreTransaction(user, new Transaction({ ...details, userId: user._id }));
+}
+
+// Score an adopted client report again on its on-chain figures and alert on the mismatch
+async function rescoreTransaction(user, transaction, mismatches) {
+  await scoreTransaction(user, transaction);
+  
+  await caseManager.raiseAlert(user._id, {
+    source: 'chain_ingestion',
+    reason: `Reported transaction differs from the chain (${mismatches.join('; ')})`,
+    riskScore: transaction.riskScore,
+    transactionId: transaction._id
+  });
+  
+  return transaction;
+}
+
+async function scoreTransaction(user, transaction) {
+  const evaluation = await amlRulesEngine.evaluate(user, {
+    amount: transaction.amount,
+    currency: transaction.currency,
+    type: transaction.type,
+    counterpartyAddress: transaction.counterpartyAddress
+  });
+  
+  const shouldFlag = evaluation.shouldFlag;
+  
+  // A transaction flagged on an earlier score stays flagged for the case it is on
+  if (shouldFlag) {
+    transaction.flagged = true;
+    transaction.flagReason = `High risk transaction detected (rules: ${evaluation.hits.map(hit => hit.ruleId).join(', ')})`;
+  } else if (!transaction.flagged) {
+    transaction.flagged = false;
+    transaction.flagReason = '';
+  }
+  transaction.riskScore = evaluation.score;
+  transaction.ruleSetVersion = evaluation.ruleSetVersion;
+  transaction.ruleHits = evaluation.hits;
+  
+  await transaction.save();
+  
+  if (shouldFlag) {
+    // Flagged activity raises the user's risk until it decays
+    riskScoring.addEvent(user, 'FLAGGED_TRANSACTION', {
+      source: 'transaction',
+      sourceId: transaction._id,
+      detail: evaluation.hits.map(hit => hit.ruleId).join(', ')
+    });
+    await user.save();
+    
+    // Open or update the user's case for analyst review
+    await notifyComplianceTeam(transaction);
+    
+    // For very high risk, consider filing SAR
+    if (evaluation.shouldFileSAR) {
+      await createSAR(user._id, 'Extremely high-risk transaction', [transaction._id]);
+    }
+  }
+  
+  return transaction;
+}
+
+async function createSAR(userId, narrative, transactionIds = [], preparedBy = 'system') {
   const report = new Report({
     type: 'SAR',
     userId,
     relatedTransactions: transactionIds,
     narrative,
     status: 'draft',
-    submittedBy: 'system'
+    submittedBy: String(preparedBy)
   });
   
   await report.save();
   
-  // In a real system, notify compliance team about the new SAR
-  console.log(`New SAR created for user ${userId}`);
+  // The narrative stays in the system; subscribers only learn that a SAR exists
+  await publishEvent('sar.created', {
+    userId,
+    reportId: report._id,
+    transactionIds,
+    preparedBy: String(preparedBy)
+  });
   
   return report;
 }
 
-async function notifyComplianceTeam(transactionId) {
-  // In a real system, this would send alerts via email, SMS, or internal dashboards
-  console.log(`Compliance alert: Suspicious transaction ${transactionId} detected`);
+async function notifyUser(user, event, details = {}) {
+  await mailer.send({
+    to: user.email,
+    subject: `Stabulum account notice: ${event.replace(/_/g, ' ')}`,
+    text: Object.keys(details).map(key => `${key}: ${details[key]}`).join('\n')
+  });
+}
+
+async function notifyComplianceTeam(transaction) {
+  const caseDoc = await caseManager.raiseAlert(transaction.userId, {
+    source: 'transaction_monitoring',
+    reason: transaction.flagReason,
+    riskScore: transaction.riskScore,
+    transactionId: transaction._id
+  });
+  
+  await publishEvent('transaction.flagged', {
+    userId: transaction.userId,
+    transactionId: transaction._id,
+    caseId: caseDoc._id,
+    type: transaction.type,
+    amount: transaction.amount,
+    currency: transaction.currency,
+    riskScore: transaction.riskScore,
+    ruleIds: (transaction.ruleHits || []).map(hit => hit.ruleId)
+  });
+}
+
+// Publishing never fails the action that raised the event; a lost event is logged
+async function publishEvent(type, data) {
+  try {
+    await eventBus.publish(type, data);
+  } catch (error) {
+    console.error(`Failed to publish ${type} event:`, error);
+  }
 }
 
-async function detectAno
\ No newline at end of file
+/**
+ * Typology findings (structuring, pass-through, round-amount bursts, dormant
+ * reactivation, fan-in/fan-out) over a set of transactions
+ * @param {Object[]} transactions - Transactions, with userId populated or not
+ * @returns {Promise<Object[]>} - Findings with severity and evidence, most severe first
+ */
+async function detectAnomalousPatterns(transactions) {
+  return typologyDetector.detect(transactions);
+}
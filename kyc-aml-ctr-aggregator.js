@@ -0,0 +1,243 @@
+/**
+ * Currency Transaction Report (CTR) Aggregator
+ *
+ * Sums each customer's mint, burn and transfer activity per business day
+ * and currency across all of their wallets and files a draft CTR Report when
+ * a currency's total crosses the reporting threshold; amounts in different
+ * currencies are never added together. Runs on a schedule and re-checks the
+ * last few business days so late-recorded transactions are still picked up;
+ * reports are de-duplicated per customer, business day and currency.
+ */
+
+const CTR_CSV_COLUMNS = [
+  'reportId', 'businessDate', 'userId', 'fullName', 'email',
+  'currency', 'totalAmount', 'transactionCount', 'mint', 'burn', 'transfer', 'status'
+];
+
+const CTR_TRANSITIONS = {
+  draft: ['submitted'],
+  submitted: ['acknowledged']
+};
+
+class CtrAggregator {
+  constructor(config = {}) {
+    this.config = {
+      Transaction: config.Transaction,
+      Report: config.Report,
+      threshold: config.threshold || 10000,
+      transactionTypes: config.transactionTypes || ['mint', 'burn', 'transfer'],
+      // Offset of the business day from UTC midnight, e.g. -300 for US Eastern
+      businessDayOffsetMinutes: config.businessDayOffsetMinutes || 0,
+      // Completed business days re-checked on every run
+      lookbackDays: config.lookbackDays || 3,
+      interval: config.interval || 60 * 60 * 1000 // 1 hour
+    };
+  }
+
+  /**
+   * Aggregate the most recent completed business days
+   * @returns {Promise<Object[]>} - CTR reports created during this run
+   */
+  async run() {
+    const created = [];
+    const today = this.businessDayStart(new Date());
+
+    for (let daysBack = 1; daysBack <= this.config.lookbackDays; daysBack++) {
+      const day = new Date(today.getTime() - daysBack * 24 * 60 * 60 * 1000);
+      created.push(...await this.aggregateBusinessDay(day));
+    }
+
+    return created;
+  }
+
+  /**
+   * Create CTRs for every customer over the threshold on one business day
+   * @param {Date} day - Any moment within the business day
+   * @returns {Promise<Object[]>} - Newly created reports
+   */
+  async aggregateBusinessDay(day) {
+    const start = this.businessDayStart(day);
+    const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+
+    const totals = await this.config.Transaction.aggregate([
+      { $match: {
+        userId: { $ne: null },
+        type: { $in: this.config.transactionTypes },
+        timestamp: { $gte: start, $lt: end }
+      }},
+      { $group: {
+        _id: { userId: '$userId', currency: '$currency', type: '$type' },
+        total: { $sum: '$amount' },
+        count: { $sum: 1 },
+        transactionIds: { $push: '$_id' },
+        wallets: { $addToSet: '$walletAddress' }
+      }},
+      { $group: {
+        _id: { userId: '$_id.userId', currency: '$_id.currency' },
+        total: { $sum: '$total' },
+        count: { $sum: '$count' },
+        byType: { $push: { type: '$_id.type', total: '$total', count: '$count' } },
+        transactionIds: { $push: '$transactionIds' },
+        wallets: { $push: '$wallets' }
+      }},
+      { $match: { total: { $gt: this.config.threshold } } }
+    ]);
+
+    const created = [];
+
+    for (const entry of totals) {
+      const existing = await this.config.Report.findOne({
+        type: 'CTR',
+        userId: entry._id.userId,
+        businessDate: start,
+        currency: entry._id.currency
+      });
+      if (existing) continue;
+
+      const byType = {};
+      entry.byType.forEach(item => {
+        byType[item.type] = { total: item.total, count: item.count };
+      });
+
+      const report = new this.config.Report({
+        type: 'CTR',
+        userId: entry._id.userId,
+        relatedTransactions: [].concat(...entry.transactionIds),
+        submittedBy: 'system',
+        status: 'draft',
+        businessDate: start,
+        currency: entry._id.currency,
+        totalAmount: entry.total,
+        activitySummary: {
+          transactionCount: entry.count,
+          byType,
+          wallets: [...new Set([].concat(...entry.wallets))]
+        },
+        narrative: `Aggregate activity of ${entry.total} ${entry._id.currency} across ${entry.count} transaction(s) ` +
+          `on business day ${start.toISOString().slice(0, 10)} exceeded the CTR threshold of ${this.config.threshold}`
+      });
+
+      try {
+        await report.save();
+        created.push(report);
+      } catch (error) {
+        // Lost a race with another run; the unique index keeps one CTR per day and currency
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    return created;
+  }
+
+  /**
+   * List CTRs for review
+   * @param {Object} filters - { startDate, endDate, status }
+   * @returns {Promise<Object[]>} - CTR reports, newest business day first
+   */
+  async listReports(filters = {}) {
+    const query = { type: 'CTR' };
+
+    if (filters.status) query.status = filters.status;
+    if (filters.startDate || filters.endDate) {
+      query.businessDate = {};
+      if (filters.startDate) query.businessDate.$gte = new Date(filters.startDate);
+      if (filters.endDate) query.businessDate.$lte = new Date(filters.endDate);
+    }
+
+    return this.config.Report.find(query)
+      .sort({ businessDate: -1 })
+      .populate('userId', 'fullName email kycLevel riskLevel');
+  }
+
+  /**
+   * Record a review decision on a CTR
+   * @param {string} reportId - Report id
+   * @param {string} status - 'submitted' or 'acknowledged'
+   * @param {string} actorId - Reviewer id
+   * @param {string} regulatoryReference - Required when acknowledging
+   * @returns {Promise<Object>} - Updated report
+   */
+  async reviewReport(reportId, status, actorId, regulatoryReference) {
+    const report = await this.config.Report.findOne({ _id: reportId, type: 'CTR' });
+    if (!report) {
+      throw new CtrError('CTR not found', 404);
+    }
+
+    if (!(CTR_TRANSITIONS[report.status] || []).includes(status)) {
+      throw new CtrError(`Cannot move CTR from ${report.status} to ${status}`);
+    }
+    if (status === 'acknowledged' && !regulatoryReference) {
+      throw new CtrError('regulatoryReference is required to acknowledge a CTR');
+    }
+
+    report.statusHistory.push({ from: report.status, to: status, changedBy: String(actorId) });
+    report.status = status;
+    if (status === 'submitted') report.approvedBy = String(actorId);
+    if (regulatoryReference) report.regulatoryReference = regulatoryReference;
+    if (status === 'acknowledged') report.acknowledgedAt = new Date();
+
+    await report.save();
+    return report;
+  }
+
+  /**
+   * Render CTRs as CSV for export
+   * @param {Object[]} reports - Reports from listReports()
+   * @returns {string} - CSV document
+   */
+  toCsv(reports) {
+    const rows = reports.map(report => {
+      const user = report.userId || {};
+      const summary = report.activitySummary || {};
+      const byType = summary.byType || {};
+
+      return [
+        report._id,
+        report.businessDate ? report.businessDate.toISOString().slice(0, 10) : '',
+        user._id || report.userId,
+        user.fullName,
+        user.email,
+        report.currency,
+        report.totalAmount,
+        summary.transactionCount,
+        byType.mint ? byType.mint.total : 0,
+        byType.burn ? byType.burn.total : 0,
+        byType.transfer ? byType.transfer.total : 0,
+        report.status
+      ].map(csvField).join(',');
+    });
+
+    return [CTR_CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+
+  businessDayStart(date) {
+    const offset = this.config.businessDayOffsetMinutes * 60 * 1000;
+    const local = new Date(new Date(date).getTime() + offset);
+    local.setUTCHours(0, 0, 0, 0);
+    return new Date(local.getTime() - offset);
+  }
+}
+
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  // Spreadsheets run text starting with these as a formula; numbers are left alone
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Error carrying the HTTP status the route should answer with
+class CtrError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CtrError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  CtrAggregator,
+  CtrError
+};
@@ -0,0 +1,762 @@
+/**
+ * Enhanced Due Diligence (EDD)
+ *
+ * Customers who are high or extreme risk, politically exposed, resident in a
+ * jurisdiction the policy marks for enhanced due diligence, or referred by
+ * staff must pass an EDD review: a questionnaire on source of funds, source
+ * of wealth and expected activity, supporting documents, and a reviewer's
+ * sign-off. Until the review is approved their limits are capped at a lower
+ * KYC tier (see isCapped). An approval covers the reasons that applied when
+ * it was given and lasts `validityDays`; a new reason, or expiry, opens a new
+ * review.
+ *
+ * Questionnaires are versioned definitions stored in Mongo with one active
+ * at a time, like AML rule sets. Each submission of answers is kept as a new
+ * version and reviewers decide on a specific one. Approving a PEP's review is
+ * senior management's call (the edd.approve_pep permission).
+ *
+ * EddReviewSchema is exported uncompiled so the server can encrypt answers
+ * with the PII plugin before creating the model.
+ */
+
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SECTIONS = ['source_of_funds', 'source_of_wealth', 'expected_activity'];
+
+const QUESTION_TYPES = ['text', 'number', 'select', 'multiselect', 'document'];
+
+const TRIGGERS = ['high_risk', 'pep', 'jurisdiction', 'manual'];
+
+const REVIEW_STATUSES = ['required', 'submitted', 'changes_requested', 'approved', 'rejected', 'expired'];
+
+// Statuses in which the customer can change answers and documents
+const OPEN_STATUSES = ['required', 'changes_requested'];
+
+const DECISIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  request_changes: 'changes_requested'
+};
+
+const DEFAULT_QUESTIONNAIRE = {
+  name: 'Standard EDD questionnaire',
+  questions: [
+    {
+      id: 'funds_origin',
+      section: 'source_of_funds',
+      label: 'Where do the funds you will use with Stabulum come from?',
+      type: 'select',
+      options: ['salary', 'business_income', 'investments', 'sale_of_property', 'inheritance', 'gift', 'loan', 'crypto_assets', 'other'],
+      required: true
+    },
+    {
+      id: 'funds_details',
+      section: 'source_of_funds',
+      label: 'Describe the origin of these funds (employer, business, asset sold, etc.)',
+      type: 'text',
+      required: true
+    },
+    {
+      id: 'funds_evidence',
+      section: 'source_of_funds',
+      label: 'Evidence of the source of funds (payslip, bank statement, sale contract)',
+      type: 'document',
+      required: true
+    },
+    {
+      id: 'occupation',
+      section: 'source_of_wealth',
+      label: 'Occupation or main business activity',
+      type: 'text',
+      required: true
+    },
+    {
+      id: 'wealth_origin',
+      section: 'source_of_wealth',
+      label: 'How was your overall wealth accumulated?',
+      type: 'multiselect',
+      options: ['employment', 'business_ownership', 'investments', 'inheritance', 'property', 'crypto_assets', 'other'],
+      required: true
+    },
+    {
+      id: 'net_worth',
+      section: 'source_of_wealth',
+      label: 'Estimated net worth (USD)',
+      type: 'select',
+      options: ['under_100k', '100k_1m', '1m_10m', 'over_10m'],
+      required: true
+    },
+    {
+      id: 'wealth_evidence',
+      section: 'source_of_wealth',
+      label: 'Evidence of wealth (tax return, company accounts, probate)',
+      type: 'document',
+      required: false
+    },
+    {
+      id: 'monthly_volume',
+      section: 'expected_activity',
+      label: 'Expected monthly volume (USD)',
+      type: 'number',
+      required: true
+    },
+    {
+      id: 'monthly_transactions',
+      section: 'expected_activity',
+      label: 'Expected number of transactions per month',
+      type: 'number',
+      required: true
+    },
+    {
+      id: 'purpose',
+      section: 'expected_activity',
+      label: 'Purpose of your Stabulum activity and main counterparties',
+      type: 'text',
+      required: true
+    }
+  ]
+};
+
+const EddQuestionnaireSchema = new mongoose.Schema({
+  version: { type: Number, required: true, unique: true },
+  name: String,
+  questions: [{
+    _id: false,
+    id: String,
+    section: { type: String, enum: SECTIONS },
+    label: String,
+    type: { type: String, enum: QUESTION_TYPES },
+    options: [String],
+    required: Boolean
+  }],
+  active: { type: Boolean, default: false },
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+  activatedAt: Date
+});
+
+const EddQuestionnaire = mongoose.model('EddQuestionnaire', EddQuestionnaireSchema);
+
+const EddReviewSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: { type: String, enum: REVIEW_STATUSES, default: 'required' },
+  triggers: [{
+    _id: false,
+    reason: { type: String, enum: TRIGGERS },
+    detail: String,
+    at: { type: Date, default: Date.now }
+  }],
+  // Every submission is kept; the latest is the one under review
+  submissions: [{
+    version: Number,
+    questionnaireVersion: Number,
+    answers: mongoose.Schema.Types.Mixed,
+    submittedAt: { type: Date, default: Date.now }
+  }],
+  documents: [{
+    questionId: String,
+    filePath: String,
+    mimetype: String,
+    originalName: String,
+    size: Number,
+    uploadedAt: { type: Date, default: Date.now }
+  }],
+  decisions: [{
+    _id: false,
+    decision: { type: String, enum: Object.keys(DECISIONS) },
+    submissionVersion: Number,
+    reviewerId: String,
+    note: String,
+    decidedAt: { type: Date, default: Date.now }
+  }],
+  approvedAt: Date,
+  approvedBy: String,
+  expiresAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+EddReviewSchema.index({ userId: 1, createdAt: -1 });
+EddReviewSchema.index({ status: 1, updatedAt: 1 });
+EddReviewSchema.index({ status: 1, expiresAt: 1 });
+
+/**
+ * Validate a questionnaire definition
+ * @param {Object} definition - { name, questions }
+ * @returns {Object} - The definition with defaults filled in
+ */
+function validateQuestionnaire(definition) {
+  if (!definition || !Array.isArray(definition.questions) || definition.questions.length === 0) {
+    throw new EddError('Questionnaire must contain a questions array', 400);
+  }
+
+  const ids = new Set();
+  const questions = definition.questions.map(question => {
+    if (!question.id || !question.label) {
+      throw new EddError('Every question needs an id and a label', 400);
+    }
+    if (ids.has(question.id)) {
+      throw new EddError(`Duplicate question id: ${question.id}`, 400);
+    }
+    ids.add(question.id);
+
+    if (!SECTIONS.includes(question.section)) {
+      throw new EddError(`Question ${question.id} has unknown section: ${question.section}`, 400);
+    }
+    if (!QUESTION_TYPES.includes(question.type)) {
+      throw new EddError(`Question ${question.id} has unknown type: ${question.type}`, 400);
+    }
+    const hasOptions = ['select', 'multiselect'].includes(question.type);
+    if (hasOptions && !(Array.isArray(question.options) && question.options.length > 0)) {
+      throw new EddError(`Question ${question.id} needs options`, 400);
+    }
+
+    return {
+      id: question.id,
+      section: question.section,
+      label: question.label,
+      type: question.type,
+      options: hasOptions ? question.options.map(String) : [],
+      required: question.required !== false
+    };
+  });
+
+  return { name: definition.name, questions };
+}
+
+/**
+ * Check answers against a questionnaire, throwing on the first problem found
+ * @param {Object} questionnaire - Validated questionnaire
+ * @param {Object} answers - { questionId: answer }
+ * @param {Object[]} documents - Documents uploaded to the review
+ * @returns {Object} - Answers to store (document questions are not stored)
+ */
+function validateAnswers(questionnaire, answers, documents) {
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    throw new EddError('answers must be an object keyed by question id', 400);
+  }
+
+  const questions = new Map(questionnaire.questions.map(question => [question.id, question]));
+  for (const id of Object.keys(answers)) {
+    if (!questions.has(id)) {
+      throw new EddError(`Unknown question: ${id}`, 400);
+    }
+  }
+
+  const stored = {};
+  for (const question of questionnaire.questions) {
+    if (question.type === 'document') {
+      if (question.required && !documents.some(doc => doc.questionId === question.id)) {
+        throw new EddError(`Upload a document for: ${question.label}`, 400);
+      }
+      continue;
+    }
+
+    const answer = answers[question.id];
+    const empty = answer === undefined || answer === null || answer === '' ||
+      (Array.isArray(answer) && answer.length === 0);
+    if (empty) {
+      if (question.required) {
+        throw new EddError(`Answer required: ${question.label}`, 400);
+      }
+      continue;
+    }
+
+    switch (question.type) {
+      case 'text':
+        if (typeof answer !== 'string' || answer.length > 5000) {
+          throw new EddError(`${question.id} must be text of at most 5000 characters`, 400);
+        }
+        break;
+      case 'number':
+        if (typeof answer !== 'number' || !isFinite(answer) || answer < 0) {
+          throw new EddError(`${question.id} must be a non-negative number`, 400);
+        }
+        break;
+      case 'select':
+        if (!question.options.includes(answer)) {
+          throw new EddError(`${question.id} must be one of: ${question.options.join(', ')}`, 400);
+        }
+        break;
+      case 'multiselect':
+        if (!Array.isArray(answer) || answer.some(option => !question.options.includes(option))) {
+          throw new EddError(`${question.id} must be a list of: ${question.options.join(', ')}`, 400);
+        }
+        break;
+    }
+
+    stored[question.id] = answer;
+  }
+
+  return stored;
+}
+
+class EddService {
+  constructor(config = {}) {
+    this.config = {
+      EddReview: config.EddReview,
+      User: config.User,
+      piiVault: config.piiVault,
+      notifyUser: config.notifyUser || (async () => {}),
+      // (country) => boolean; the jurisdiction policy's EDD flag
+      requiresEddForCountry: config.requiresEddForCountry || (() => false),
+      // (staffUser) => boolean; may approve a PEP's review
+      canApprovePep: config.canApprovePep || (() => false),
+      // Highest KYC tier whose limits apply until EDD is approved
+      cappedKycLevel: config.cappedKycLevel !== undefined ? config.cappedKycLevel : 1,
+      validityDays: config.validityDays || 365,
+      cacheTtl: config.cacheTtl || 60 * 1000,
+      interval: config.interval || 24 * 60 * 60 * 1000 // daily
+    };
+
+    this.activeQuestionnaire = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Reasons the user currently needs EDD
+   * @param {Object} user - User document
+   * @returns {Object[]} - [{ reason, detail }]
+   */
+  triggers(user) {
+    const reasons = [];
+
+    if (['high', 'extreme'].includes(user.riskLevel)) {
+      reasons.push({ reason: 'high_risk', detail: `Risk level ${user.riskLevel}` });
+    }
+    if (user.isPEP) {
+      reasons.push({ reason: 'pep', detail: 'Politically exposed person' });
+    }
+    const country = user.jurisdiction && user.jurisdiction.country;
+    if (country && this.config.requiresEddForCountry(country)) {
+      reasons.push({ reason: 'jurisdiction', detail: country });
+    }
+    if (user.edd && user.edd.manualReason) {
+      reasons.push({ reason: 'manual', detail: user.edd.manualReason });
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Whether the user's limits are held at cappedKycLevel: EDD is needed and
+   * no approval covers every current reason
+   * @param {Object} user - User document
+   * @returns {boolean}
+   */
+  isCapped(user) {
+    const reasons = this.triggers(user);
+    if (reasons.length === 0) return false;
+
+    const edd = user.edd || {};
+    return edd.status !== 'approved' ||
+      reasons.some(({ reason }) => !(edd.coveredTriggers || []).includes(reason));
+  }
+
+  /**
+   * Active questionnaire, cached like the AML rule set
+   * @returns {Promise<Object>} - Questionnaire (version 0 for the built-in default)
+   */
+  async getActiveQuestionnaire() {
+    if (!this.activeQuestionnaire || Date.now() - this.loadedAt > this.config.cacheTtl) {
+      const active = await EddQuestionnaire.findOne({ active: true }).lean();
+      this.activeQuestionnaire = active || { version: 0, ...validateQuestionnaire(DEFAULT_QUESTIONNAIRE) };
+      this.loadedAt = Date.now();
+    }
+
+    return this.activeQuestionnaire;
+  }
+
+  async listQuestionnaires() {
+    return EddQuestionnaire.find().sort({ version: -1 });
+  }
+
+  /**
+   * Store a new, inactive questionnaire version
+   * @param {Object} definition - { name, questions }
+   * @param {string} createdBy - Staff user id
+   * @returns {Promise<Object>} - EddQuestionnaire
+   */
+  async publishQuestionnaire(definition, createdBy) {
+    const validated = validateQuestionnaire(definition);
+    const latest = await EddQuestionnaire.findOne().sort({ version: -1 }).select('version');
+
+    const questionnaire = new EddQuestionnaire({
+      version: latest ? latest.version + 1 : 1,
+      ...validated,
+      createdBy
+    });
+    await questionnaire.save();
+
+    return questionnaire;
+  }
+
+  /**
+   * Make a stored version the active one; open reviews switch to it
+   * @param {number} version - Version to activate
+   * @returns {Promise<Object>} - EddQuestionnaire
+   */
+  async activateQuestionnaire(version) {
+    const questionnaire = await EddQuestionnaire.findOne({ version });
+    if (!questionnaire) {
+      throw new EddError(`Questionnaire version ${version} not found`, 404);
+    }
+
+    await EddQuestionnaire.updateMany({ active: true }, { $set: { active: false } });
+    questionnaire.active = true;
+    questionnaire.activatedAt = new Date();
+    await questionnaire.save();
+
+    this.activeQuestionnaire = null;
+    return questionnaire;
+  }
+
+  /**
+   * Refer a user for EDD regardless of their risk profile
+   * @param {Object} user - User document
+   * @param {string} reason - Why staff require EDD
+   * @returns {Promise<Object>} - User
+   */
+  async requireReview(user, reason) {
+    if (!reason) {
+      throw new EddError('A reason is required', 400);
+    }
+
+    user.edd.manualReason = reason;
+    // An approval given for other reasons does not cover this referral
+    if (user.edd.status === 'approved') {
+      user.edd.coveredTriggers = (user.edd.coveredTriggers || []).filter(trigger => trigger !== 'manual');
+    }
+    // A referral also reopens a rejected review
+    user.$locals.eddReopen = true;
+    await user.save();
+
+    return user;
+  }
+
+  /**
+   * The user's current review
+   * @param {Object} user - User document
+   * @returns {Promise<Object|null>} - EddReview
+   */
+  async currentReview(user) {
+    if (!user.edd || !user.edd.reviewId) return null;
+    return this.config.EddReview.findById(user.edd.reviewId);
+  }
+
+  /**
+   * What the customer sees: status, questionnaire, latest answers and documents
+   * @param {Object} user - User document
+   * @returns {Promise<Object>}
+   */
+  async forCustomer(user) {
+    const review = await this.currentReview(user);
+    const latest = review && review.submissions.length > 0 ? review.submissions[review.submissions.length - 1] : null;
+    const lastDecision = review && review.decisions.length > 0 ? review.decisions[review.decisions.length - 1] : null;
+
+    return {
+      status: (user.edd && user.edd.status) || 'not_required',
+      required: this.isCapped(user),
+      reasons: this.triggers(user).map(({ reason }) => reason),
+      expiresAt: user.edd && user.edd.expiresAt,
+      questionnaire: review && OPEN_STATUSES.includes(review.status) ? await this.getActiveQuestionnaire() : undefined,
+      answers: latest ? latest.answers : undefined,
+      submittedVersion: latest ? latest.version : undefined,
+      documents: review ? review.documents.map(doc => ({
+        id: doc._id,
+        questionId: doc.questionId,
+        originalName: doc.originalName,
+        uploadedAt: doc.uploadedAt
+      })) : [],
+      // Reviewer notes are shared when changes are requested
+      reviewerNote: review && review.status === 'changes_requested' && lastDecision ? lastDecision.note : undefined
+    };
+  }
+
+  /**
+   * Attach a supporting document to the user's open review
+   * @param {Object} user - User document
+   * @param {Object} file - Multer file
+   * @param {string} questionId - Document question the file answers
+   * @returns {Promise<Object>} - Stored document entry
+   */
+  async addDocument(user, file, questionId) {
+    const review = await this._openReview(user);
+    const questionnaire = await this.getActiveQuestionnaire();
+    const question = questionnaire.questions.find(candidate => candidate.id === questionId);
+    if (!question || question.type !== 'document') {
+      throw new EddError(`Unknown document question: ${questionId}`, 400);
+    }
+    if (!file) {
+      throw new EddError('No file uploaded', 400);
+    }
+
+    review.documents.push({
+      questionId,
+      filePath: await this.config.piiVault.writeFile(file.buffer, { mimetype: file.mimetype }, { name: file.storageName }),
+      mimetype: file.mimetype,
+      originalName: file.originalname,
+      size: file.size
+    });
+    review.updatedAt = new Date();
+    await review.save();
+
+    return review.documents[review.documents.length - 1];
+  }
+
+  /**
+   * Submit a new version of the answers for review
+   * @param {Object} user - User document
+   * @param {Object} answers - { questionId: answer }
+   * @returns {Promise<Object>} - EddReview
+   */
+  async submit(user, answers) {
+    const review = await this._openReview(user);
+    const questionnaire = await this.getActiveQuestionnaire();
+
+    review.submissions.push({
+      version: review.submissions.length + 1,
+      questionnaireVersion: questionnaire.version,
+      answers: validateAnswers(questionnaire, answers, review.documents)
+    });
+    review.status = 'submitted';
+    review.updatedAt = new Date();
+    await review.save();
+
+    user.edd.status = 'submitted';
+    await user.save();
+
+    return review;
+  }
+
+  async listQueue(filters = {}) {
+    const query = { status: filters.status || 'submitted' };
+    if (filters.userId) query.userId = filters.userId;
+
+    return this.config.EddReview.find(query)
+      .sort({ updatedAt: 1 })
+      .limit(500)
+      .populate('userId', 'fullName email riskLevel isPEP kycLevel');
+  }
+
+  async getReview(reviewId) {
+    const review = await this.config.EddReview.findById(reviewId);
+    if (!review) {
+      throw new EddError('EDD review not found', 404);
+    }
+    return review;
+  }
+
+  /**
+   * Decrypt a supporting document for a reviewer
+   * @param {Object} review - EddReview
+   * @param {string} documentId - Document entry id
+   * @returns {Promise<Object>} - { content, metadata, originalName }
+   */
+  async readDocument(review, documentId) {
+    const doc = review.documents.id(documentId);
+    if (!doc) {
+      throw new EddError('Document not found', 404);
+    }
+
+    const file = await this.config.piiVault.readFile(doc.filePath);
+    return { ...file, originalName: doc.originalName };
+  }
+
+  /**
+   * Reviewer decision on the latest submission
+   * @param {string} reviewId - EddReview id
+   * @param {Object} reviewer - Staff token ({ id, roles })
+   * @param {Object} details - { decision, note, submissionVersion }
+   * @returns {Promise<Object>} - { review, user }
+   */
+  async decide(reviewId, reviewer, details = {}) {
+    const { decision, note, submissionVersion } = details;
+    if (!DECISIONS[decision]) {
+      throw new EddError(`decision must be one of: ${Object.keys(DECISIONS).join(', ')}`, 400);
+    }
+    if (decision !== 'approve' && !note) {
+      throw new EddError('A note is required when rejecting or requesting changes', 400);
+    }
+
+    const review = await this.getReview(reviewId);
+    if (review.status !== 'submitted') {
+      throw new EddError(`Review is ${review.status}, not awaiting a decision`, 409);
+    }
+
+    // The reviewer must be looking at the latest answers
+    const latest = review.submissions[review.submissions.length - 1];
+    if (submissionVersion !== undefined && Number(submissionVersion) !== latest.version) {
+      throw new EddError(`Answers have changed; the latest version is ${latest.version}`, 409);
+    }
+
+    const user = await this.config.User.findById(review.userId);
+    if (!user) {
+      throw new EddError('User not found', 404);
+    }
+    if (decision === 'approve' && user.isPEP && !this.config.canApprovePep(reviewer)) {
+      throw new EddError('Approving EDD for a politically exposed person requires senior sign-off (edd.approve_pep)', 403);
+    }
+
+    const now = new Date();
+    review.decisions.push({
+      decision,
+      submissionVersion: latest.version,
+      reviewerId: reviewer.id,
+      note,
+      decidedAt: now
+    });
+    review.status = DECISIONS[decision];
+    review.updatedAt = now;
+
+    user.edd.status = review.status;
+    if (decision === 'approve') {
+      review.approvedAt = now;
+      review.approvedBy = reviewer.id;
+      review.expiresAt = new Date(now.getTime() + this.config.validityDays * DAY_MS);
+
+      user.edd.approvedAt = now;
+      user.edd.expiresAt = review.expiresAt;
+      user.edd.coveredTriggers = this.triggers(user).map(({ reason }) => reason);
+      user.edd.manualReason = undefined;
+    }
+
+    await review.save();
+    await user.save();
+
+    this.config.notifyUser(user, `edd_${review.status}`, note && decision !== 'reject' ? { note } : {}).catch(error => {
+      console.error('EDD notification error:', error);
+    });
+
+    return { review, user };
+  }
+
+  /**
+   * Expire approvals past their validity; users who still need EDD get a new review
+   * @returns {Promise<Object>} - { expired }
+   */
+  async expireApprovals() {
+    const { EddReview, User } = this.config;
+    let expired = 0;
+
+    const reviews = await EddReview.find({ status: 'approved', expiresAt: { $lte: new Date() } });
+    for (const review of reviews) {
+      review.status = 'expired';
+      review.updatedAt = new Date();
+      await review.save();
+
+      const user = await User.findById(review.userId);
+      if (user && user.edd && String(user.edd.reviewId) === String(review._id)) {
+        user.edd.status = 'expired';
+        user.edd.coveredTriggers = [];
+        await user.save();
+      }
+      expired++;
+    }
+
+    return { expired };
+  }
+
+  // Called by eddPlugin after a save that made EDD newly required
+  async _createReview(user, reviewId, reasons) {
+    const review = new this.config.EddReview({
+      _id: reviewId,
+      userId: user._id,
+      triggers: reasons
+    });
+    await review.save();
+
+    await this.config.notifyUser(user, 'edd_required', {
+      reasons: reasons.map(({ reason }) => reason).join(', '),
+      action: 'Complete the enhanced due diligence questionnaire in your account'
+    });
+  }
+
+  async _openReview(user) {
+    const review = await this.currentReview(user);
+    if (!review || !OPEN_STATUSES.includes(review.status)) {
+      throw new EddError('No EDD review is open for changes', 409);
+    }
+    return review;
+  }
+}
+
+/**
+ * Mongoose plugin keeping the user's `edd` summary current. Apply it after
+ * riskScoringPlugin so the risk level is up to date. When EDD becomes
+ * required a review is opened after the save; `onStatusChange` (usually
+ * setTransactionLimits) runs whenever the EDD status changes.
+ */
+function eddPlugin(schema, options) {
+  schema.add({
+    edd: {
+      status: {
+        type: String,
+        enum: ['not_required'].concat(REVIEW_STATUSES),
+        default: 'not_required'
+      },
+      reviewId: mongoose.Schema.Types.ObjectId,
+      requiredSince: Date,
+      manualReason: String,
+      // Reasons the approval was given for
+      coveredTriggers: [String],
+      approvedAt: Date,
+      expiresAt: Date
+    }
+  });
+
+  schema.pre('save', function () {
+    const service = options.getService();
+    const reasons = service.triggers(this);
+    const status = this.edd.status;
+
+    const uncovered = status === 'approved' &&
+      reasons.some(({ reason }) => !(this.edd.coveredTriggers || []).includes(reason));
+    const idle = ['not_required', 'expired', 'approved'].includes(status) ||
+      (status === 'rejected' && this.$locals.eddReopen);
+    this.$locals.eddReopen = false;
+
+    if (reasons.length > 0 && idle && (status !== 'approved' || uncovered)) {
+      this.edd.status = 'required';
+      this.edd.requiredSince = new Date();
+      this.edd.reviewId = new mongoose.Types.ObjectId();
+      this.$locals.eddReasons = reasons;
+    }
+
+    if (this.isModified('edd.status') || this.isModified('edd.coveredTriggers')) {
+      options.onStatusChange(this);
+    }
+  });
+
+  schema.post('save', function (user) {
+    const reasons = user.$locals.eddReasons;
+    if (!reasons) return;
+    user.$locals.eddReasons = null;
+
+    options.getService()._createReview(user, user.edd.reviewId, reasons).catch(error => {
+      console.error('EDD review creation error:', error);
+    });
+  });
+}
+
+// Error carrying the HTTP status the route should answer with
+class EddError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'EddError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  EddService,
+  EddReviewSchema,
+  EddQuestionnaire,
+  EddError,
+  eddPlugin,
+  validateQuestionnaire,
+  validateAnswers,
+  DEFAULT_QUESTIONNAIRE
+};
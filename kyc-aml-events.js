@@ -0,0 +1,610 @@
+/**
+ * Compliance Events and Notification Channels
+ *
+ * Compliance events are stored and fanned out to subscribers:
+ *
+ *   kyc.status_changed   - a customer's kycStatus changed
+ *   transaction.flagged  - a transaction was flagged and added to a case
+ *   sanctions.hit        - screening produced potential or confirmed hits
+ *   sar.created          - a SAR draft was created
+ *
+ * Each subscriber uses one channel:
+ *
+ *   webhook - signed HTTPS POST of the event to a partner system
+ *   email   - message to listed addresses and/or staff holding given roles
+ *   chat    - { text } POST to a generic chat webhook (Slack, Teams, Mattermost)
+ *
+ * and chooses what it receives with event patterns ('sanctions.*') and
+ * optional filters. Every event sent to a subscriber is recorded as a
+ * delivery and sent by the job queue, which retries it with backoff.
+ *
+ * Webhook bodies are signed with the subscriber's secret:
+ *
+ *   X-Stabulum-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *
+ * Receivers check the signature with verifySignature, reject timestamps
+ * outside the tolerance and ignore event ids they have already processed
+ * (X-Stabulum-Event-Id), which stops replays. Event data holds ids, statuses
+ * and scores only; names and SAR narratives never leave the system.
+ *
+ * SAR events are staff-only: telling anyone outside the compliance team that
+ * a SAR exists is tipping-off. They only go to email subscribers addressed
+ * to staff roles holding `sar.notify`, never to listed addresses, webhooks
+ * or chat, and subscribing anything else to them is refused.
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+const EVENT_TYPES = ['kyc.status_changed', 'transaction.flagged', 'sanctions.hit', 'sar.created'];
+const CHANNELS = ['webhook', 'email', 'chat'];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed', 'cancelled'];
+// Events that reveal a SAR exists; see receivesStaffOnlyEvents
+const STAFF_ONLY_EVENT_TYPES = ['sar.created'];
+
+// Receivers should reject signatures older than this
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const ComplianceEventSchema = new mongoose.Schema({
+  type: { type: String, enum: EVENT_TYPES, required: true },
+  data: mongoose.Schema.Types.Mixed,
+  occurredAt: { type: Date, default: Date.now }
+});
+
+ComplianceEventSchema.index({ type: 1, occurredAt: -1 });
+
+// Compiled by the server so the URL and secret can be encrypted with the PII vault
+const EventSubscriberSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  channel: { type: String, enum: CHANNELS, required: true },
+  url: String,
+  // HMAC key for webhook signatures
+  secret: String,
+  recipients: [String],
+  // Staff roles whose members are emailed
+  recipientRoles: [String],
+  // Exact types or prefixes ending in '*'; empty means every event
+  events: [String],
+  filters: {
+    // Events carrying a riskScore below this are skipped
+    minRiskScore: Number,
+    // Data field -> accepted values, e.g. { to: ['rejected'] }
+    match: mongoose.Schema.Types.Mixed
+  },
+  active: { type: Boolean, default: true },
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: Date
+});
+
+EventSubscriberSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.secret;
+    delete ret.pii;
+    return ret;
+  }
+});
+
+const EventDeliverySchema = new mongoose.Schema({
+  eventId: { type: mongoose.Schema.Types.ObjectId, ref: 'ComplianceEvent', required: true },
+  eventType: String,
+  subscriberId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  channel: { type: String, enum: CHANNELS },
+  status: { type: String, enum: DELIVERY_STATUSES, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  lastAttemptAt: Date,
+  responseStatus: Number,
+  lastError: String,
+  deliveredAt: Date,
+  jobId: mongoose.Schema.Types.ObjectId,
+  createdAt: { type: Date, default: Date.now }
+});
+
+EventDeliverySchema.index({ subscriberId: 1, createdAt: -1 });
+EventDeliverySchema.index({ eventId: 1 });
+EventDeliverySchema.index({ status: 1, createdAt: -1 });
+
+const ComplianceEvent = mongoose.model('ComplianceEvent', ComplianceEventSchema);
+const EventDelivery = mongoose.model('EventDelivery', EventDeliverySchema);
+
+class EventBus {
+  constructor(config = {}) {
+    this.config = {
+      EventSubscriber: config.EventSubscriber,
+      User: config.User,
+      jobQueue: config.jobQueue,
+      mailer: config.mailer,
+      // Staff roles that may be emailed STAFF_ONLY_EVENT_TYPES
+      staffOnlyRoles: config.staffOnlyRoles || [],
+      // Plain http is only accepted for local development
+      allowInsecureUrls: !!config.allowInsecureUrls,
+      timeout: config.timeout || 10 * 1000
+    };
+  }
+
+  /**
+   * Store an event and queue a delivery to every matching subscriber
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} data - Ids, statuses and scores; no personal data
+   * @returns {Promise<Object>} - The stored event
+   */
+  async publish(type, data = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new EventError(`Unknown event type: ${type}`, 400);
+    }
+
+    const event = await new ComplianceEvent({ type, data }).save();
+    const subscribers = await this.config.EventSubscriber.find({ active: true });
+
+    const recipients = subscribers.filter(candidate =>
+      matches(candidate, event) && this._mayReceive(candidate, event));
+
+    for (const subscriber of recipients) {
+      const delivery = await new EventDelivery({
+        eventId: event._id,
+        eventType: type,
+        subscriberId: subscriber._id,
+        channel: subscriber.channel
+      }).save();
+
+      await this._queue(delivery, `events.deliver:${delivery._id}`);
+    }
+
+    return event;
+  }
+
+  /**
+   * Job handler: send one delivery. Errors are rethrown so the job queue retries.
+   * @param {string} deliveryId - EventDelivery id
+   * @returns {Promise<Object>} - { status, responseStatus }
+   */
+  async deliver(deliveryId) {
+    const delivery = await EventDelivery.findById(deliveryId);
+    if (!delivery || delivery.status === 'delivered' || delivery.status === 'cancelled') {
+      return { status: delivery ? delivery.status : 'missing' };
+    }
+
+    const [event, subscriber] = await Promise.all([
+      ComplianceEvent.findById(delivery.eventId),
+      this.config.EventSubscriber.findById(delivery.subscriberId)
+    ]);
+
+    // Subscribers switched off or readdressed after the event are not sent it
+    if (!event || !subscriber || !subscriber.active || !this._mayReceive(subscriber, event)) {
+      delivery.status = 'cancelled';
+      await delivery.save();
+      return { status: delivery.status };
+    }
+
+    delivery.attempts++;
+    delivery.lastAttemptAt = new Date();
+
+    try {
+      delivery.responseStatus = await this._send(subscriber, event, delivery);
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date();
+      delivery.lastError = undefined;
+      await delivery.save();
+    } catch (error) {
+      delivery.status = 'failed';
+      delivery.responseStatus = error.responseStatus;
+      delivery.lastError = error.message;
+      await delivery.save();
+      throw error;
+    }
+
+    return { status: delivery.status, responseStatus: delivery.responseStatus };
+  }
+
+  /**
+   * Add a subscriber. Webhook subscribers get a generated signing secret,
+   * returned only here and from rotateSecret.
+   * @param {Object} definition - { name, channel, url, recipients, recipientRoles, events, filters }
+   * @param {string} createdBy - Staff user id
+   * @returns {Promise<Object>} - { subscriber, secret }
+   */
+  async createSubscriber(definition, createdBy) {
+    const fields = this._validateSubscriber(definition);
+    const secret = fields.channel === 'webhook' ? generateSecret() : undefined;
+
+    const subscriber = await new this.config.EventSubscriber({ ...fields, secret, createdBy }).save();
+    return { subscriber, secret };
+  }
+
+  async listSubscribers() {
+    return this.config.EventSubscriber.find().sort({ createdAt: -1 });
+  }
+
+  async getSubscriber(subscriberId) {
+    const subscriber = await this.config.EventSubscriber.findById(subscriberId);
+    if (!subscriber) {
+      throw new EventError('Subscriber not found', 404);
+    }
+    return subscriber;
+  }
+
+  /**
+   * Change a subscriber's settings; the channel cannot change
+   * @param {string} subscriberId - Subscriber id
+   * @param {Object} changes - Any of name, url, recipients, recipientRoles, events, filters, active
+   * @returns {Promise<Object>} - The subscriber
+   */
+  async updateSubscriber(subscriberId, changes) {
+    const subscriber = await this.getSubscriber(subscriberId);
+    const fields = this._validateSubscriber({ ...subscriber.toObject(), ...changes, channel: subscriber.channel });
+
+    subscriber.set(fields);
+    if (changes.active !== undefined) {
+      subscriber.active = !!changes.active;
+    }
+    subscriber.updatedAt = new Date();
+    await subscriber.save();
+
+    if (!subscriber.active) {
+      await EventDelivery.updateMany(
+        { subscriberId: subscriber._id, status: { $in: ['pending', 'failed'] } },
+        { $set: { status: 'cancelled' } }
+      );
+    }
+
+    return subscriber;
+  }
+
+  /**
+   * Replace a webhook subscriber's signing secret
+   * @param {string} subscriberId - Subscriber id
+   * @returns {Promise<Object>} - { subscriber, secret }
+   */
+  async rotateSecret(subscriberId) {
+    const subscriber = await this.getSubscriber(subscriberId);
+    if (subscriber.channel !== 'webhook') {
+      throw new EventError('Only webhook subscribers have a signing secret', 409);
+    }
+
+    const secret = generateSecret();
+    subscriber.secret = secret;
+    subscriber.updatedAt = new Date();
+    await subscriber.save();
+
+    return { subscriber, secret };
+  }
+
+  /**
+   * Delivery log, newest first
+   * @param {Object} filters - { subscriberId, eventType, status, limit }
+   * @returns {Promise<Object[]>} - Deliveries with their events
+   */
+  async listDeliveries(filters = {}) {
+    const query = {};
+    if (filters.subscriberId) query.subscriberId = filters.subscriberId;
+    if (filters.eventType) query.eventType = filters.eventType;
+    if (filters.status) query.status = filters.status;
+
+    return EventDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(filters.limit) || 100, 500))
+      .populate('eventId');
+  }
+
+  /**
+   * Send a delivery again, e.g. after the receiver was down for longer than the retries
+   * @param {string} deliveryId - EventDelivery id
+   * @returns {Promise<Object>} - The delivery
+   */
+  async redeliver(deliveryId) {
+    const delivery = await EventDelivery.findById(deliveryId);
+    if (!delivery) {
+      throw new EventError('Delivery not found', 404);
+    }
+    if (delivery.status === 'pending') {
+      throw new EventError('Delivery is still pending', 409);
+    }
+    // A failed delivery may still have retries left
+    if (delivery.jobId) {
+      const job = await this.config.jobQueue.getJob(delivery.jobId).catch(() => null);
+      if (job && ['queued', 'running'].includes(job.status)) {
+        throw new EventError('Delivery is still being retried', 409);
+      }
+    }
+
+    delivery.status = 'pending';
+    await delivery.save();
+
+    await this._queue(delivery, `events.deliver:${delivery._id}:${delivery.attempts}`);
+    return delivery;
+  }
+
+  async _queue(delivery, idempotencyKey) {
+    const job = await this.config.jobQueue.enqueue('events.deliver', { deliveryId: delivery._id }, { idempotencyKey });
+    delivery.jobId = job._id;
+    await delivery.save();
+  }
+
+  async _send(subscriber, event, delivery) {
+    switch (subscriber.channel) {
+      case 'webhook': {
+        const body = JSON.stringify(eventBody(event));
+        return this._post(subscriber.url, body, {
+          'X-Stabulum-Event': event.type,
+          'X-Stabulum-Event-Id': String(event._id),
+          'X-Stabulum-Delivery-Id': String(delivery._id),
+          // Signed at send time, so every retry carries a fresh timestamp
+          'X-Stabulum-Signature': sign(subscriber.secret, body)
+        });
+      }
+      case 'chat':
+        return this._post(subscriber.url, JSON.stringify({ text: summarize(event) }), {});
+      case 'email':
+        await this.config.mailer.send({
+          to: (await this._emailRecipients(subscriber)).join(', '),
+          subject: `Stabulum compliance event: ${summarize(event)}`,
+          text: [
+            summarize(event),
+            '',
+            ...Object.keys(event.data || {}).map(key => `${key}: ${formatValue(event.data[key])}`),
+            `occurredAt: ${event.occurredAt.toISOString()}`,
+            `eventId: ${event._id}`
+          ].join('\n')
+        });
+        return undefined;
+      default:
+        throw Object.assign(new Error(`Unsupported channel: ${subscriber.channel}`), { retryable: false });
+    }
+  }
+
+  async _post(url, body, headers) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'Stabulum-Compliance-Events', ...headers },
+      body,
+      timeout: this.config.timeout,
+      redirect: 'manual'
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Receiver answered ${response.status}`);
+      error.responseStatus = response.status;
+      // Client errors other than timeouts and rate limits will not fix themselves
+      error.retryable = !(response.status >= 400 && response.status < 500 && ![408, 429].includes(response.status));
+      throw error;
+    }
+
+    return response.status;
+  }
+
+  async _emailRecipients(subscriber) {
+    const addresses = new Set(subscriber.recipients || []);
+
+    if (subscriber.recipientRoles && subscriber.recipientRoles.length > 0) {
+      const staff = await this.config.User.find({ roles: { $in: subscriber.recipientRoles } });
+      staff.forEach(user => addresses.add(user.email));
+    }
+
+    if (addresses.size === 0) {
+      throw Object.assign(new Error('Subscriber has no email recipients'), { retryable: false });
+    }
+    return [...addresses];
+  }
+
+  _mayReceive(subscriber, event) {
+    return !STAFF_ONLY_EVENT_TYPES.includes(event.type) || this._receivesStaffOnlyEvents(subscriber);
+  }
+
+  _receivesStaffOnlyEvents(subscriber) {
+    const recipientRoles = subscriber.recipientRoles || [];
+    return subscriber.channel === 'email' &&
+      (subscriber.recipients || []).length === 0 &&
+      recipientRoles.length > 0 &&
+      recipientRoles.every(role => this.config.staffOnlyRoles.includes(role));
+  }
+
+  _validateSubscriber(definition) {
+    if (!definition || !definition.name) {
+      throw new EventError('Subscriber needs a name', 400);
+    }
+    if (!CHANNELS.includes(definition.channel)) {
+      throw new EventError(`Unknown channel: ${definition.channel}`, 400);
+    }
+
+    const events = definition.events || [];
+    if (!Array.isArray(events)) {
+      throw new EventError('events must be an array', 400);
+    }
+    events.forEach(pattern => {
+      if (!EVENT_TYPES.some(type => patternMatches(pattern, type))) {
+        throw new EventError(`Event pattern matches no event type: ${pattern}`, 400);
+      }
+      // '*' is allowed and simply never delivers staff-only events to others
+      if (pattern !== '*' && STAFF_ONLY_EVENT_TYPES.some(type => patternMatches(pattern, type)) &&
+        !this._receivesStaffOnlyEvents(definition)) {
+        throw new EventError(`${pattern} events can only be emailed to staff roles holding sar.notify, ` +
+          'without other recipients', 400);
+      }
+    });
+
+    const filters = definition.filters || {};
+    if (filters.minRiskScore !== undefined && filters.minRiskScore !== null && isNaN(Number(filters.minRiskScore))) {
+      throw new EventError('filters.minRiskScore must be a number', 400);
+    }
+    if (filters.match !== undefined && filters.match !== null &&
+      (typeof filters.match !== 'object' || Array.isArray(filters.match))) {
+      throw new EventError('filters.match must map data fields to accepted values', 400);
+    }
+
+    const fields = {
+      name: definition.name,
+      channel: definition.channel,
+      events,
+      filters: {
+        minRiskScore: filters.minRiskScore === undefined || filters.minRiskScore === null
+          ? undefined
+          : Number(filters.minRiskScore),
+        match: filters.match || undefined
+      }
+    };
+
+    if (definition.channel === 'email') {
+      const recipients = definition.recipients || [];
+      const recipientRoles = definition.recipientRoles || [];
+      if (recipients.length === 0 && recipientRoles.length === 0) {
+        throw new EventError('Email subscribers need recipients or recipientRoles', 400);
+      }
+      if (recipients.some(address => !/^[^\s@]+@[^\s@]+$/.test(address))) {
+        throw new EventError('recipients must be email addresses', 400);
+      }
+      return { ...fields, recipients, recipientRoles };
+    }
+
+    let url;
+    try {
+      url = new URL(definition.url);
+    } catch (error) {
+      throw new EventError('Subscriber needs a valid url', 400);
+    }
+    if (url.protocol !== 'https:' && !(this.config.allowInsecureUrls && url.protocol === 'http:')) {
+      throw new EventError('Subscriber url must use https', 400);
+    }
+
+    return { ...fields, url: url.toString() };
+  }
+}
+
+/**
+ * Check a webhook signature as a receiver would
+ * @param {string} secret - Subscriber secret
+ * @param {string} header - X-Stabulum-Signature value
+ * @param {string} body - Raw request body
+ * @param {Object} options - { tolerance (seconds), now (ms) }
+ * @returns {boolean} - Whether the signature is valid and recent
+ */
+function verifySignature(secret, header, body, options = {}) {
+  const tolerance = options.tolerance || SIGNATURE_TOLERANCE_SECONDS;
+  const now = Math.floor((options.now || Date.now()) / 1000);
+
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1 || Math.abs(now - timestamp) > tolerance) return false;
+
+  const expected = hmac(secret, `${timestamp}.${body}`);
+  const given = Buffer.from(parts.v1, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function sign(secret, body, now = Date.now()) {
+  const timestamp = Math.floor(now / 1000);
+  return `t=${timestamp},v1=${hmac(secret, `${timestamp}.${body}`).toString('hex')}`;
+}
+
+function hmac(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest();
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+function eventBody(event) {
+  return {
+    id: String(event._id),
+    type: event.type,
+    occurredAt: event.occurredAt.toISOString(),
+    data: event.data
+  };
+}
+
+function matches(subscriber, event) {
+  const events = subscriber.events || [];
+  if (events.length > 0 && !events.some(pattern => patternMatches(pattern, event.type))) {
+    return false;
+  }
+
+  const filters = subscriber.filters || {};
+  const data = event.data || {};
+
+  if (typeof filters.minRiskScore === 'number' && typeof data.riskScore === 'number' &&
+    data.riskScore < filters.minRiskScore) {
+    return false;
+  }
+
+  return Object.entries(filters.match || {}).every(([field, accepted]) => {
+    const values = [].concat(data[field]).map(String);
+    return [].concat(accepted).map(String).some(value => values.includes(value));
+  });
+}
+
+function patternMatches(pattern, type) {
+  if (pattern === '*') return true;
+  return pattern.endsWith('*') ? type.startsWith(pattern.slice(0, -1)) : pattern === type;
+}
+
+// One line for chat messages and email subjects
+function summarize(event) {
+  const data = event.data || {};
+
+  switch (event.type) {
+    case 'kyc.status_changed':
+      return `KYC status of user ${data.userId} changed from ${data.from || 'none'} to ${data.to}`;
+    case 'transaction.flagged':
+      return `Transaction ${data.transactionId} of user ${data.userId} flagged (risk score ${data.riskScore})`;
+    case 'sanctions.hit':
+      return `${data.hitIds.length} ${data.status} sanctions hit(s) for user ${data.userId} (${data.sources.join(', ')})`;
+    case 'sar.created':
+      return `SAR ${data.reportId} created for user ${data.userId}`;
+    default:
+      return event.type;
+  }
+}
+
+function formatValue(value) {
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+/**
+ * Emit kycStatus changes. The status a document was loaded with is kept so
+ * the event can say what it changed from.
+ * @param {Object} options - { onStatusChange: (user, from, to) => void }
+ */
+function kycStatusEventsPlugin(schema, options) {
+  schema.post('init', function () {
+    this.$locals.loadedKycStatus = this.kycStatus;
+  });
+
+  schema.pre('save', function () {
+    const from = this.isNew ? null : this.$locals.loadedKycStatus;
+    this.$locals.kycStatusChange = (this.isNew || this.isModified('kycStatus')) && from !== this.kycStatus
+      ? { from, to: this.kycStatus }
+      : null;
+  });
+
+  schema.post('save', function (user) {
+    const change = user.$locals.kycStatusChange;
+    user.$locals.loadedKycStatus = user.kycStatus;
+    if (!change) return;
+
+    Promise.resolve(options.onStatusChange(user, change.from, change.to)).catch(error => {
+      console.error('KYC status event error:', error);
+    });
+  });
+}
+
+// Error carrying the HTTP status the route should answer with
+class EventError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'EventError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  EventBus,
+  EventError,
+  EventSubscriberSchema,
+  ComplianceEvent,
+  EventDelivery,
+  kycStatusEventsPlugin,
+  verifySignature,
+  EVENT_TYPES,
+  CHANNELS
+};
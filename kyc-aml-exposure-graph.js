@@ -0,0 +1,348 @@
+/**
+ * Counterparty Exposure Graph
+ *
+ * Treats recorded transactions as an address graph: every transaction links
+ * the wallet that sent the funds with the one that received them, so a
+ * `receive` runs from the counterparty to the customer's wallet. A transfer
+ * between two customers is recorded once per side and counted once. On top
+ * of that graph:
+ *
+ *   subgraph  - addresses and edges within N hops of a user's wallets or of
+ *               a single address, as JSON for the investigation UI
+ *   exposure  - the sanctioned and flagged addresses reachable within N hops,
+ *               with the shortest path to each and a score that halves with
+ *               every hop
+ *   clusters  - groups of customers who share several counterparties, a
+ *               common sign of money-mule networks
+ *
+ * An address counts as sanctioned when it is on a sanctions list or belongs
+ * to a customer with a confirmed match, and as flagged when it took part in
+ * a flagged transaction or belongs to a high- or extreme-risk customer.
+ * Counterparties shared by very many customers (exchange hot wallets, the
+ * token contract) are hubs, and are left out of clustering.
+ */
+
+const { ethers } = require('ethers');
+
+const EXPOSURE_WEIGHTS = { sanctioned: 100, flagged: 25 };
+
+class ExposureGraph {
+  constructor(config = {}) {
+    this.config = {
+      Transaction: config.Transaction,
+      User: config.User,
+      sanctionsScreening: config.sanctionsScreening,
+      lookbackDays: config.lookbackDays || 180,
+      maxHops: config.maxHops || 4,
+      // Stop expanding once the subgraph has this many addresses
+      maxNodes: config.maxNodes || 500,
+      // Transactions read per hop
+      maxEdgesPerHop: config.maxEdgesPerHop || 5000,
+      // Counterparties used by more customers than this are treated as hubs
+      hubThreshold: config.hubThreshold || 25
+    };
+  }
+
+  /**
+   * Subgraph and exposure around a user's wallets
+   * @param {string} userId - User ID
+   * @param {Object} options - { hops, lookbackDays }
+   * @returns {Promise<Object>} - { seeds, nodes, edges, exposure, truncated }
+   */
+  async forUser(userId, options = {}) {
+    const user = await this.config.User.findById(userId, { walletAddresses: 1 });
+    if (!user) {
+      throw new GraphError('User not found', 404);
+    }
+    if (user.walletAddresses.length === 0) {
+      throw new GraphError('User has no linked wallets', 400);
+    }
+
+    return this.forAddresses(user.walletAddresses, options);
+  }
+
+  /**
+   * Subgraph and exposure around one or more addresses
+   * @param {string[]} addresses - Seed addresses
+   * @param {Object} options - { hops, lookbackDays }
+   * @returns {Promise<Object>} - { seeds, nodes, edges, exposure, truncated }
+   */
+  async forAddresses(addresses, options = {}) {
+    const seeds = addresses.map(normalize);
+    if (seeds.some(address => !address)) {
+      throw new GraphError('Invalid wallet address', 400);
+    }
+
+    const hops = Math.min(Math.max(parseInt(options.hops) || 2, 1), this.config.maxHops);
+    const since = this._since(options.lookbackDays);
+
+    const nodes = new Map();
+    const edges = new Map();
+    // Parent on the shortest path back to a seed
+    const parents = new Map();
+    seeds.forEach(address => {
+      nodes.set(address, { address, hop: 0 });
+      parents.set(address, null);
+    });
+
+    let frontier = seeds;
+    let truncated = false;
+    // Both sides of a transfer, and transfers seen again from the next hop, count once
+    const seen = new Set();
+
+    for (let hop = 1; hop <= hops && frontier.length > 0; hop++) {
+      const transactions = await this.config.Transaction.find({
+        $or: [
+          { walletAddress: { $in: variants(frontier) } },
+          { counterpartyAddress: { $in: variants(frontier) } }
+        ],
+        counterpartyAddress: { $ne: null },
+        timestamp: { $gte: since }
+      }, { walletAddress: 1, counterpartyAddress: 1, amount: 1, flagged: 1, timestamp: 1, type: 1, transactionHash: 1, logIndex: 1 })
+        .limit(this.config.maxEdgesPerHop)
+        .lean();
+
+      if (transactions.length === this.config.maxEdgesPerHop) truncated = true;
+
+      const next = [];
+      for (const transaction of transactions) {
+        const wallet = normalize(transaction.walletAddress);
+        const counterparty = normalize(transaction.counterpartyAddress);
+        if (!wallet || !counterparty || wallet === counterparty) continue;
+
+        const [from, to] = transaction.type === 'receive' ? [counterparty, wallet] : [wallet, counterparty];
+
+        const key = `${String(transaction.transactionHash).toLowerCase()}|${transaction.logIndex != null ? transaction.logIndex : ''}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          addEdge(edges, transaction, from, to);
+        }
+
+        for (const [address, via] of [[from, to], [to, from]]) {
+          if (nodes.has(address)) continue;
+          if (nodes.size >= this.config.maxNodes) {
+            truncated = true;
+            continue;
+          }
+          nodes.set(address, { address, hop });
+          parents.set(address, via);
+          next.push(address);
+        }
+      }
+
+      frontier = next;
+    }
+
+    // Edges to addresses dropped by the node limit are left out
+    const edgeList = [...edges.values()].filter(edge => nodes.has(edge.from) && nodes.has(edge.to));
+
+    await this._annotate(nodes, edgeList);
+
+    return {
+      seeds,
+      hops,
+      since,
+      nodes: [...nodes.values()],
+      edges: edgeList,
+      exposure: this._exposure(nodes, parents),
+      truncated
+    };
+  }
+
+  /**
+   * Groups of customers sharing counterparties
+   * @param {Object} options - { lookbackDays, minShared, minSize }
+   * @returns {Promise<Object[]>} - [{ userIds, sharedCounterparties, size }] largest first
+   */
+  async clusters(options = {}) {
+    const minShared = parseInt(options.minShared) || 2;
+    const minSize = parseInt(options.minSize) || 2;
+
+    const shared = await this.config.Transaction.aggregate([
+      { $match: {
+        counterpartyAddress: { $ne: null },
+        userId: { $ne: null },
+        timestamp: { $gte: this._since(options.lookbackDays) }
+      }},
+      { $group: { _id: { $toLower: '$counterpartyAddress' }, users: { $addToSet: '$userId' } } },
+      { $match: { 'users.1': { $exists: true } } }
+    ]).allowDiskUse(true);
+
+    const pairCounts = new Map();
+    const pairCounterparties = new Map();
+    for (const row of shared) {
+      if (row.users.length > this.config.hubThreshold) continue;
+
+      const users = row.users.map(String).sort();
+      for (let i = 0; i < users.length; i++) {
+        for (let j = i + 1; j < users.length; j++) {
+          const key = `${users[i]}|${users[j]}`;
+          pairCounts.set(key, (pairCounts.get(key) || 0) + 1);
+          if (!pairCounterparties.has(key)) pairCounterparties.set(key, []);
+          pairCounterparties.get(key).push(row._id);
+        }
+      }
+    }
+
+    // Union customers linked by at least minShared common counterparties
+    const parent = new Map();
+    const find = id => {
+      while (parent.get(id) !== id) {
+        parent.set(id, parent.get(parent.get(id)));
+        id = parent.get(id);
+      }
+      return id;
+    };
+    const counterpartiesByRoot = new Map();
+
+    for (const [key, count] of pairCounts) {
+      if (count < minShared) continue;
+
+      const [a, b] = key.split('|');
+      [a, b].forEach(id => {
+        if (!parent.has(id)) parent.set(id, id);
+      });
+      parent.set(find(a), find(b));
+    }
+
+    const members = new Map();
+    for (const id of parent.keys()) {
+      const root = find(id);
+      if (!members.has(root)) members.set(root, []);
+      members.get(root).push(id);
+    }
+    for (const [key, count] of pairCounts) {
+      if (count < minShared) continue;
+      const root = find(key.split('|')[0]);
+      if (!counterpartiesByRoot.has(root)) counterpartiesByRoot.set(root, new Set());
+      pairCounterparties.get(key).forEach(address => counterpartiesByRoot.get(root).add(address));
+    }
+
+    return [...members.entries()]
+      .filter(([, userIds]) => userIds.length >= minSize)
+      .map(([root, userIds]) => ({
+        userIds,
+        sharedCounterparties: [...counterpartiesByRoot.get(root)],
+        size: userIds.length
+      }))
+      .sort((a, b) => b.size - a.size);
+  }
+
+  // Mark sanctioned, flagged and customer-owned addresses
+  async _annotate(nodes, edges) {
+    const addresses = [...nodes.keys()];
+    const sanctioned = await this.config.sanctionsScreening.findSanctionedAddresses(addresses);
+    const owners = await this._ownerMap(addresses);
+
+    const flaggedAddresses = new Set();
+    edges.filter(edge => edge.flaggedCount > 0).forEach(edge => {
+      flaggedAddresses.add(edge.from);
+      flaggedAddresses.add(edge.to);
+    });
+
+    for (const node of nodes.values()) {
+      const owner = owners.get(node.address);
+      if (owner) {
+        node.userId = owner._id;
+        node.riskLevel = owner.riskLevel;
+      }
+
+      node.sanctioned = sanctioned.has(node.address) || !!(owner && owner.isOnSanctionsList);
+      node.flagged = flaggedAddresses.has(node.address) ||
+        !!(owner && ['high', 'extreme'].includes(owner.riskLevel));
+    }
+  }
+
+  // Reachable risky addresses with their path and a hop-discounted score
+  _exposure(nodes, parents) {
+    const pathTo = address => {
+      const path = [];
+      for (let current = address; current !== null; current = parents.get(current)) {
+        path.unshift(current);
+      }
+      return path;
+    };
+
+    const sanctioned = [];
+    const flagged = [];
+    let score = 0;
+
+    for (const node of nodes.values()) {
+      if (node.hop === 0) continue;
+
+      const kind = node.sanctioned ? 'sanctioned' : (node.flagged ? 'flagged' : null);
+      if (!kind) continue;
+
+      const entry = { address: node.address, hops: node.hop, path: pathTo(node.address) };
+      (kind === 'sanctioned' ? sanctioned : flagged).push(entry);
+      score += EXPOSURE_WEIGHTS[kind] * Math.pow(0.5, node.hop - 1);
+    }
+
+    const byHops = (a, b) => a.hops - b.hops;
+    return {
+      score: Math.min(100, Math.round(score)),
+      sanctioned: sanctioned.sort(byHops),
+      flagged: flagged.sort(byHops)
+    };
+  }
+
+  // Lowercased address -> owning user (riskLevel, isOnSanctionsList)
+  async _ownerMap(addresses) {
+    if (addresses.length === 0) return new Map();
+
+    const users = await this.config.User.find(
+      { walletAddresses: { $in: variants(addresses) } },
+      { walletAddresses: 1, riskLevel: 1, isOnSanctionsList: 1 }
+    );
+
+    const owners = new Map();
+    users.forEach(user => {
+      user.walletAddresses.forEach(address => owners.set(address.toLowerCase(), user));
+    });
+    return owners;
+  }
+
+  _since(lookbackDays) {
+    const days = parseInt(lookbackDays) || this.config.lookbackDays;
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  }
+}
+
+function addEdge(edges, transaction, from, to) {
+  const key = `${from}|${to}`;
+  let edge = edges.get(key);
+  if (!edge) {
+    edge = { from, to, count: 0, totalAmount: 0, flaggedCount: 0, firstSeen: transaction.timestamp, lastSeen: transaction.timestamp };
+    edges.set(key, edge);
+  }
+
+  edge.count++;
+  edge.totalAmount += transaction.amount || 0;
+  if (transaction.flagged) edge.flaggedCount++;
+  if (transaction.timestamp < edge.firstSeen) edge.firstSeen = transaction.timestamp;
+  if (transaction.timestamp > edge.lastSeen) edge.lastSeen = transaction.timestamp;
+}
+
+function normalize(address) {
+  return address && /^0x[a-fA-F0-9]{40}$/.test(address) ? address.toLowerCase() : null;
+}
+
+// Stored addresses may be lowercase (chain ingestion) or checksummed (clients)
+function variants(addresses) {
+  return addresses.map(normalize).filter(Boolean).flatMap(address => [address, ethers.utils.getAddress(address)]);
+}
+
+// Error carrying the HTTP status the route should answer with
+class GraphError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'GraphError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  ExposureGraph,
+  GraphError,
+  EXPOSURE_WEIGHTS
+};
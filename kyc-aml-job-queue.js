@@ -0,0 +1,332 @@
+/**
+ * Persistent Job Queue
+ *
+ * Background work (identity verification calls, scheduled re-screening,
+ * CTR aggregation, re-verification) runs as Job documents in Mongo, so it
+ * survives restarts and failures are kept for inspection instead of only
+ * being logged.
+ *
+ *   enqueue   - add a job; a job with the same idempotency key is returned
+ *               instead of being added twice
+ *   schedule  - enqueue a job once per interval; the key is derived from the
+ *               interval slot, so several server instances enqueue it once
+ *   workers   - claim due jobs one at a time with an atomic update; a job
+ *               whose worker died is claimed again once its lock expires.
+ *               A running job's lock is renewed every third of the lock
+ *               timeout, so long runs are never taken over while alive
+ *
+ * A failed attempt is retried with exponential backoff and jitter. After
+ * `maxAttempts`, or straight away when the handler throws an error with
+ * `retryable: false`, the job is moved to the dead-letter state, where staff
+ * can inspect and retry it. Payloads hold ids rather than personal data.
+ */
+
+const mongoose = require('mongoose');
+const os = require('os');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+const JobSchema = new mongoose.Schema({
+  type: { type: String, required: true },
+  payload: mongoose.Schema.Types.Mixed,
+  status: { type: String, enum: JOB_STATUSES, default: 'queued' },
+  // Identical work enqueued twice is stored once
+  idempotencyKey: String,
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: Date,
+  lockedBy: String,
+  lastError: String,
+  failures: [{
+    _id: false,
+    attempt: Number,
+    message: String,
+    at: Date
+  }],
+  result: mongoose.Schema.Types.Mixed,
+  createdAt: { type: Date, default: Date.now },
+  completedAt: Date,
+  deadAt: Date,
+  retriedBy: String
+});
+
+JobSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+JobSchema.index({ status: 1, nextAttemptAt: 1 });
+JobSchema.index({ status: 1, lockedAt: 1 });
+JobSchema.index({ type: 1, status: 1, createdAt: -1 });
+// Completed jobs are kept for a month; dead ones until someone deals with them
+JobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const Job = mongoose.model('Job', JobSchema);
+
+class JobQueue {
+  constructor(config = {}) {
+    this.config = {
+      workerId: config.workerId || `${os.hostname()}:${process.pid}`,
+      pollInterval: config.pollInterval || 1000,
+      // A running job whose lock is older than this is assumed abandoned
+      lockTimeout: config.lockTimeout || 10 * 60 * 1000,
+      maxAttempts: config.maxAttempts || 5,
+      // Base delay for retries; doubles on every attempt up to maxRetryDelayMs
+      retryDelayMs: config.retryDelayMs || 5 * 1000,
+      maxRetryDelayMs: config.maxRetryDelayMs || 60 * 60 * 1000
+    };
+
+    this.handlers = new Map();
+    this.schedules = new Map();
+    this.intervalId = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type, e.g. 'kyc.verify_document'
+   * @param {Function} handler - async (payload, job) => result
+   * @param {Object} options - { maxAttempts }
+   */
+  register(type, handler, options = {}) {
+    this.handlers.set(type, { handler, maxAttempts: options.maxAttempts || this.config.maxAttempts });
+  }
+
+  /**
+   * Run a job type every interval
+   * @param {string} type - Registered job type
+   * @param {number} interval - Milliseconds between runs
+   * @param {Object} payload - Payload for every run
+   */
+  schedule(type, interval, payload = {}) {
+    this.schedules.set(type, { interval, payload, lastSlot: null });
+  }
+
+  start() {
+    if (this.intervalId) return;
+
+    this.intervalId = setInterval(() => {
+      this.tick().catch(error => {
+        console.error('Job queue error:', error);
+      });
+    }, this.config.pollInterval);
+  }
+
+  stop() {
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+  }
+
+  /**
+   * Add a job
+   * @param {string} type - Registered job type
+   * @param {Object} payload - Job input (ids, not personal data)
+   * @param {Object} options - { idempotencyKey, runAt, maxAttempts }
+   * @returns {Promise<Object>} - The new job, or the existing one with the same key
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const registered = this.handlers.get(type);
+    if (!registered) {
+      throw new JobQueueError(`Unknown job type: ${type}`, 400);
+    }
+
+    const fields = {
+      type,
+      payload,
+      maxAttempts: options.maxAttempts || registered.maxAttempts,
+      nextAttemptAt: options.runAt || new Date(),
+      createdAt: new Date()
+    };
+
+    if (!options.idempotencyKey) {
+      return new Job(fields).save();
+    }
+
+    try {
+      return await Job.findOneAndUpdate(
+        { idempotencyKey: options.idempotencyKey },
+        { $setOnInsert: { ...fields, idempotencyKey: options.idempotencyKey, status: 'queued', attempts: 0 } },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Two concurrent upserts with the same key: the other one won
+      if (error.code === 11000) {
+        return Job.findOne({ idempotencyKey: options.idempotencyKey });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Enqueue due scheduled jobs and work through every due job
+   * @returns {Promise<number>} - Jobs processed
+   */
+  async tick() {
+    if (this.ticking) return 0;
+    this.ticking = true;
+
+    try {
+      await this._enqueueScheduled();
+
+      let processed = 0;
+      for (let job = await this._claim(); job; job = await this._claim()) {
+        await this._run(job);
+        processed++;
+      }
+      return processed;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async listJobs(filters = {}) {
+    const query = {};
+    if (filters.status) query.status = filters.status;
+    if (filters.type) query.type = filters.type;
+
+    return Job.find(query).sort({ createdAt: -1 }).limit(Math.min(parseInt(filters.limit) || 100, 500));
+  }
+
+  async getJob(jobId) {
+    const job = await Job.findById(jobId);
+    if (!job) {
+      throw new JobQueueError('Job not found', 404);
+    }
+    return job;
+  }
+
+  /**
+   * Job counts by type and status
+   * @returns {Promise<Object[]>} - [{ type, status, count, oldest }]
+   */
+  async stats() {
+    const rows = await Job.aggregate([
+      { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 }, oldest: { $min: '$createdAt' } } },
+      { $sort: { '_id.type': 1, '_id.status': 1 } }
+    ]);
+
+    return rows.map(row => ({ type: row._id.type, status: row._id.status, count: row.count, oldest: row.oldest }));
+  }
+
+  /**
+   * Put a dead-lettered job back in the queue with a fresh set of attempts
+   * @param {string} jobId - Job id
+   * @param {string} retriedBy - Staff user id
+   * @returns {Promise<Object>} - The job
+   */
+  async retryJob(jobId, retriedBy) {
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, status: 'dead' },
+      {
+        $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date(), retriedBy },
+        $unset: { deadAt: 1, lockedAt: 1, lockedBy: 1 }
+      },
+      { new: true }
+    );
+    if (!job) {
+      const exists = await Job.exists({ _id: jobId });
+      throw new JobQueueError(exists ? 'Only dead-lettered jobs can be retried' : 'Job not found', exists ? 409 : 404);
+    }
+    return job;
+  }
+
+  async _enqueueScheduled() {
+    const now = Date.now();
+
+    for (const [type, schedule] of this.schedules) {
+      const slot = Math.floor(now / schedule.interval);
+      if (slot === schedule.lastSlot) continue;
+
+      // The first slot after a start is skipped, as setInterval used to
+      if (schedule.lastSlot !== null) {
+        await this.enqueue(type, schedule.payload, {
+          idempotencyKey: `schedule:${type}:${slot}`,
+          runAt: new Date(slot * schedule.interval)
+        });
+      }
+      schedule.lastSlot = slot;
+    }
+  }
+
+  async _claim() {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+      {
+        type: { $in: [...this.handlers.keys()] },
+        $or: [
+          { status: 'queued', nextAttemptAt: { $lte: now } },
+          { status: 'running', lockedAt: { $lt: new Date(now.getTime() - this.config.lockTimeout) } }
+        ]
+      },
+      { $set: { status: 'running', lockedAt: now, lockedBy: this.config.workerId }, $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  async _run(job) {
+    const { handler } = this.handlers.get(job.type);
+
+    // Keep the lock fresh while the handler runs
+    const heartbeat = setInterval(() => {
+      Job.updateOne(
+        { _id: job._id, status: 'running', lockedBy: this.config.workerId },
+        { $set: { lockedAt: new Date() } }
+      ).catch(error => {
+        console.error(`Job ${job._id} heartbeat error:`, error);
+      });
+    }, Math.max(Math.floor(this.config.lockTimeout / 3), 1000));
+
+    try {
+      const result = await handler(job.payload || {}, job);
+      await Job.updateOne(
+        { _id: job._id, lockedBy: this.config.workerId },
+        {
+          $set: { status: 'completed', completedAt: new Date(), result: result === undefined ? null : result },
+          $unset: { lockedAt: 1, lockedBy: 1 }
+        }
+      );
+    } catch (error) {
+      const dead = error.retryable === false || job.attempts >= job.maxAttempts;
+      const failure = { attempt: job.attempts, message: error.message, at: new Date() };
+
+      const update = dead
+        ? { status: 'dead', deadAt: new Date(), lastError: error.message }
+        : { status: 'queued', nextAttemptAt: new Date(Date.now() + this._backoff(job.attempts)), lastError: error.message };
+
+      await Job.updateOne(
+        { _id: job._id, lockedBy: this.config.workerId },
+        {
+          $set: update,
+          $unset: { lockedAt: 1, lockedBy: 1 },
+          // Only the most recent failures are kept
+          $push: { failures: { $each: [failure], $slice: -20 } }
+        }
+      );
+
+      if (dead) {
+        console.error(`Job ${job._id} (${job.type}) moved to dead letter after ${job.attempts} attempts:`, error);
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  _backoff(attempt) {
+    const delay = Math.min(this.config.retryDelayMs * 2 ** (attempt - 1), this.config.maxRetryDelayMs);
+    // Up to 20% jitter so retries of a shared outage spread out
+    return Math.round(delay * (0.8 + Math.random() * 0.2));
+  }
+}
+
+// Error carrying the HTTP status the route should answer with
+class JobQueueError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'JobQueueError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  JobQueue,
+  JobQueueError,
+  Job
+};
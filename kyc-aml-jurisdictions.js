@@ -0,0 +1,381 @@
+/**
+ * Jurisdiction Policy
+ *
+ * Sorts countries into the categories compliance maintains from the FATF
+ * lists and local regulator guidance:
+ *
+ *   blocked                 - no onboarding and no transaction limits
+ *   high_risk               - HIGH_RISK_COUNTRY risk factor, reduced limits
+ *   enhanced_due_diligence  - reduced limits, full KYC required
+ *   allowed                 - every country the policy does not list
+ *
+ * Each category sets the minimum KYC level a resident needs before any limits
+ * apply and a multiplier on the KYC level's limits; a country entry can
+ * override either. The policy file is JSON or YAML, for example:
+ *
+ *   version: FATF 2024-06
+ *   categories:
+ *     high_risk: { minKycLevel: 3, limitMultiplier: 0.25 }
+ *   countries:
+ *     KP: blocked
+ *     Iran: blocked
+ *     MM: high_risk
+ *     AE: { category: enhanced_due_diligence, limitMultiplier: 0.75 }
+ *
+ * Countries can be given by ISO 3166-1 code or name. jurisdictionPlugin
+ * normalizes a user's `address.country` to its alpha-2 code and keeps a
+ * plaintext `jurisdiction` summary, so the users affected by a policy change
+ * can be found without decrypting every address. The file is watched, and on
+ * change the residents of every country whose rules changed are re-evaluated.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { COUNTRIES, normalizeCountry, getCountry } = require('./kyc-aml-countries');
+
+const CATEGORIES = ['blocked', 'high_risk', 'enhanced_due_diligence', 'allowed'];
+
+const DEFAULT_CATEGORY_RULES = {
+  blocked: { registration: false, highRisk: true, enhancedDueDiligence: true, minKycLevel: 3, limitMultiplier: 0 },
+  high_risk: { registration: true, highRisk: true, enhancedDueDiligence: true, minKycLevel: 3, limitMultiplier: 0.5 },
+  enhanced_due_diligence: { registration: true, highRisk: false, enhancedDueDiligence: true, minKycLevel: 2, limitMultiplier: 0.5 },
+  allowed: { registration: true, highRisk: false, enhancedDueDiligence: false, minKycLevel: 1, limitMultiplier: 1 }
+};
+
+// FATF "call for action" jurisdictions. The increased-monitoring list changes
+// after every plenary and belongs in the policy file.
+const DEFAULT_POLICY = {
+  version: 'default',
+  countries: {
+    KP: 'blocked',
+    IR: 'blocked',
+    MM: 'high_risk'
+  }
+};
+
+const OVERRIDABLE = ['minKycLevel', 'limitMultiplier'];
+
+/**
+ * Validate a policy definition and resolve country names to codes
+ * @param {Object} definition - { version, categories, countries }
+ * @param {string} fallbackVersion - Used when the file names no version
+ * @returns {Object} - { version, categories, countries: Map<alpha2, rules> }
+ */
+function validatePolicy(definition, fallbackVersion) {
+  if (!definition || typeof definition !== 'object') {
+    throw new JurisdictionError('Jurisdiction policy must be an object', 400);
+  }
+
+  const categories = {};
+  for (const category of CATEGORIES) {
+    const overrides = (definition.categories || {})[category] || {};
+    categories[category] = { ...DEFAULT_CATEGORY_RULES[category], ...validateOverrides(overrides, category) };
+  }
+  for (const category of Object.keys(definition.categories || {})) {
+    if (!CATEGORIES.includes(category)) {
+      throw new JurisdictionError(`Unknown jurisdiction category: ${category}`, 400);
+    }
+  }
+
+  const countries = new Map();
+  for (const [input, entry] of Object.entries(definition.countries || {})) {
+    const code = normalizeCountry(input);
+    if (!code) {
+      throw new JurisdictionError(`Unrecognised country in jurisdiction policy: ${input}`, 400);
+    }
+    if (countries.has(code)) {
+      throw new JurisdictionError(`Country listed twice in jurisdiction policy: ${input} (${code})`, 400);
+    }
+
+    const { category, ...overrides } = typeof entry === 'string' ? { category: entry } : (entry || {});
+    if (!CATEGORIES.includes(category)) {
+      throw new JurisdictionError(`Unknown jurisdiction category for ${input}: ${category}`, 400);
+    }
+    countries.set(code, { category, ...validateOverrides(overrides, input) });
+  }
+
+  return {
+    version: definition.version ? String(definition.version) : fallbackVersion,
+    categories,
+    countries
+  };
+}
+
+function validateOverrides(overrides, label) {
+  const result = {};
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!OVERRIDABLE.includes(key)) {
+      throw new JurisdictionError(`Unknown jurisdiction setting for ${label}: ${key}`, 400);
+    }
+    if (key === 'minKycLevel' && ![0, 1, 2, 3].includes(value)) {
+      throw new JurisdictionError(`minKycLevel for ${label} must be 0-3`, 400);
+    }
+    if (key === 'limitMultiplier' && !(typeof value === 'number' && value >= 0 && value <= 1)) {
+      throw new JurisdictionError(`limitMultiplier for ${label} must be between 0 and 1`, 400);
+    }
+    result[key] = value;
+  }
+  return result;
+}
+
+class JurisdictionPolicy {
+  constructor(config = {}) {
+    this.config = {
+      User: config.User,
+      policyFile: config.policyFile || null,
+      // (user) => void; called after a user's jurisdiction is re-applied, before the save
+      onReevaluate: config.onReevaluate || (() => {}),
+      // Editors often write a file in several steps
+      reloadDelay: config.reloadDelay || 1000
+    };
+
+    this.policy = null;
+    this.watcher = null;
+    this.reloadTimer = null;
+    this.reevaluating = null;
+  }
+
+  start() {
+    this.load();
+
+    if (this.config.policyFile && !this.watcher) {
+      // Watch the directory: editors replace the file rather than writing to it
+      const fileName = path.basename(this.config.policyFile);
+      this.watcher = fs.watch(path.dirname(path.resolve(this.config.policyFile)), (eventType, changed) => {
+        if (changed && changed !== fileName) return;
+
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => {
+          this.reload().catch(error => {
+            console.error('Jurisdiction policy reload error:', error);
+          });
+        }, this.config.reloadDelay);
+      });
+    }
+
+    // Users saved before the policy existed have no jurisdiction yet
+    return this._reevaluateWhere({ 'jurisdiction.policyVersion': { $ne: this.policy.version } }, 'policy version');
+  }
+
+  stop() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Read and validate the policy file (or the defaults)
+   * @returns {Object} - The active policy
+   */
+  load() {
+    let definition = DEFAULT_POLICY;
+    let version = DEFAULT_POLICY.version;
+
+    if (this.config.policyFile) {
+      const text = fs.readFileSync(this.config.policyFile, 'utf8');
+      const format = path.extname(this.config.policyFile).slice(1).toLowerCase();
+      definition = format === 'yaml' || format === 'yml' ? yaml.load(text) : JSON.parse(text);
+      version = crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+    }
+
+    this.policy = { ...validatePolicy(definition, version), loadedAt: new Date() };
+    return this.policy;
+  }
+
+  /**
+   * Reload the policy and re-evaluate residents of every country whose rules
+   * changed. An invalid file is reported and the previous policy kept.
+   * @returns {Promise<Object>} - { version, changedCountries, reevaluated }
+   */
+  async reload() {
+    const previous = this.policy;
+    const current = this.load();
+
+    if (previous && previous.version === current.version) {
+      return { version: current.version, changedCountries: [], reevaluated: 0 };
+    }
+
+    // null stands for users with no recognised country, who get 'allowed'
+    const changed = [null, ...COUNTRIES.map(([alpha2]) => alpha2)].filter(code =>
+      !previous || JSON.stringify(this._rules(previous, code)) !== JSON.stringify(this._rules(current, code)));
+
+    console.log(`Jurisdiction policy ${current.version} loaded; rules changed for ${changed.length} countries`);
+
+    const { reevaluated } = await this._reevaluateWhere(
+      { 'jurisdiction.country': { $in: changed } },
+      `policy ${current.version}`
+    );
+    // Everyone else only needs the new version recorded
+    await this.config.User.updateMany(
+      { 'jurisdiction.country': { $nin: changed } },
+      { $set: { 'jurisdiction.policyVersion': current.version } }
+    );
+
+    return { version: current.version, changedCountries: changed.filter(Boolean), reevaluated };
+  }
+
+  /**
+   * Rules for a country
+   * @param {string} country - Country code or name (may be empty)
+   * @returns {Object} - { country, name, category, registration, highRisk,
+   *                       enhancedDueDiligence, minKycLevel, limitMultiplier }
+   */
+  forCountry(country) {
+    const policy = this.policy || this.load();
+    const code = normalizeCountry(country);
+    const known = code ? getCountry(code) : null;
+
+    return {
+      country: code,
+      name: known ? known.name : null,
+      ...this._rules(policy, code)
+    };
+  }
+
+  isHighRisk(country) {
+    return this.forCountry(country).highRisk;
+  }
+
+  /**
+   * Check a registration's residence country
+   * @param {string} country - Country as entered (may be empty)
+   * @returns {string|null} - Alpha-2 code
+   */
+  assertRegistrationAllowed(country) {
+    if (country === undefined || country === null || country === '') return null;
+
+    const rules = this.forCountry(country);
+    if (!rules.country) {
+      throw new JurisdictionError(`Unrecognised country: ${country}`, 400);
+    }
+    if (!rules.registration) {
+      throw new JurisdictionError('We cannot open accounts for residents of this country', 403);
+    }
+    return rules.country;
+  }
+
+  /**
+   * Policy summary for the admin API
+   * @returns {Object} - { version, loadedAt, policyFile, categories, countries: [...] }
+   */
+  describe() {
+    const policy = this.policy || this.load();
+
+    return {
+      version: policy.version,
+      loadedAt: policy.loadedAt,
+      policyFile: this.config.policyFile,
+      categories: policy.categories,
+      countries: [...policy.countries.keys()].sort().map(code => this.forCountry(code))
+    };
+  }
+
+  /**
+   * Set the user's jurisdiction summary from their address (does not save)
+   * @param {Object} user - User document with PII loaded
+   */
+  apply(user) {
+    const policy = this.policy || this.load();
+    const rules = this.forCountry(user.address && user.address.country);
+
+    // Store the code so rule conditions and retention rules can match on it
+    if (rules.country && user.address.country !== rules.country) {
+      user.address.country = rules.country;
+    }
+
+    user.jurisdiction = {
+      country: rules.country,
+      category: rules.category,
+      policyVersion: policy.version,
+      evaluatedAt: new Date()
+    };
+  }
+
+  _rules(policy, code) {
+    const entry = (code && policy.countries.get(code)) || { category: 'allowed' };
+    const { category, ...overrides } = entry;
+    return { category, ...policy.categories[category], ...overrides };
+  }
+
+  async _reevaluateWhere(query, reason) {
+    // A second change while re-evaluating waits for the first to finish
+    while (this.reevaluating) {
+      await this.reevaluating.catch(() => {});
+    }
+
+    const run = (async () => {
+      let reevaluated = 0;
+      const cursor = this.config.User.find(query).cursor();
+      for (let user = await cursor.next(); user != null; user = await cursor.next()) {
+        try {
+          await user.decryptPii();
+          this.apply(user);
+          this.config.onReevaluate(user);
+          user.$locals.riskReason = `jurisdiction ${reason}`;
+          await user.save();
+          reevaluated++;
+        } catch (error) {
+          console.error(`Jurisdiction re-evaluation error for user ${user._id}:`, error);
+        }
+      }
+      return { reevaluated };
+    })();
+
+    this.reevaluating = run;
+    try {
+      return await run;
+    } finally {
+      this.reevaluating = null;
+    }
+  }
+}
+
+/**
+ * Mongoose plugin keeping `jurisdiction` in step with the user's address.
+ * Apply it before riskScoringPlugin and encryptedFieldsPlugin so it sees the
+ * plaintext address and the risk score picks up the result. `getPolicy`
+ * returns the JurisdictionPolicy instance.
+ */
+function jurisdictionPlugin(schema, options) {
+  schema.add({
+    jurisdiction: {
+      // ISO 3166-1 alpha-2 of the residence country; plaintext for policy lookups
+      country: String,
+      category: { type: String, enum: CATEGORIES },
+      policyVersion: String,
+      evaluatedAt: Date
+    }
+  });
+  schema.index({ 'jurisdiction.country': 1 });
+
+  schema.pre('save', async function () {
+    if (!this.isNew && !this.isModified('address')) return;
+
+    if (typeof this.decryptPii === 'function') {
+      await this.decryptPii();
+    }
+    options.getPolicy().apply(this);
+  });
+}
+
+// Error carrying the HTTP status the route should answer with
+class JurisdictionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'JurisdictionError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  JurisdictionPolicy,
+  JurisdictionError,
+  jurisdictionPlugin,
+  validatePolicy,
+  CATEGORIES,
+  DEFAULT_POLICY
+};
@@ -0,0 +1,562 @@
+/**
+ * Business Onboarding (KYB)
+ *
+ * Companies and other legal entities are onboarded as Entity records, opened
+ * by an individual who has passed KYC and acts as the entity's authorised
+ * representative. An entity carries its registration documents, directors
+ * and ultimate beneficial owners (UBOs).
+ *
+ * A UBO who owns at least `uboThreshold` percent (25% by default), or who
+ * controls the entity by other means, must complete individual KYC. Such a
+ * UBO is emailed an invitation and is linked to their own User account only
+ * once they accept it while signed in, so an applicant cannot claim someone
+ * else's approved profile without their consent. An entity can
+ * only be approved once every registration document is verified and every
+ * UBO who needs KYC is linked to an approved user.
+ *
+ * Entities get their own risk score (jurisdiction, entity type, industry,
+ * age, ownership transparency and the risk of their UBOs) and their own
+ * transaction limits, which apply to transactions recorded on the entity's
+ * behalf. The entities a user owns are re-assessed whenever the user's
+ * sanctions, PEP or risk status changes.
+ *
+ * The schema is exported uncompiled so the server can add the PII plugin
+ * (director and UBO personal data is encrypted like a user's) before
+ * creating the model.
+ */
+
+const mongoose = require('mongoose');
+
+const ENTITY_TYPES = ['corporation', 'llc', 'partnership', 'trust', 'foundation', 'cooperative', 'other'];
+
+const DOCUMENT_TYPES = [
+  'certificate_of_incorporation',
+  'articles_of_association',
+  'shareholder_register',
+  'register_of_directors',
+  'proof_of_address',
+  'board_resolution',
+  'other'
+];
+
+// Structures where ownership is hard to see through
+const OPAQUE_ENTITY_TYPES = ['trust', 'foundation'];
+
+const HIGH_RISK_INDUSTRIES = [
+  'money_services',
+  'virtual_asset_service_provider',
+  'gambling',
+  'precious_metals',
+  'arms',
+  'shell_company'
+];
+
+const ENTITY_RISK_FACTORS = {
+  HIGH_RISK_JURISDICTION: 75,
+  OPAQUE_STRUCTURE: 20,
+  HIGH_RISK_INDUSTRY: 25,
+  NEW_ENTITY: 15,
+  UNDISCLOSED_OWNERSHIP: 15,
+  PEP_UBO: 50,
+  SANCTIONED_UBO: 100
+};
+
+// User fields whose changes can change the risk of the entities they own
+const OWNER_RISK_FIELDS = ['isOnSanctionsList', 'isPEP', 'riskLevel'];
+
+// Institutional limits by risk level; 'extreme' blocks all activity
+const ENTITY_LIMITS = {
+  low: { daily: 1000000, rolling30d: 10000000, monthly: 10000000 },
+  medium: { daily: 1000000, rolling30d: 10000000, monthly: 10000000 },
+  high: { daily: 500000, rolling30d: 5000000, monthly: 5000000 },
+  extreme: { daily: 0, rolling30d: 0, monthly: 0 }
+};
+
+const PersonSchema = {
+  fullName: { type: String, required: true },
+  dateOfBirth: Date,
+  nationality: String
+};
+
+const EntitySchema = new mongoose.Schema({
+  legalName: { type: String, required: true },
+  registrationNumber: { type: String, required: true },
+  jurisdiction: { type: String, required: true },
+  entityType: { type: String, enum: ENTITY_TYPES, required: true },
+  incorporationDate: Date,
+  industry: String,
+  website: String,
+  registeredAddress: {
+    street: String,
+    city: String,
+    state: String,
+    postalCode: String,
+    country: String
+  },
+  // Individuals allowed to act for the entity; the first is the applicant
+  authorizedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  registrationDocuments: [{
+    type: { type: String, enum: DOCUMENT_TYPES, required: true },
+    filePath: String,
+    uploadDate: { type: Date, default: Date.now },
+    verificationStatus: {
+      type: String,
+      enum: ['pending', 'verified', 'rejected'],
+      default: 'pending'
+    },
+    reviewedBy: String,
+    reviewedAt: Date,
+    notes: String
+  }],
+  directors: [{
+    ...PersonSchema,
+    role: String,
+    appointedAt: Date,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }],
+  ubos: [{
+    ...PersonSchema,
+    email: String,
+    ownershipPercentage: { type: Number, min: 0, max: 100, default: 0 },
+    // Control through voting rights, appointment powers or otherwise
+    controlType: { type: String, enum: ['ownership', 'voting_rights', 'other_control'], default: 'ownership' },
+    kycRequired: { type: Boolean, default: false },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    invitedAt: Date,
+    linkedAt: Date
+  }],
+  kybStatus: {
+    type: String,
+    enum: ['pending', 'additional_info_required', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewNotes: String,
+  lastVerified: Date,
+  riskScore: { type: Number, default: 0 },
+  riskLevel: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'extreme'],
+    default: 'low'
+  },
+  riskFactors: [{
+    _id: false,
+    code: String,
+    points: Number,
+    detail: String
+  }],
+  transactionLimits: {
+    daily: { type: Number, default: 0 },
+    rolling30d: { type: Number, default: 0 },
+    monthly: { type: Number, default: 0 },
+    byType: mongoose.Schema.Types.Mixed
+  },
+  // Admin-set limits that take precedence over the risk-based defaults
+  limitOverrides: {
+    daily: Number,
+    rolling30d: Number,
+    monthly: Number,
+    byType: mongoose.Schema.Types.Mixed,
+    reason: String,
+    setBy: String,
+    setAt: Date,
+    expiresAt: Date
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+EntitySchema.index({ jurisdiction: 1, registrationNumber: 1 }, { unique: true });
+EntitySchema.index({ authorizedUsers: 1 });
+EntitySchema.index({ 'ubos.userId': 1 });
+EntitySchema.index({ kybStatus: 1 });
+
+class KybService {
+  constructor(config = {}) {
+    this.config = {
+      Entity: config.Entity,
+      User: config.User,
+      piiVault: config.piiVault,
+      mailer: config.mailer,
+      appUrl: config.appUrl || 'http://localhost:3000',
+      isHighRiskCountry: config.isHighRiskCountry || (() => false),
+      calculateRiskLevel: config.calculateRiskLevel,
+      // Ownership percentage from which a UBO must complete KYC
+      uboThreshold: config.uboThreshold || 25,
+      // Minimum individual KYC level for a UBO
+      uboMinKycLevel: config.uboMinKycLevel || 2
+    };
+  }
+
+  /**
+   * Open an entity application
+   * @param {Object} applicant - User document of the authorised representative
+   * @param {Object} details - Entity fields
+   * @returns {Promise<Object>} - Entity
+   */
+  async createEntity(applicant, details) {
+    if (applicant.kycStatus !== 'approved') {
+      throw new KybError('The authorised representative must complete individual KYC first', 403);
+    }
+
+    const { Entity } = this.config;
+    const existing = await Entity.exists({
+      jurisdiction: details.jurisdiction,
+      registrationNumber: details.registrationNumber
+    });
+    if (existing) {
+      throw new KybError('An entity with this registration number is already registered', 409);
+    }
+
+    const entity = new Entity({
+      legalName: details.legalName,
+      registrationNumber: details.registrationNumber,
+      jurisdiction: details.jurisdiction,
+      entityType: details.entityType,
+      incorporationDate: details.incorporationDate,
+      industry: details.industry,
+      website: details.website,
+      registeredAddress: details.registeredAddress,
+      authorizedUsers: [applicant._id]
+    });
+
+    await this.assessRisk(entity);
+    await entity.save();
+
+    return entity;
+  }
+
+  /**
+   * Load an entity the user may act for
+   * @param {string} entityId - Entity ID
+   * @param {string} userId - User ID from the token
+   * @returns {Promise<Object>} - Entity
+   */
+  async getForUser(entityId, userId) {
+    const entity = await this.config.Entity.findById(entityId);
+    if (!entity) {
+      throw new KybError('Entity not found', 404);
+    }
+    if (!entity.authorizedUsers.some(id => String(id) === String(userId))) {
+      throw new KybError('You are not authorised to act for this entity', 403);
+    }
+    return entity;
+  }
+
+  async addDocument(entity, documentType, file) {
+    entity.registrationDocuments.push({
+      type: documentType,
+      filePath: await this.config.piiVault.writeFile(file.buffer, { mimetype: file.mimetype }, { name: file.storageName })
+    });
+    this._reopen(entity);
+    await entity.save();
+
+    return entity.registrationDocuments[entity.registrationDocuments.length - 1];
+  }
+
+  async addDirector(entity, details) {
+    entity.directors.push({
+      fullName: details.fullName,
+      dateOfBirth: details.dateOfBirth,
+      nationality: details.nationality,
+      role: details.role,
+      appointedAt: details.appointedAt
+    });
+    this._reopen(entity);
+    await entity.save();
+
+    return entity.directors[entity.directors.length - 1];
+  }
+
+  /**
+   * Declare a beneficial owner. Owners above the threshold (or with other
+   * control) are invited to link their KYC profile, creating one if needed.
+   * @param {Object} entity - Entity document
+   * @param {Object} details - { fullName, dateOfBirth, nationality, email, ownershipPercentage, controlType }
+   * @returns {Promise<Object>} - UBO subdocument
+   */
+  async addUbo(entity, details) {
+    const ownershipPercentage = [undefined, null, ''].includes(details.ownershipPercentage)
+      ? 0
+      : Number(details.ownershipPercentage);
+    if (!Number.isFinite(ownershipPercentage) || ownershipPercentage < 0 || ownershipPercentage > 100) {
+      throw new KybError('ownershipPercentage must be a number from 0 to 100', 400);
+    }
+    const declared = entity.ubos.reduce((sum, ubo) => sum + (ubo.ownershipPercentage || 0), 0);
+    if (declared + ownershipPercentage > 100) {
+      throw new KybError(`Declared ownership would exceed 100% (already ${declared}%)`, 400);
+    }
+
+    const controlType = details.controlType || 'ownership';
+    const kycRequired = ownershipPercentage >= this.config.uboThreshold || controlType !== 'ownership';
+    if (kycRequired && !details.email) {
+      throw new KybError(`An email address is required for owners of ${this.config.uboThreshold}% or more and for controlling persons`, 400);
+    }
+
+    entity.ubos.push({
+      fullName: details.fullName,
+      dateOfBirth: details.dateOfBirth,
+      nationality: details.nationality,
+      email: details.email,
+      ownershipPercentage,
+      controlType,
+      kycRequired
+    });
+    const ubo = entity.ubos[entity.ubos.length - 1];
+
+    // Always invite, whether or not an account exists: the owner links
+    // themselves, and the response does not reveal who has an account
+    if (kycRequired) {
+      await this._inviteUbo(entity, ubo);
+    }
+
+    this._reopen(entity);
+    await this.assessRisk(entity);
+    await entity.save();
+
+    return ubo;
+  }
+
+  /**
+   * Link an invited UBO to the signed-in user's KYC profile
+   * @param {string} entityId - Entity ID
+   * @param {string} uboId - UBO subdocument ID
+   * @param {Object} user - User document of the UBO
+   * @returns {Promise<Object>} - Entity
+   */
+  async acceptUboInvitation(entityId, uboId, user) {
+    const entity = await this.config.Entity.findById(entityId);
+    const ubo = entity && entity.ubos.id(uboId);
+    if (!ubo) {
+      throw new KybError('Beneficial owner not found', 404);
+    }
+    if (!ubo.email || ubo.email.trim().toLowerCase() !== String(user.email).trim().toLowerCase()) {
+      throw new KybError('This invitation was sent to a different email address', 403);
+    }
+    // Only the owner of the mailbox the invitation went to can accept it
+    if (!user.emailVerified) {
+      throw new KybError('Verify your email address before accepting the invitation', 403);
+    }
+
+    ubo.userId = user._id;
+    ubo.linkedAt = new Date();
+
+    await this.assessRisk(entity);
+    await entity.save();
+
+    return entity;
+  }
+
+  /**
+   * Why an entity cannot be approved yet
+   * @param {Object} entity - Entity document
+   * @returns {Promise<string[]>} - Empty when approval is possible
+   */
+  async approvalBlockers(entity) {
+    const blockers = [];
+
+    if (entity.registrationDocuments.length === 0) {
+      blockers.push('No registration documents uploaded');
+    }
+    entity.registrationDocuments
+      .filter(doc => doc.verificationStatus !== 'verified')
+      .forEach(doc => blockers.push(`Registration document ${doc._id} (${doc.type}) is ${doc.verificationStatus}`));
+
+    if (entity.ubos.length === 0) {
+      blockers.push('No beneficial owners declared');
+    }
+
+    for (const ubo of entity.ubos.filter(owner => owner.kycRequired)) {
+      if (!ubo.userId) {
+        blockers.push(`Beneficial owner ${ubo._id} has not linked a KYC profile`);
+        continue;
+      }
+      const user = await this.config.User.findById(ubo.userId);
+      if (!user || user.kycStatus !== 'approved' || user.kycLevel < this.config.uboMinKycLevel) {
+        blockers.push(`Beneficial owner ${ubo._id} has not completed KYC level ${this.config.uboMinKycLevel}`);
+      } else if (user.isOnSanctionsList) {
+        blockers.push(`Beneficial owner ${ubo._id} is on a sanctions list`);
+      }
+    }
+
+    return blockers;
+  }
+
+  async reviewDocument(entity, documentId, verificationStatus, reviewer, notes) {
+    const doc = entity.registrationDocuments.id(documentId);
+    if (!doc) {
+      throw new KybError('Registration document not found', 404);
+    }
+    if (!['verified', 'rejected'].includes(verificationStatus)) {
+      throw new KybError('verificationStatus must be verified or rejected', 400);
+    }
+
+    doc.verificationStatus = verificationStatus;
+    doc.reviewedBy = String(reviewer);
+    doc.reviewedAt = new Date();
+    doc.notes = notes;
+    if (verificationStatus === 'rejected') {
+      entity.kybStatus = 'additional_info_required';
+    }
+
+    await entity.save();
+    return doc;
+  }
+
+  /**
+   * Approve an entity after a second reviewer signed off
+   * @param {string} entityId - Entity ID
+   * @returns {Promise<Object>} - Entity
+   */
+  async approve(entityId) {
+    const entity = await this.config.Entity.findById(entityId);
+    if (!entity) {
+      throw new KybError('Entity not found', 404);
+    }
+
+    const blockers = await this.approvalBlockers(entity);
+    if (blockers.length > 0) {
+      throw new KybError(`Entity cannot be approved: ${blockers.join('; ')}`, 409);
+    }
+
+    entity.kybStatus = 'approved';
+    entity.lastVerified = new Date();
+    await this.assessRisk(entity);
+    await entity.save();
+
+    return entity;
+  }
+
+  /**
+   * Score the entity and refresh its limits
+   * @param {Object} entity - Entity document (not saved)
+   * @returns {Promise<Object>} - Entity
+   */
+  async assessRisk(entity) {
+    const factors = [];
+    const add = (code, points, detail) => factors.push({ code, points, detail });
+
+    const countries = [entity.jurisdiction, entity.registeredAddress && entity.registeredAddress.country]
+      .filter(Boolean);
+    const highRisk = countries.find(country => this.config.isHighRiskCountry(country));
+    if (highRisk) {
+      add('HIGH_RISK_JURISDICTION', ENTITY_RISK_FACTORS.HIGH_RISK_JURISDICTION, highRisk);
+    }
+    if (OPAQUE_ENTITY_TYPES.includes(entity.entityType)) {
+      add('OPAQUE_STRUCTURE', ENTITY_RISK_FACTORS.OPAQUE_STRUCTURE, entity.entityType);
+    }
+    if (HIGH_RISK_INDUSTRIES.includes(entity.industry)) {
+      add('HIGH_RISK_INDUSTRY', ENTITY_RISK_FACTORS.HIGH_RISK_INDUSTRY, entity.industry);
+    }
+    if (!entity.incorporationDate || Date.now() - entity.incorporationDate.getTime() < 365 * 24 * 60 * 60 * 1000) {
+      add('NEW_ENTITY', ENTITY_RISK_FACTORS.NEW_ENTITY, 'Incorporated less than a year ago or date unknown');
+    }
+
+    const declared = entity.ubos.reduce((sum, ubo) => sum + (ubo.ownershipPercentage || 0), 0);
+    if (declared < 100 - this.config.uboThreshold) {
+      add('UNDISCLOSED_OWNERSHIP', ENTITY_RISK_FACTORS.UNDISCLOSED_OWNERSHIP, `${declared}% of ownership declared`);
+    }
+
+    const linkedIds = entity.ubos.filter(ubo => ubo.userId).map(ubo => ubo.userId);
+    if (linkedIds.length > 0) {
+      const owners = await this.config.User.find({ _id: { $in: linkedIds } }, { isPEP: 1, isOnSanctionsList: 1 });
+      if (owners.some(owner => owner.isOnSanctionsList)) {
+        add('SANCTIONED_UBO', ENTITY_RISK_FACTORS.SANCTIONED_UBO, 'A beneficial owner is on a sanctions list');
+      }
+      if (owners.some(owner => owner.isPEP)) {
+        add('PEP_UBO', ENTITY_RISK_FACTORS.PEP_UBO, 'A beneficial owner is a politically exposed person');
+      }
+    }
+
+    entity.riskFactors = factors;
+    entity.riskScore = factors.reduce((sum, factor) => sum + factor.points, 0);
+    // A sanctioned owner blocks the entity outright, as for an individual
+    entity.riskLevel = factors.some(factor => factor.code === 'SANCTIONED_UBO')
+      ? 'extreme'
+      : this.config.calculateRiskLevel(entity.riskScore);
+    this.setLimits(entity);
+
+    return entity;
+  }
+
+  /**
+   * Re-score the entities a user is a linked beneficial owner of
+   * @param {Object} user - User document whose sanctions, PEP or risk status changed
+   * @returns {Promise<Object[]>} - Re-assessed entities
+   */
+  async reassessForOwner(user) {
+    const entities = await this.config.Entity.find({ 'ubos.userId': user._id });
+
+    for (const entity of entities) {
+      await this.assessRisk(entity);
+      await entity.save();
+    }
+
+    return entities;
+  }
+
+  // Only approved entities may transact
+  setLimits(entity) {
+    const limits = entity.kybStatus === 'approved' ? ENTITY_LIMITS[entity.riskLevel] : ENTITY_LIMITS.extreme;
+    entity.transactionLimits = { ...limits, byType: entity.transactionLimits && entity.transactionLimits.byType };
+  }
+
+  async listPending() {
+    return this.config.Entity.find({ kybStatus: { $in: ['pending', 'additional_info_required'] } })
+      .sort({ createdAt: 1 });
+  }
+
+  // Changes to an approved entity's documents or owners need a fresh review
+  _reopen(entity) {
+    if (entity.kybStatus === 'approved' || entity.kybStatus === 'rejected') {
+      entity.kybStatus = 'pending';
+      this.setLimits(entity);
+    }
+  }
+
+  async _inviteUbo(entity, ubo) {
+    await this.config.mailer.send({
+      to: ubo.email,
+      subject: `Identity verification requested for ${entity.legalName}`,
+      text: `You have been named as a beneficial owner of ${entity.legalName}.\n\n` +
+        `If you do not have an account yet, create one and complete identity verification at ${this.config.appUrl}/register. ` +
+        `Then sign in and confirm your ownership at ${this.config.appUrl}/kyb/${entity._id}/owners/${ubo._id}.`
+    });
+    ubo.invitedAt = new Date();
+  }
+}
+
+/**
+ * Mongoose plugin for the User schema: call onChange(user) after a save that
+ * changed anything the risk of the entities they own depends on
+ */
+function trackOwnerRiskChanges(schema, options) {
+  schema.pre('save', function () {
+    this.$locals.ownerRiskChanged = !this.isNew && OWNER_RISK_FIELDS.some(field => this.isModified(field));
+  });
+
+  schema.post('save', function (user) {
+    if (!user.$locals.ownerRiskChanged) return;
+
+    Promise.resolve(options.onChange(user)).catch(error => {
+      console.error('Entity re-assessment error:', error);
+    });
+  });
+}
+
+// Error carrying the HTTP status the route should answer with
+class KybError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'KybError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  EntitySchema,
+  KybService,
+  KybError,
+  trackOwnerRiskChanges,
+  ENTITY_TYPES,
+  DOCUMENT_TYPES,
+  ENTITY_RISK_FACTORS
+};
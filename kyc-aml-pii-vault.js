@@ -0,0 +1,840 @@
+/**
+ * PII Vault
+ *
+ * Envelope encryption for customer PII and uploaded identity documents.
+ * Every record (and every stored file) is encrypted with its own AES-256-GCM
+ * data key; data keys are wrapped by a master key held by a KeyProvider:
+ *
+ *   - LocalKeyfileProvider: master keys in a JSON keyfile, for development
+ *   - HttpKmsProvider: master keys stay in a KMS reached over HTTP
+ *
+ * Encrypted fields can no longer be queried directly, so exact-match lookups
+ * (email, document number) go through blind indexes: keyed HMACs of the
+ * normalized value, stored next to the ciphertext.
+ *
+ * Rotating the master key re-encrypts records and files under a fresh data
+ * key wrapped by the new master key; records that were never encrypted are
+ * picked up by the same pass.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+
+const ALGORITHM = 'aes-256-gcm';
+const FILE_MAGIC = Buffer.from('KYCENC1\n');
+const DATA_KEY_CACHE_SIZE = 1000;
+
+/**
+ * Base class for master key providers.
+ * Data keys never leave the process unwrapped; providers only wrap and
+ * unwrap them.
+ */
+class KeyProvider {
+  constructor(config = {}) {
+    this.config = config;
+    this.name = 'base';
+  }
+
+  /**
+   * Id of the master key new data keys are wrapped with
+   * @returns {Promise<string>}
+   */
+  async getActiveKeyId() {
+    throw new Error(`${this.name} key provider does not support getActiveKeyId`);
+  }
+
+  /**
+   * Create a data key wrapped by the active master key
+   * @returns {Promise<Object>} - { keyId, plaintext: Buffer, encryptedKey: string }
+   */
+  async generateDataKey() {
+    throw new Error(`${this.name} key provider does not support generateDataKey`);
+  }
+
+  /**
+   * Unwrap a data key
+   * @param {string} keyId - Master key the data key was wrapped with
+   * @param {string} encryptedKey - Wrapped data key (base64)
+   * @returns {Promise<Buffer>} - Plaintext data key
+   */
+  async decryptDataKey(keyId, encryptedKey) {
+    throw new Error(`${this.name} key provider does not support decryptDataKey`);
+  }
+
+  /**
+   * Key used for blind indexes. It must stay stable across master key
+   * rotations, otherwise every stored index has to be rebuilt.
+   * @returns {Promise<Buffer>}
+   */
+  async getIndexKey() {
+    throw new Error(`${this.name} key provider does not support getIndexKey`);
+  }
+
+  /**
+   * Make a new master key active
+   * @returns {Promise<string>} - New active key id
+   */
+  async rotate() {
+    throw new Error(`${this.name} key provider does not support rotate`);
+  }
+}
+
+/**
+ * Master keys kept in a local JSON keyfile:
+ * { activeKeyId, keys: { [keyId]: base64 }, indexKey: base64 }
+ * The file is created on first use. Old keys are kept so data wrapped by
+ * them can still be read until it has been rotated.
+ */
+class LocalKeyfileProvider extends KeyProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'local';
+    this.config = {
+      keyfile: config.keyfile || './keys/pii-keys.json'
+    };
+    this.keys = null;
+  }
+
+  async getActiveKeyId() {
+    return this._load().activeKeyId;
+  }
+
+  async generateDataKey() {
+    const keys = this._load();
+    const plaintext = crypto.randomBytes(32);
+
+    return {
+      keyId: keys.activeKeyId,
+      plaintext,
+      encryptedKey: sealWithKey(this._masterKey(keys.activeKeyId), plaintext).toString('base64')
+    };
+  }
+
+  async decryptDataKey(keyId, encryptedKey) {
+    return openWithKey(this._masterKey(keyId), Buffer.from(encryptedKey, 'base64'));
+  }
+
+  async getIndexKey() {
+    return Buffer.from(this._load().indexKey, 'base64');
+  }
+
+  async rotate() {
+    const keys = this._load();
+    const keyId = `local-${Date.now()}`;
+
+    keys.keys[keyId] = crypto.randomBytes(32).toString('base64');
+    keys.activeKeyId = keyId;
+    this._save(keys);
+
+    return keyId;
+  }
+
+  _masterKey(keyId) {
+    const key = this._load().keys[keyId];
+    if (!key) {
+      throw new Error(`Unknown master key: ${keyId}`);
+    }
+    return Buffer.from(key, 'base64');
+  }
+
+  _load() {
+    if (this.keys) return this.keys;
+
+    if (fs.existsSync(this.config.keyfile)) {
+      this.keys = JSON.parse(fs.readFileSync(this.config.keyfile, 'utf8'));
+    } else {
+      const keyId = `local-${Date.now()}`;
+      this._save({
+        activeKeyId: keyId,
+        keys: { [keyId]: crypto.randomBytes(32).toString('base64') },
+        indexKey: crypto.randomBytes(32).toString('base64')
+      });
+    }
+
+    return this.keys;
+  }
+
+  _save(keys) {
+    fs.mkdirSync(path.dirname(this.config.keyfile), { recursive: true });
+    fs.writeFileSync(this.config.keyfile, JSON.stringify(keys, null, 2), { mode: 0o600 });
+    this.keys = keys;
+  }
+}
+
+/**
+ * Master key held by a KMS behind a small HTTP API:
+ *   POST {url}/keys/{keyId}/generate-data-key -> { plaintext, ciphertext } (base64)
+ *   POST {url}/keys/{keyId}/decrypt { ciphertext } -> { plaintext } (base64)
+ * Master keys are rotated in the KMS; point keyId at the new key and run a
+ * rotation to re-encrypt existing data.
+ */
+class HttpKmsProvider extends KeyProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'kms';
+    this.config = {
+      url: config.url,
+      token: config.token,
+      keyId: config.keyId,
+      indexKey: config.indexKey
+    };
+
+    if (!this.config.url || !this.config.keyId) {
+      throw new Error('KMS key provider requires a url and keyId');
+    }
+    if (!this.config.indexKey) {
+      throw new Error('KMS key provider requires a blind index key');
+    }
+  }
+
+  async getActiveKeyId() {
+    return this.config.keyId;
+  }
+
+  async generateDataKey() {
+    const result = await this._post(`keys/${encodeURIComponent(this.config.keyId)}/generate-data-key`, {});
+
+    return {
+      keyId: this.config.keyId,
+      plaintext: Buffer.from(result.plaintext, 'base64'),
+      encryptedKey: result.ciphertext
+    };
+  }
+
+  async decryptDataKey(keyId, encryptedKey) {
+    const result = await this._post(`keys/${encodeURIComponent(keyId)}/decrypt`, { ciphertext: encryptedKey });
+    return Buffer.from(result.plaintext, 'base64');
+  }
+
+  async getIndexKey() {
+    return Buffer.from(this.config.indexKey, 'base64');
+  }
+
+  async rotate() {
+    throw new Error('Rotate the master key in the KMS and update PII_KMS_KEY_ID, then re-run the rotation');
+  }
+
+  async _post(endpoint, body) {
+    const response = await fetch(`${this.config.url.replace(/\/$/, '')}/${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.config.token ? { Authorization: `Bearer ${this.config.token}` } : {})
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      throw new Error(`KMS request failed: ${response.status}`);
+    }
+
+    return response.json();
+  }
+}
+
+class PiiVault {
+  constructor(config = {}) {
+    this.config = {
+      keyProvider: config.keyProvider || new LocalKeyfileProvider(),
+      storageDir: config.storageDir || './uploads'
+    };
+
+    this.dataKeys = new Map();
+    this.indexKey = null;
+  }
+
+  async getActiveKeyId() {
+    return this.config.keyProvider.getActiveKeyId();
+  }
+
+  /**
+   * Switch new encryptions to a new master key. Existing data stays readable
+   * and is moved over by rotateRecords() and rotateFile().
+   * @returns {Promise<string>} - New active key id
+   */
+  async rotateMasterKey() {
+    return this.config.keyProvider.rotate();
+  }
+
+  /**
+   * Encrypt a JSON-serializable record
+   * @param {Object} plain - Values to encrypt
+   * @param {Object} previous - Previous encrypted record; its data key is reused while its master key is active
+   * @returns {Promise<Object>} - { keyId, encryptedKey, iv, tag, data } (base64 strings)
+   */
+  async encryptRecord(plain, previous) {
+    const activeKeyId = await this.getActiveKeyId();
+    let dataKey;
+
+    if (previous && previous.encryptedKey && previous.keyId === activeKeyId) {
+      dataKey = {
+        keyId: previous.keyId,
+        encryptedKey: previous.encryptedKey,
+        plaintext: await this._unwrap(previous.keyId, previous.encryptedKey)
+      };
+    } else {
+      dataKey = await this._generateDataKey();
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, dataKey.plaintext, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(plain), 'utf8'), cipher.final()]);
+
+    return {
+      keyId: dataKey.keyId,
+      encryptedKey: dataKey.encryptedKey,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  /**
+   * Decrypt a record produced by encryptRecord()
+   * @param {Object} record - Encrypted record
+   * @returns {Promise<Object>} - Plain values
+   */
+  async decryptRecord(record) {
+    const key = await this._unwrap(record.keyId, record.encryptedKey);
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(record.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+
+    const plain = Buffer.concat([
+      decipher.update(Buffer.from(record.data, 'base64')),
+      decipher.final()
+    ]);
+
+    return JSON.parse(plain.toString('utf8'));
+  }
+
+  /**
+   * Blind index for exact-match lookups on an encrypted value
+   * @param {string} name - Index name; values indexed under different names never collide
+   * @param {string} value - Normalized value
+   * @returns {Promise<string>} - Hex HMAC
+   */
+  async blindIndex(name, value) {
+    if (!this.indexKey) {
+      this.indexKey = await this.config.keyProvider.getIndexKey();
+    }
+
+    return crypto.createHmac('sha256', this.indexKey).update(`${name}:${value}`).digest('hex');
+  }
+
+  /**
+   * Encrypt and store an uploaded file. Files are named after `options.name`
+   * (a keyed content hash, see contentName()) plus a tag of the master key,
+   * so a re-encrypted copy never overwrites the original; without a name they
+   * get a random one.
+   * @param {Buffer} content - File contents
+   * @param {Object} metadata - Stored alongside the ciphertext, e.g. { mimetype }
+   * @param {Object} options - { name }
+   * @returns {Promise<string>} - Path of the stored file
+   */
+  async writeFile(content, metadata = {}, options = {}) {
+    fs.mkdirSync(this.config.storageDir, { recursive: true });
+
+    const { sealed, keyId } = await this._sealFile(content, metadata);
+    const fileName = options.name
+      ? `${options.name}.${crypto.createHash('sha256').update(keyId).digest('hex').slice(0, 8)}.enc`
+      : `${crypto.randomUUID()}.enc`;
+    const filePath = path.join(this.config.storageDir, fileName);
+
+    // A named file is never overwritten. One that already exists holds the
+    // same content under the same key, left by a request that failed after
+    // storing it, so it is reused and the retry can go through.
+    try {
+      await fs.promises.writeFile(filePath, sealed, { mode: 0o600, flag: options.name ? 'wx' : 'w' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Content name a stored file was written under
+   * @param {string} filePath - Path returned by writeFile()
+   * @returns {string|null} - Name passed to writeFile(), or null for randomly named files
+   */
+  storedName(filePath) {
+    const named = path.basename(String(filePath)).match(/^([0-9a-f]{64})\.[0-9a-f]{8}\.enc$/);
+    return named ? named[1] : null;
+  }
+
+  /**
+   * Storage name for a file: a keyed hash, so equal contents can be
+   * recognised without the name revealing anything about them
+   * @param {string} scope - Kept apart from other scopes, e.g. `${userId}:selfie`
+   * @param {Buffer} content - File contents
+   * @returns {Promise<string>} - Hex name
+   */
+  async contentName(scope, content) {
+    return this.blindIndex('file', `${scope}:${crypto.createHash('sha256').update(content).digest('hex')}`);
+  }
+
+  /**
+   * Read and decrypt a stored file
+   * @param {string} filePath - Path returned by writeFile()
+   * @returns {Promise<Object>} - { content: Buffer, metadata }
+   */
+  async readFile(filePath) {
+    const stored = await fs.promises.readFile(filePath);
+    if (!isEncryptedFile(stored)) {
+      throw new Error(`File is not encrypted: ${filePath}`);
+    }
+
+    const { header, body } = splitFile(stored);
+    const key = await this._unwrap(header.keyId, header.encryptedKey);
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(header.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(header.tag, 'base64'));
+
+    return {
+      content: Buffer.concat([decipher.update(body), decipher.final()]),
+      metadata: header.metadata || {}
+    };
+  }
+
+  /**
+   * Re-encrypt a stored file under the active master key. Plaintext files
+   * left over from before encryption are encrypted too. The old file is left
+   * in place; delete it with deleteFile() once the new path is saved.
+   * @param {string} filePath - Stored file
+   * @returns {Promise<string|null>} - New path, or null when the file was already current or is missing
+   */
+  async rotateFile(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) return null;
+
+    const stored = await fs.promises.readFile(filePath);
+    let content = stored;
+    let metadata = {};
+
+    if (isEncryptedFile(stored)) {
+      const { header } = splitFile(stored);
+      if (header.keyId === await this.getActiveKeyId()) return null;
+      ({ content, metadata } = await this.readFile(filePath));
+    }
+
+    // Content-named files keep their name; the key tag changes with the key
+    return this.writeFile(content, metadata, { name: this.storedName(filePath) || undefined });
+  }
+
+  /**
+   * Overwrite a stored file with random bytes before deleting it
+   * @param {string} filePath - Stored file
+   */
+  async shredFile(filePath) {
+    let handle;
+    try {
+      handle = await fs.promises.open(filePath, 'r+');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    try {
+      const { size } = await handle.stat();
+      await handle.write(crypto.randomBytes(size), 0, size, 0);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    await this.deleteFile(filePath);
+  }
+
+  async deleteFile(filePath) {
+    await fs.promises.unlink(filePath).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  async _sealFile(content, metadata) {
+    const dataKey = await this._generateDataKey();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, dataKey.plaintext, iv);
+    const body = Buffer.concat([cipher.update(content), cipher.final()]);
+
+    const header = Buffer.from(JSON.stringify({
+      keyId: dataKey.keyId,
+      encryptedKey: dataKey.encryptedKey,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      metadata
+    }) + '\n');
+
+    return { sealed: Buffer.concat([FILE_MAGIC, header, body]), keyId: dataKey.keyId };
+  }
+
+  async _generateDataKey() {
+    const dataKey = await this.config.keyProvider.generateDataKey();
+    this._cache(`${dataKey.keyId}:${dataKey.encryptedKey}`, dataKey.plaintext);
+    return dataKey;
+  }
+
+  async _unwrap(keyId, encryptedKey) {
+    const cacheKey = `${keyId}:${encryptedKey}`;
+    if (!this.dataKeys.has(cacheKey)) {
+      this._cache(cacheKey, await this.config.keyProvider.decryptDataKey(keyId, encryptedKey));
+    }
+    return this.dataKeys.get(cacheKey);
+  }
+
+  _cache(cacheKey, plaintext) {
+    if (this.dataKeys.size >= DATA_KEY_CACHE_SIZE) {
+      this.dataKeys.delete(this.dataKeys.keys().next().value);
+    }
+    this.dataKeys.set(cacheKey, plaintext);
+  }
+}
+
+/**
+ * Mongoose plugin that keeps the configured paths encrypted at rest.
+ *
+ * Options:
+ *   vault         - PiiVault
+ *   fields        - Top-level paths to encrypt, e.g. ['fullName', 'address']
+ *   subdocuments  - { arrayPath: [field, ...] } for fields inside document arrays
+ *   blindIndexes  - { name: { path, normalize, unique } } exact-match lookups
+ *
+ * On save the plaintext values move into an encrypted `pii` record and the
+ * paths are unset in the database. Documents returned by find/findOne are
+ * decrypted transparently; documents read some other way (cursors) can call
+ * `await doc.decryptPii()`. Query filters on a blind-indexed path with a
+ * plain value ($eq or $in), also inside $and/$or/$nor, are rewritten to use
+ * the index; any other filter on an encrypted path is refused.
+ */
+function encryptedFieldsPlugin(schema, options) {
+  const { vault, fields = [], subdocuments = {}, blindIndexes = {} } = options;
+  const encryptedPaths = fields.concat(
+    ...Object.entries(subdocuments).map(([arrayPath, subFields]) => subFields.map(field => `${arrayPath}.${field}`))
+  );
+
+  const indexDefinition = {};
+  Object.entries(blindIndexes).forEach(([name, index]) => {
+    const inArray = Object.keys(subdocuments).some(arrayPath => index.path.startsWith(`${arrayPath}.`));
+    indexDefinition[name] = inArray
+      ? { type: [String], index: true }
+      : { type: String, index: index.unique ? { unique: true, sparse: true } : true };
+  });
+
+  schema.add({
+    pii: {
+      keyId: String,
+      encryptedKey: String,
+      iv: String,
+      tag: String,
+      data: String
+    },
+    blindIndex: indexDefinition
+  });
+
+  // Encrypted paths are empty in the database, so "required" only applies
+  // while the plaintext is actually loaded
+  encryptedPaths.forEach(encryptedPath => {
+    const schemaType = schema.path(encryptedPath);
+    if (schemaType && schemaType.isRequired) {
+      schemaType.required(function () {
+        const doc = typeof this.ownerDocument === 'function' ? this.ownerDocument() : this;
+        return !hasEncryptedRecord(doc) || !!doc.$locals.piiLoaded;
+      });
+    }
+  });
+
+  const normalizeFor = name => blindIndexes[name].normalize || (value => String(value).trim());
+
+  schema.methods.decryptPii = async function () {
+    if (this.$locals.piiLoaded || !hasEncryptedRecord(this)) return this;
+
+    const plain = await vault.decryptRecord(this.pii);
+
+    fields.forEach(field => {
+      if (!this.isModified(field) && plain[field] !== undefined && plain[field] !== null) {
+        this.set(field, plain[field]);
+        this.unmarkModified(field);
+      }
+    });
+
+    Object.entries(subdocuments).forEach(([arrayPath, subFields]) => {
+      const stored = (plain.subdocuments && plain.subdocuments[arrayPath]) || {};
+      (this.get(arrayPath) || []).forEach((sub, index) => {
+        const values = stored[String(sub._id)];
+        if (!values) return;
+
+        subFields.forEach(field => {
+          // The array path is marked modified as a whole on push, so check the value itself
+          if ((sub.get(field) === undefined || sub.get(field) === null) && values[field] !== undefined) {
+            sub.set(field, values[field]);
+            this.unmarkModified(`${arrayPath}.${index}.${field}`);
+          }
+        });
+      });
+    });
+
+    this.$locals.piiLoaded = true;
+    return this;
+  };
+
+  schema.pre('save', async function () {
+    const changed = this.isNew ||
+      !hasEncryptedRecord(this) ||
+      this.$locals.piiReencrypt ||
+      encryptedPaths.some(encryptedPath => this.isModified(encryptedPath.split('.')[0]));
+
+    if (!changed) return;
+
+    // Fill in anything that was never decrypted so it is not lost on re-encryption
+    await this.decryptPii();
+
+    const snapshot = this.toObject({ depopulate: true, virtuals: false });
+    const plain = {};
+    fields.forEach(field => {
+      plain[field] = snapshot[field];
+    });
+
+    plain.subdocuments = {};
+    Object.entries(subdocuments).forEach(([arrayPath, subFields]) => {
+      plain.subdocuments[arrayPath] = {};
+      (snapshot[arrayPath] || []).forEach(sub => {
+        plain.subdocuments[arrayPath][String(sub._id)] = pick(sub, subFields);
+      });
+    });
+
+    const previous = this.$locals.piiReencrypt ? null : (hasEncryptedRecord(this) ? this.pii.toObject() : null);
+    this.pii = await vault.encryptRecord(plain, previous);
+
+    for (const [name, index] of Object.entries(blindIndexes)) {
+      const values = collectValues(snapshot, index.path)
+        .filter(value => value !== undefined && value !== null && value !== '');
+      const hashes = await Promise.all(values.map(value => vault.blindIndex(name, normalizeFor(name)(value))));
+      const inArray = Array.isArray(schema.path(`blindIndex.${name}`).options.type);
+      this.set(`blindIndex.${name}`, inArray ? hashes : hashes[0]);
+    }
+
+    // Keep the plaintext for the caller but unset it in the database
+    this.$locals.piiPlaintext = plain;
+    this.$locals.piiReencrypt = false;
+    fields.forEach(field => this.set(field, undefined));
+    Object.entries(subdocuments).forEach(([arrayPath, subFields]) => {
+      (this.get(arrayPath) || []).forEach(sub => {
+        subFields.forEach(field => sub.set(field, undefined));
+      });
+    });
+  });
+
+  schema.post('save', function () {
+    const plain = this.$locals.piiPlaintext;
+    if (!plain) return;
+
+    fields.forEach(field => {
+      if (plain[field] !== undefined && plain[field] !== null) {
+        this.set(field, plain[field]);
+      }
+      this.unmarkModified(field);
+    });
+
+    Object.entries(subdocuments).forEach(([arrayPath, subFields]) => {
+      (this.get(arrayPath) || []).forEach((sub, index) => {
+        const values = plain.subdocuments[arrayPath][String(sub._id)] || {};
+        subFields.forEach(field => {
+          sub.set(field, values[field]);
+          this.unmarkModified(`${arrayPath}.${index}.${field}`);
+        });
+      });
+    });
+
+    this.$locals.piiPlaintext = null;
+    this.$locals.piiLoaded = true;
+  });
+
+  // Encrypted paths are unset in the database; a filter on one that is not
+  // rewritten to a blind index would silently match nothing
+  const isEncryptedKey = key => encryptedPaths.some(encryptedPath =>
+    encryptedPath === key || key.startsWith(`${encryptedPath}.`));
+
+  const rewriteFilter = async filter => {
+    let rewritten = false;
+
+    for (const operator of ['$and', '$or', '$nor']) {
+      if (!Array.isArray(filter[operator])) continue;
+      for (const clause of filter[operator]) {
+        if (clause && await rewriteFilter(clause)) rewritten = true;
+      }
+    }
+
+    for (const [name, index] of Object.entries(blindIndexes)) {
+      if (!(index.path in filter)) continue;
+
+      const condition = filter[index.path];
+      const hash = value => vault.blindIndex(name, normalizeFor(name)(value));
+
+      if (condition === undefined || condition === null) {
+        // Never let a missing value match every document with the path unset
+        filter[`blindIndex.${name}`] = { $in: [] };
+      } else if (typeof condition === 'string') {
+        filter[`blindIndex.${name}`] = await hash(condition);
+      } else if (typeof condition.$eq === 'string' && Object.keys(condition).length === 1) {
+        filter[`blindIndex.${name}`] = await hash(condition.$eq);
+      } else if (Array.isArray(condition.$in) && Object.keys(condition).length === 1) {
+        filter[`blindIndex.${name}`] = { $in: await Promise.all(condition.$in.map(hash)) };
+      } else {
+        throw new Error(`Only exact-match lookups are supported on encrypted path ${index.path}`);
+      }
+
+      delete filter[index.path];
+      rewritten = true;
+    }
+
+    const unsupported = Object.keys(filter).find(isEncryptedKey);
+    if (unsupported) {
+      throw new Error(`Encrypted path ${unsupported} can only be queried by exact match on a blind index`);
+    }
+
+    return rewritten;
+  };
+
+  const rewriteQuery = async function () {
+    const filter = this.getFilter();
+
+    if (await rewriteFilter(filter)) {
+      this.setQuery(filter);
+    }
+
+    // Inclusive projections naming an encrypted path also need the ciphertext
+    const projection = this.projection();
+    if (projection && Object.keys(projection).some(key =>
+      projection[key] && encryptedPaths.some(encryptedPath => encryptedPath === key || encryptedPath.startsWith(`${key}.`)))) {
+      this.select('pii');
+    }
+  };
+
+  const decryptResults = async function (result) {
+    const docs = Array.isArray(result) ? result : [result];
+    await Promise.all(docs
+      .filter(doc => doc && typeof doc.decryptPii === 'function')
+      .map(doc => doc.decryptPii()));
+  };
+
+  ['find', 'findOne', 'findOneAndUpdate', 'countDocuments'].forEach(operation => {
+    schema.pre(operation, rewriteQuery);
+  });
+  ['find', 'findOne', 'findOneAndUpdate'].forEach(operation => {
+    schema.post(operation, decryptResults);
+  });
+}
+
+/**
+ * Re-encrypt every document of a model that is not yet under the active
+ * master key (including documents stored before encryption was enabled)
+ * @param {Object} vault - PiiVault
+ * @param {Object} Model - Mongoose model using encryptedFieldsPlugin
+ * @returns {Promise<number>} - Documents re-encrypted
+ */
+async function rotateRecords(vault, Model) {
+  const activeKeyId = await vault.getActiveKeyId();
+  const cursor = Model.find({ 'pii.keyId': { $ne: activeKeyId } }).cursor();
+  let count = 0;
+
+  for (let doc = await cursor.next(); doc != null; doc = await cursor.next()) {
+    await doc.decryptPii();
+    doc.$locals.piiReencrypt = true;
+    await doc.save();
+    count++;
+  }
+
+  return count;
+}
+
+/**
+ * Build a vault from environment variables
+ * PII_KEY_PROVIDER selects 'local' (PII_KEYFILE) or 'kms' (PII_KMS_URL,
+ * PII_KMS_TOKEN, PII_KMS_KEY_ID, PII_BLIND_INDEX_KEY); UPLOAD_DIR is where
+ * encrypted files are stored. A local keyfile generated on each instance
+ * would leave them unable to read each other's data, so unless NODE_ENV is
+ * development or test the server will not start without PII_KEY_PROVIDER.
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {PiiVault} - Configured vault
+ */
+function createVaultFromEnv(env = process.env) {
+  if (!env.PII_KEY_PROVIDER && !['development', 'test'].includes(env.NODE_ENV)) {
+    throw new Error('PII_KEY_PROVIDER is not set: use kms, or local with a PII_KEYFILE every instance shares');
+  }
+
+  let keyProvider;
+
+  switch (env.PII_KEY_PROVIDER || 'local') {
+    case 'local':
+      keyProvider = new LocalKeyfileProvider({ keyfile: env.PII_KEYFILE });
+      break;
+    case 'kms':
+      keyProvider = new HttpKmsProvider({
+        url: env.PII_KMS_URL,
+        token: env.PII_KMS_TOKEN,
+        keyId: env.PII_KMS_KEY_ID,
+        indexKey: env.PII_BLIND_INDEX_KEY
+      });
+      break;
+    default:
+      throw new Error(`Unknown PII_KEY_PROVIDER: ${env.PII_KEY_PROVIDER}`);
+  }
+
+  return new PiiVault({ keyProvider, storageDir: env.UPLOAD_DIR });
+}
+
+function sealWithKey(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function openWithKey(key, sealed) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, sealed.subarray(0, 12));
+  decipher.setAuthTag(sealed.subarray(12, 28));
+  return Buffer.concat([decipher.update(sealed.subarray(28)), decipher.final()]);
+}
+
+function isEncryptedFile(content) {
+  return content.length > FILE_MAGIC.length && content.subarray(0, FILE_MAGIC.length).equals(FILE_MAGIC);
+}
+
+function splitFile(content) {
+  const headerEnd = content.indexOf(0x0a, FILE_MAGIC.length);
+  return {
+    header: JSON.parse(content.subarray(FILE_MAGIC.length, headerEnd).toString('utf8')),
+    body: content.subarray(headerEnd + 1)
+  };
+}
+
+function hasEncryptedRecord(doc) {
+  return !!(doc.pii && doc.pii.data);
+}
+
+function collectValues(object, dottedPath) {
+  const [head, ...rest] = dottedPath.split('.');
+  const value = object ? object[head] : undefined;
+
+  if (rest.length === 0) return Array.isArray(value) ? value : [value];
+  if (Array.isArray(value)) return value.flatMap(item => collectValues(item, rest.join('.')));
+  return collectValues(value, rest.join('.'));
+}
+
+function pick(object, keys) {
+  const picked = {};
+  keys.forEach(key => {
+    picked[key] = object[key];
+  });
+  return picked;
+}
+
+module.exports = {
+  KeyProvider,
+  LocalKeyfileProvider,
+  HttpKmsProvider,
+  PiiVault,
+  encryptedFieldsPlugin,
+  rotateRecords,
+  createVaultFromEnv
+};
@@ -0,0 +1,384 @@
+/**
+ * Data-Subject Rights (GDPR / CCPA)
+ *
+ * Customers can download a machine-readable export of their data and ask
+ * for it to be erased. Erasure requests wait in an admin queue; completing
+ * one either deletes the customer outright or, when AML record-keeping rules
+ * require part of their data to be kept, pseudonymizes the account and logs
+ * which records were retained, until when and on what legal basis.
+ *
+ * Suspicious activity reports and internal AML risk assessments are never
+ * disclosed in exports (tipping-off prohibition); the export lists them as
+ * withheld with the legal basis instead.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Report types that may be shown to the customer, and the fields shown
+const DISCLOSABLE_REPORT_TYPES = ['CTR', 'regular_review'];
+const DISCLOSABLE_REPORT_FIELDS = ['type', 'reportDate', 'businessDate', 'currency', 'totalAmount', 'status'];
+
+const TRANSACTION_EXPORT_FIELDS = [
+  'transactionHash', 'walletAddress', 'amount', 'currency', 'timestamp', 'type', 'counterpartyAddress'
+];
+
+const LEGAL_BASES = {
+  amlRecordKeeping: 'AML record-keeping obligation (FATF Recommendation 11; 31 CFR 1010.430; EU Directive 2015/849 Art. 40)',
+  sarConfidentiality: 'Suspicious activity reports may not be disclosed to the subject (31 USC 5318(g)(2); EU Directive 2015/849 Art. 39)',
+  amlRiskAssessment: 'Internal AML risk assessments are exempt from access requests where disclosure would prejudice the prevention of money laundering (GDPR Art. 23(1)(d))'
+};
+
+const PrivacyRequestSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  type: { type: String, enum: ['export', 'erasure'], required: true },
+  regulation: { type: String, enum: ['GDPR', 'CCPA'], default: 'GDPR' },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'rejected'],
+    default: 'pending'
+  },
+  reason: String,
+  requestedAt: { type: Date, default: Date.now },
+  dueAt: Date,
+  handledBy: String,
+  handledAt: Date,
+  note: String,
+  outcome: { type: String, enum: ['exported', 'deleted', 'pseudonymized'] },
+  // Records kept despite an erasure request, with why and until when
+  retainedRecords: [{
+    _id: false,
+    dataClass: String,
+    count: Number,
+    legalBasis: String,
+    retainUntil: Date
+  }]
+});
+
+PrivacyRequestSchema.index({ type: 1, status: 1, dueAt: 1 });
+
+const PrivacyRequest = mongoose.model('PrivacyRequest', PrivacyRequestSchema);
+
+class PrivacyService {
+  constructor(config = {}) {
+    this.config = {
+      User: config.User,
+      Transaction: config.Transaction,
+      Report: config.Report,
+      Case: config.Case,
+      SanctionsHit: config.SanctionsHit,
+      piiVault: config.piiVault,
+      // (filePaths) => void, called once stored files are deleted
+      releaseUploads: config.releaseUploads || (async () => {}),
+      authService: config.authService,
+      notifyUser: config.notifyUser || (async () => {}),
+      // (user) => void; recalculates limits after an erased customer's KYC is closed
+      setTransactionLimits: config.setTransactionLimits || (() => {}),
+      // How long AML records are kept after the customer relationship ends
+      retentionYears: config.retentionYears || 5,
+      // Statutory response deadline (GDPR: one month; CCPA: 45 days)
+      responseDays: config.responseDays || { GDPR: 30, CCPA: 45 }
+    };
+  }
+
+  /**
+   * Build the customer's data export
+   * @param {string} userId - User id
+   * @returns {Promise<Object>} - Export archive
+   */
+  async buildExport(userId) {
+    const { User, Transaction, Report, piiVault } = this.config;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new PrivacyError('User not found', 404);
+    }
+
+    const documents = [];
+    for (const doc of user.identityDocuments) {
+      documents.push({
+        type: doc.type,
+        documentNumber: doc.documentNumber,
+        issuingCountry: doc.issuingCountry,
+        issueDate: doc.issueDate,
+        expiryDate: doc.expiryDate,
+        verificationStatus: doc.verificationStatus,
+        file: await this._exportFile(doc.documentImage)
+      });
+    }
+
+    const transactions = await Transaction.find({ userId: user._id })
+      .sort({ timestamp: 1 })
+      .select(TRANSACTION_EXPORT_FIELDS.join(' '))
+      .lean();
+
+    const reports = await Report.find({ userId: user._id, type: { $in: DISCLOSABLE_REPORT_TYPES } })
+      .sort({ reportDate: 1 })
+      .select(DISCLOSABLE_REPORT_FIELDS.join(' '))
+      .lean();
+
+    await new PrivacyRequest({
+      userId: user._id,
+      type: 'export',
+      status: 'completed',
+      handledBy: 'system',
+      handledAt: new Date(),
+      outcome: 'exported'
+    }).save();
+
+    return {
+      format: 'stabulum-privacy-export',
+      version: 1,
+      generatedAt: new Date(),
+      user: {
+        id: user._id,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        fullName: user.fullName,
+        dateOfBirth: user.dateOfBirth,
+        address: user.address,
+        phoneNumber: user.phoneNumber,
+        kycStatus: user.kycStatus,
+        kycLevel: user.kycLevel,
+        lastVerified: user.lastVerified,
+        walletAddresses: user.walletAddresses,
+        walletProofs: user.walletProofs,
+        transactionLimits: user.transactionLimits,
+        createdAt: user.createdAt
+      },
+      documents,
+      selfie: await this._exportFile(user.selfieImage),
+      transactions: transactions.map(transaction => stripId(transaction)),
+      reports: reports.map(report => stripId(report)),
+      withheld: [
+        { dataClass: 'suspicious_activity_reports', legalBasis: LEGAL_BASES.sarConfidentiality },
+        { dataClass: 'aml_risk_assessments', legalBasis: LEGAL_BASES.amlRiskAssessment }
+      ]
+    };
+  }
+
+  /**
+   * Open an erasure request for the admin queue
+   * @param {string} userId - User id
+   * @param {Object} details - { regulation, reason }
+   * @returns {Promise<Object>} - PrivacyRequest
+   */
+  async requestErasure(userId, details = {}) {
+    const existing = await PrivacyRequest.findOne({ userId, type: 'erasure', status: 'pending' });
+    if (existing) {
+      throw new PrivacyError('An erasure request is already pending', 409);
+    }
+
+    const regulation = details.regulation || 'GDPR';
+    const responseDays = this.config.responseDays[regulation];
+    if (!responseDays) {
+      throw new PrivacyError(`Unsupported regulation: ${regulation}`, 400);
+    }
+
+    const request = new PrivacyRequest({
+      userId,
+      type: 'erasure',
+      regulation,
+      reason: details.reason,
+      dueAt: new Date(Date.now() + responseDays * DAY_MS)
+    });
+    await request.save();
+
+    return request;
+  }
+
+  async listRequests(filters = {}) {
+    const query = {};
+    if (filters.type) query.type = filters.type;
+    if (filters.status) query.status = filters.status;
+    if (filters.userId) query.userId = filters.userId;
+
+    return PrivacyRequest.find(query).sort({ dueAt: 1, requestedAt: 1 }).limit(500);
+  }
+
+  /**
+   * Work out which of a user's records AML law requires us to keep
+   * @param {Object} user - User document
+   * @returns {Promise<Object[]>} - [{ dataClass, count, legalBasis, retainUntil }]
+   */
+  async retentionObligations(user, now = new Date()) {
+    const { Transaction, Report, Case, SanctionsHit } = this.config;
+    const retainUntil = new Date(now);
+    retainUntil.setUTCFullYear(retainUntil.getUTCFullYear() + this.config.retentionYears);
+
+    const counts = {
+      customer_due_diligence: user.kycLevel > 0 || user.identityDocuments.length > 0 ? 1 : 0,
+      transactions: await Transaction.countDocuments({ userId: user._id }),
+      regulatory_reports: await Report.countDocuments({ userId: user._id }),
+      investigations: (Case ? await Case.countDocuments({ userId: user._id }) : 0) +
+        (SanctionsHit ? await SanctionsHit.countDocuments({ userId: user._id }) : 0)
+    };
+
+    return Object.entries(counts)
+      .filter(([, count]) => count > 0)
+      .map(([dataClass, count]) => ({
+        dataClass,
+        count,
+        legalBasis: LEGAL_BASES.amlRecordKeeping,
+        retainUntil
+      }));
+  }
+
+  /**
+   * Carry out a pending erasure request
+   * @param {string} requestId - PrivacyRequest id
+   * @param {string} handlerId - Staff member handling the request
+   * @param {string} note - Handling note
+   * @returns {Promise<Object>} - Completed PrivacyRequest
+   */
+  async completeErasure(requestId, handlerId, note) {
+    const request = await this._loadPending(requestId, 'erasure');
+    const { User, authService } = this.config;
+
+    const user = await User.findById(request.userId);
+    if (!user) {
+      throw new PrivacyError('User not found', 404);
+    }
+
+    const retained = await this.retentionObligations(user);
+    // The address is erased below; the notice goes out once the request is done
+    const recipient = { _id: user._id, email: user.email, fullName: user.fullName };
+
+    await authService.revokeAllForUser(user._id, 'erased');
+
+    if (retained.length === 0) {
+      await this._deleteUser(user);
+      request.outcome = 'deleted';
+    } else {
+      await this._pseudonymizeUser(user, request, retained);
+      request.outcome = 'pseudonymized';
+    }
+
+    request.status = 'completed';
+    request.handledBy = String(handlerId);
+    request.handledAt = new Date();
+    request.note = note;
+    request.retainedRecords = retained;
+    await request.save();
+
+    try {
+      await this.config.notifyUser(recipient, 'privacy_erasure_completed', {
+        requestId: request._id,
+        retainedRecords: retained.map(record => `${record.dataClass} until ${record.retainUntil.toISOString().slice(0, 10)}`).join(', ') || 'none'
+      });
+    } catch (error) {
+      console.error(`Erasure notice for request ${request._id} failed:`, error);
+    }
+
+    return request;
+  }
+
+  async rejectRequest(requestId, handlerId, note) {
+    if (!note) {
+      throw new PrivacyError('A note explaining the rejection is required', 400);
+    }
+
+    const request = await this._loadPending(requestId);
+    request.status = 'rejected';
+    request.handledBy = String(handlerId);
+    request.handledAt = new Date();
+    request.note = note;
+    await request.save();
+
+    return request;
+  }
+
+  // Keep the CDD record (encrypted, for regulators only) and strip the
+  // account down to what AML monitoring still needs
+  async _pseudonymizeUser(user, request, retained) {
+    const retainUntil = retained.reduce((latest, record) =>
+      (record.retainUntil > latest ? record.retainUntil : latest), retained[0].retainUntil);
+
+    user.retainedIdentity = {
+      email: user.email,
+      fullName: user.fullName,
+      dateOfBirth: user.dateOfBirth,
+      address: user.toObject().address
+    };
+
+    const birthYear = user.dateOfBirth ? new Date(user.dateOfBirth).getUTCFullYear() : 1900;
+
+    user.email = `erased-${user._id}@erased.invalid`;
+    user.fullName = `Erased user ${crypto.createHash('sha256').update(String(user._id)).digest('hex').slice(0, 12)}`;
+    user.dateOfBirth = new Date(Date.UTC(birthYear, 0, 1));
+    user.address = { country: user.address ? user.address.country : undefined };
+    user.phoneNumber = undefined;
+    user.password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    user.emailVerified = false;
+    user.roles = [];
+    // The relationship is over: no limits, and the wallets are rejected on-chain
+    user.kycStatus = 'rejected';
+    user.kycLevel = 0;
+    user.limitOverrides = undefined;
+    this.config.setTransactionLimits(user);
+    user.erasure = {
+      requestId: request._id,
+      erasedAt: new Date(),
+      retainUntil
+    };
+    // Retention periods for the kept records count from here
+    user.relationshipEndedAt = user.erasure.erasedAt;
+
+    await user.save();
+  }
+
+  async _deleteUser(user) {
+    const { User, piiVault } = this.config;
+
+    const files = user.identityDocuments.map(doc => doc.documentImage).concat(user.selfieImage).filter(Boolean);
+    await User.deleteOne({ _id: user._id });
+    await Promise.all(files.map(filePath => piiVault.deleteFile(filePath)));
+    await this.config.releaseUploads(files);
+  }
+
+  async _exportFile(filePath) {
+    if (!filePath) return null;
+
+    try {
+      const { content, metadata } = await this.config.piiVault.readFile(filePath);
+      return { mimetype: metadata.mimetype, contentBase64: content.toString('base64') };
+    } catch (error) {
+      return { unavailable: true };
+    }
+  }
+
+  async _loadPending(requestId, type) {
+    const request = await PrivacyRequest.findById(requestId);
+    if (!request || (type && request.type !== type)) {
+      throw new PrivacyError('Privacy request not found', 404);
+    }
+    if (request.status !== 'pending') {
+      throw new PrivacyError(`Privacy request is already ${request.status}`, 409);
+    }
+    return request;
+  }
+}
+
+// Error carrying the HTTP status the route should answer with
+class PrivacyError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PrivacyError';
+    this.statusCode = statusCode;
+  }
+}
+
+function stripId(record) {
+  const { _id, ...rest } = record;
+  return rest;
+}
+
+module.exports = {
+  PrivacyRequest,
+  PrivacyService,
+  PrivacyError,
+  LEGAL_BASES
+};
@@ -0,0 +1,398 @@
+/**
+ * Data Retention Policy Engine
+ *
+ * Applies retention rules per data class and jurisdiction, e.g. "identity
+ * documents are kept five years after the customer relationship ends". A
+ * scheduled purge shreds stored files and redacts records whose retention
+ * period has passed. Users under a legal hold, or with an open case,
+ * sanctions hit or SAR, are skipped. Every run (including dry runs) is
+ * stored as a PurgeRun so auditors can see exactly what was purged and what
+ * was held back.
+ *
+ * Policy file (JSON or YAML):
+ *   rules:
+ *     - { dataClass: identity_documents, jurisdiction: '*', retainYears: 5 }
+ *     - { dataClass: transactions, jurisdiction: DE, retainYears: 10 }
+ * The most specific rule wins: an exact ISO country code over '*'.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const yaml = require('js-yaml');
+
+// Data classes and the date their retention period counts from
+const DATA_CLASSES = {
+  identity_documents: 'relationship_end',
+  selfies: 'relationship_end',
+  customer_identity: 'relationship_end',
+  transactions: 'record_date',
+  reports: 'record_date',
+  case_records: 'case_closed'
+};
+
+const DEFAULT_POLICY = {
+  rules: Object.keys(DATA_CLASSES).map(dataClass => ({ dataClass, jurisdiction: '*', retainYears: 5 }))
+};
+
+// SARs in these statuses are still being worked on or investigated
+const OPEN_SAR_STATUSES = ['draft', 'pending_approval', 'approved', 'submitted', 'investigation'];
+const CLOSED_CASE_STATUSES = ['closed_no_action', 'closed_sar'];
+
+const MAX_REPORT_ITEMS = 5000;
+
+const PurgeRunSchema = new mongoose.Schema({
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: Date,
+  dryRun: { type: Boolean, default: false },
+  triggeredBy: String,
+  policyHash: String,
+  status: { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
+  error: String,
+  // Counts per data class
+  summary: mongoose.Schema.Types.Mixed,
+  items: [{
+    _id: false,
+    dataClass: String,
+    targetType: String,
+    targetId: String,
+    userId: String,
+    count: Number,
+    cutoff: Date
+  }],
+  held: [{
+    _id: false,
+    userId: String,
+    reasons: [String]
+  }],
+  itemsTruncated: { type: Boolean, default: false }
+});
+
+PurgeRunSchema.index({ startedAt: -1 });
+
+const PurgeRun = mongoose.model('PurgeRun', PurgeRunSchema);
+
+/**
+ * Validate a retention policy, throwing on the first problem found
+ * @param {Object} policy - { rules: [{ dataClass, jurisdiction, retainYears }] }
+ * @returns {Object} - The policy with jurisdictions normalized
+ */
+function validatePolicy(policy) {
+  if (!policy || !Array.isArray(policy.rules)) {
+    throw new Error('Retention policy must contain a rules array');
+  }
+
+  const rules = policy.rules.map(rule => {
+    if (!DATA_CLASSES[rule.dataClass]) {
+      throw new Error(`Unknown data class: ${rule.dataClass}`);
+    }
+    if (typeof rule.retainYears !== 'number' || rule.retainYears < 0) {
+      throw new Error(`Rule for ${rule.dataClass} needs a non-negative retainYears`);
+    }
+    return {
+      dataClass: rule.dataClass,
+      jurisdiction: rule.jurisdiction ? String(rule.jurisdiction).toUpperCase() : '*',
+      retainYears: rule.retainYears
+    };
+  });
+
+  Object.keys(DATA_CLASSES).forEach(dataClass => {
+    if (!rules.some(rule => rule.dataClass === dataClass && rule.jurisdiction === '*')) {
+      throw new Error(`Retention policy needs a default ('*') rule for ${dataClass}`);
+    }
+  });
+
+  return { rules };
+}
+
+class RetentionEngine {
+  constructor(config = {}) {
+    this.config = {
+      User: config.User,
+      Transaction: config.Transaction,
+      Report: config.Report,
+      Case: config.Case,
+      SanctionsHit: config.SanctionsHit,
+      piiVault: config.piiVault,
+      // (filePaths) => void, called once stored files are shredded
+      releaseUploads: config.releaseUploads || (async () => {}),
+      policyFile: config.policyFile || null,
+      interval: config.interval || 24 * 60 * 60 * 1000 // daily
+    };
+
+    this.policy = null;
+  }
+
+  /**
+   * Load the policy file (or the defaults); re-read on every run so edits
+   * take effect without a restart
+   * @returns {Object} - Validated policy
+   */
+  loadPolicy() {
+    let policy = DEFAULT_POLICY;
+    if (this.config.policyFile) {
+      const text = fs.readFileSync(this.config.policyFile, 'utf8');
+      const format = path.extname(this.config.policyFile).slice(1).toLowerCase();
+      policy = format === 'yaml' || format === 'yml' ? yaml.load(text) : JSON.parse(text);
+    }
+
+    this.policy = validatePolicy(policy);
+    return this.policy;
+  }
+
+  /**
+   * Retention period for a data class in a jurisdiction
+   * @param {string} dataClass - Data class
+   * @param {string} jurisdiction - ISO country code (or undefined)
+   * @returns {number} - Years
+   */
+  retentionYears(dataClass, jurisdiction) {
+    const rules = (this.policy || this.loadPolicy()).rules.filter(rule => rule.dataClass === dataClass);
+    const country = jurisdiction ? String(jurisdiction).toUpperCase() : null;
+    const rule = rules.find(candidate => candidate.jurisdiction === country) ||
+      rules.find(candidate => candidate.jurisdiction === '*');
+
+    return rule.retainYears;
+  }
+
+  /**
+   * Why a user's data may not be purged right now
+   * @param {Object} user - User document
+   * @returns {Promise<string[]>} - Hold reasons (empty when nothing blocks a purge)
+   */
+  async holdReasons(user) {
+    const { Report, Case, SanctionsHit } = this.config;
+    const reasons = [];
+
+    if (user.legalHold && user.legalHold.active) {
+      reasons.push(`legal_hold: ${user.legalHold.reason || 'no reason given'}`);
+    }
+    if (await Case.exists({ userId: user._id, status: { $nin: CLOSED_CASE_STATUSES } })) {
+      reasons.push('open_case');
+    }
+    if (await SanctionsHit.exists({ userId: user._id, status: 'open' })) {
+      reasons.push('open_sanctions_hit');
+    }
+    if (await Report.exists({ userId: user._id, type: 'SAR', status: { $in: OPEN_SAR_STATUSES } })) {
+      reasons.push('open_sar');
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Purge everything past its retention period
+   * @param {Object} options - { dryRun, triggeredBy, now }
+   * @returns {Promise<Object>} - PurgeRun
+   */
+  async run(options = {}) {
+    const policy = this.loadPolicy();
+    const now = options.now || new Date();
+
+    const purgeRun = new PurgeRun({
+      dryRun: !!options.dryRun,
+      triggeredBy: options.triggeredBy ? String(options.triggeredBy) : 'system',
+      policyHash: crypto.createHash('sha256').update(JSON.stringify(policy)).digest('hex'),
+      summary: {}
+    });
+    await purgeRun.save();
+
+    const report = {
+      dryRun: purgeRun.dryRun,
+      summary: {},
+      items: [],
+      held: []
+    };
+
+    try {
+      const cursor = this.config.User.find().cursor();
+      for (let user = await cursor.next(); user != null; user = await cursor.next()) {
+        await this._purgeUser(user, now, report);
+      }
+
+      purgeRun.status = 'completed';
+    } catch (error) {
+      purgeRun.status = 'failed';
+      purgeRun.error = error.message;
+    }
+
+    purgeRun.summary = report.summary;
+    purgeRun.items = report.items.slice(0, MAX_REPORT_ITEMS);
+    purgeRun.itemsTruncated = report.items.length > MAX_REPORT_ITEMS;
+    purgeRun.held = report.held;
+    purgeRun.finishedAt = new Date();
+    await purgeRun.save();
+
+    return purgeRun;
+  }
+
+  async listRuns(limit = 50) {
+    return PurgeRun.find().select('-items -held').sort({ startedAt: -1 }).limit(limit);
+  }
+
+  async getRun(runId) {
+    return PurgeRun.findById(runId);
+  }
+
+  async _purgeUser(user, now, report) {
+    if (typeof user.decryptPii === 'function') {
+      await user.decryptPii();
+    }
+
+    const jurisdiction = user.address ? user.address.country : undefined;
+    const cutoff = dataClass => {
+      const date = new Date(now);
+      date.setUTCFullYear(date.getUTCFullYear() - this.retentionYears(dataClass, jurisdiction));
+      return date;
+    };
+    const relationshipEnd = user.relationshipEndedAt;
+
+    // Work out what is due before checking holds, so held users are only
+    // listed in the report when a hold actually blocked something
+    const due = {
+      identity_documents: relationshipEnd && relationshipEnd <= cutoff('identity_documents')
+        ? user.identityDocuments.filter(doc => !doc.redactedAt)
+        : [],
+      selfies: relationshipEnd && relationshipEnd <= cutoff('selfies') && user.selfieImage ? [user.selfieImage] : [],
+      customer_identity: relationshipEnd && relationshipEnd <= cutoff('customer_identity') && !user.redactedAt,
+      transactions: await this.config.Transaction.countDocuments({
+        userId: user._id,
+        timestamp: { $lt: cutoff('transactions') },
+        redactedAt: null
+      }),
+      reports: await this.config.Report.find({
+        userId: user._id,
+        reportDate: { $lt: cutoff('reports') },
+        redactedAt: null
+      }),
+      case_records: await this.config.Case.find({
+        userId: user._id,
+        status: { $in: CLOSED_CASE_STATUSES },
+        closedAt: { $lt: cutoff('case_records') },
+        redactedAt: null
+      })
+    };
+
+    const anythingDue = due.identity_documents.length > 0 || due.selfies.length > 0 || due.customer_identity ||
+      due.transactions > 0 || due.reports.length > 0 || due.case_records.length > 0;
+    if (!anythingDue) return;
+
+    const reasons = await this.holdReasons(user);
+    if (reasons.length > 0) {
+      report.held.push({ userId: String(user._id), reasons });
+      return;
+    }
+
+    const record = (dataClass, targetType, targetId, count) => {
+      report.summary[dataClass] = (report.summary[dataClass] || 0) + count;
+      report.items.push({
+        dataClass,
+        targetType,
+        targetId: String(targetId),
+        userId: String(user._id),
+        count,
+        cutoff: cutoff(dataClass)
+      });
+    };
+
+    const shred = async filePath => {
+      if (filePath && !report.dryRun) {
+        await this.config.piiVault.shredFile(filePath);
+        await this.config.releaseUploads([filePath]);
+      }
+    };
+
+    // Identity documents and selfies: shred the files, drop the numbers
+    for (const doc of due.identity_documents) {
+      await shred(doc.documentImage);
+      if (!report.dryRun) {
+        doc.documentImage = undefined;
+        doc.documentNumber = undefined;
+        doc.redactedAt = now;
+      }
+      record('identity_documents', 'IdentityDocument', doc._id, 1);
+    }
+
+    if (due.selfies.length > 0) {
+      await shred(user.selfieImage);
+      if (!report.dryRun) {
+        user.selfieImage = undefined;
+      }
+      record('selfies', 'User', user._id, 1);
+    }
+
+    // Customer identity: keep only what aggregate reporting needs
+    if (due.customer_identity) {
+      if (!report.dryRun) {
+        const birthYear = user.dateOfBirth ? new Date(user.dateOfBirth).getUTCFullYear() : 1900;
+        // Same placeholder as an erasure; saving it replaces the email blind index too
+        user.email = `erased-${user._id}@erased.invalid`;
+        user.emailVerified = false;
+        user.fullName = 'Redacted user';
+        user.dateOfBirth = new Date(Date.UTC(birthYear, 0, 1));
+        user.address = { country: jurisdiction };
+        user.phoneNumber = undefined;
+        user.retainedIdentity = undefined;
+        user.redactedAt = now;
+      }
+      record('customer_identity', 'User', user._id, 1);
+    }
+
+    if (!report.dryRun && user.isModified()) {
+      await user.save();
+    }
+
+    if (due.transactions > 0) {
+      if (!report.dryRun) {
+        await this.config.Transaction.updateMany(
+          { userId: user._id, timestamp: { $lt: cutoff('transactions') }, redactedAt: null },
+          {
+            $unset: { walletAddress: 1, counterpartyAddress: 1, flagReason: 1, reviewerNotes: 1 },
+            $set: { redactedAt: now }
+          }
+        );
+      }
+      record('transactions', 'Transaction', `user:${user._id}`, due.transactions);
+    }
+
+    for (const reportDoc of due.reports) {
+      for (const attachment of reportDoc.attachments || []) {
+        await shred(attachment);
+      }
+      if (!report.dryRun) {
+        reportDoc.narrative = undefined;
+        reportDoc.attachments = [];
+        reportDoc.redactedAt = now;
+        await reportDoc.save();
+      }
+      record('reports', 'Report', reportDoc._id, 1);
+    }
+
+    for (const caseDoc of due.case_records) {
+      for (const attachment of caseDoc.attachments) {
+        await shred(attachment.path);
+      }
+      if (!report.dryRun) {
+        caseDoc.attachments.forEach(attachment => {
+          attachment.path = undefined;
+          attachment.filename = '[redacted]';
+        });
+        caseDoc.comments.forEach(comment => {
+          comment.text = '[redacted]';
+        });
+        caseDoc.redactedAt = now;
+        await caseDoc.save();
+      }
+      record('case_records', 'Case', caseDoc._id, 1);
+    }
+  }
+}
+
+module.exports = {
+  RetentionEngine,
+  PurgeRun,
+  DATA_CLASSES,
+  DEFAULT_POLICY,
+  validatePolicy
+};
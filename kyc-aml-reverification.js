@@ -0,0 +1,170 @@
+/**
+ * KYC Re-verification Scheduler
+ *
+ * Periodically works out when each verified user next needs a KYC refresh:
+ * the earlier of their earliest identity document expiry and their last
+ * verification plus a risk-based refresh interval. Users are notified ahead
+ * of the deadline; once it passes their expired documents are marked,
+ * kycLevel is downgraded and limits are recalculated until they re-verify.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReverificationScheduler {
+  constructor(config = {}) {
+    this.config = {
+      User: config.User,
+      setTransactionLimits: config.setTransactionLimits,
+      notifyUser: config.notifyUser || (async () => {}),
+      // Maximum age of a verification, by risk level
+      refreshIntervalDays: config.refreshIntervalDays || {
+        low: 3 * 365,
+        medium: 2 * 365,
+        high: 365,
+        extreme: 180
+      },
+      // Users are warned this many days before their deadline
+      warningDays: config.warningDays || 30,
+      // KYC level users fall back to when their verification goes stale
+      downgradeLevel: config.downgradeLevel !== undefined ? config.downgradeLevel : 1,
+      interval: config.interval || 6 * 60 * 60 * 1000 // 6 hours
+    };
+  }
+
+  /**
+   * Work out a user's next refresh deadline and what triggers it
+   * @param {Object} user - User document
+   * @returns {Object|null} - { dueAt, reason } or null when the user has nothing verified
+   */
+  computeDeadline(user) {
+    const candidates = [];
+
+    user.identityDocuments
+      .filter(doc => doc.verificationStatus === 'verified' && doc.expiryDate)
+      .forEach(doc => {
+        candidates.push({ dueAt: new Date(doc.expiryDate), reason: 'document_expiry' });
+      });
+
+    const verifiedAt = user.lastVerified;
+    if (verifiedAt) {
+      const days = this.config.refreshIntervalDays[user.riskLevel] || this.config.refreshIntervalDays.high;
+      candidates.push({
+        dueAt: new Date(new Date(verifiedAt).getTime() + days * DAY_MS),
+        reason: 'periodic_review'
+      });
+    }
+
+    if (candidates.length === 0) return null;
+
+    return candidates.reduce((earliest, candidate) =>
+      (candidate.dueAt < earliest.dueAt ? candidate : earliest));
+  }
+
+  /**
+   * Refresh deadlines for every KYC'd user, warn those coming due and
+   * downgrade those past their deadline
+   * @returns {Promise<Object>} - { checked, warned, downgraded }
+   */
+  async run(now = new Date()) {
+    const summary = { checked: 0, warned: 0, downgraded: 0 };
+    const cursor = this.config.User.find({ kycLevel: { $gt: 0 } }).cursor();
+
+    for (let user = await cursor.next(); user != null; user = await cursor.next()) {
+      summary.checked++;
+
+      // Cursors skip the query hooks that decrypt PII; notices need the email
+      if (typeof user.decryptPii === 'function') {
+        await user.decryptPii();
+      }
+
+      const deadline = this.computeDeadline(user);
+      if (!deadline) continue;
+
+      const previous = user.reverification || {};
+      const isNewDeadline = !previous.dueAt || previous.dueAt.getTime() !== deadline.dueAt.getTime();
+
+      // A new deadline (e.g. after a risk level change) does not lift a
+      // downgrade; only a document verified since then does
+      const stillDowngraded = previous.downgradedAt &&
+        !user.identityDocuments.some(doc => doc.verifiedAt && doc.verifiedAt > previous.downgradedAt);
+
+      user.reverification = {
+        dueAt: deadline.dueAt,
+        reason: deadline.reason,
+        notifiedAt: isNewDeadline ? undefined : previous.notifiedAt,
+        downgradedAt: stillDowngraded ? previous.downgradedAt : undefined
+      };
+
+      if (deadline.dueAt <= now) {
+        if (!user.reverification.downgradedAt) {
+          this._downgrade(user, now);
+          await user.save();
+          await this._notify(user, 'kyc_reverification_overdue', {
+            dueAt: deadline.dueAt,
+            reason: deadline.reason,
+            kycLevel: user.kycLevel
+          });
+          summary.downgraded++;
+          continue;
+        }
+      } else if (deadline.dueAt - now <= this.config.warningDays * DAY_MS && !user.reverification.notifiedAt) {
+        user.reverification.notifiedAt = now;
+        await user.save();
+        await this._notify(user, 'kyc_reverification_due', {
+          dueAt: deadline.dueAt,
+          reason: deadline.reason
+        });
+        summary.warned++;
+        continue;
+      }
+
+      if (user.isModified()) {
+        await user.save();
+      }
+    }
+
+    return summary;
+  }
+
+  // The change is already saved, so a failed notice must not abort the run
+  async _notify(user, type, data) {
+    try {
+      await this.config.notifyUser(user, type, data);
+    } catch (error) {
+      console.error(`Re-verification notice ${type} for user ${user._id} failed:`, error);
+    }
+  }
+
+  /**
+   * Users whose refresh is overdue or due within the given number of days
+   * @param {number} days - Look-ahead window
+   * @returns {Promise<Object[]>} - Users sorted by deadline
+   */
+  async listUpcoming(days = 30, now = new Date()) {
+    return this.config.User.find({
+      'reverification.dueAt': { $lte: new Date(now.getTime() + days * DAY_MS) }
+    })
+      .sort({ 'reverification.dueAt': 1 })
+      .select('email fullName kycLevel kycStatus riskLevel lastVerified reverification');
+  }
+
+  _downgrade(user, now) {
+    user.identityDocuments.forEach(doc => {
+      if (doc.verificationStatus === 'verified' && doc.expiryDate && doc.expiryDate <= now) {
+        doc.verificationStatus = 'expired';
+      }
+    });
+
+    const hasValidDocument = user.identityDocuments.some(doc => doc.verificationStatus === 'verified');
+    const targetLevel = hasValidDocument ? this.config.downgradeLevel : 0;
+
+    user.kycLevel = Math.min(user.kycLevel, targetLevel);
+    user.kycStatus = 'additional_info_required';
+    user.reverification.downgradedAt = now;
+    this.config.setTransactionLimits(user);
+  }
+}
+
+module.exports = {
+  ReverificationScheduler
+};
@@ -0,0 +1,307 @@
+/**
+ * Customer Risk Scoring
+ *
+ * A user's riskScore is the sum of a list of factor contributions kept in
+ * `riskFactors`, so every point can be traced to its source. There are two
+ * kinds of factor:
+ *
+ *   profile    - derived from the user's current state (residence country,
+ *                PEP status, sanctions status, account age) and rebuilt on
+ *                every recompute, so they disappear when the state changes
+ *   behaviour  - recorded events such as flagged transactions, which decay
+ *                with a half-life and are dropped once worth under half a point
+ *
+ * riskScoringPlugin recomputes the score whenever a save changes one of its
+ * inputs; a daily job recomputes everyone so decay takes effect. Each change
+ * of score or level is written to RiskScoreHistory.
+ */
+
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RISK_FACTOR_DEFINITIONS = {
+  NEW_ACCOUNT: { kind: 'profile', points: 15, description: 'Account opened in the last 90 days' },
+  HIGH_RISK_COUNTRY: { kind: 'profile', points: 75, description: 'Resident in a high-risk jurisdiction' },
+  POLITICALLY_EXPOSED: { kind: 'profile', points: 50, description: 'Politically exposed person' },
+  SANCTIONS_MATCH: { kind: 'profile', points: 100, description: 'Confirmed sanctions match' },
+  FLAGGED_TRANSACTION: { kind: 'behaviour', points: 5, halfLifeDays: 90, description: 'Transaction flagged by AML rules' },
+  LEGACY_ADJUSTMENT: { kind: 'behaviour', halfLifeDays: 180, description: 'Score carried over from before factors were tracked' }
+};
+
+// Saves touching these paths recompute the score
+const RISK_INPUTS = ['isPEP', 'isOnSanctionsList', 'address', 'jurisdiction', 'riskFactors'];
+
+const RiskFactorSchema = new mongoose.Schema({
+  code: { type: String, required: true },
+  points: { type: Number, required: true },
+  source: String,
+  sourceId: String,
+  detail: String,
+  halfLifeDays: Number,
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const RiskScoreHistorySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  previousScore: Number,
+  score: Number,
+  previousLevel: String,
+  level: String,
+  reason: String,
+  factors: [{
+    _id: false,
+    code: String,
+    points: Number
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+RiskScoreHistorySchema.index({ userId: 1, createdAt: -1 });
+
+const RiskScoreHistory = mongoose.model('RiskScoreHistory', RiskScoreHistorySchema);
+
+class RiskScoring {
+  constructor(config = {}) {
+    this.config = {
+      User: config.User,
+      isHighRiskCountry: config.isHighRiskCountry || (() => false),
+      calculateRiskLevel: config.calculateRiskLevel,
+      // Called for new users and when the level changes, e.g. to refresh limits
+      onLevelChange: config.onLevelChange || (() => {}),
+      newAccountDays: config.newAccountDays || 90,
+      interval: config.interval || 24 * 60 * 60 * 1000 // daily
+    };
+  }
+
+  /**
+   * Record a behaviour factor; the score is recomputed when the user is saved
+   * @param {Object} user - User document
+   * @param {string} code - Factor code from RISK_FACTOR_DEFINITIONS
+   * @param {Object} details - { source, sourceId, detail, points }
+   */
+  addEvent(user, code, details = {}) {
+    const definition = RISK_FACTOR_DEFINITIONS[code];
+    if (!definition || definition.kind !== 'behaviour') {
+      throw new Error(`Unknown behaviour risk factor: ${code}`);
+    }
+
+    user.riskFactors.push({
+      code,
+      points: details.points !== undefined ? details.points : definition.points,
+      source: details.source,
+      sourceId: details.sourceId !== undefined ? String(details.sourceId) : undefined,
+      detail: details.detail,
+      halfLifeDays: definition.halfLifeDays
+    });
+    user.$locals.riskReason = `${code}${details.detail ? `: ${details.detail}` : ''}`;
+  }
+
+  /**
+   * Rebuild the user's factors and score (does not save)
+   * @param {Object} user - User document with PII loaded
+   * @param {string} reason - Recorded in the history if the score changes
+   * @param {Date} now - Reference time
+   * @returns {boolean} - Whether score or level changed
+   */
+  apply(user, reason, now = new Date()) {
+    const previousScore = user.riskScore;
+    const previousLevel = user.riskLevel;
+
+    const profile = this.profileFactors(user, now);
+    const existing = user.riskFactors || [];
+
+    // Keep when each profile factor first applied
+    profile.forEach(factor => {
+      const earlier = existing.find(other => other.code === factor.code && other.source === 'profile');
+      if (earlier) factor.createdAt = earlier.createdAt;
+    });
+
+    const behaviour = existing.filter(factor => !isProfileFactor(factor) && currentPoints(factor, now) >= 0.5);
+
+    // Scores from before factors were tracked are kept as a decaying adjustment
+    if (!user.isNew && existing.length === 0 && previousScore > 0) {
+      const profileTotal = profile.reduce((sum, factor) => sum + factor.points, 0);
+      if (previousScore > profileTotal) {
+        behaviour.push({
+          code: 'LEGACY_ADJUSTMENT',
+          points: previousScore - profileTotal,
+          source: 'migration',
+          halfLifeDays: RISK_FACTOR_DEFINITIONS.LEGACY_ADJUSTMENT.halfLifeDays,
+          createdAt: now
+        });
+      }
+    }
+
+    const factors = profile.concat(behaviour);
+    const score = Math.round(factors.reduce((sum, factor) => sum + currentPoints(factor, now), 0));
+    const level = user.isOnSanctionsList ? 'extreme' : this.config.calculateRiskLevel(score);
+
+    user.riskFactors = factors;
+    user.riskScore = score;
+    user.riskLevel = level;
+
+    const changed = score !== previousScore || level !== previousLevel;
+    if (level !== previousLevel || user.isNew) {
+      this.config.onLevelChange(user);
+    }
+    if (changed || user.isNew) {
+      user.$locals.riskChange = {
+        previousScore: user.isNew ? undefined : previousScore,
+        score,
+        previousLevel: user.isNew ? undefined : previousLevel,
+        level,
+        reason,
+        factors: factors.map(factor => ({ code: factor.code, points: roundPoints(currentPoints(factor, now)) }))
+      };
+    }
+
+    return changed;
+  }
+
+  /**
+   * Factors derived from the user's current state
+   * @param {Object} user - User document with PII loaded
+   * @param {Date} now - Reference time
+   * @returns {Object[]} - Factor records
+   */
+  profileFactors(user, now = new Date()) {
+    const factors = [];
+    const add = (code, detail) => factors.push({
+      code,
+      points: RISK_FACTOR_DEFINITIONS[code].points,
+      source: 'profile',
+      detail,
+      createdAt: now
+    });
+
+    const createdAt = user.createdAt || now;
+    if (now.getTime() - createdAt.getTime() < this.config.newAccountDays * DAY_MS) {
+      add('NEW_ACCOUNT', `Opened ${createdAt.toISOString().slice(0, 10)}`);
+    }
+    const country = user.address && user.address.country;
+    if (country && this.config.isHighRiskCountry(country)) {
+      add('HIGH_RISK_COUNTRY', country);
+    }
+    if (user.isPEP) {
+      add('POLITICALLY_EXPOSED');
+    }
+    if (user.isOnSanctionsList) {
+      add('SANCTIONS_MATCH');
+    }
+
+    return factors;
+  }
+
+  /**
+   * Explain a user's current score
+   * @param {Object} user - User document
+   * @param {Date} now - Reference time
+   * @returns {Object} - { score, level, factors: [...] }
+   */
+  breakdown(user, now = new Date()) {
+    return {
+      score: user.riskScore,
+      level: user.riskLevel,
+      computedAt: now,
+      factors: (user.riskFactors || []).map(factor => {
+        const definition = RISK_FACTOR_DEFINITIONS[factor.code] || {};
+        return {
+          code: factor.code,
+          description: definition.description,
+          kind: definition.kind,
+          source: factor.source,
+          sourceId: factor.sourceId,
+          detail: factor.detail,
+          since: factor.createdAt,
+          originalPoints: factor.points,
+          currentPoints: roundPoints(currentPoints(factor, now)),
+          halfLifeDays: factor.halfLifeDays
+        };
+      })
+    };
+  }
+
+  async history(userId, limit = 100) {
+    return RiskScoreHistory.find({ userId }).sort({ createdAt: -1 }).limit(limit);
+  }
+
+  /**
+   * Recompute every user's score, applying decay
+   * @returns {Promise<Object>} - { processed, changed }
+   */
+  async recomputeAll() {
+    let processed = 0;
+    let changed = 0;
+
+    const cursor = this.config.User.find({}).cursor();
+    for (let user = await cursor.next(); user != null; user = await cursor.next()) {
+      processed++;
+
+      await user.decryptPii();
+      const factorsBefore = JSON.stringify(user.riskFactors);
+      const scoreChanged = this.apply(user, 'scheduled recompute');
+
+      if (scoreChanged || JSON.stringify(user.riskFactors) !== factorsBefore) {
+        await user.save();
+        if (scoreChanged) changed++;
+      }
+    }
+
+    return { processed, changed };
+  }
+}
+
+/**
+ * Mongoose plugin recomputing the score on saves that change its inputs.
+ * Apply it before encryptedFieldsPlugin so the address is still in plaintext
+ * when the hook runs. `getScoring` returns the RiskScoring instance, which is
+ * usually created after the model.
+ */
+function riskScoringPlugin(schema, options) {
+  schema.add({ riskFactors: [RiskFactorSchema] });
+
+  schema.pre('save', async function () {
+    const changed = RISK_INPUTS.filter(field => this.isModified(field));
+    if (!this.isNew && changed.length === 0) return;
+
+    if (typeof this.decryptPii === 'function') {
+      await this.decryptPii();
+    }
+    options.getScoring().apply(this, this.$locals.riskReason || (this.isNew ? 'registration' : `${changed.join(', ')} changed`));
+  });
+
+  schema.post('save', function (user) {
+    const change = user.$locals.riskChange;
+    if (!change) return;
+    user.$locals.riskChange = null;
+    user.$locals.riskReason = null;
+
+    new RiskScoreHistory({ userId: user._id, ...change }).save().catch(error => {
+      console.error('Risk history error:', error);
+    });
+  });
+}
+
+function isProfileFactor(factor) {
+  return factor.source === 'profile';
+}
+
+// Behaviour factors halve every halfLifeDays; profile factors hold their value
+function currentPoints(factor, now) {
+  if (!factor.halfLifeDays) return factor.points;
+
+  const ageDays = Math.max(0, now.getTime() - new Date(factor.createdAt).getTime()) / DAY_MS;
+  return factor.points * Math.pow(0.5, ageDays / factor.halfLifeDays);
+}
+
+function roundPoints(points) {
+  return Math.round(points * 100) / 100;
+}
+
+module.exports = {
+  RiskScoring,
+  RiskScoreHistory,
+  riskScoringPlugin,
+  RISK_FACTOR_DEFINITIONS
+};
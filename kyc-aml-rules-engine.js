@@ -0,0 +1,381 @@
+/**
+ * AML Transaction Rules Engine
+ *
+ * Replaces the hard-coded transaction scoring in /api/transactions/record with
+ * rules that compliance officers define as versioned JSON or YAML rule sets.
+ * Rule sets are stored in Mongo; exactly one version is active at a time and
+ * the engine picks up a newly activated version without a redeploy.
+ *
+ * Rule definition:
+ * {
+ *   id: 'large_transaction',
+ *   type: 'amount_threshold',
+ *   enabled: true,
+ *   score: 30,
+ *   params: { threshold: 10000 },
+ *   conditions: { currencies: ['USD'], kycLevels: [1, 2], countries: ['US'], transactionTypes: ['mint'] }
+ * }
+ */
+
+const mongoose = require('mongoose');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_RULE_SET = {
+  name: 'default',
+  thresholds: {
+    flag: 70,
+    sar: 80
+  },
+  rules: [
+    {
+      id: 'large_transaction',
+      description: 'Single transaction above the large-transaction threshold',
+      type: 'amount_threshold',
+      enabled: true,
+      score: 30,
+      params: { threshold: 10000 }
+    },
+    {
+      id: 'rapid_transactions',
+      description: 'More than 5 transactions in an hour',
+      type: 'velocity_count',
+      enabled: true,
+      score: 40,
+      params: { windowMinutes: 60, maxCount: 5 }
+    },
+    {
+      id: 'risky_counterparty',
+      description: 'Counterparty associated with known high-risk entities',
+      type: 'counterparty_risk',
+      enabled: true,
+      score: 60,
+      params: {}
+    }
+  ]
+};
+
+const RuleSetSchema = new mongoose.Schema({
+  version: { type: Number, required: true, unique: true },
+  name: String,
+  thresholds: {
+    flag: { type: Number, default: DEFAULT_RULE_SET.thresholds.flag },
+    sar: { type: Number, default: DEFAULT_RULE_SET.thresholds.sar }
+  },
+  rules: [mongoose.Schema.Types.Mixed],
+  active: { type: Boolean, default: false },
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+  activatedAt: Date
+});
+
+const RuleSet = mongoose.model('RuleSet', RuleSetSchema);
+
+/**
+ * Rule evaluators keyed by rule type.
+ * Each returns null when the rule does not fire, or a detail object when it does.
+ */
+const RULE_EVALUATORS = {
+  async amount_threshold(rule, context) {
+    const { threshold } = rule.params;
+    if (context.transaction.amount > threshold) {
+      return { amount: context.transaction.amount, threshold };
+    }
+    return null;
+  },
+
+  async velocity_count(rule, context) {
+    const { windowMinutes, maxCount } = rule.params;
+    const count = await context.Transaction.countDocuments({
+      userId: context.user._id,
+      timestamp: { $gte: new Date(context.now - windowMinutes * 60 * 1000) }
+    });
+
+    if (count > maxCount) {
+      return { count, maxCount, windowMinutes };
+    }
+    return null;
+  },
+
+  async velocity_amount(rule, context) {
+    const { windowMinutes, maxAmount } = rule.params;
+    const result = await context.Transaction.aggregate([
+      { $match: {
+        userId: context.user._id,
+        timestamp: { $gte: new Date(context.now - windowMinutes * 60 * 1000) }
+      }},
+      { $group: { _id: null, total: { $sum: '$amount' } }}
+    ]);
+
+    const total = (result.length > 0 ? result[0].total : 0) + context.transaction.amount;
+    if (total > maxAmount) {
+      return { total, maxAmount, windowMinutes };
+    }
+    return null;
+  },
+
+  async counterparty_risk(rule, context) {
+    const { counterpartyAddress } = context.transaction;
+    if (!counterpartyAddress || !context.checkCounterpartyRisk) return null;
+
+    const risky = await context.checkCounterpartyRisk(counterpartyAddress);
+    return risky ? { counterpartyAddress } : null;
+  },
+
+  async user_country(rule, context) {
+    const country = context.user.address && context.user.address.country;
+    if (country && rule.params.countries.includes(country)) {
+      return { country };
+    }
+    return null;
+  }
+};
+
+const REQUIRED_PARAMS = {
+  amount_threshold: ['threshold'],
+  velocity_count: ['windowMinutes', 'maxCount'],
+  velocity_amount: ['windowMinutes', 'maxAmount'],
+  counterparty_risk: [],
+  user_country: ['countries']
+};
+
+/**
+ * Parse a rule set definition from JSON or YAML text
+ * @param {string} text - Rule set source
+ * @param {string} format - 'json' or 'yaml'
+ * @returns {Object} - Parsed definition
+ */
+function parseRuleSet(text, format = 'json') {
+  if (format === 'yaml' || format === 'yml') {
+    return yaml.load(text);
+  }
+  if (format === 'json') {
+    return JSON.parse(text);
+  }
+  throw new Error(`Unsupported rule set format: ${format}`);
+}
+
+/**
+ * Validate a rule set definition, throwing on the first problem found
+ * @param {Object} definition - { name, thresholds, rules }
+ * @returns {Object} - The definition with defaults filled in
+ */
+function validateRuleSet(definition) {
+  if (!definition || !Array.isArray(definition.rules)) {
+    throw new Error('Rule set must contain a rules array');
+  }
+
+  const ids = new Set();
+  const rules = definition.rules.map(rule => {
+    if (!rule.id) {
+      throw new Error('Every rule needs an id');
+    }
+    if (ids.has(rule.id)) {
+      throw new Error(`Duplicate rule id: ${rule.id}`);
+    }
+    ids.add(rule.id);
+
+    if (!RULE_EVALUATORS[rule.type]) {
+      throw new Error(`Rule ${rule.id} has unknown type: ${rule.type}`);
+    }
+    if (typeof rule.score !== 'number') {
+      throw new Error(`Rule ${rule.id} needs a numeric score`);
+    }
+
+    const params = rule.params || {};
+    REQUIRED_PARAMS[rule.type].forEach(param => {
+      if (params[param] === undefined) {
+        throw new Error(`Rule ${rule.id} is missing param: ${param}`);
+      }
+    });
+
+    return {
+      ...rule,
+      enabled: rule.enabled !== false,
+      params,
+      conditions: rule.conditions || {}
+    };
+  });
+
+  return {
+    name: definition.name,
+    thresholds: { ...DEFAULT_RULE_SET.thresholds, ...(definition.thresholds || {}) },
+    rules
+  };
+}
+
+class AmlRulesEngine {
+  constructor(config = {}) {
+    this.config = {
+      Transaction: config.Transaction,
+      checkCounterpartyRisk: config.checkCounterpartyRisk,
+      // How long the active rule set is cached before re-reading Mongo
+      cacheTtl: config.cacheTtl || 60 * 1000,
+      rulesFile: config.rulesFile || null
+    };
+
+    this.activeRuleSet = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Seed the first rule set version if none exists yet, from the configured
+   * rules file when there is one, otherwise from the built-in defaults
+   */
+  async initialize() {
+    const existing = await RuleSet.countDocuments();
+    if (existing > 0) return;
+
+    let definition = DEFAULT_RULE_SET;
+    if (this.config.rulesFile) {
+      const format = path.extname(this.config.rulesFile).slice(1).toLowerCase();
+      definition = parseRuleSet(fs.readFileSync(this.config.rulesFile, 'utf8'), format);
+    }
+
+    const ruleSet = await this.createVersion(definition, 'system');
+    await this.activateVersion(ruleSet.version);
+  }
+
+  /**
+   * Get the active rule set, reloading it when the cache has expired
+   * @returns {Promise<Object>} - Active RuleSet (or the defaults if none is stored)
+   */
+  async getActiveRuleSet() {
+    if (!this.activeRuleSet || Date.now() - this.loadedAt > this.config.cacheTtl) {
+      const active = await RuleSet.findOne({ active: true }).lean();
+      this.activeRuleSet = active || { version: 0, ...validateRuleSet(DEFAULT_RULE_SET) };
+      this.loadedAt = Date.now();
+    }
+
+    return this.activeRuleSet;
+  }
+
+  /**
+   * Store a new, inactive rule set version
+   * @param {Object} definition - Rule set definition
+   * @param {string} createdBy - Id of the user creating the version
+   * @returns {Promise<Object>} - Saved RuleSet
+   */
+  async createVersion(definition, createdBy) {
+    const validated = validateRuleSet(definition);
+    const latest = await RuleSet.findOne().sort({ version: -1 }).select('version');
+
+    const ruleSet = new RuleSet({
+      version: latest ? latest.version + 1 : 1,
+      name: validated.name,
+      thresholds: validated.thresholds,
+      rules: validated.rules,
+      createdBy
+    });
+
+    await ruleSet.save();
+    return ruleSet;
+  }
+
+  /**
+   * Make a stored version the active one
+   * @param {number} version - Version to activate
+   * @returns {Promise<Object>} - Activated RuleSet
+   */
+  async activateVersion(version) {
+    const ruleSet = await RuleSet.findOne({ version });
+    if (!ruleSet) {
+      throw new Error(`Rule set version ${version} not found`);
+    }
+
+    await RuleSet.updateMany({ active: true }, { $set: { active: false } });
+    ruleSet.active = true;
+    ruleSet.activatedAt = new Date();
+    await ruleSet.save();
+
+    this.activeRuleSet = null;
+    return ruleSet;
+  }
+
+  /**
+   * Enable or disable a single rule by publishing and activating a new version
+   * @param {string} ruleId - Rule to toggle
+   * @param {boolean} enabled - New state
+   * @param {string} createdBy - Id of the user making the change
+   * @returns {Promise<Object>} - The newly active RuleSet
+   */
+  async setRuleEnabled(ruleId, enabled, createdBy) {
+    const current = await this.getActiveRuleSet();
+    if (!current.rules.some(rule => rule.id === ruleId)) {
+      throw new Error(`Rule ${ruleId} not found in the active rule set`);
+    }
+
+    const ruleSet = await this.createVersion({
+      name: current.name,
+      thresholds: current.thresholds,
+      rules: current.rules.map(rule => (rule.id === ruleId ? { ...rule, enabled } : rule))
+    }, createdBy);
+
+    return this.activateVersion(ruleSet.version);
+  }
+
+  /**
+   * Score a transaction against the active rule set
+   * @param {Object} user - User document
+   * @param {Object} transaction - { amount, currency, type, counterpartyAddress }
+   * @returns {Promise<Object>} - { score, shouldFlag, shouldFileSAR, ruleSetVersion, hits }
+   */
+  async evaluate(user, transaction) {
+    const ruleSet = await this.getActiveRuleSet();
+    const context = {
+      user,
+      transaction,
+      now: Date.now(),
+      Transaction: this.config.Transaction,
+      checkCounterpartyRisk: this.config.checkCounterpartyRisk
+    };
+
+    const hits = [];
+
+    for (const rule of ruleSet.rules) {
+      if (!rule.enabled || !ruleApplies(rule, user, transaction)) continue;
+
+      const detail = await RULE_EVALUATORS[rule.type](rule, context);
+      if (detail) {
+        hits.push({
+          ruleId: rule.id,
+          ruleSetVersion: ruleSet.version,
+          contribution: rule.score,
+          detail
+        });
+      }
+    }
+
+    const score = hits.reduce((total, hit) => total + hit.contribution, 0);
+
+    return {
+      score,
+      shouldFlag: score > ruleSet.thresholds.flag,
+      shouldFileSAR: score > ruleSet.thresholds.sar,
+      ruleSetVersion: ruleSet.version,
+      hits
+    };
+  }
+}
+
+// A rule applies only when every condition it declares matches
+function ruleApplies(rule, user, transaction) {
+  const { currencies, kycLevels, countries, transactionTypes } = rule.conditions || {};
+  const country = user.address && user.address.country;
+
+  if (currencies && currencies.length && !currencies.includes(transaction.currency)) return false;
+  if (kycLevels && kycLevels.length && !kycLevels.includes(user.kycLevel)) return false;
+  if (countries && countries.length && !countries.includes(country)) return false;
+  if (transactionTypes && transactionTypes.length && !transactionTypes.includes(transaction.type)) return false;
+
+  return true;
+}
+
+module.exports = {
+  AmlRulesEngine,
+  RuleSet,
+  DEFAULT_RULE_SET,
+  parseRuleSet,
+  validateRuleSet
+};
@@ -0,0 +1,268 @@
+/**
+ * Sanctions List Parsers
+ *
+ * Turns sanctions list files into a common entry shape:
+ * {
+ *   externalId, name, aliases: [], type: 'individual'|'entity',
+ *   datesOfBirth: [], countries: [], cryptoAddresses: [], programs: []
+ * }
+ *
+ * Supported inputs:
+ *   - OFAC SDN: sdn.xml, or sdn.csv (aliases and crypto addresses read from Remarks)
+ *   - EU consolidated list: FSF XML export, or the semicolon-separated CSV export
+ *   - UN consolidated list: XML
+ *   - generic: CSV with the header id,name,type,aliases,datesOfBirth,countries,cryptoAddresses,programs
+ *     where list-valued columns are separated by "|"
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+const { parse: parseCsv } = require('csv-parse/sync');
+
+const ARRAY_ELEMENTS = new Set([
+  // OFAC
+  'sdnEntry', 'aka', 'id', 'program', 'address', 'dateOfBirthItem', 'nationality', 'citizenship',
+  // EU
+  'sanctionEntity', 'nameAlias', 'birthdate', 'regulation',
+  // UN
+  'INDIVIDUAL', 'ENTITY', 'INDIVIDUAL_ALIAS', 'ENTITY_ALIAS', 'INDIVIDUAL_DATE_OF_BIRTH',
+  'INDIVIDUAL_ADDRESS', 'ENTITY_ADDRESS', 'VALUE'
+]);
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  isArray: name => ARRAY_ELEMENTS.has(name)
+});
+
+// Matches "Digital Currency Address - ETH 0xabc...;" in OFAC id types and remarks
+const CRYPTO_ADDRESS_PATTERN = /Digital Currency Address - (\w+)[;:]?\s+([A-Za-z0-9]+)/g;
+
+/**
+ * Parse a sanctions list file
+ * @param {string} source - 'OFAC_SDN', 'EU', 'UN' or 'generic'
+ * @param {string} format - 'xml' or 'csv'
+ * @param {string} content - File contents
+ * @returns {Object[]} - Normalized entries
+ */
+function parseSanctionsList(source, format, content) {
+  const parser = PARSERS[`${source}:${format}`];
+  if (!parser) {
+    throw new Error(`Unsupported sanctions list: ${source} (${format})`);
+  }
+
+  return parser(content)
+    .filter(entry => entry.name)
+    .map(entry => ({
+      ...entry,
+      externalId: String(entry.externalId),
+      aliases: unique(entry.aliases.filter(alias => alias && alias !== entry.name)),
+      datesOfBirth: unique(entry.datesOfBirth.filter(Boolean)),
+      countries: unique(entry.countries.filter(Boolean)),
+      cryptoAddresses: unique(entry.cryptoAddresses.filter(Boolean).map(address => address.toLowerCase())),
+      programs: unique(entry.programs.filter(Boolean))
+    }));
+}
+
+function parseOfacXml(content) {
+  const document = xmlParser.parse(content);
+  const entries = (document.sdnList && document.sdnList.sdnEntry) || [];
+
+  return entries.map(entry => {
+    const ids = (entry.idList && entry.idList.id) || [];
+    const cryptoAddresses = ids
+      .filter(id => String(id.idType || '').startsWith('Digital Currency Address'))
+      .map(id => text(id.idNumber));
+
+    return {
+      externalId: text(entry.uid),
+      name: joinName(entry.firstName, entry.lastName),
+      aliases: ((entry.akaList && entry.akaList.aka) || []).map(aka => joinName(aka.firstName, aka.lastName)),
+      type: text(entry.sdnType).toLowerCase() === 'individual' ? 'individual' : 'entity',
+      datesOfBirth: ((entry.dateOfBirthList && entry.dateOfBirthList.dateOfBirthItem) || [])
+        .map(item => text(item.dateOfBirth)),
+      countries: ((entry.addressList && entry.addressList.address) || []).map(address => text(address.country)),
+      cryptoAddresses,
+      programs: ((entry.programList && entry.programList.program) || []).map(text)
+    };
+  });
+}
+
+function parseOfacCsv(content) {
+  // sdn.csv has no header; "-0-" marks an empty field
+  const rows = parseCsv(content, { relax_column_count: true, skip_empty_lines: true, trim: true });
+
+  return rows.map(row => {
+    const field = index => (row[index] && row[index] !== '-0-' ? row[index] : '');
+    const remarks = field(11);
+
+    const aliases = [];
+    const aliasPattern = /a\.k\.a\. '([^']+)'/g;
+    let match;
+    while ((match = aliasPattern.exec(remarks)) !== null) {
+      aliases.push(match[1]);
+    }
+
+    const dateOfBirth = /DOB ([^;]+);/.exec(remarks);
+
+    return {
+      externalId: field(0),
+      name: field(1),
+      aliases,
+      type: field(2).toLowerCase() === 'individual' ? 'individual' : 'entity',
+      datesOfBirth: dateOfBirth ? [dateOfBirth[1].trim()] : [],
+      countries: [],
+      cryptoAddresses: extractCryptoAddresses(remarks),
+      programs: field(3).split(/\]\s*\[|[[\]]/).map(program => program.trim())
+    };
+  });
+}
+
+function parseEuXml(content) {
+  const document = xmlParser.parse(content);
+  const entities = (document.export && document.export.sanctionEntity) || [];
+
+  return entities.map(entity => {
+    const names = (entity.nameAlias || []).map(alias => alias['@_wholeName']).filter(Boolean);
+    const subjectType = entity.subjectType ? entity.subjectType['@_code'] : '';
+
+    return {
+      externalId: entity['@_logicalId'],
+      name: names[0],
+      aliases: names.slice(1),
+      type: subjectType === 'person' ? 'individual' : 'entity',
+      datesOfBirth: (entity.birthdate || []).map(birth => birth['@_birthdate'] || birth['@_year']),
+      countries: (entity.citizenship || []).map(citizenship => citizenship['@_countryIso2Code']),
+      cryptoAddresses: [],
+      programs: (entity.regulation || []).map(regulation => regulation['@_programme'])
+    };
+  });
+}
+
+function parseEuCsv(content) {
+  const rows = parseCsv(content, {
+    columns: true,
+    delimiter: ';',
+    relax_column_count: true,
+    skip_empty_lines: true,
+    trim: true
+  });
+
+  // The EU CSV has one row per alias/birth date/citizenship; group by entity
+  const entities = new Map();
+
+  rows.forEach(row => {
+    const id = row.Entity_logical_id || row.Entity_LogicalId;
+    if (!id) return;
+
+    if (!entities.has(id)) {
+      entities.set(id, {
+        externalId: id,
+        name: null,
+        aliases: [],
+        type: (row.Subject_type || row.Entity_SubjectType || '').startsWith('P') ? 'individual' : 'entity',
+        datesOfBirth: [],
+        countries: [],
+        cryptoAddresses: [],
+        programs: []
+      });
+    }
+
+    const entity = entities.get(id);
+    const wholeName = row.Naal_wholename || row.NameAlias_WholeName;
+    if (wholeName) {
+      if (!entity.name) entity.name = wholeName;
+      else entity.aliases.push(wholeName);
+    }
+
+    entity.datesOfBirth.push(row.Birt_date || row.BirthDate_BirthDate);
+    entity.countries.push(row.Citi_country || row.Citizenship_CountryIso2Code);
+    entity.programs.push(row.Entity_programme || row.Entity_Regulation_Programme);
+  });
+
+  return [...entities.values()];
+}
+
+function parseUnXml(content) {
+  const document = xmlParser.parse(content);
+  const list = document.CONSOLIDATED_LIST || {};
+
+  const individuals = ((list.INDIVIDUALS && list.INDIVIDUALS.INDIVIDUAL) || []).map(person => ({
+    externalId: text(person.DATAID),
+    name: joinName(person.FIRST_NAME, person.SECOND_NAME, person.THIRD_NAME, person.FOURTH_NAME),
+    aliases: (person.INDIVIDUAL_ALIAS || []).map(alias => text(alias.ALIAS_NAME)),
+    type: 'individual',
+    datesOfBirth: (person.INDIVIDUAL_DATE_OF_BIRTH || []).map(birth => text(birth.DATE || birth.YEAR)),
+    countries: ((person.NATIONALITY && person.NATIONALITY.VALUE) || []).map(text),
+    cryptoAddresses: [],
+    programs: [text(person.UN_LIST_TYPE)]
+  }));
+
+  const entities = ((list.ENTITIES && list.ENTITIES.ENTITY) || []).map(entity => ({
+    externalId: text(entity.DATAID),
+    name: text(entity.FIRST_NAME),
+    aliases: (entity.ENTITY_ALIAS || []).map(alias => text(alias.ALIAS_NAME)),
+    type: 'entity',
+    datesOfBirth: [],
+    countries: (entity.ENTITY_ADDRESS || []).map(address => text(address.COUNTRY)),
+    cryptoAddresses: [],
+    programs: [text(entity.UN_LIST_TYPE)]
+  }));
+
+  return individuals.concat(entities);
+}
+
+function parseGenericCsv(content) {
+  const rows = parseCsv(content, { columns: true, skip_empty_lines: true, trim: true });
+  const list = value => (value ? value.split('|').map(item => item.trim()) : []);
+
+  return rows.map(row => ({
+    externalId: row.id,
+    name: row.name,
+    aliases: list(row.aliases),
+    type: row.type === 'individual' ? 'individual' : 'entity',
+    datesOfBirth: list(row.datesOfBirth),
+    countries: list(row.countries),
+    cryptoAddresses: list(row.cryptoAddresses),
+    programs: list(row.programs)
+  }));
+}
+
+const PARSERS = {
+  'OFAC_SDN:xml': parseOfacXml,
+  'OFAC_SDN:csv': parseOfacCsv,
+  'EU:xml': parseEuXml,
+  'EU:csv': parseEuCsv,
+  'UN:xml': parseUnXml,
+  'generic:csv': parseGenericCsv
+};
+
+function extractCryptoAddresses(value) {
+  const addresses = [];
+  let match;
+  CRYPTO_ADDRESS_PATTERN.lastIndex = 0;
+  while ((match = CRYPTO_ADDRESS_PATTERN.exec(value || '')) !== null) {
+    addresses.push(match[2]);
+  }
+  return addresses;
+}
+
+function text(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return text(value['#text']);
+  return String(value).trim();
+}
+
+function joinName(...parts) {
+  return parts.map(text).filter(Boolean).join(' ');
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+module.exports = {
+  parseSanctionsList,
+  SUPPORTED_LISTS: Object.keys(PARSERS)
+};
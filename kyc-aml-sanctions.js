@@ -0,0 +1,524 @@
+/**
+ * Sanctions Screening
+ *
+ * Imports OFAC SDN, EU and UN sanctions list files from disk into Mongo,
+ * indexes names, aliases and crypto addresses, and screens users with fuzzy
+ * name matching. Crypto address matches are treated as definitive; name
+ * matches above the threshold become SanctionsHit records for an analyst to
+ * confirm or clear. Loading a new list version re-screens every user.
+ *
+ * Each source is imported from one file: when a source is present in more
+ * than one format (sdn.xml and sdn.csv), the first in LIST_FILES is used.
+ */
+
+const mongoose = require('mongoose');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseSanctionsList } = require('./kyc-aml-sanctions-parsers');
+
+const SanctionsListSchema = new mongoose.Schema({
+  source: { type: String, required: true },
+  version: { type: String, required: true }, // SHA-256 of the imported file
+  fileName: String,
+  format: String,
+  entryCount: Number,
+  active: { type: Boolean, default: true },
+  importedAt: { type: Date, default: Date.now },
+  importedBy: String
+});
+
+SanctionsListSchema.index({ source: 1, version: 1 }, { unique: true });
+
+const SanctionsEntrySchema = new mongoose.Schema({
+  source: { type: String, required: true },
+  listVersion: { type: String, required: true },
+  externalId: String,
+  name: { type: String, required: true },
+  aliases: [String],
+  type: { type: String, enum: ['individual', 'entity'] },
+  datesOfBirth: [String],
+  countries: [String],
+  cryptoAddresses: { type: [String], index: true },
+  programs: [String],
+  // Normalized search keys
+  normalizedNames: [String],
+  nameKeys: { type: [String], index: true }
+});
+
+SanctionsEntrySchema.index({ source: 1, listVersion: 1 });
+
+const SanctionsHitSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  entryId: { type: mongoose.Schema.Types.ObjectId, ref: 'SanctionsEntry' },
+  source: String,
+  listVersion: String,
+  externalId: String,
+  matchType: { type: String, enum: ['name', 'wallet_address'] },
+  matchedValue: String,
+  screenedValue: String,
+  confidence: Number,
+  status: {
+    type: String,
+    enum: ['open', 'confirmed', 'cleared'],
+    default: 'open'
+  },
+  reviewedBy: String,
+  reviewedAt: Date,
+  reviewNote: String,
+  // SAR filed for the confirmed match, so confirming again never files another
+  sarReportId: mongoose.Schema.Types.ObjectId,
+  createdAt: { type: Date, default: Date.now }
+});
+
+SanctionsHitSchema.index({ userId: 1, source: 1, externalId: 1, matchType: 1 }, { unique: true });
+
+const SanctionsList = mongoose.model('SanctionsList', SanctionsListSchema);
+const SanctionsEntry = mongoose.model('SanctionsEntry', SanctionsEntrySchema);
+const SanctionsHit = mongoose.model('SanctionsHit', SanctionsHitSchema);
+
+// File names picked up from the list directory, mapped to source and format,
+// in order of preference within a source
+const LIST_FILES = {
+  'sdn.xml': { source: 'OFAC_SDN', format: 'xml' },
+  'sdn.csv': { source: 'OFAC_SDN', format: 'csv' },
+  'eu.xml': { source: 'EU', format: 'xml' },
+  'eu.csv': { source: 'EU', format: 'csv' },
+  'un.xml': { source: 'UN', format: 'xml' }
+};
+
+class SanctionsScreening {
+  constructor(config = {}) {
+    this.config = {
+      User: config.User,
+      listDir: config.listDir || './sanctions-lists/',
+      // Minimum fuzzy name score reported as a potential match
+      matchThreshold: config.matchThreshold || 0.88,
+      onPotentialMatch: config.onPotentialMatch || (async () => {}),
+      onConfirmedMatch: config.onConfirmedMatch || (async () => {}),
+      interval: config.interval || 24 * 60 * 60 * 1000 // daily
+    };
+  }
+
+  /**
+   * Scheduled run: load any changed list files (which re-screens everyone),
+   * otherwise re-screen all users against the current lists
+   */
+  async runScheduled() {
+    const imported = await this.syncFromDirectory();
+    if (imported.length === 0) {
+      await this.rescreenAll();
+    }
+  }
+
+  /**
+   * Import every recognised list file in the list directory whose content changed
+   * @returns {Promise<Object[]>} - SanctionsList records created
+   */
+  async syncFromDirectory() {
+    if (!fs.existsSync(this.config.listDir)) return [];
+
+    const present = new Map(fs.readdirSync(this.config.listDir).map(fileName => [fileName.toLowerCase(), fileName]));
+
+    // Importing a second format of the same source would replace the first
+    // one's entries, and each would re-import the other on every run
+    const chosen = new Map();
+    Object.entries(LIST_FILES).forEach(([name, list]) => {
+      if (present.has(name) && !chosen.has(list.source)) {
+        chosen.set(list.source, { ...list, fileName: present.get(name) });
+      }
+    });
+
+    const imported = [];
+    for (const list of chosen.values()) {
+      const result = await this.importList(list.source, list.format, list.fileName, 'system', { rescreen: false });
+      if (result.imported) imported.push(result.list);
+    }
+
+    if (imported.length > 0) {
+      await this.rescreenAll();
+    }
+
+    return imported;
+  }
+
+  /**
+   * Import a list file from the list directory
+   * @param {string} source - 'OFAC_SDN', 'EU', 'UN' or 'generic'
+   * @param {string} format - 'xml' or 'csv'
+   * @param {string} fileName - File name inside the list directory
+   * @param {string} importedBy - User id running the import
+   * @returns {Promise<Object>} - { imported, list }
+   */
+  async importList(source, format, fileName, importedBy, options = { rescreen: true }) {
+    const listDir = path.resolve(this.config.listDir);
+    const filePath = path.resolve(listDir, fileName);
+    if (path.dirname(filePath) !== listDir) {
+      throw new Error('Sanctions list files must be inside the list directory');
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    const version = crypto.createHash('sha256').update(content).digest('hex');
+
+    const existing = await SanctionsList.findOne({ source, version });
+    if (existing && existing.active) {
+      return { imported: false, list: existing };
+    }
+
+    const entries = parseSanctionsList(source, format, content);
+
+    // Clear leftovers from an interrupted import of this same version
+    await SanctionsEntry.deleteMany({ source, listVersion: version });
+
+    // Insert the new version before dropping the old one so screening never sees an empty list
+    const batchSize = 1000;
+    for (let i = 0; i < entries.length; i += batchSize) {
+      await SanctionsEntry.insertMany(entries.slice(i, i + batchSize).map(entry => ({
+        ...entry,
+        source,
+        listVersion: version,
+        ...searchKeys([entry.name, ...entry.aliases])
+      })));
+    }
+
+    await SanctionsEntry.deleteMany({ source, listVersion: { $ne: version } });
+    await SanctionsList.updateMany({ source, version: { $ne: version } }, { $set: { active: false } });
+
+    const list = existing || new SanctionsList({ source, version });
+    Object.assign(list, {
+      fileName,
+      format,
+      entryCount: entries.length,
+      active: true,
+      importedAt: new Date(),
+      importedBy
+    });
+    await list.save();
+
+    if (options.rescreen) {
+      await this.rescreenAll();
+    }
+
+    return { imported: true, list };
+  }
+
+  /**
+   * Check one wallet address against every active list
+   * @param {string} walletAddress - Address to check
+   * @returns {Promise<Object|null>} - Matching SanctionsEntry or null
+   */
+  async findSanctionedAddress(walletAddress) {
+    if (!walletAddress) return null;
+    return SanctionsEntry.findOne({ cryptoAddresses: walletAddress.toLowerCase() });
+  }
+
+  /**
+   * Check many wallet addresses at once
+   * @param {string[]} walletAddresses - Addresses to check
+   * @returns {Promise<Set<string>>} - Sanctioned addresses, lowercased
+   */
+  async findSanctionedAddresses(walletAddresses) {
+    const addresses = [...new Set(walletAddresses.filter(Boolean).map(address => address.toLowerCase()))];
+    if (addresses.length === 0) return new Set();
+
+    const entries = await SanctionsEntry.find({ cryptoAddresses: { $in: addresses } }, { cryptoAddresses: 1 });
+    const wanted = new Set(addresses);
+    return new Set(entries.flatMap(entry => entry.cryptoAddresses.filter(address => wanted.has(address))));
+  }
+
+  /**
+   * Fuzzy-match a name against every active list
+   * @param {string} name - Name to screen
+   * @param {Date} dateOfBirth - Optional, adjusts confidence for individuals
+   * @returns {Promise<Object[]>} - [{ entry, matchedValue, confidence }] best first
+   */
+  async screenName(name, dateOfBirth) {
+    const query = normalizeName(name);
+    if (!query) return [];
+
+    const { nameKeys } = searchKeys([name]);
+    const candidates = await SanctionsEntry.find({ nameKeys: { $in: nameKeys } }).lean();
+
+    const matches = [];
+    for (const entry of candidates) {
+      let best = { score: 0, value: null };
+
+      entry.normalizedNames.forEach((candidate, index) => {
+        const score = nameSimilarity(query, candidate);
+        if (score > best.score) {
+          best = { score, value: index === 0 ? entry.name : entry.aliases[index - 1] };
+        }
+      });
+
+      const confidence = Math.max(0, Math.min(1, best.score + birthDateAdjustment(entry, dateOfBirth)));
+      if (confidence >= this.config.matchThreshold) {
+        matches.push({ entry, matchedValue: best.value, confidence: Number(confidence.toFixed(3)) });
+      }
+    }
+
+    return matches.sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * Screen a user's name and wallets, record hits and update the user
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} - { hits, sanctioned }
+   */
+  async screenUser(user) {
+    const hits = [];
+
+    const nameMatches = await this.screenName(user.fullName, user.dateOfBirth);
+    for (const match of nameMatches) {
+      hits.push(await this._recordHit(user, match.entry, 'name', match.matchedValue, user.fullName, match.confidence));
+    }
+
+    for (const walletAddress of user.walletAddresses) {
+      const entry = await this.findSanctionedAddress(walletAddress);
+      if (entry) {
+        hits.push(await this._recordHit(user, entry, 'wallet_address', walletAddress, walletAddress, 1, 'confirmed'));
+      }
+    }
+
+    const sanctioned = hits.some(hit => hit.status === 'confirmed');
+
+    user.sanctionsScreening = {
+      lastScreenedAt: new Date(),
+      status: sanctioned ? 'confirmed_match' : (hits.some(hit => hit.status === 'open') ? 'potential_match' : 'clear')
+    };
+    if (sanctioned) {
+      user.isOnSanctionsList = true;
+    }
+    await user.save();
+
+    const newHits = hits.filter(hit => hit.isNewHit);
+    if (sanctioned && newHits.some(hit => hit.status === 'confirmed')) {
+      await this.config.onConfirmedMatch(user, newHits.filter(hit => hit.status === 'confirmed'));
+    }
+    if (newHits.some(hit => hit.status === 'open')) {
+      await this.config.onPotentialMatch(user, newHits.filter(hit => hit.status === 'open'));
+    }
+
+    return { hits, sanctioned };
+  }
+
+  /**
+   * Re-screen every user against the current lists
+   * @returns {Promise<Object>} - { screened, withHits }
+   */
+  async rescreenAll() {
+    let screened = 0;
+    let withHits = 0;
+
+    const cursor = this.config.User.find().cursor();
+    for (let user = await cursor.next(); user != null; user = await cursor.next()) {
+      // Cursors skip the query hooks that decrypt PII, so names must be decrypted here
+      if (typeof user.decryptPii === 'function') {
+        await user.decryptPii();
+      }
+      const result = await this.screenUser(user);
+      screened++;
+      if (result.hits.length > 0) withHits++;
+    }
+
+    return { screened, withHits };
+  }
+
+  /**
+   * Record an analyst's decision on a potential match
+   * @param {string} hitId - SanctionsHit id
+   * @param {string} status - 'confirmed' or 'cleared'
+   * @param {string} reviewerId - Reviewer user id
+   * @param {string} note - Review note
+   * @returns {Promise<Object>} - { hit, user }
+   */
+  async reviewHit(hitId, status, reviewerId, note) {
+    if (!['confirmed', 'cleared'].includes(status)) {
+      throw new Error('status must be confirmed or cleared');
+    }
+
+    // Only an actual change of status counts, so repeating a decision does nothing
+    const hit = await SanctionsHit.findOneAndUpdate(
+      { _id: hitId, status: { $ne: status } },
+      { $set: { status, reviewedBy: reviewerId, reviewedAt: new Date(), reviewNote: note } },
+      { new: true }
+    );
+    if (!hit) {
+      const current = await SanctionsHit.findById(hitId);
+      if (!current) {
+        throw new Error('Sanctions hit not found');
+      }
+      return { hit: current, user: await this.config.User.findById(current.userId), unchanged: true };
+    }
+
+    const user = await this.config.User.findById(hit.userId);
+    if (user) {
+      const remaining = await SanctionsHit.find({ userId: user._id, status: { $ne: 'cleared' } });
+      const confirmed = remaining.some(other => other.status === 'confirmed');
+
+      user.isOnSanctionsList = confirmed;
+      user.sanctionsScreening = {
+        lastScreenedAt: user.sanctionsScreening ? user.sanctionsScreening.lastScreenedAt : new Date(),
+        status: confirmed ? 'confirmed_match' : (remaining.length > 0 ? 'potential_match' : 'clear')
+      };
+      await user.save();
+
+      if (status === 'confirmed') {
+        await this.config.onConfirmedMatch(user, [hit]);
+      }
+    }
+
+    return { hit, user };
+  }
+
+  async listHits(filters = {}) {
+    const query = {};
+    if (filters.status) query.status = filters.status;
+    if (filters.userId) query.userId = filters.userId;
+
+    return SanctionsHit.find(query)
+      .sort({ confidence: -1, createdAt: -1 })
+      .populate('userId', 'fullName email dateOfBirth kycLevel riskLevel');
+  }
+
+  async listVersions() {
+    return SanctionsList.find().sort({ importedAt: -1 });
+  }
+
+  async _recordHit(user, entry, matchType, matchedValue, screenedValue, confidence, status = 'open') {
+    const key = { userId: user._id, source: entry.source, externalId: entry.externalId, matchType };
+    const existing = await SanctionsHit.findOne(key);
+
+    if (existing) {
+      // Keep analyst decisions; just refresh the list version and score
+      existing.listVersion = entry.listVersion;
+      existing.entryId = entry._id;
+      existing.confidence = confidence;
+      await existing.save();
+      return existing;
+    }
+
+    const hit = new SanctionsHit({
+      ...key,
+      entryId: entry._id,
+      listVersion: entry.listVersion,
+      matchedValue,
+      screenedValue,
+      confidence,
+      status
+    });
+    await hit.save();
+    hit.isNewHit = true;
+
+    return hit;
+  }
+}
+
+/**
+ * Lowercase, strip accents and punctuation, collapse whitespace
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Normalized names plus 3-letter token prefixes used to pull fuzzy-match candidates
+function searchKeys(names) {
+  const normalizedNames = names.map(normalizeName).filter(Boolean);
+  const nameKeys = new Set();
+
+  normalizedNames.forEach(name => {
+    name.split(' ')
+      .filter(token => token.length >= 2)
+      .forEach(token => nameKeys.add(token.slice(0, 3)));
+  });
+
+  return { normalizedNames, nameKeys: [...nameKeys] };
+}
+
+/**
+ * Similarity of two normalized names in [0, 1]: the better of a whole-string
+ * Jaro-Winkler score and a token-set score that tolerates reordered names
+ */
+function nameSimilarity(a, b) {
+  const whole = jaroWinkler(a, b);
+
+  const tokensA = a.split(' ');
+  const tokensB = b.split(' ');
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+
+  const tokenScore = shorter.reduce((sum, token) =>
+    sum + Math.max(...longer.map(other => jaroWinkler(token, other))), 0) / shorter.length;
+
+  // Penalise token-set matches that cover only part of the longer name
+  const coverage = shorter.length / longer.length;
+  const tokenSet = tokenScore * (0.7 + 0.3 * coverage);
+
+  return Math.max(whole, tokenSet);
+}
+
+function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  const matchDistance = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - matchDistance);
+    const end = Math.min(i + matchDistance + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (bMatches[j] || a[i] !== b[j]) continue;
+      aMatches[i] = true;
+      bMatches[j] = true;
+      matches++;
+      break;
+    }
+  }
+
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+// Same birth year raises confidence for individuals; a conflicting one lowers it
+function birthDateAdjustment(entry, dateOfBirth) {
+  if (!dateOfBirth || entry.type !== 'individual' || entry.datesOfBirth.length === 0) return 0;
+
+  const year = String(new Date(dateOfBirth).getUTCFullYear());
+  const years = entry.datesOfBirth
+    .map(value => (/(\d{4})/.exec(value) || [])[1])
+    .filter(Boolean);
+
+  if (years.length === 0) return 0;
+  return years.includes(year) ? 0.05 : -0.1;
+}
+
+module.exports = {
+  SanctionsScreening,
+  SanctionsList,
+  SanctionsEntry,
+  SanctionsHit,
+  normalizeName,
+  nameSimilarity
+};
@@ -0,0 +1,438 @@
+/**
+ * SAR Lifecycle
+ *
+ * Moves Suspicious Activity Reports through an enforced workflow:
+ *
+ *   draft -> pending_approval -> approved -> submitted -> acknowledged -> investigation
+ *                  |
+ *                  +-> draft (rejected by the approver)
+ *
+ * Narratives are rendered from templates that pull in the subject's KYC data
+ * and the related transactions. Approved SARs are exported as a FinCEN
+ * BSA-style XML batch, validated against kyc-aml-sar-batch.xsd, and the
+ * regulator's acknowledgement is recorded against each report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const libxmljs = require('libxmljs2');
+
+// Transitions allowed through transition(). Submission only happens via
+// exportBatch() and acknowledgement via recordAcknowledgement(), so neither
+// can skip the batch export or the regulator's reference.
+const SAR_TRANSITIONS = {
+  draft: ['pending_approval'],
+  pending_approval: ['approved', 'draft'],
+  approved: [],
+  submitted: [],
+  acknowledged: ['investigation'],
+  investigation: []
+};
+
+// Statuses a preparer may move a SAR to; every other one needs an approver
+const PREPARER_STATUSES = ['pending_approval'];
+
+const NARRATIVE_TEMPLATES = {
+  default: [
+    '{{institution}} is filing this report concerning {{user.fullName}} (date of birth {{user.dateOfBirth}}, ' +
+      'country {{user.country}}), a customer since {{user.createdAt}} at KYC level {{user.kycLevel}} ' +
+      'with a {{user.riskLevel}} risk rating.',
+    '',
+    'Between {{activity.from}} and {{activity.to}} the customer conducted {{activity.count}} transaction(s) ' +
+      'totalling {{activity.total}}:',
+    '{{#transactions}}- {{date}}: {{type}} of {{amount}} {{currency}} from wallet {{walletAddress}}' +
+      '{{#counterpartyAddress}} with counterparty {{counterpartyAddress}}{{/counterpartyAddress}} ' +
+      '(tx {{transactionHash}}, risk score {{riskScore}})\n{{/transactions}}',
+    'Reason for filing: {{reason}}'
+  ].join('\n'),
+
+  sanctions_match: [
+    '{{institution}} identified a potential sanctions match involving {{user.fullName}} ' +
+      '(date of birth {{user.dateOfBirth}}, country {{user.country}}).',
+    '',
+    'Wallets linked to the customer: {{user.walletAddresses}}.',
+    'Identity documents on file: {{user.documents}}.',
+    '',
+    'Related activity ({{activity.count}} transaction(s), {{activity.total}} total):',
+    '{{#transactions}}- {{date}}: {{type}} of {{amount}} {{currency}} (tx {{transactionHash}})\n{{/transactions}}',
+    'Details: {{reason}}'
+  ].join('\n'),
+
+  structuring: [
+    '{{institution}} is reporting a pattern consistent with structuring by {{user.fullName}} ' +
+      '(KYC level {{user.kycLevel}}, risk rating {{user.riskLevel}}).',
+    '',
+    'From {{activity.from}} to {{activity.to}} the customer made {{activity.count}} transaction(s) ' +
+      'totalling {{activity.total}}, each individually below the reporting threshold:',
+    '{{#transactions}}- {{date}}: {{amount}} {{currency}} (tx {{transactionHash}})\n{{/transactions}}',
+    'Analyst notes: {{reason}}'
+  ].join('\n')
+};
+
+class SarLifecycle {
+  constructor(config = {}) {
+    this.config = {
+      Report: config.Report,
+      institutionName: config.institutionName || 'Stabulum',
+      exportDir: config.exportDir || './exports/',
+      schemaPath: config.schemaPath || path.join(__dirname, 'kyc-aml-sar-batch.xsd'),
+      templates: { ...NARRATIVE_TEMPLATES, ...(config.templates || {}) }
+    };
+
+    this.schema = null;
+  }
+
+  /**
+   * Move a SAR to a new status, enforcing the workflow
+   * @param {string} reportId - Report id
+   * @param {string} status - Target status
+   * @param {string} actorId - User making the change
+   * @param {string} note - Optional note stored in the status history
+   * @returns {Promise<Object>} - Updated Report
+   */
+  async transition(reportId, status, actorId, note) {
+    const report = await this._loadSar(reportId);
+
+    if (!(SAR_TRANSITIONS[report.status] || []).includes(status)) {
+      throw new SarError(`Cannot move SAR from ${report.status} to ${status}`, 400);
+    }
+
+    if (status === 'pending_approval') {
+      if (!report.narrative) {
+        throw new SarError('A narrative is required before requesting approval', 400);
+      }
+      // System-prepared SARs have no human preparer, so the requester is recorded too
+      report.approvalRequestedBy = String(actorId);
+    }
+
+    if (status === 'approved') {
+      // Approver sign-off: neither the preparer nor whoever requested approval can approve
+      if ([report.submittedBy, report.approvalRequestedBy].includes(String(actorId))) {
+        throw new SarError('A SAR must be approved by someone other than its preparer or requester', 403);
+      }
+      report.approvedBy = String(actorId);
+      report.approvedAt = new Date();
+    }
+
+    if (status === 'draft') {
+      report.approvedBy = undefined;
+      report.approvedAt = undefined;
+      report.approvalRequestedBy = undefined;
+    }
+
+    this._recordTransition(report, status, actorId, note);
+    await report.save();
+
+    return report;
+  }
+
+  /**
+   * Render a narrative template into a draft SAR
+   * @param {string} reportId - Report id
+   * @param {string} templateName - Template key
+   * @param {string} reason - Free-text reason inserted into the template
+   * @returns {Promise<Object>} - Updated Report
+   */
+  async renderNarrative(reportId, templateName = 'default', reason = '') {
+    const template = this.config.templates[templateName];
+    if (!template) {
+      throw new SarError(`Unknown narrative template: ${templateName}`, 400);
+    }
+
+    const report = await this._loadSar(reportId);
+    if (report.status !== 'draft') {
+      throw new SarError('Only draft SARs can be edited', 400);
+    }
+
+    await report.populate(['userId', 'relatedTransactions']);
+
+    report.narrative = renderTemplate(template, this._narrativeView(report, reason)).trim();
+    await report.depopulate();
+    await report.save();
+
+    return report;
+  }
+
+  /**
+   * Export approved SARs as one XML batch and mark them submitted
+   * @param {string[]} reportIds - SARs to include (defaults to every approved SAR)
+   * @param {string} actorId - User running the export
+   * @returns {Promise<Object>} - { batchId, filePath, reportIds }
+   */
+  async exportBatch(reportIds, actorId) {
+    const query = { type: 'SAR', status: 'approved' };
+    if (reportIds && reportIds.length > 0) {
+      query._id = { $in: reportIds };
+    }
+
+    const reports = await this.config.Report.find(query)
+      .populate('userId')
+      .populate('relatedTransactions');
+
+    if (reports.length === 0) {
+      throw new SarError('No approved SARs to export', 400);
+    }
+    if (reportIds && reportIds.length > 0 && reports.length !== reportIds.length) {
+      throw new SarError('Every SAR in a batch must exist and be approved', 400);
+    }
+
+    const batchId = `SAR-${formatDate(new Date())}-${crypto.randomBytes(4).toString('hex')}`;
+    const xml = this.buildBatchXml(batchId, reports);
+    this.validateBatchXml(xml);
+
+    fs.mkdirSync(this.config.exportDir, { recursive: true });
+    const filePath = path.join(this.config.exportDir, `${batchId}.xml`);
+    fs.writeFileSync(filePath, xml);
+
+    for (const report of reports) {
+      await report.depopulate();
+      report.exportBatchId = batchId;
+      report.exportedAt = new Date();
+      this._recordTransition(report, 'submitted', actorId, `Exported in batch ${batchId}`);
+      await report.save();
+    }
+
+    return { batchId, filePath, reportIds: reports.map(report => report._id) };
+  }
+
+  /**
+   * Record the regulator's acknowledgement of a submitted SAR
+   * @param {string} reportId - Report id
+   * @param {string} regulatoryReference - Reference (e.g. BSA ID) issued by the regulator
+   * @param {string} actorId - User recording the acknowledgement
+   * @param {Date} acknowledgedAt - When the regulator acknowledged the filing
+   * @returns {Promise<Object>} - Updated Report
+   */
+  async recordAcknowledgement(reportId, regulatoryReference, actorId, acknowledgedAt) {
+    if (!regulatoryReference) {
+      throw new SarError('regulatoryReference is required', 400);
+    }
+
+    const report = await this._loadSar(reportId);
+    if (report.status !== 'submitted') {
+      throw new SarError(`Cannot acknowledge a SAR in status ${report.status}`, 400);
+    }
+
+    report.regulatoryReference = regulatoryReference;
+    report.acknowledgedAt = acknowledgedAt ? new Date(acknowledgedAt) : new Date();
+    this._recordTransition(report, 'acknowledged', actorId, `Regulator reference ${regulatoryReference}`);
+    await report.save();
+
+    return report;
+  }
+
+  /**
+   * Build the batch XML for a set of populated SAR reports
+   * @param {string} batchId - Batch identifier
+   * @param {Object[]} reports - Reports with userId and relatedTransactions populated
+   * @returns {string} - XML document
+   */
+  buildBatchXml(batchId, reports) {
+    let totalAmount = 0;
+
+    const activities = reports.map((report, index) => {
+      const user = report.userId || {};
+      const transactions = report.relatedTransactions || [];
+      const amount = Math.round(transactions.reduce((sum, tx) => sum + tx.amount, 0));
+      const dates = transactions.map(tx => tx.timestamp).concat(report.reportDate).sort((a, b) => a - b);
+      totalAmount += amount;
+
+      const address = user.address || {};
+      const documents = (user.identityDocuments || []).filter(doc => doc.documentNumber);
+
+      return [
+        `  <Activity SeqNum="${index + 1}">`,
+        `    <FilingDateText>${formatDate(new Date())}</FilingDateText>`,
+        `    <InternalReportId>${escapeXml(report._id)}</InternalReportId>`,
+        '    <Party SeqNum="1">',
+        '      <ActivityPartyTypeCode>30</ActivityPartyTypeCode>',
+        `      <PartyName><RawPartyFullName>${escapeXml(this.config.institutionName)}</RawPartyFullName></PartyName>`,
+        '    </Party>',
+        '    <Party SeqNum="2">',
+        '      <ActivityPartyTypeCode>33</ActivityPartyTypeCode>',
+        `      <PartyName><RawPartyFullName>${escapeXml(user.fullName || 'Unknown')}</RawPartyFullName></PartyName>`,
+        user.dateOfBirth ? `      <IndividualBirthDateText>${formatDate(user.dateOfBirth)}</IndividualBirthDateText>` : null,
+        ...documents.map(doc => [
+          '      <PartyIdentification>',
+          `        <PartyIdentificationNumberText>${escapeXml(doc.documentNumber)}</PartyIdentificationNumberText>`,
+          `        <PartyIdentificationTypeCode>${escapeXml(doc.type || 'other')}</PartyIdentificationTypeCode>`,
+          '      </PartyIdentification>'
+        ].join('\n')),
+        '      <Address>',
+        `        <RawStreetAddress1Text>${escapeXml(address.street)}</RawStreetAddress1Text>`,
+        `        <RawCityText>${escapeXml(address.city)}</RawCityText>`,
+        `        <RawStateCodeText>${escapeXml(address.state)}</RawStateCodeText>`,
+        `        <RawZIPCode>${escapeXml(address.postalCode)}</RawZIPCode>`,
+        `        <RawCountryCodeText>${escapeXml(address.country)}</RawCountryCodeText>`,
+        '      </Address>',
+        ...(user.walletAddresses || []).map(wallet =>
+          `      <ElectronicAddressText>${escapeXml(wallet)}</ElectronicAddressText>`),
+        '    </Party>',
+        '    <SuspiciousActivity>',
+        `      <SuspiciousActivityFromDateText>${formatDate(dates[0])}</SuspiciousActivityFromDateText>`,
+        `      <SuspiciousActivityToDateText>${formatDate(dates[dates.length - 1])}</SuspiciousActivityToDateText>`,
+        `      <TotalSuspiciousAmountText>${amount}</TotalSuspiciousAmountText>`,
+        '    </SuspiciousActivity>',
+        ...transactions.map(tx => [
+          '    <Transaction>',
+          `      <TransactionHashText>${escapeXml(tx.transactionHash)}</TransactionHashText>`,
+          `      <TransactionDateText>${formatDate(tx.timestamp)}</TransactionDateText>`,
+          `      <TransactionTypeText>${escapeXml(tx.type)}</TransactionTypeText>`,
+          `      <TransactionAmountText>${Math.round(tx.amount)}</TransactionAmountText>`,
+          `      <CurrencyCodeText>${escapeXml(tx.currency)}</CurrencyCodeText>`,
+          '    </Transaction>'
+        ].join('\n')),
+        '    <ActivityNarrativeInformation>',
+        '      <ActivityNarrativeSequenceNumber>1</ActivityNarrativeSequenceNumber>',
+        `      <NarrativeText>${escapeXml(report.narrative)}</NarrativeText>`,
+        '    </ActivityNarrativeInformation>',
+        '  </Activity>'
+      ].filter(line => line !== null).join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<EFilingBatchXML BatchId="${escapeXml(batchId)}" ActivityCount="${reports.length}" TotalAmount="${totalAmount}">`,
+      '  <FormTypeCode>SARX</FormTypeCode>',
+      ...activities,
+      '</EFilingBatchXML>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Validate batch XML against the local schema, throwing with the schema errors
+   * @param {string} xml - XML document
+   */
+  validateBatchXml(xml) {
+    if (!this.schema) {
+      this.schema = libxmljs.parseXml(fs.readFileSync(this.config.schemaPath, 'utf8'));
+    }
+
+    const document = libxmljs.parseXml(xml);
+    if (!document.validate(this.schema)) {
+      const errors = document.validationErrors.map(error => error.message.trim());
+      throw new SarError(`SAR batch failed schema validation: ${errors.join('; ')}`, 422);
+    }
+  }
+
+  async _loadSar(reportId) {
+    const report = await this.config.Report.findOne({ _id: reportId, type: 'SAR' });
+    if (!report) {
+      throw new SarError('SAR not found', 404);
+    }
+    return report;
+  }
+
+  _recordTransition(report, status, actorId, note) {
+    report.statusHistory.push({
+      from: report.status,
+      to: status,
+      changedBy: actorId ? String(actorId) : 'system',
+      note
+    });
+    report.status = status;
+  }
+
+  _narrativeView(report, reason) {
+    const user = report.userId || {};
+    const transactions = (report.relatedTransactions || [])
+      .slice()
+      .sort((a, b) => a.timestamp - b.timestamp);
+    const total = transactions.reduce((sum, tx) => sum + tx.amount, 0);
+
+    return {
+      institution: this.config.institutionName,
+      reason,
+      user: {
+        fullName: user.fullName,
+        dateOfBirth: user.dateOfBirth ? formatIsoDate(user.dateOfBirth) : 'unknown',
+        country: user.address ? user.address.country : 'unknown',
+        createdAt: user.createdAt ? formatIsoDate(user.createdAt) : 'unknown',
+        kycLevel: user.kycLevel,
+        riskLevel: user.riskLevel,
+        walletAddresses: (user.walletAddresses || []).join(', ') || 'none',
+        documents: (user.identityDocuments || [])
+          .map(doc => `${doc.type} ${doc.documentNumber} (${doc.issuingCountry})`)
+          .join(', ') || 'none'
+      },
+      activity: {
+        count: transactions.length,
+        total: total.toFixed(2),
+        from: transactions.length ? formatIsoDate(transactions[0].timestamp) : 'n/a',
+        to: transactions.length ? formatIsoDate(transactions[transactions.length - 1].timestamp) : 'n/a'
+      },
+      transactions: transactions.map(tx => ({
+        date: formatIsoDate(tx.timestamp),
+        type: tx.type,
+        amount: tx.amount.toFixed(2),
+        currency: tx.currency,
+        walletAddress: tx.walletAddress,
+        counterpartyAddress: tx.counterpartyAddress,
+        transactionHash: tx.transactionHash,
+        riskScore: tx.riskScore
+      }))
+    };
+  }
+}
+
+// Error carrying the HTTP status the route should answer with
+class SarError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SarError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Minimal mustache-style renderer: {{path}} values and {{#key}}...{{/key}}
+ * sections, which repeat for arrays and render once for truthy values
+ */
+function renderTemplate(template, view) {
+  return template
+    .replace(/\{\{#([\w.]+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, key, inner) => {
+      const value = lookup(view, key);
+      if (Array.isArray(value)) {
+        return value.map(item => renderTemplate(inner, { ...view, ...item })).join('');
+      }
+      return value ? renderTemplate(inner, view) : '';
+    })
+    .replace(/\{\{([\w.]+)\}\}/g, (match, key) => {
+      const value = lookup(view, key);
+      return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+function lookup(view, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), view);
+}
+
+function escapeXml(value) {
+  if (value === undefined || value === null) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// YYYYMMDD, as used by BSA date fields
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function formatIsoDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+module.exports = {
+  SarLifecycle,
+  SarError,
+  SAR_TRANSITIONS,
+  PREPARER_STATUSES,
+  NARRATIVE_TEMPLATES,
+  renderTemplate
+};
@@ -0,0 +1,237 @@
+/**
+ * Transaction Limit Enforcement
+ *
+ * Checks a new transaction against the user's limits over three windows:
+ *   - daily:      rolling 24 hours
+ *   - rolling30d: rolling 30 days
+ *   - monthly:    current calendar month (UTC)
+ *
+ * Limits apply to the user's total across every limited transaction type and,
+ * where configured, to each type on its own. Base limits come from
+ * setTransactionLimits(); admin overrides on the user take precedence until
+ * they expire. Entities (KYB) are checked the same way against the limits
+ * KybService sets for them. Types that are neither limited nor explicitly
+ * exempt (incoming `receive`) are refused rather than let through unchecked,
+ * as are amounts that are not positive numbers.
+ */
+
+const LIMIT_WINDOWS = ['daily', 'rolling30d', 'monthly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TransactionLimits {
+  constructor(config = {}) {
+    this.config = {
+      Transaction: config.Transaction,
+      // Transaction types that count towards limits
+      limitedTypes: config.limitedTypes || ['mint', 'burn', 'transfer'],
+      // Types that never count towards limits, e.g. incoming funds
+      exemptTypes: config.exemptTypes || ['receive']
+    };
+  }
+
+  /**
+   * Start of each limit window
+   * @param {Date} now - Reference time
+   * @returns {Object} - { daily, rolling30d, monthly } as Dates
+   */
+  windowStarts(now = new Date()) {
+    return {
+      daily: new Date(now.getTime() - DAY_MS),
+      rolling30d: new Date(now.getTime() - 30 * DAY_MS),
+      monthly: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+    };
+  }
+
+  /**
+   * Merge base limits with any active admin override
+   * @param {Object} user - User document
+   * @param {Date} now - Reference time
+   * @returns {Object} - { overall: { daily, rolling30d, monthly }, byType: { [type]: {...} } }
+   */
+  getEffectiveLimits(user, now = new Date()) {
+    const base = user.transactionLimits || {};
+    const override = user.limitOverrides && isActiveOverride(user.limitOverrides, now)
+      ? user.limitOverrides
+      : {};
+
+    const overall = {};
+    LIMIT_WINDOWS.forEach(window => {
+      overall[window] = pickLimit(override[window], base[window]);
+    });
+
+    const byType = {};
+    this.config.limitedTypes.forEach(type => {
+      const baseType = (base.byType && base.byType[type]) || {};
+      const overrideType = (override.byType && override.byType[type]) || {};
+
+      const limits = {};
+      LIMIT_WINDOWS.forEach(window => {
+        const limit = pickLimit(overrideType[window], baseType[window]);
+        if (limit !== null) limits[window] = limit;
+      });
+
+      if (Object.keys(limits).length > 0) byType[type] = limits;
+    });
+
+    return { overall, byType };
+  }
+
+  /**
+   * Sum the user's limited activity in every window, overall and per type
+   * @param {Object} user - User document
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} - { overall: { daily, rolling30d, monthly }, byType: { [type]: {...} } }
+   */
+  async getUsage(user, now = new Date()) {
+    const starts = this.windowStarts(now);
+    const earliest = new Date(Math.min(...LIMIT_WINDOWS.map(window => starts[window].getTime())));
+
+    const sums = {};
+    LIMIT_WINDOWS.forEach(window => {
+      sums[window] = { $sum: { $cond: [{ $gte: ['$timestamp', starts[window]] }, '$amount', 0] } };
+    });
+
+    const rows = await this.config.Transaction.aggregate([
+      { $match: {
+        ...ownerFilter(user),
+        type: { $in: this.config.limitedTypes },
+        timestamp: { $gte: earliest, $lte: now }
+      }},
+      { $group: { _id: '$type', ...sums } }
+    ]);
+
+    const overall = { daily: 0, rolling30d: 0, monthly: 0 };
+    const byType = {};
+
+    this.config.limitedTypes.forEach(type => {
+      byType[type] = { daily: 0, rolling30d: 0, monthly: 0 };
+    });
+
+    rows.forEach(row => {
+      LIMIT_WINDOWS.forEach(window => {
+        byType[row._id][window] = row[window];
+        overall[window] += row[window];
+      });
+    });
+
+    return { overall, byType };
+  }
+
+  /**
+   * Check whether a new transaction fits within every applicable limit
+   * @param {Object} user - User document
+   * @param {Object} transaction - { amount, type }
+   * @returns {Promise<Object>} - { allowed, violations: [{ scope, window, limit, used, remaining }] }
+   */
+  async check(user, transaction, now = new Date()) {
+    // A negative amount would lower the usage every later check sees
+    if (typeof transaction.amount !== 'number' || !Number.isFinite(transaction.amount) || transaction.amount <= 0) {
+      throw new TransactionLimitError('Amount must be a positive number');
+    }
+    if (this.config.exemptTypes.includes(transaction.type)) {
+      return { allowed: true, violations: [] };
+    }
+    if (!this.config.limitedTypes.includes(transaction.type)) {
+      throw new TransactionLimitError(`Unknown transaction type: ${transaction.type}`);
+    }
+
+    const limits = this.getEffectiveLimits(user, now);
+    const usage = await this.getUsage(user, now);
+    const violations = [];
+
+    LIMIT_WINDOWS.forEach(window => {
+      const limit = limits.overall[window];
+      if (limit !== null && usage.overall[window] + transaction.amount > limit) {
+        violations.push(violation('overall', window, limit, usage.overall[window]));
+      }
+
+      const typeLimits = limits.byType[transaction.type];
+      if (typeLimits && typeLimits[window] !== undefined) {
+        const used = usage.byType[transaction.type][window];
+        if (used + transaction.amount > typeLimits[window]) {
+          violations.push(violation(transaction.type, window, typeLimits[window], used));
+        }
+      }
+    });
+
+    return { allowed: violations.length === 0, violations };
+  }
+
+  /**
+   * Used and remaining amounts for every window, for display to the user
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} - { overall: { [window]: { limit, used, remaining } }, byType, override }
+   */
+  async describe(user, now = new Date()) {
+    const limits = this.getEffectiveLimits(user, now);
+    const usage = await this.getUsage(user, now);
+
+    const summarize = (windowLimits, windowUsage) => {
+      const summary = {};
+      Object.keys(windowLimits).forEach(window => {
+        const limit = windowLimits[window];
+        summary[window] = {
+          limit,
+          used: windowUsage[window],
+          remaining: limit === null ? null : Math.max(0, limit - windowUsage[window])
+        };
+      });
+      return summary;
+    };
+
+    const byType = {};
+    this.config.limitedTypes.forEach(type => {
+      byType[type] = {
+        used: usage.byType[type],
+        limits: limits.byType[type] ? summarize(limits.byType[type], usage.byType[type]) : null
+      };
+    });
+
+    const override = user.limitOverrides && isActiveOverride(user.limitOverrides, now)
+      ? { reason: user.limitOverrides.reason, expiresAt: user.limitOverrides.expiresAt }
+      : null;
+
+    return {
+      windows: { daily: 'rolling 24 hours', rolling30d: 'rolling 30 days', monthly: 'calendar month (UTC)' },
+      overall: summarize(limits.overall, usage.overall),
+      byType,
+      override
+    };
+  }
+}
+
+// Entities (KYB) have their own limits, counted over transactions made on their behalf
+function ownerFilter(subject) {
+  return subject.constructor.modelName === 'Entity' ? { entityId: subject._id } : { userId: subject._id };
+}
+
+function isActiveOverride(override, now) {
+  return !!override.setAt && (!override.expiresAt || override.expiresAt > now);
+}
+
+// Override wins when set; null/undefined means "no limit configured" for per-type limits
+function pickLimit(override, base) {
+  if (typeof override === 'number') return override;
+  if (typeof base === 'number') return base;
+  return null;
+}
+
+function violation(scope, window, limit, used) {
+  return { scope, window, limit, used, remaining: Math.max(0, limit - used) };
+}
+
+// Error carrying the HTTP status the route should answer with
+class TransactionLimitError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TransactionLimitError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  TransactionLimits,
+  TransactionLimitError,
+  LIMIT_WINDOWS
+};
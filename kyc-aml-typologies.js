@@ -0,0 +1,353 @@
+/**
+ * Money-laundering Typology Detection
+ *
+ * Looks for known laundering patterns in a set of transactions, per customer:
+ *
+ *   structuring          - several amounts just under a reporting threshold
+ *                          (CTR or a large-transaction rule) in a short window
+ *   pass_through         - incoming funds sent on again almost in full within
+ *                          hours
+ *   round_amount_burst   - many round amounts in a short window
+ *   dormant_reactivation - sudden volume after a long period without activity
+ *   fan_in / fan_out     - many distinct counterparties paying in, or being
+ *                          paid, in a short window
+ *
+ * Every finding carries a severity and the ids of its evidence transactions,
+ * and can be turned into a case alert with findingToAlert.
+ */
+
+const crypto = require('crypto');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const SEVERITIES = ['low', 'medium', 'high'];
+
+// Alert risk scores per severity, matched to the case priority thresholds
+const SEVERITY_SCORES = { low: 30, medium: 60, high: 90 };
+
+const INBOUND_TYPES = ['receive', 'mint'];
+const OUTBOUND_TYPES = ['transfer', 'burn'];
+
+class TypologyDetector {
+  constructor(config = {}) {
+    this.config = {
+      Transaction: config.Transaction,
+      // () => Promise<[{ name, amount }]>; reporting thresholds to check structuring against
+      getThresholds: config.getThresholds || (async () => [{ name: 'ctr', amount: 10000 }]),
+      structuring: {
+        // Amounts within this fraction below a threshold count as "just under"
+        band: 0.1,
+        windowHours: 7 * 24,
+        minCount: 3,
+        ...config.structuring
+      },
+      passThrough: {
+        windowHours: 24,
+        // Share of the incoming amount that has to leave again
+        minRatio: 0.9,
+        minPairs: 2,
+        ...config.passThrough
+      },
+      roundAmounts: {
+        unit: 1000,
+        windowHours: 24,
+        minCount: 4,
+        ...config.roundAmounts
+      },
+      dormancy: {
+        dormantDays: 180,
+        // Activity after reactivation looked at
+        windowDays: 7,
+        // Defaults to half the lowest threshold
+        minVolume: null,
+        ...config.dormancy
+      },
+      fan: {
+        windowHours: 24,
+        minCounterparties: 10,
+        ...config.fan
+      }
+    };
+  }
+
+  /**
+   * Run every detector over a set of transactions
+   * @param {Object[]} transactions - Transactions, with userId populated or not
+   * @returns {Promise<Object[]>} - Findings, most severe first
+   */
+  async detect(transactions) {
+    const thresholds = mergeThresholds(await this.config.getThresholds());
+    const findings = [];
+
+    for (const [userId, userTransactions] of groupByUser(transactions)) {
+      findings.push(
+        ...this.structuring(userId, userTransactions, thresholds),
+        ...this.passThrough(userId, userTransactions, thresholds),
+        ...this.roundAmountBursts(userId, userTransactions, thresholds),
+        ...await this.dormantReactivation(userId, userTransactions, thresholds),
+        ...this.fanInFanOut(userId, userTransactions)
+      );
+    }
+
+    return findings.sort((a, b) =>
+      SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) || b.totalAmount - a.totalAmount);
+  }
+
+  structuring(userId, transactions, thresholds) {
+    const { band, windowHours, minCount } = this.config.structuring;
+    const findings = [];
+
+    for (const threshold of thresholds) {
+      const floor = threshold.amount * (1 - band);
+      const near = transactions.filter(t => t.amount >= floor && t.amount < threshold.amount);
+
+      for (const group of bursts(near, windowHours * HOUR_MS, 2)) {
+        const total = sum(group);
+        const sameDay = span(group) <= DAY_MS;
+
+        // Two just-under amounts adding up past the threshold in a day, or a run of them over the window
+        if (!(sameDay && total >= threshold.amount) && group.length < minCount) continue;
+
+        findings.push(finding('structuring', userId, group, {
+          severity: sameDay && total >= threshold.amount ? 'high' : 'medium',
+          description: `${group.length} transactions between ${floor} and ${threshold.amount} ` +
+            `(${threshold.names.join(', ')} threshold) within ${formatSpan(span(group))}, totalling ${total}`,
+          details: { threshold: threshold.amount, thresholdNames: threshold.names }
+        }));
+      }
+    }
+
+    return findings;
+  }
+
+  passThrough(userId, transactions, thresholds) {
+    const { windowHours, minRatio, minPairs } = this.config.passThrough;
+    const windowMs = windowHours * HOUR_MS;
+    const outbound = transactions.filter(t => OUTBOUND_TYPES.includes(t.type));
+    const used = new Set();
+    const pairs = [];
+
+    for (const incoming of transactions.filter(t => INBOUND_TYPES.includes(t.type))) {
+      const outgoing = outbound.find(t =>
+        !used.has(t) &&
+        t.timestamp >= incoming.timestamp &&
+        t.timestamp - incoming.timestamp <= windowMs &&
+        t.amount >= incoming.amount * minRatio &&
+        t.amount <= incoming.amount);
+      if (!outgoing) continue;
+
+      used.add(outgoing);
+      pairs.push({ incoming, outgoing });
+    }
+
+    const total = pairs.reduce((acc, pair) => acc + pair.incoming.amount, 0);
+    if (pairs.length < minPairs && !(pairs.length > 0 && total >= lowest(thresholds))) return [];
+
+    const evidence = pairs.flatMap(pair => [pair.incoming, pair.outgoing]);
+    return [finding('pass_through', userId, evidence, {
+      severity: pairs.length >= minPairs * 2 || total >= lowest(thresholds) ? 'high' : 'medium',
+      description: `${pairs.length} incoming transfers of ${total} in total sent on within ${windowHours}h`,
+      details: {
+        pairs: pairs.map(({ incoming, outgoing }) => ({
+          incoming: incoming._id,
+          outgoing: outgoing._id,
+          holdMinutes: Math.round((outgoing.timestamp - incoming.timestamp) / 60000),
+          retainedAmount: incoming.amount - outgoing.amount
+        }))
+      }
+    })];
+  }
+
+  roundAmountBursts(userId, transactions, thresholds) {
+    const { unit, windowHours, minCount } = this.config.roundAmounts;
+    const round = transactions.filter(t => t.amount >= unit && t.amount % unit === 0);
+
+    return bursts(round, windowHours * HOUR_MS, minCount).map(group => {
+      const total = sum(group);
+      return finding('round_amount_burst', userId, group, {
+        severity: group.length >= minCount * 2 && total >= lowest(thresholds)
+          ? 'high'
+          : (group.length >= minCount * 2 || total >= lowest(thresholds) ? 'medium' : 'low'),
+        description: `${group.length} round-amount transactions (multiples of ${unit}) within ` +
+          `${formatSpan(span(group))}, totalling ${total}`,
+        details: { unit }
+      });
+    });
+  }
+
+  async dormantReactivation(userId, transactions, thresholds) {
+    if (!this.config.Transaction) return [];
+
+    const { dormantDays, windowDays } = this.config.dormancy;
+    const minVolume = this.config.dormancy.minVolume || lowest(thresholds) / 2;
+    const first = transactions[0];
+
+    const previous = await this.config.Transaction.findOne(
+      { userId, timestamp: { $lt: first.timestamp } },
+      { timestamp: 1 }
+    ).sort({ timestamp: -1 }).lean();
+    if (!previous) return [];
+
+    const idleMs = first.timestamp - previous.timestamp;
+    if (idleMs < dormantDays * DAY_MS) return [];
+
+    const burst = transactions.filter(t => t.timestamp - first.timestamp <= windowDays * DAY_MS);
+    const total = sum(burst);
+    if (total < minVolume) return [];
+
+    return [finding('dormant_reactivation', userId, burst, {
+      severity: total >= lowest(thresholds) ? 'high' : 'medium',
+      description: `Account idle for ${Math.floor(idleMs / DAY_MS)} days moved ${total} ` +
+        `in ${burst.length} transactions within ${windowDays} days`,
+      details: { lastActivityBefore: previous.timestamp, idleDays: Math.floor(idleMs / DAY_MS) }
+    })];
+  }
+
+  fanInFanOut(userId, transactions) {
+    const { windowHours, minCounterparties } = this.config.fan;
+    const findings = [];
+
+    for (const [typology, types] of [['fan_in', INBOUND_TYPES], ['fan_out', OUTBOUND_TYPES]]) {
+      const candidates = transactions.filter(t => types.includes(t.type) && t.counterpartyAddress);
+      const groups = bursts(candidates, windowHours * HOUR_MS, minCounterparties, counterparties);
+
+      for (const group of groups) {
+        const distinct = counterparties(group);
+        findings.push(finding(typology, userId, group, {
+          severity: distinct >= minCounterparties * 2 ? 'high' : 'medium',
+          description: `${distinct} distinct counterparties ${typology === 'fan_in' ? 'paid in' : 'paid'} ` +
+            `${sum(group)} within ${formatSpan(span(group))}`,
+          details: { counterparties: distinct }
+        }));
+      }
+    }
+
+    // Collecting from many and paying out to many is a distribution hub
+    const directions = new Set(findings.map(f => f.typology));
+    if (directions.size === 2) {
+      findings.forEach(f => { f.severity = 'high'; });
+    }
+
+    return findings;
+  }
+}
+
+/**
+ * Case alert for a finding. The fingerprint lets CaseManager.raiseAlert skip
+ * a finding already on the user's open case when the analysis is re-run.
+ * @param {Object} finding - Detector finding
+ * @returns {Object} - Alert for CaseManager.raiseAlert
+ */
+function findingToAlert(finding) {
+  return {
+    source: 'typology_detection',
+    typology: finding.typology,
+    reason: finding.description,
+    riskScore: SEVERITY_SCORES[finding.severity],
+    evidence: finding.evidence,
+    fingerprint: finding.fingerprint
+  };
+}
+
+function finding(typology, userId, transactions, { severity, description, details }) {
+  const evidence = transactions.map(t => t._id);
+  const timestamps = transactions.map(t => t.timestamp.getTime());
+
+  return {
+    typology,
+    severity,
+    userId,
+    description,
+    totalAmount: sum(transactions),
+    from: new Date(Math.min(...timestamps)),
+    to: new Date(Math.max(...timestamps)),
+    evidence,
+    fingerprint: crypto.createHash('sha256')
+      .update(`${typology}:${evidence.map(String).sort().join(',')}`)
+      .digest('hex'),
+    details
+  };
+}
+
+// userId -> transactions sorted by time
+function groupByUser(transactions) {
+  const groups = new Map();
+  for (const transaction of transactions) {
+    const user = transaction.userId;
+    if (!user) continue;
+
+    const userId = String(user._id || user);
+    if (!groups.has(userId)) groups.set(userId, []);
+    groups.get(userId).push(transaction);
+  }
+
+  for (const list of groups.values()) {
+    list.sort((a, b) => a.timestamp - b.timestamp);
+  }
+  return groups;
+}
+
+/**
+ * Non-overlapping runs of time-sorted items that fit in the window and reach
+ * the minimum size, measured by item count or by `measure`
+ */
+function bursts(items, windowMs, minSize, measure = group => group.length) {
+  const groups = [];
+  let start = 0;
+
+  while (start < items.length) {
+    let end = start;
+    while (end + 1 < items.length && items[end + 1].timestamp - items[start].timestamp <= windowMs) {
+      end++;
+    }
+
+    const group = items.slice(start, end + 1);
+    if (measure(group) >= minSize) {
+      groups.push(group);
+      start = end + 1;
+    } else {
+      start++;
+    }
+  }
+
+  return groups;
+}
+
+// Thresholds with the same amount are checked once
+function mergeThresholds(thresholds) {
+  const byAmount = new Map();
+  for (const { name, amount } of thresholds) {
+    if (!(amount > 0)) continue;
+    if (!byAmount.has(amount)) byAmount.set(amount, { amount, names: [] });
+    byAmount.get(amount).names.push(name);
+  }
+  return [...byAmount.values()].sort((a, b) => a.amount - b.amount);
+}
+
+function lowest(thresholds) {
+  return thresholds.length > 0 ? thresholds[0].amount : Infinity;
+}
+
+function counterparties(transactions) {
+  return new Set(transactions.map(t => t.counterpartyAddress.toLowerCase())).size;
+}
+
+function sum(transactions) {
+  return transactions.reduce((acc, t) => acc + t.amount, 0);
+}
+
+function span(transactions) {
+  return transactions[transactions.length - 1].timestamp - transactions[0].timestamp;
+}
+
+function formatSpan(ms) {
+  return ms < DAY_MS ? `${Math.max(1, Math.ceil(ms / HOUR_MS))}h` : `${Math.ceil(ms / DAY_MS)} days`;
+}
+
+module.exports = {
+  TypologyDetector,
+  findingToAlert,
+  SEVERITIES,
+  SEVERITY_SCORES
+};
@@ -0,0 +1,481 @@
+/**
+ * Upload Guard
+ *
+ * Every uploaded file passes these checks after multer has read it and
+ * before a route stores it or queues verification:
+ *
+ *   type       - the real type is read from the file's magic bytes; it has to
+ *                be allowed for the upload's purpose and match the declared type
+ *   metadata   - EXIF, XMP, IPTC, comments and text chunks are removed from
+ *                JPEG and PNG images; PDFs with scripts, launch actions or
+ *                embedded files, or that cannot be fully inspected, are refused
+ *   malware    - the cleaned file is passed to the configured scanner (clamd);
+ *                when the scanner cannot be reached the upload is refused, and
+ *                running without one has to be chosen explicitly
+ *   quota      - uploads per user per day, and bytes stored per user
+ *   duplicates - the same content uploaded twice by a user for one purpose
+ *
+ * The route then gets the cleaned bytes in req.file.buffer, the detected type
+ * in req.file.mimetype and a keyed content hash in req.file.storageName for
+ * piiVault.writeFile. An upload whose request fails later is removed from
+ * the quota and duplicate record again; release() does the same for stored
+ * files that retention or erasure deleted.
+ */
+
+const mongoose = require('mongoose');
+const net = require('net');
+const zlib = require('zlib');
+
+const PURPOSES = ['identity_document', 'selfie', 'edd_document', 'kyb_document', 'case_attachment'];
+
+const ALLOWED_TYPES = {
+  identity_document: ['image/jpeg', 'image/png', 'application/pdf'],
+  selfie: ['image/jpeg', 'image/png'],
+  edd_document: ['image/jpeg', 'image/png', 'application/pdf'],
+  kyb_document: ['image/jpeg', 'image/png', 'application/pdf'],
+  case_attachment: ['image/jpeg', 'image/png', 'application/pdf']
+};
+
+const MAGIC_BYTES = [
+  { mimetype: 'image/jpeg', signature: Buffer.from([0xff, 0xd8, 0xff]) },
+  { mimetype: 'image/png', signature: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { mimetype: 'application/pdf', signature: Buffer.from('%PDF-') }
+];
+
+// JPEG segments kept: JFIF/JFXX (APP0), ICC profiles (APP2) and Adobe colour info (APP14)
+const JPEG_KEPT_APP_MARKERS = [0xe0, 0xe2, 0xee];
+
+// PNG chunks holding free text, EXIF or timestamps
+const PNG_METADATA_CHUNKS = ['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME'];
+
+// PDF names (after #xx escapes are decoded) that run code or carry other files
+const PDF_ACTIVE_NAMES = ['JavaScript', 'JS', 'Launch', 'EmbeddedFile', 'EmbeddedFiles', 'RichMedia'];
+
+// Object streams hold further objects compressed; inflated output is capped
+const PDF_MAX_INFLATED_BYTES = 50 * 1024 * 1024;
+
+const UploadRecordSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: PURPOSES, required: true },
+  contentHash: { type: String, required: true },
+  mimetype: String,
+  size: Number,
+  createdAt: { type: Date, default: Date.now }
+});
+
+UploadRecordSchema.index({ userId: 1, purpose: 1, contentHash: 1 }, { unique: true });
+UploadRecordSchema.index({ userId: 1, createdAt: -1 });
+
+const UploadRecord = mongoose.model('UploadRecord', UploadRecordSchema);
+
+class UploadGuard {
+  constructor(config = {}) {
+    this.config = {
+      piiVault: config.piiVault,
+      // { scan(buffer) => Promise<{ clean, signature }> }; null only when scanning
+      // was explicitly turned off (see createScannerFromEnv)
+      scanner: config.scanner || null,
+      maxUploadsPerDay: config.maxUploadsPerDay || 20,
+      maxStoredBytes: config.maxStoredBytes || 200 * 1024 * 1024,
+      // (userId, { purpose, signature }) => void, e.g. to raise a case alert
+      onMalware: config.onMalware || (async () => {})
+    };
+  }
+
+  /**
+   * Express middleware for a route using upload.single()
+   * @param {string} purpose - One of PURPOSES
+   * @param {Object} options - { quota: false } skips quota and duplicate checks (staff uploads)
+   * @returns {Function} - Middleware
+   */
+  middleware(purpose, options = {}) {
+    return async (req, res, next) => {
+      try {
+        if (!req.file) {
+          throw new UploadError('No file uploaded', 400);
+        }
+
+        const result = await this.inspect(req.user.id, req.file, purpose, options);
+
+        if (result.record) {
+          // A request that fails after this point did not store the file
+          res.on('finish', () => {
+            if (res.statusCode < 400) return;
+            UploadRecord.deleteOne({ _id: result.record._id }).catch(error => {
+              console.error('Upload record cleanup error:', error);
+            });
+          });
+        }
+
+        req.file.buffer = result.content;
+        req.file.mimetype = result.mimetype;
+        req.file.size = result.content.length;
+        req.file.storageName = result.storageName;
+        next();
+      } catch (error) {
+        res.status(error.statusCode || 500).json({ message: error.message });
+      }
+    };
+  }
+
+  /**
+   * Check and clean one file
+   * @param {string} userId - Uploading user
+   * @param {Object} file - multer file ({ buffer, mimetype })
+   * @param {string} purpose - One of PURPOSES
+   * @param {Object} options - { quota }
+   * @returns {Promise<Object>} - { content, mimetype, storageName, record }
+   */
+  async inspect(userId, file, purpose, options = {}) {
+    if (!PURPOSES.includes(purpose)) {
+      throw new UploadError(`Unknown upload purpose: ${purpose}`, 500);
+    }
+
+    const mimetype = sniffType(file.buffer);
+    if (!mimetype || !ALLOWED_TYPES[purpose].includes(mimetype)) {
+      throw new UploadError('Unsupported file format', 400);
+    }
+    if (file.mimetype !== mimetype) {
+      throw new UploadError('File content does not match its declared type', 400);
+    }
+
+    const content = stripMetadata(file.buffer, mimetype);
+    await this._scan(userId, content, purpose);
+
+    // Untracked uploads may repeat, so they keep random storage names
+    if (options.quota === false) {
+      return { content, mimetype, storageName: undefined, record: null };
+    }
+    const storageName = await this.config.piiVault.contentName(`${userId}:${purpose}`, content);
+
+    await this._checkQuota(userId, content.length);
+
+    let record;
+    try {
+      record = await new UploadRecord({
+        userId,
+        purpose,
+        contentHash: storageName,
+        mimetype,
+        size: content.length
+      }).save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new UploadError('This file has already been uploaded', 409);
+      }
+      throw error;
+    }
+
+    return { content, mimetype, storageName, record };
+  }
+
+  /**
+   * Forget the upload records of stored files that were deleted, so their
+   * bytes leave the quota and the same file can be uploaded again
+   * @param {string[]} filePaths - Paths returned by piiVault.writeFile()
+   */
+  async release(filePaths) {
+    const names = filePaths.filter(Boolean).map(filePath => this.config.piiVault.storedName(filePath)).filter(Boolean);
+    if (names.length > 0) {
+      await UploadRecord.deleteMany({ contentHash: { $in: names } });
+    }
+  }
+
+  /**
+   * Uploads and bytes used by a user against their quota
+   * @param {string} userId - User id
+   * @returns {Promise<Object>} - { uploadsToday, maxUploadsPerDay, storedBytes, maxStoredBytes }
+   */
+  async usage(userId) {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const [uploadsToday, stored] = await Promise.all([
+      UploadRecord.countDocuments({ userId, createdAt: { $gte: since } }),
+      UploadRecord.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+        { $group: { _id: null, bytes: { $sum: '$size' } } }
+      ])
+    ]);
+
+    return {
+      uploadsToday,
+      maxUploadsPerDay: this.config.maxUploadsPerDay,
+      storedBytes: stored.length > 0 ? stored[0].bytes : 0,
+      maxStoredBytes: this.config.maxStoredBytes
+    };
+  }
+
+  async _checkQuota(userId, size) {
+    const usage = await this.usage(userId);
+
+    if (usage.uploadsToday >= usage.maxUploadsPerDay) {
+      throw new UploadError('Daily upload limit reached; try again tomorrow', 429);
+    }
+    if (usage.storedBytes + size > usage.maxStoredBytes) {
+      throw new UploadError('Upload storage quota exceeded', 429);
+    }
+  }
+
+  async _scan(userId, content, purpose) {
+    if (!this.config.scanner) return;
+
+    let result;
+    try {
+      result = await this.config.scanner.scan(content);
+    } catch (error) {
+      // Fail closed: an unscanned file is not accepted
+      console.error('Malware scan error:', error);
+      throw new UploadError('File could not be scanned; please try again later', 503);
+    }
+
+    if (!result.clean) {
+      await Promise.resolve(this.config.onMalware(userId, { purpose, signature: result.signature })).catch(error => {
+        console.error('Malware alert error:', error);
+      });
+      throw new UploadError('File was rejected by the malware scanner', 422);
+    }
+  }
+}
+
+/**
+ * Scanner talking to clamd over its INSTREAM command, on a Unix socket or TCP
+ */
+class ClamdScanner {
+  constructor(config = {}) {
+    this.config = {
+      socket: config.socket || null,
+      host: config.host || '127.0.0.1',
+      port: config.port || 3310,
+      timeout: config.timeout || 30 * 1000,
+      // clamd's StreamMaxLength defaults to 25 MB; chunks must stay below it
+      chunkSize: config.chunkSize || 64 * 1024
+    };
+  }
+
+  /**
+   * @param {Buffer} content - File contents
+   * @returns {Promise<Object>} - { clean, signature }
+   */
+  scan(content) {
+    return new Promise((resolve, reject) => {
+      const connection = this.config.socket
+        ? net.createConnection(this.config.socket)
+        : net.createConnection(this.config.port, this.config.host);
+      const chunks = [];
+
+      connection.setTimeout(this.config.timeout, () => {
+        connection.destroy(new Error('clamd timed out'));
+      });
+      connection.on('error', reject);
+      connection.on('data', chunk => chunks.push(chunk));
+      connection.on('end', () => {
+        const reply = Buffer.concat(chunks).toString('utf8').replace(/\0/g, '').trim();
+        const found = reply.match(/^stream: (.+) FOUND$/);
+
+        if (found) {
+          resolve({ clean: false, signature: found[1] });
+        } else if (reply === 'stream: OK') {
+          resolve({ clean: true, signature: null });
+        } else {
+          reject(new Error(`Unexpected clamd reply: ${reply}`));
+        }
+      });
+
+      connection.on('connect', () => {
+        connection.write('zINSTREAM\0');
+        for (let offset = 0; offset < content.length; offset += this.config.chunkSize) {
+          const chunk = content.subarray(offset, offset + this.config.chunkSize);
+          const length = Buffer.alloc(4);
+          length.writeUInt32BE(chunk.length);
+          connection.write(Buffer.concat([length, chunk]));
+        }
+        connection.end(Buffer.alloc(4));
+      });
+    });
+  }
+}
+
+/**
+ * Build the scanner from environment variables: UPLOAD_SCANNER=clamd with
+ * CLAMD_SOCKET, or CLAMD_HOST and CLAMD_PORT. Uploads go unscanned only with
+ * UPLOAD_SCANNER=none, or with it unset under NODE_ENV development or test;
+ * otherwise a missing scanner stops the server from starting.
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object|null} - Scanner, or null when scanning is off
+ */
+function createScannerFromEnv(env = process.env) {
+  if (env.UPLOAD_SCANNER === 'clamd') {
+    return new ClamdScanner({
+      socket: env.CLAMD_SOCKET,
+      host: env.CLAMD_HOST,
+      port: parseInt(env.CLAMD_PORT) || undefined
+    });
+  }
+  if (env.UPLOAD_SCANNER && env.UPLOAD_SCANNER !== 'none') {
+    throw new Error(`Unknown UPLOAD_SCANNER: ${env.UPLOAD_SCANNER}`);
+  }
+  if (!env.UPLOAD_SCANNER && !['development', 'test'].includes(env.NODE_ENV)) {
+    throw new Error('UPLOAD_SCANNER is not set: use clamd, or none to accept uploads without a malware scan');
+  }
+
+  console.warn('Upload malware scanning is off; uploaded files are stored without a scan');
+  return null;
+}
+
+function sniffType(buffer) {
+  const match = MAGIC_BYTES.find(({ signature }) =>
+    buffer.length >= signature.length && buffer.subarray(0, signature.length).equals(signature));
+  return match ? match.mimetype : null;
+}
+
+function stripMetadata(buffer, mimetype) {
+  switch (mimetype) {
+    case 'image/jpeg':
+      return stripJpeg(buffer);
+    case 'image/png':
+      return stripPng(buffer);
+    case 'application/pdf':
+      // PDFs are not rewritten; only active content is refused
+      inspectPdf(buffer);
+      return buffer;
+    default:
+      return buffer;
+  }
+}
+
+// Copy the JPEG segment by segment up to the image data, leaving out metadata segments
+function stripJpeg(buffer) {
+  const parts = [buffer.subarray(0, 2)];
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      throw new UploadError('Malformed JPEG file', 400);
+    }
+
+    const marker = buffer[offset + 1];
+    // Fill bytes before a marker
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    // Start of scan: everything from here is image data
+    if (marker === 0xda) {
+      parts.push(buffer.subarray(offset));
+      return Buffer.concat(parts);
+    }
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const end = offset + 2 + length;
+    if (length < 2 || end > buffer.length) {
+      throw new UploadError('Malformed JPEG file', 400);
+    }
+
+    const isMetadata = marker === 0xfe || (marker >= 0xe0 && marker <= 0xef && !JPEG_KEPT_APP_MARKERS.includes(marker));
+    if (!isMetadata) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+  }
+
+  throw new UploadError('Malformed JPEG file', 400);
+}
+
+function stripPng(buffer) {
+  const parts = [buffer.subarray(0, 8)];
+  let offset = 8;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) {
+      throw new UploadError('Malformed PNG file', 400);
+    }
+
+    if (!PNG_METADATA_CHUNKS.includes(type)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    if (type === 'IEND') {
+      return Buffer.concat(parts);
+    }
+    offset = end;
+  }
+
+  throw new UploadError('Malformed PNG file', 400);
+}
+
+/**
+ * Refuse PDFs with active content. Names are compared after decoding #xx
+ * escapes, and object streams are inflated so objects compressed into them
+ * are checked too. A PDF whose objects cannot all be read this way (an
+ * encrypted one with object streams, or an object stream with any filter
+ * but plain Flate) is refused rather than accepted unchecked.
+ */
+function inspectPdf(buffer) {
+  const text = buffer.toString('latin1');
+  const sources = [text];
+  const encrypted = pdfNames(text).includes('Encrypt');
+  let inflatedBytes = 0;
+
+  // Dictionary between "obj" and "stream" of every object with a stream
+  const streamObjects = /\bobj\b((?:(?!\bendobj\b)[\s\S])*?)\bstream\r?\n/g;
+  for (const match of text.matchAll(streamObjects)) {
+    const names = pdfNames(match[1]);
+    if (!names.includes('ObjStm')) continue;
+
+    const filters = names.filter(name => name.endsWith('Decode') || ['AHx', 'A85', 'LZW', 'Fl', 'RL', 'CCF', 'DCT'].includes(name));
+    const plainFlate = filters.length === 1 && ['FlateDecode', 'Fl'].includes(filters[0]) &&
+      !names.includes('DecodeParms') && !names.includes('DP');
+    const start = match.index + match[0].length;
+    const end = text.indexOf('endstream', start);
+
+    if (encrypted || end === -1 || (filters.length > 0 && !plainFlate)) {
+      throw new UploadError('PDFs that cannot be fully checked for active content are not accepted', 400);
+    }
+    if (filters.length === 0) {
+      sources.push(text.slice(start, end));
+      continue;
+    }
+
+    let inflated;
+    try {
+      inflated = zlib.inflateSync(buffer.subarray(start, end), {
+        maxOutputLength: Math.max(PDF_MAX_INFLATED_BYTES - inflatedBytes, 1)
+      });
+    } catch (error) {
+      throw new UploadError('PDFs that cannot be fully checked for active content are not accepted', 400);
+    }
+    inflatedBytes += inflated.length;
+    sources.push(inflated.toString('latin1'));
+  }
+
+  if (sources.some(source => pdfNames(source).some(name => PDF_ACTIVE_NAMES.includes(name)))) {
+    throw new UploadError('PDFs with scripts, actions or embedded files are not accepted', 400);
+  }
+}
+
+// Every name token in a piece of PDF syntax, with #xx escapes decoded
+function pdfNames(text) {
+  return Array.from(text.matchAll(/\/([^\s\/\[\]<>(){}%]*)/g), match =>
+    match[1].replace(/#([0-9a-fA-F]{2})/g, (escape, hex) => String.fromCharCode(parseInt(hex, 16))));
+}
+
+// Error carrying the HTTP status the route should answer with
+class UploadError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'UploadError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  UploadGuard,
+  UploadError,
+  UploadRecord,
+  ClamdScanner,
+  createScannerFromEnv,
+  sniffType,
+  stripMetadata,
+  PURPOSES
+};
@@ -0,0 +1,309 @@
+/**
+ * KYC Verification Provider Adapters
+ *
+ * Pluggable adapters for the identity checks used by the compliance server:
+ * document verification, liveness / face matching and PEP screening.
+ * Route code talks to a ProviderRegistry and never to a vendor directly, so
+ * a real vendor can be swapped in through configuration alone.
+ *
+ * A deterministic LocalVerificationProvider is bundled so the full onboarding
+ * flow can run in CI without network access. Vendor adapters are loaded from
+ * the `module` named in their provider configuration.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+/**
+ * Base class every verification provider must extend.
+ * Each check resolves to a plain result object; providers should throw
+ * only on transport/configuration errors, never to signal a failed check.
+ */
+class VerificationProvider {
+  constructor(config = {}) {
+    this.config = config;
+    this.name = 'base';
+  }
+
+  /**
+   * Verify an identity document
+   * @param {Object} document - identityDocuments entry from the User model
+   * @returns {Promise<Object>} - { status: 'verified'|'rejected'|'pending', reasons: string[], reference }
+   */
+  async verifyDocument(document) {
+    throw new Error(`${this.name} provider does not support document verification`);
+  }
+
+  /**
+   * Match a selfie against the portrait on a verified document
+   * @param {string} selfieImage - Path to the stored selfie (encrypted; read it with PiiVault.readFile)
+   * @param {string} documentImage - Path to the stored document image (encrypted likewise)
+   * @returns {Promise<Object>} - { matches: boolean, confidence: number, reference }
+   */
+  async verifyFaceMatch(selfieImage, documentImage) {
+    throw new Error(`${this.name} provider does not support face matching`);
+  }
+
+  /**
+   * Screen a person against politically exposed person lists
+   * @param {string} fullName - Full legal name
+   * @param {Date} dateOfBirth - Date of birth
+   * @returns {Promise<Object>} - { isPEP: boolean, matches: Object[], reference }
+   */
+  async checkPEPStatus(fullName, dateOfBirth) {
+    throw new Error(`${this.name} provider does not support PEP screening`);
+  }
+}
+
+/**
+ * Deterministic provider for development and CI.
+ * Results depend only on the input and the provider configuration.
+ */
+class LocalVerificationProvider extends VerificationProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'local';
+    this.config = {
+      // Document numbers that should always fail verification
+      rejectedDocumentNumbers: config.rejectedDocumentNumbers || [],
+      // Selfie paths (or substrings of them) that should never match
+      faceMismatchPatterns: config.faceMismatchPatterns || [],
+      // Names (case-insensitive) treated as politically exposed
+      pepNames: (config.pepNames || []).map(normalizeName),
+      minFaceMatchConfidence: config.minFaceMatchConfidence || 0.8
+    };
+  }
+
+  async verifyDocument(document) {
+    const reasons = [];
+
+    if (!document.documentNumber) {
+      reasons.push('missing_document_number');
+    } else if (this.config.rejectedDocumentNumbers.includes(document.documentNumber)) {
+      reasons.push('document_number_rejected');
+    }
+
+    if (!document.documentImage) {
+      reasons.push('missing_document_image');
+    }
+
+    if (document.expiryDate && new Date(document.expiryDate) <= new Date()) {
+      reasons.push('document_expired');
+    }
+
+    return {
+      status: reasons.length === 0 ? 'verified' : 'rejected',
+      reasons,
+      reference: localReference('doc', document.documentNumber || '')
+    };
+  }
+
+  async verifyFaceMatch(selfieImage, documentImage) {
+    const mismatch = this.config.faceMismatchPatterns.some(
+      pattern => selfieImage && selfieImage.includes(pattern)
+    );
+
+    const confidence = mismatch ? 0 : 1;
+
+    return {
+      matches: confidence >= this.config.minFaceMatchConfidence,
+      confidence,
+      reference: localReference('face', `${selfieImage}:${documentImage}`)
+    };
+  }
+
+  async checkPEPStatus(fullName, dateOfBirth) {
+    const name = normalizeName(fullName);
+    const matches = this.config.pepNames
+      .filter(pepName => pepName === name)
+      .map(pepName => ({ name: pepName, score: 1, list: 'local' }));
+
+    return {
+      isPEP: matches.length > 0,
+      matches,
+      reference: localReference('pep', name)
+    };
+  }
+}
+
+/**
+ * Registry of provider implementations and the active provider per check.
+ *
+ * Configuration shape:
+ * {
+ *   document: 'local',
+ *   faceMatch: 'local',
+ *   pep: 'local',
+ *   providers: { local: { pepNames: ['Jane Doe'] } }
+ * }
+ *
+ * A provider whose configuration has a `module` is loaded from that module,
+ * which exports a VerificationProvider subclass or a factory function.
+ */
+class ProviderRegistry {
+  constructor(config = {}) {
+    this.config = {
+      document: config.document || 'local',
+      faceMatch: config.faceMatch || 'local',
+      pep: config.pep || 'local',
+      providers: config.providers || {}
+    };
+
+    this.factories = new Map();
+    this.instances = new Map();
+
+    this.register('local', providerConfig => new LocalVerificationProvider(providerConfig));
+
+    Object.keys(this.config.providers)
+      .filter(name => this.config.providers[name].module)
+      .forEach(name => this.register(name, loadProviderModule(name, this.config.providers[name].module)));
+  }
+
+  /**
+   * Register a provider implementation
+   * @param {string} name - Provider name referenced from the configuration
+   * @param {Function} factory - Called with the provider's config, returns a VerificationProvider
+   */
+  register(name, factory) {
+    if (typeof factory !== 'function') {
+      throw new Error(`Provider factory for ${name} must be a function`);
+    }
+
+    this.factories.set(name, factory);
+    this.instances.delete(name);
+  }
+
+  /**
+   * Check that every configured check names a registered provider
+   * @throws {Error} - Listing the checks whose provider is unknown
+   */
+  validate() {
+    const unknown = ['document', 'faceMatch', 'pep']
+      .filter(check => !this.factories.has(this.config[check]))
+      .map(check => `${check}: ${this.config[check]}`);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown verification providers (${unknown.join(', ')}); ` +
+        'register them or give their configuration a module');
+    }
+  }
+
+  /**
+   * Get (and lazily create) a provider instance by name
+   * @param {string} name - Provider name
+   * @returns {VerificationProvider} - Provider instance
+   */
+  getProvider(name) {
+    if (!this.instances.has(name)) {
+      const factory = this.factories.get(name);
+      if (!factory) {
+        throw new Error(`Unknown verification provider: ${name}`);
+      }
+
+      this.instances.set(name, factory(this.config.providers[name] || {}));
+    }
+
+    return this.instances.get(name);
+  }
+
+  /**
+   * Get the provider configured for a check
+   * @param {string} check - 'document', 'faceMatch' or 'pep'
+   * @returns {VerificationProvider} - Provider instance
+   */
+  forCheck(check) {
+    const name = this.config[check];
+    if (!name) {
+      throw new Error(`No provider configured for check: ${check}`);
+    }
+
+    return this.getProvider(name);
+  }
+
+  async verifyDocument(document) {
+    return this.forCheck('document').verifyDocument(document);
+  }
+
+  async verifyFaceMatch(selfieImage, documentImage) {
+    return this.forCheck('faceMatch').verifyFaceMatch(selfieImage, documentImage);
+  }
+
+  async checkPEPStatus(fullName, dateOfBirth) {
+    return this.forCheck('pep').checkPEPStatus(fullName, dateOfBirth);
+  }
+}
+
+/**
+ * Build a registry from environment variables
+ * KYC_DOCUMENT_PROVIDER, KYC_FACE_MATCH_PROVIDER and KYC_PEP_PROVIDER select
+ * providers; KYC_PROVIDER_CONFIG holds per-provider JSON configuration,
+ * including the `module` each vendor adapter is loaded from. Every selected
+ * provider must be loadable, so a misconfiguration stops the server at start.
+ * The local provider approves everyone, so unless NODE_ENV is development or
+ * test every check needs another provider and the server will not start
+ * without one.
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {ProviderRegistry} - Configured registry
+ */
+function createProviderRegistryFromEnv(env = process.env) {
+  if (!['development', 'test'].includes(env.NODE_ENV)) {
+    const unconfigured = ['KYC_DOCUMENT_PROVIDER', 'KYC_FACE_MATCH_PROVIDER', 'KYC_PEP_PROVIDER']
+      .filter(variable => !env[variable] || env[variable] === 'local');
+    if (unconfigured.length > 0) {
+      throw new Error(`${unconfigured.join(', ')} must name a real verification provider ` +
+        'unless NODE_ENV is development or test');
+    }
+  }
+
+  let providers = {};
+  if (env.KYC_PROVIDER_CONFIG) {
+    try {
+      providers = JSON.parse(env.KYC_PROVIDER_CONFIG);
+    } catch (error) {
+      throw new Error(`Invalid KYC_PROVIDER_CONFIG: ${error.message}`);
+    }
+  }
+
+  const registry = new ProviderRegistry({
+    document: env.KYC_DOCUMENT_PROVIDER,
+    faceMatch: env.KYC_FACE_MATCH_PROVIDER,
+    pep: env.KYC_PEP_PROVIDER,
+    providers
+  });
+  registry.validate();
+
+  return registry;
+}
+
+// Factory for an adapter module; relative paths resolve from the working directory
+function loadProviderModule(name, modulePath) {
+  let exported;
+  try {
+    exported = require(modulePath.startsWith('.') ? path.resolve(modulePath) : modulePath);
+  } catch (error) {
+    throw new Error(`Cannot load verification provider ${name} from ${modulePath}: ${error.message}`);
+  }
+
+  if (typeof exported === 'function' && exported.prototype instanceof VerificationProvider) {
+    return providerConfig => new exported(providerConfig);
+  }
+  if (typeof exported === 'function') {
+    return exported;
+  }
+  throw new Error(`Verification provider module ${modulePath} must export a VerificationProvider subclass or a factory`);
+}
+
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function localReference(prefix, value) {
+  const digest = crypto.createHash('sha256').update(String(value)).digest('hex');
+  return `local-${prefix}-${digest.slice(0, 16)}`;
+}
+
+module.exports = {
+  VerificationProvider,
+  LocalVerificationProvider,
+  ProviderRegistry,
+  createProviderRegistryFromEnv
+};
@@ -0,0 +1,173 @@
+/**
+ * Wallet Ownership Proof
+ *
+ * Before a wallet is linked to a KYC profile the user has to sign a
+ * Sign-In-With-Ethereum (EIP-4361) message containing a one-time nonce.
+ * Signatures from externally owned accounts are checked by recovering the
+ * signer; for contract wallets (Safe and other smart accounts) the wallet's
+ * EIP-1271 `isValidSignature` is called, which needs CHAIN_RPC_URL.
+ *
+ * A challenge can be answered once: it is claimed before the signature is
+ * checked, so a failed attempt needs a new challenge.
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+const EIP1271_ABI = ['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'];
+const EIP1271_MAGIC_VALUE = '0x1626ba7e';
+
+const WalletChallengeSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  address: { type: String, required: true },
+  nonce: { type: String, required: true, unique: true },
+  message: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+WalletChallengeSchema.index({ userId: 1, address: 1, createdAt: -1 });
+WalletChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const WalletChallenge = mongoose.model('WalletChallenge', WalletChallengeSchema);
+
+class WalletOwnershipVerifier {
+  constructor(config = {}) {
+    const appUrl = config.appUrl || 'http://localhost:3000';
+
+    this.config = {
+      appUrl,
+      domain: config.domain || new URL(appUrl).host,
+      chainId: config.chainId || 1,
+      statement: config.statement ||
+        'I confirm that I control this wallet and want to link it to my Stabulum KYC profile.',
+      challengeTtl: config.challengeTtl || 10 * 60 * 1000
+    };
+
+    // Needed only for contract wallets
+    this.provider = config.rpcUrl ? new ethers.providers.JsonRpcProvider(config.rpcUrl) : null;
+  }
+
+  /**
+   * Issue an EIP-4361 message for the user to sign with the wallet
+   * @param {string} userId - User ID
+   * @param {string} walletAddress - Wallet to link
+   * @returns {Promise<Object>} - { message, nonce, expiresAt }
+   */
+  async issueChallenge(userId, walletAddress) {
+    const address = normalizeAddress(walletAddress);
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + this.config.challengeTtl);
+
+    const message = [
+      `${this.config.domain} wants you to sign in with your Ethereum account:`,
+      address,
+      '',
+      this.config.statement,
+      '',
+      `URI: ${this.config.appUrl}`,
+      'Version: 1',
+      `Chain ID: ${this.config.chainId}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt.toISOString()}`,
+      `Expiration Time: ${expiresAt.toISOString()}`
+    ].join('\n');
+
+    const challenge = new WalletChallenge({ userId, address, nonce, message, expiresAt });
+    await challenge.save();
+
+    return { message, nonce, expiresAt };
+  }
+
+  /**
+   * Check the signature over the user's latest open challenge for a wallet
+   * @param {string} userId - User ID
+   * @param {string} walletAddress - Wallet being linked
+   * @param {string} signature - Signature over the challenge message
+   * @returns {Promise<Object>} - Proof to store with the address
+   */
+  async verify(userId, walletAddress, signature) {
+    const address = normalizeAddress(walletAddress);
+    if (!signature) {
+      throw new WalletOwnershipError('A signature over the ownership challenge is required', 400);
+    }
+
+    const challenge = await WalletChallenge.findOneAndUpdate(
+      { userId, address, usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } },
+      { sort: { createdAt: -1 }, new: true }
+    );
+    if (!challenge) {
+      throw new WalletOwnershipError('No open ownership challenge for this wallet; request a new one', 400);
+    }
+
+    const method = await this._checkSignature(address, challenge.message, signature);
+    if (!method) {
+      throw new WalletOwnershipError('Signature does not prove control of this wallet', 401);
+    }
+
+    return {
+      address,
+      method,
+      chainId: this.config.chainId,
+      nonce: challenge.nonce,
+      message: challenge.message,
+      signature,
+      verifiedAt: new Date()
+    };
+  }
+
+  // Returns 'eoa', 'eip1271' or null
+  async _checkSignature(address, message, signature) {
+    try {
+      if (ethers.utils.verifyMessage(message, signature) === address) {
+        return 'eoa';
+      }
+    } catch (error) {
+      // Not a recoverable ECDSA signature; may still be valid for a contract wallet
+    }
+
+    if (!this.provider) return null;
+
+    const code = await this.provider.getCode(address);
+    if (code === '0x') return null;
+
+    try {
+      const wallet = new ethers.Contract(address, EIP1271_ABI, this.provider);
+      const result = await wallet.isValidSignature(ethers.utils.hashMessage(message), signature);
+      return result.toLowerCase() === EIP1271_MAGIC_VALUE ? 'eip1271' : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+function normalizeAddress(walletAddress) {
+  if (!walletAddress || !/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
+    throw new WalletOwnershipError('Invalid wallet address format', 400);
+  }
+  try {
+    return ethers.utils.getAddress(walletAddress);
+  } catch (error) {
+    throw new WalletOwnershipError('Invalid wallet address checksum', 400);
+  }
+}
+
+// Error carrying the HTTP status the route should answer with
+class WalletOwnershipError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WalletOwnershipError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  WalletOwnershipVerifier,
+  WalletOwnershipError,
+  WalletChallenge,
+  normalizeAddress
+};
@@ -0,0 +1,147 @@
+// Audit Log tests
+// Snapshots, diffs and hash chain verification over entries stored as mongoose writes them
+
+const { expect } = require('chai');
+const {
+  AuditEvent,
+  auditSnapshot,
+  diffSnapshots,
+  recordAuditEvent,
+  saveWithAudit,
+  verifyAuditChain
+} = require('../kyc-aml-audit-log');
+
+// Saved events are kept in the form mongoose would send to the database
+function useMemoryStore() {
+  const stored = [];
+  const originals = { save: AuditEvent.prototype.save, findOne: AuditEvent.findOne, find: AuditEvent.find };
+
+  AuditEvent.prototype.save = async function () {
+    stored.push(JSON.parse(JSON.stringify(this.toBSON())));
+    return this;
+  };
+  AuditEvent.findOne = () => ({
+    sort: () => ({ select: async () => stored[stored.length - 1] || null })
+  });
+  AuditEvent.find = () => ({
+    sort: () => ({
+      lean: () => ({
+        cursor: () => {
+          const events = stored.slice().sort((a, b) => a.sequence - b.sequence);
+          return { next: async () => events.shift() || null };
+        }
+      })
+    })
+  });
+
+  stored.restore = () => {
+    AuditEvent.prototype.save = originals.save;
+    AuditEvent.findOne = originals.findOne;
+    AuditEvent.find = originals.find;
+  };
+  return stored;
+}
+
+const actor = { id: 'staff-1', email: 'analyst@example.com' };
+
+describe('Audit Log', function () {
+  describe('auditSnapshot', function () {
+    it('leaves credentials, PII and document numbers out', function () {
+      const snapshot = auditSnapshot({
+        password: 'hash',
+        email: 'user@example.com',
+        fullName: 'Jane Doe',
+        kycLevel: 2,
+        identityDocuments: [{ type: 'passport', documentNumber: 'X123' }],
+        ubos: [{ fullName: 'Owner', ownershipPercentage: 30 }]
+      });
+
+      expect(snapshot).to.deep.equal({
+        kycLevel: 2,
+        identityDocuments: [{ type: 'passport' }],
+        ubos: [{ ownershipPercentage: 30 }]
+      });
+    });
+  });
+
+  describe('diffSnapshots', function () {
+    it('lists changed leaf paths only', function () {
+      const diff = diffSnapshots(
+        { kycLevel: 1, transactionLimits: { daily: 1000, monthly: 5000 }, roles: ['analyst'] },
+        { kycLevel: 2, transactionLimits: { daily: 2000, monthly: 5000 }, roles: ['analyst'], note: 'x' }
+      );
+
+      expect(diff).to.deep.equal([
+        { path: 'kycLevel', before: 1, after: 2 },
+        { path: 'transactionLimits.daily', before: 1000, after: 2000 },
+        { path: 'note', before: null, after: 'x' }
+      ]);
+    });
+  });
+
+  describe('hash chain', function () {
+    let stored;
+
+    beforeEach(function () {
+      stored = useMemoryStore();
+    });
+
+    afterEach(function () {
+      stored.restore();
+    });
+
+    it('verifies genuine entries, including ones with empty objects', async function () {
+      await recordAuditEvent({ actor, action: 'events.subscriber_create', after: { filters: {}, name: 'n' } });
+      await recordAuditEvent({ actor, action: 'user.kyc_level', before: { kycLevel: 1 }, after: { kycLevel: 2 } });
+
+      expect(stored.map(event => event.sequence)).to.deep.equal([1, 2]);
+      expect(stored[0].after).to.deep.equal({ filters: {}, name: 'n' });
+      expect(stored[1].previousHash).to.equal(stored[0].hash);
+      expect(await verifyAuditChain()).to.deep.equal({ valid: true, checked: 2, issues: [] });
+    });
+
+    it('reports an edited snapshot', async function () {
+      await recordAuditEvent({ actor, action: 'user.kyc_level', before: { kycLevel: 1 }, after: { kycLevel: 2 } });
+      stored[0].after.kycLevel = 3;
+
+      const result = await verifyAuditChain();
+
+      expect(result.valid).to.equal(false);
+      expect(result.issues).to.deep.equal([{ sequence: 1, problem: 'entry contents do not match its hash' }]);
+    });
+
+    it('reports an edited diff', async function () {
+      await recordAuditEvent({ actor, action: 'user.kyc_level', before: { kycLevel: 1 }, after: { kycLevel: 2 } });
+      stored[0].diff[0].after = 1;
+
+      expect((await verifyAuditChain()).issues).to.deep.equal([
+        { sequence: 1, problem: 'entry contents do not match its hash' }
+      ]);
+    });
+
+    it('reports a deleted entry as a gap and a broken link', async function () {
+      for (const level of [1, 2, 3]) {
+        await recordAuditEvent({ actor, action: 'user.kyc_level', after: { kycLevel: level } });
+      }
+      stored.splice(1, 1);
+
+      expect((await verifyAuditChain()).issues).to.deep.equal([
+        { sequence: 3, problem: 'gap: expected sequence 2' },
+        { sequence: 3, problem: 'previous hash does not match chain' }
+      ]);
+    });
+
+    it('records a failed save after the entry it belongs to', async function () {
+      const doc = { save: async () => { throw new Error('validation failed'); } };
+
+      const error = await saveWithAudit(doc, { actor, action: 'kyc.review', targetId: 'user-1', after: { kycStatus: 'approved' } })
+        .catch(caught => caught);
+
+      expect(error.message).to.equal('validation failed');
+      expect(stored.map(event => event.action)).to.deep.equal(['kyc.review', 'kyc.review.failed']);
+      expect(stored[1]).to.include({ targetId: 'user-1', reason: 'validation failed' });
+      expect(stored[1].after).to.deep.equal({ auditSequence: 1 });
+      expect((await verifyAuditChain()).valid).to.equal(true);
+    });
+  });
+});
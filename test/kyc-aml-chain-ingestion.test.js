@@ -0,0 +1,248 @@
+// Chain Ingestion tests
+// Transfer ingestion, reorg rollback and adoption of client reports, against an
+// in-memory chain that answers the JSON-RPC calls the service makes. The same
+// flow runs against a local Hardhat node with CHAIN_INGEST_CONFIRMATIONS=0.
+
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { ChainIngestionService, ChainCursor, TOKEN_ABI } = require('../kyc-aml-chain-ingestion');
+
+const TOKEN = '0x' + '33'.repeat(20);
+const ALICE = '0x' + '11'.repeat(20);
+const BOB = '0x' + '22'.repeat(20);
+const OUTSIDER = '0x' + '44'.repeat(20);
+
+const tokenInterface = new ethers.utils.Interface(TOKEN_ABI);
+
+// Blocks of Transfer logs; a reorg replaces blocks from a height with a new fork
+class FakeChain {
+  constructor() {
+    this.blocks = [];
+    this.fork = 0;
+  }
+
+  mine(transfers = []) {
+    const number = this.blocks.length;
+    const hash = ethers.utils.id(`block:${this.fork}:${number}`);
+    const logs = transfers.map(([from, to, amount], index) => {
+      const log = tokenInterface.encodeEventLog(tokenInterface.getEvent('Transfer'), [from, to, ethers.utils.parseUnits(String(amount), 18)]);
+      return {
+        ...log,
+        address: TOKEN,
+        blockNumber: number,
+        blockHash: hash,
+        logIndex: index,
+        transactionHash: ethers.utils.id(`tx:${this.fork}:${number}:${index}`)
+      };
+    });
+    this.blocks.push({ number, hash, timestamp: 1700000000 + number * 12, logs });
+  }
+
+  reorg(fromNumber, ...blocks) {
+    this.blocks.length = fromNumber;
+    this.fork++;
+    blocks.forEach(transfers => this.mine(transfers));
+  }
+
+  async getBlockNumber() {
+    return this.blocks.length - 1;
+  }
+
+  async getBlock(number) {
+    const block = this.blocks[number];
+    return block ? { number: block.number, hash: block.hash, timestamp: block.timestamp } : null;
+  }
+
+  async getLogs({ fromBlock, toBlock }) {
+    return this.blocks.slice(fromBlock, toBlock + 1).flatMap(block => block.logs);
+  }
+}
+
+// Just enough of a mongoose model for the queries the service makes
+function matches(row, query) {
+  return Object.keys(query).every(key => {
+    const condition = query[key];
+    const value = row[key];
+    if (condition && typeof condition === 'object') {
+      if ('$in' in condition) return condition.$in.includes(value);
+      if ('$ne' in condition) return value !== condition.$ne;
+      if ('$gt' in condition) return value > condition.$gt;
+    }
+    return value === condition;
+  });
+}
+
+function fakeTransactionModel() {
+  const rows = [];
+  let nextId = 1;
+
+  const wrap = fields => {
+    const row = { _id: nextId++, flagged: false, ...fields };
+    row.save = async () => {
+      if (!rows.includes(row)) rows.push(row);
+      return row;
+    };
+    return row;
+  };
+
+  return {
+    rows,
+    create: async fields => wrap(fields).save(),
+    findOne: async query => rows.find(row => matches(row, query)) || null,
+    find: async query => rows.filter(row => matches(row, query)),
+    deleteOne: async ({ _id }) => {
+      rows.splice(rows.findIndex(row => row._id === _id), 1);
+    }
+  };
+}
+
+describe('Chain Ingestion', function () {
+  let chain;
+  let Transaction;
+  let cursor;
+  let rescored;
+  let service;
+  let findCursor;
+
+  beforeEach(function () {
+    chain = new FakeChain();
+    Transaction = fakeTransactionModel();
+    rescored = [];
+
+    const users = [
+      { _id: 'alice', walletAddresses: [ethers.utils.getAddress(ALICE)] },
+      { _id: 'bob', walletAddresses: [BOB] }
+    ];
+
+    service = new ChainIngestionService({
+      User: {
+        find: async () => users,
+        findById: async id => users.find(user => user._id === id) || null
+      },
+      Transaction,
+      recordTransaction: (user, details) => Transaction.create({ ...details, userId: user._id }),
+      rescoreTransaction: async (user, transaction, mismatches) => {
+        rescored.push({ userId: user._id, mismatches });
+        return transaction.save();
+      },
+      confirmations: 0
+    });
+    service.provider = chain;
+    service.token = { interface: tokenInterface, decimals: async () => 18, symbol: async () => 'STAB' };
+
+    // The cursor is kept in memory for the test
+    cursor = null;
+    findCursor = ChainCursor.findById;
+    ChainCursor.findById = async () => cursor;
+  });
+
+  afterEach(function () {
+    ChainCursor.findById = findCursor;
+  });
+
+  async function sync() {
+    if (!cursor) {
+      cursor = new ChainCursor({ _id: service.cursorId, lastBlock: -1 });
+      cursor.save = async () => cursor;
+    }
+    return service.syncOnce();
+  }
+
+  it('records both sides of a transfer between registered wallets once', async function () {
+    chain.mine([[ethers.constants.AddressZero, ALICE, 100]]);
+    chain.mine([[ALICE, BOB, 40], [ALICE, OUTSIDER, 5]]);
+
+    const first = await sync();
+    expect(first.recorded).to.equal(4);
+
+    const rows = Transaction.rows.map(row => [row.userId, row.type, row.amount, row.counterpartyAddress]);
+    expect(rows).to.deep.equal([
+      ['alice', 'mint', 100, undefined],
+      ['alice', 'transfer', 40, BOB],
+      ['bob', 'receive', 40, ALICE],
+      ['alice', 'transfer', 5, OUTSIDER]
+    ]);
+    expect(Transaction.rows.every(row => row.source === 'chain')).to.equal(true);
+
+    // Going over the same blocks again records nothing new
+    cursor.lastBlock = -1;
+    const second = await sync();
+    expect(second.recorded).to.equal(0);
+    expect(Transaction.rows).to.have.length(4);
+  });
+
+  it('rolls back records from orphaned blocks and ingests the new fork', async function () {
+    // One sync per block leaves a checkpoint at each height
+    chain.mine([[ethers.constants.AddressZero, ALICE, 100]]);
+    await sync();
+    chain.mine([[ALICE, BOB, 40]]);
+    await sync();
+
+    chain.reorg(1, [[ALICE, BOB, 7]]);
+    const result = await sync();
+
+    expect(result.reorg).to.include({ fromBlock: 1, rewoundTo: 0, removed: 2, kept: 0 });
+    expect(Transaction.rows.map(row => [row.type, row.amount])).to.deep.equal([
+      ['mint', 100],
+      ['transfer', 7],
+      ['receive', 7]
+    ]);
+    expect(cursor.reorgs).to.have.length(1);
+  });
+
+  it('keeps flagged records from orphaned blocks for the analyst', async function () {
+    chain.mine([]);
+    await sync();
+    chain.mine([[ALICE, OUTSIDER, 9000]]);
+    await sync();
+    Transaction.rows[0].flagged = true;
+
+    chain.reorg(1, []);
+    const result = await sync();
+
+    expect(result.reorg).to.include({ rewoundTo: 0, removed: 0, kept: 1 });
+    expect(Transaction.rows).to.have.length(1);
+    expect(Transaction.rows[0].reorgedAt).to.be.an.instanceOf(Date);
+  });
+
+  it('scores an understated client report again on the on-chain figures', async function () {
+    chain.mine([[ALICE, OUTSIDER, 9000]]);
+    const [log] = chain.blocks[0].logs;
+    await Transaction.create({
+      userId: 'alice',
+      walletAddress: ethers.utils.getAddress(ALICE),
+      transactionHash: log.transactionHash,
+      amount: 1,
+      type: 'transfer',
+      counterpartyAddress: OUTSIDER,
+      source: 'client'
+    });
+
+    const result = await sync();
+
+    expect(result.recorded).to.equal(0);
+    expect(Transaction.rows).to.have.length(1);
+    expect(Transaction.rows[0]).to.include({ amount: 9000, source: 'chain', logIndex: 0 });
+    expect(rescored).to.deep.equal([{ userId: 'alice', mismatches: ['amount: 1 -> 9000'] }]);
+  });
+
+  it('adopts a client report that matches the chain without scoring it again', async function () {
+    chain.mine([[ALICE, OUTSIDER, 25]]);
+    const [log] = chain.blocks[0].logs;
+    await Transaction.create({
+      userId: 'alice',
+      walletAddress: ALICE,
+      transactionHash: log.transactionHash,
+      amount: 25,
+      type: 'transfer',
+      counterpartyAddress: ethers.utils.getAddress(OUTSIDER),
+      source: 'client'
+    });
+
+    await sync();
+
+    expect(Transaction.rows).to.have.length(1);
+    expect(Transaction.rows[0]).to.include({ source: 'chain', blockNumber: 0 });
+    expect(rescored).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,64 @@
+// Compliance Events tests
+// Webhook signature checks as a receiving partner system runs them
+
+const { expect } = require('chai');
+const crypto = require('crypto');
+const { verifySignature } = require('../kyc-aml-events');
+
+const SECRET = 'whsec_test';
+const BODY = JSON.stringify({ id: 'evt-1', type: 'kyc.status_changed', data: { userId: 'user-1', to: 'approved' } });
+const NOW = Date.parse('2024-03-15T12:00:00Z');
+
+// The X-Stabulum-Signature header the event bus sends
+function signatureHeader(secret, body, timestampMs) {
+  const timestamp = Math.floor(timestampMs / 1000);
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+describe('Compliance Events', function () {
+  describe('verifySignature', function () {
+    it('accepts a recent signature over the exact body', function () {
+      const header = signatureHeader(SECRET, BODY, NOW - 30 * 1000);
+
+      expect(verifySignature(SECRET, header, BODY, { now: NOW })).to.equal(true);
+    });
+
+    it('rejects a signature made with another secret', function () {
+      const header = signatureHeader('whsec_other', BODY, NOW);
+
+      expect(verifySignature(SECRET, header, BODY, { now: NOW })).to.equal(false);
+    });
+
+    it('rejects a body changed after signing', function () {
+      const header = signatureHeader(SECRET, BODY, NOW);
+
+      expect(verifySignature(SECRET, header, BODY.replace('approved', 'rejected'), { now: NOW })).to.equal(false);
+    });
+
+    it('rejects a timestamp moved to replay an old delivery', function () {
+      const header = signatureHeader(SECRET, BODY, NOW - 60 * 60 * 1000);
+      const replayed = header.replace(/^t=\d+/, `t=${Math.floor(NOW / 1000)}`);
+
+      expect(verifySignature(SECRET, replayed, BODY, { now: NOW })).to.equal(false);
+    });
+
+    it('rejects signatures outside the tolerance, five minutes by default', function () {
+      const header = signatureHeader(SECRET, BODY, NOW - 6 * 60 * 1000);
+
+      expect(verifySignature(SECRET, header, BODY, { now: NOW })).to.equal(false);
+      expect(verifySignature(SECRET, header, BODY, { now: NOW, tolerance: 10 * 60 })).to.equal(true);
+
+      const ahead = signatureHeader(SECRET, BODY, NOW + 6 * 60 * 1000);
+      expect(verifySignature(SECRET, ahead, BODY, { now: NOW })).to.equal(false);
+    });
+
+    it('rejects missing and malformed headers', function () {
+      const digest = signatureHeader(SECRET, BODY, NOW).split('v1=')[1];
+
+      for (const header of [undefined, '', 'garbage', `v1=${digest}`, `t=${Math.floor(NOW / 1000)}`, `t=${Math.floor(NOW / 1000)},v1=abcd`]) {
+        expect(verifySignature(SECRET, header, BODY, { now: NOW }), String(header)).to.equal(false);
+      }
+    });
+  });
+});
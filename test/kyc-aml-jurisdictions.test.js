@@ -0,0 +1,208 @@
+// Jurisdiction Policy tests
+// Policy validation, per-country rules, registration checks and re-evaluation on reload
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JurisdictionPolicy, JurisdictionError, validatePolicy } = require('../kyc-aml-jurisdictions');
+
+function policyError(definition) {
+  try {
+    validatePolicy(definition, 'test');
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+// A policy with a fixed definition instead of a file
+function policyFor(definition) {
+  const policy = new JurisdictionPolicy();
+  policy.policy = validatePolicy(definition, 'test');
+  return policy;
+}
+
+// Users found by jurisdiction.country, as the re-evaluation cursor reads them
+function fakeUsers(users) {
+  const saved = [];
+  const versioned = [];
+
+  const User = {
+    find: query => {
+      const codes = query['jurisdiction.country'].$in;
+      const matching = users.filter(user => codes.includes(user.jurisdiction.country));
+      return { cursor: () => ({ next: async () => matching.shift() || null }) };
+    },
+    updateMany: async (query, update) => {
+      versioned.push({ query, update });
+    }
+  };
+
+  users.forEach(user => {
+    user.$locals = {};
+    user.decryptPii = async () => {};
+    user.save = async () => {
+      saved.push(user);
+    };
+  });
+
+  return { User, saved, versioned };
+}
+
+describe('Jurisdiction Policy', function () {
+  describe('validatePolicy', function () {
+    it('resolves country names to codes and applies overrides on top of the category', function () {
+      const policy = validatePolicy({
+        version: 'FATF 2024-06',
+        categories: { high_risk: { limitMultiplier: 0.25 } },
+        countries: {
+          Iran: 'blocked',
+          mm: 'high_risk',
+          'United Arab Emirates': { category: 'enhanced_due_diligence', minKycLevel: 3 }
+        }
+      }, 'fallback');
+
+      expect(policy.version).to.equal('FATF 2024-06');
+      expect([...policy.countries.keys()]).to.deep.equal(['IR', 'MM', 'AE']);
+      expect(policy.countries.get('AE')).to.deep.equal({ category: 'enhanced_due_diligence', minKycLevel: 3 });
+      expect(policy.categories.high_risk).to.include({ limitMultiplier: 0.25, minKycLevel: 3, highRisk: true });
+      expect(policy.categories.allowed).to.include({ limitMultiplier: 1, minKycLevel: 1 });
+    });
+
+    it('uses the fallback version when the file names none', function () {
+      expect(validatePolicy({ countries: {} }, 'abc123').version).to.equal('abc123');
+    });
+
+    it('refuses invalid definitions with a 400', function () {
+      const cases = [
+        [null, 'Jurisdiction policy must be an object'],
+        [{ categories: { grey: {} } }, 'Unknown jurisdiction category: grey'],
+        [{ countries: { Narnia: 'blocked' } }, 'Unrecognised country in jurisdiction policy: Narnia'],
+        [{ countries: { IR: 'blocked', Iran: 'high_risk' } }, 'Country listed twice in jurisdiction policy: Iran (IR)'],
+        [{ countries: { DE: 'grey' } }, 'Unknown jurisdiction category for DE: grey'],
+        [{ countries: { DE: { category: 'allowed', registration: false } } }, 'Unknown jurisdiction setting for DE: registration'],
+        [{ countries: { DE: { category: 'allowed', minKycLevel: 4 } } }, 'minKycLevel for DE must be 0-3'],
+        [{ categories: { allowed: { limitMultiplier: 1.5 } } }, 'limitMultiplier for allowed must be between 0 and 1']
+      ];
+
+      for (const [definition, message] of cases) {
+        const error = policyError(definition);
+        expect(error, message).to.be.an.instanceOf(JurisdictionError);
+        expect(error.message).to.equal(message);
+        expect(error.statusCode).to.equal(400);
+      }
+    });
+  });
+
+  describe('forCountry', function () {
+    it('treats unlisted and unknown countries as allowed', function () {
+      const policy = policyFor({ countries: { KP: 'blocked' } });
+
+      expect(policy.forCountry('Germany')).to.deep.equal({
+        country: 'DE',
+        name: 'Germany',
+        category: 'allowed',
+        registration: true,
+        highRisk: false,
+        enhancedDueDiligence: false,
+        minKycLevel: 1,
+        limitMultiplier: 1
+      });
+      expect(policy.forCountry(undefined)).to.include({ country: null, name: null, category: 'allowed' });
+      expect(policy.isHighRisk('kp')).to.equal(true);
+    });
+
+    it('loads the default policy when none is configured', function () {
+      const policy = new JurisdictionPolicy();
+
+      expect(policy.forCountry('KP').category).to.equal('blocked');
+      expect(policy.forCountry('MM').category).to.equal('high_risk');
+      expect(policy.describe().countries.map(country => country.country)).to.deep.equal(['IR', 'KP', 'MM']);
+    });
+  });
+
+  describe('assertRegistrationAllowed', function () {
+    it('returns the code for an allowed country and nothing for an empty one', function () {
+      const policy = policyFor({ countries: { KP: 'blocked' } });
+
+      expect(policy.assertRegistrationAllowed('germany')).to.equal('DE');
+      expect(policy.assertRegistrationAllowed('')).to.equal(null);
+      expect(policy.assertRegistrationAllowed(undefined)).to.equal(null);
+    });
+
+    it('refuses residents of a blocked country with a 403 and an unknown country with a 400', function () {
+      const policy = policyFor({ countries: { KP: 'blocked' } });
+
+      expect(() => policy.assertRegistrationAllowed('KP')).to.throw(JurisdictionError)
+        .with.property('statusCode', 403);
+      expect(() => policy.assertRegistrationAllowed('Narnia')).to.throw('Unrecognised country: Narnia')
+        .with.property('statusCode', 400);
+    });
+  });
+
+  describe('apply', function () {
+    it('stores the country code and the category on the user', function () {
+      const policy = policyFor({ countries: { MM: 'high_risk' } });
+      const user = { address: { country: 'Myanmar' } };
+
+      policy.apply(user);
+
+      expect(user.address.country).to.equal('MM');
+      expect(user.jurisdiction).to.include({ country: 'MM', category: 'high_risk', policyVersion: 'test' });
+    });
+  });
+
+  describe('reload', function () {
+    let directory;
+    let file;
+
+    beforeEach(function () {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jurisdictions-'));
+      file = path.join(directory, 'jurisdictions.yml');
+    });
+
+    afterEach(function () {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('re-evaluates residents of countries whose rules changed and records the version for the rest', async function () {
+      const users = [
+        { _id: 'ae', address: { country: 'AE' }, jurisdiction: { country: 'AE', category: 'allowed' } },
+        { _id: 'de', address: { country: 'DE' }, jurisdiction: { country: 'DE', category: 'allowed' } }
+      ];
+      const { User, saved, versioned } = fakeUsers(users.slice());
+      const reevaluated = [];
+      const policy = new JurisdictionPolicy({ User, policyFile: file, onReevaluate: user => reevaluated.push(user._id) });
+
+      fs.writeFileSync(file, 'version: v1\ncountries:\n  KP: blocked\n');
+      policy.load();
+      fs.writeFileSync(file, 'version: v2\ncountries:\n  KP: blocked\n  AE: enhanced_due_diligence\n');
+
+      const result = await policy.reload();
+
+      expect(result).to.deep.equal({ version: 'v2', changedCountries: ['AE'], reevaluated: 1 });
+      expect(reevaluated).to.deep.equal(['ae']);
+      expect(saved.map(user => user.jurisdiction.category)).to.deep.equal(['enhanced_due_diligence']);
+      expect(users[0].$locals.riskReason).to.equal('jurisdiction policy v2');
+      expect(versioned).to.deep.equal([{
+        query: { 'jurisdiction.country': { $nin: ['AE'] } },
+        update: { $set: { 'jurisdiction.policyVersion': 'v2' } }
+      }]);
+    });
+
+    it('keeps the previous policy when the new file is invalid', async function () {
+      const policy = new JurisdictionPolicy({ User: fakeUsers([]).User, policyFile: file });
+
+      fs.writeFileSync(file, 'version: v1\ncountries:\n  KP: blocked\n');
+      policy.load();
+      fs.writeFileSync(file, 'version: v2\ncountries:\n  KP: embargoed\n');
+
+      const error = await policy.reload().catch(caught => caught);
+
+      expect(error).to.be.an.instanceOf(JurisdictionError);
+      expect(policy.policy.version).to.equal('v1');
+      expect(policy.forCountry('KP').category).to.equal('blocked');
+    });
+  });
+});
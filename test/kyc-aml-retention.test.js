@@ -0,0 +1,120 @@
+// Data Retention tests
+// Policy validation, policy files and the rule chosen per jurisdiction
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RetentionEngine, DATA_CLASSES, DEFAULT_POLICY, validatePolicy } = require('../kyc-aml-retention');
+
+// A default rule for every data class, plus the given ones
+function policyWith(...rules) {
+  return {
+    rules: Object.keys(DATA_CLASSES).map(dataClass => ({ dataClass, jurisdiction: '*', retainYears: 5 })).concat(rules)
+  };
+}
+
+describe('Data Retention', function () {
+  describe('validatePolicy', function () {
+    it('accepts the default policy', function () {
+      expect(validatePolicy(DEFAULT_POLICY).rules).to.have.length(Object.keys(DATA_CLASSES).length);
+    });
+
+    it('upper-cases jurisdictions and defaults a missing one to every jurisdiction', function () {
+      const policy = validatePolicy(policyWith(
+        { dataClass: 'transactions', jurisdiction: 'de', retainYears: 10 },
+        { dataClass: 'selfies', retainYears: 1 }
+      ));
+
+      expect(policy.rules.slice(-2)).to.deep.equal([
+        { dataClass: 'transactions', jurisdiction: 'DE', retainYears: 10 },
+        { dataClass: 'selfies', jurisdiction: '*', retainYears: 1 }
+      ]);
+    });
+
+    it('refuses a policy without a rules array', function () {
+      for (const policy of [null, {}, { rules: 'all' }]) {
+        expect(() => validatePolicy(policy)).to.throw('Retention policy must contain a rules array');
+      }
+    });
+
+    it('refuses an unknown data class', function () {
+      expect(() => validatePolicy(policyWith({ dataClass: 'emails', jurisdiction: '*', retainYears: 1 })))
+        .to.throw('Unknown data class: emails');
+    });
+
+    it('refuses a missing, negative or non-numeric retention period', function () {
+      for (const retainYears of [undefined, -1, '5']) {
+        expect(() => validatePolicy(policyWith({ dataClass: 'reports', jurisdiction: 'FR', retainYears })), String(retainYears))
+          .to.throw('Rule for reports needs a non-negative retainYears');
+      }
+    });
+
+    it('requires a default rule for every data class', function () {
+      const policy = policyWith();
+      policy.rules = policy.rules.filter(rule => rule.dataClass !== 'case_records');
+      policy.rules.push({ dataClass: 'case_records', jurisdiction: 'US', retainYears: 7 });
+
+      expect(() => validatePolicy(policy)).to.throw("Retention policy needs a default ('*') rule for case_records");
+    });
+  });
+
+  describe('retentionYears', function () {
+    it('prefers the rule for the country over the default', function () {
+      const engine = new RetentionEngine();
+      engine.policy = validatePolicy(policyWith({ dataClass: 'transactions', jurisdiction: 'DE', retainYears: 10 }));
+
+      expect(engine.retentionYears('transactions', 'de')).to.equal(10);
+      expect(engine.retentionYears('transactions', 'FR')).to.equal(5);
+      expect(engine.retentionYears('transactions', undefined)).to.equal(5);
+      expect(engine.retentionYears('reports', 'DE')).to.equal(5);
+    });
+  });
+
+  describe('loadPolicy', function () {
+    let directory;
+
+    beforeEach(function () {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-'));
+    });
+
+    afterEach(function () {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('falls back to the defaults without a policy file', function () {
+      expect(new RetentionEngine().loadPolicy()).to.deep.equal(DEFAULT_POLICY);
+    });
+
+    it('reads YAML and JSON policy files', function () {
+      const yamlFile = path.join(directory, 'retention.yml');
+      const defaults = Object.keys(DATA_CLASSES)
+        .map(dataClass => `  - { dataClass: ${dataClass}, jurisdiction: '*', retainYears: 6 }`);
+      fs.writeFileSync(yamlFile, [
+        'rules:',
+        ...defaults,
+        '  - { dataClass: transactions, jurisdiction: DE, retainYears: 10 }'
+      ].join('\n'));
+
+      const jsonFile = path.join(directory, 'retention.json');
+      fs.writeFileSync(jsonFile, JSON.stringify(policyWith({ dataClass: 'reports', jurisdiction: 'GB', retainYears: 6 })));
+
+      const fromYaml = new RetentionEngine({ policyFile: yamlFile });
+      fromYaml.loadPolicy();
+      expect(fromYaml.retentionYears('transactions', 'DE')).to.equal(10);
+      expect(fromYaml.retentionYears('selfies', 'DE')).to.equal(6);
+
+      const fromJson = new RetentionEngine({ policyFile: jsonFile });
+      fromJson.loadPolicy();
+      expect(fromJson.retentionYears('reports', 'GB')).to.equal(6);
+    });
+
+    it('refuses an invalid policy file', function () {
+      const file = path.join(directory, 'retention.json');
+      fs.writeFileSync(file, JSON.stringify({ rules: [{ dataClass: 'transactions', jurisdiction: '*', retainYears: -2 }] }));
+
+      expect(() => new RetentionEngine({ policyFile: file }).loadPolicy())
+        .to.throw('Rule for transactions needs a non-negative retainYears');
+    });
+  });
+});
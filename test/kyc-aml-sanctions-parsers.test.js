@@ -0,0 +1,177 @@
+// Sanctions List Parsers tests
+// Each supported list format, read into the common entry shape
+
+const { expect } = require('chai');
+const { parseSanctionsList, SUPPORTED_LISTS } = require('../kyc-aml-sanctions-parsers');
+
+const OFAC_XML = `<?xml version="1.0" standalone="yes"?>
+<sdnList xmlns="http://tempuri.org/sdnList.xsd">
+  <sdnEntry>
+    <uid>36216</uid>
+    <firstName>Ivan</firstName>
+    <lastName>PETROV</lastName>
+    <sdnType>Individual</sdnType>
+    <programList><program>CYBER2</program></programList>
+    <idList>
+      <id><idType>Digital Currency Address - ETH</idType><idNumber>0xAbC0000000000000000000000000000000000001</idNumber></id>
+      <id><idType>Passport</idType><idNumber>P123</idNumber></id>
+    </idList>
+    <akaList>
+      <aka><firstName>Ivan</firstName><lastName>PETROV</lastName></aka>
+      <aka><firstName>Vanya</firstName><lastName>P</lastName></aka>
+    </akaList>
+    <addressList><address><country>Russia</country></address></addressList>
+    <dateOfBirthList><dateOfBirthItem><dateOfBirth>01 Jan 1980</dateOfBirth></dateOfBirthItem></dateOfBirthList>
+  </sdnEntry>
+  <sdnEntry>
+    <uid>40001</uid>
+    <lastName>ACME MIXER LTD</lastName>
+    <sdnType>Entity</sdnType>
+  </sdnEntry>
+</sdnList>`;
+
+const OFAC_CSV = [
+  '36216,"PETROV, Ivan","individual","CYBER2] [RUSSIA-EO14024",-0-,-0-,-0-,-0-,-0-,-0-,-0-,' +
+    '"DOB 01 Jan 1980; a.k.a. \'Vanya P\'; Digital Currency Address - ETH 0xAbC0000000000000000000000000000000000001;"',
+  '40001,"ACME MIXER LTD",-0-,"CYBER2",-0-,-0-,-0-,-0-,-0-,-0-,-0-,-0-'
+].join('\n');
+
+const EU_CSV = [
+  'Entity_logical_id;Subject_type;Naal_wholename;Birt_date;Citi_country;Entity_programme',
+  '13;P;Anna Ivanova;1975-05-05;RU;UKR',
+  '13;P;Anya Ivanova;;RU;UKR',
+  '14;E;Shell Trading LLC;;;BLR'
+].join('\n');
+
+const UN_XML = `<CONSOLIDATED_LIST>
+  <INDIVIDUALS>
+    <INDIVIDUAL>
+      <DATAID>6908</DATAID>
+      <FIRST_NAME>Abdul</FIRST_NAME>
+      <SECOND_NAME>Karim</SECOND_NAME>
+      <UN_LIST_TYPE>Al-Qaida</UN_LIST_TYPE>
+      <NATIONALITY><VALUE>Yemen</VALUE></NATIONALITY>
+      <INDIVIDUAL_ALIAS><ALIAS_NAME>Abu Karim</ALIAS_NAME></INDIVIDUAL_ALIAS>
+      <INDIVIDUAL_DATE_OF_BIRTH><YEAR>1970</YEAR></INDIVIDUAL_DATE_OF_BIRTH>
+    </INDIVIDUAL>
+  </INDIVIDUALS>
+  <ENTITIES>
+    <ENTITY>
+      <DATAID>7001</DATAID>
+      <FIRST_NAME>Example Relief Fund</FIRST_NAME>
+      <UN_LIST_TYPE>Al-Qaida</UN_LIST_TYPE>
+      <ENTITY_ADDRESS><COUNTRY>Somalia</COUNTRY></ENTITY_ADDRESS>
+    </ENTITY>
+  </ENTITIES>
+</CONSOLIDATED_LIST>`;
+
+describe('Sanctions List Parsers', function () {
+  it('reads OFAC SDN XML, including crypto addresses from the id list', function () {
+    const [person, company] = parseSanctionsList('OFAC_SDN', 'xml', OFAC_XML);
+
+    expect(person).to.deep.equal({
+      externalId: '36216',
+      name: 'Ivan PETROV',
+      aliases: ['Vanya P'],
+      type: 'individual',
+      datesOfBirth: ['01 Jan 1980'],
+      countries: ['Russia'],
+      cryptoAddresses: ['0xabc0000000000000000000000000000000000001'],
+      programs: ['CYBER2']
+    });
+    expect(company).to.include({ externalId: '40001', name: 'ACME MIXER LTD', type: 'entity' });
+  });
+
+  it('reads OFAC SDN CSV, taking aliases, birth date and addresses from the remarks', function () {
+    const [person, company] = parseSanctionsList('OFAC_SDN', 'csv', OFAC_CSV);
+
+    expect(person).to.deep.equal({
+      externalId: '36216',
+      name: 'PETROV, Ivan',
+      aliases: ['Vanya P'],
+      type: 'individual',
+      datesOfBirth: ['01 Jan 1980'],
+      countries: [],
+      cryptoAddresses: ['0xabc0000000000000000000000000000000000001'],
+      programs: ['CYBER2', 'RUSSIA-EO14024']
+    });
+    expect(company).to.include({ type: 'entity' });
+    expect(company.cryptoAddresses).to.deep.equal([]);
+  });
+
+  it('reads the EU XML export, using the first name alias as the name', function () {
+    const [entry] = parseSanctionsList('EU', 'xml', `<export xmlns="http://eu.europa.ec/fpi/fsd/export">
+      <sanctionEntity logicalId="13">
+        <regulation programme="UKR"/>
+        <subjectType code="person"/>
+        <nameAlias wholeName="Anna Ivanova"/>
+        <nameAlias wholeName="Anya Ivanova"/>
+        <birthdate birthdate="1975-05-05"/>
+        <citizenship countryIso2Code="RU"/>
+      </sanctionEntity>
+    </export>`);
+
+    expect(entry).to.deep.equal({
+      externalId: '13',
+      name: 'Anna Ivanova',
+      aliases: ['Anya Ivanova'],
+      type: 'individual',
+      datesOfBirth: ['1975-05-05'],
+      countries: ['RU'],
+      cryptoAddresses: [],
+      programs: ['UKR']
+    });
+  });
+
+  it('groups the rows of the EU CSV by entity', function () {
+    const entries = parseSanctionsList('EU', 'csv', EU_CSV);
+
+    expect(entries).to.have.length(2);
+    expect(entries[0]).to.deep.equal({
+      externalId: '13',
+      name: 'Anna Ivanova',
+      aliases: ['Anya Ivanova'],
+      type: 'individual',
+      datesOfBirth: ['1975-05-05'],
+      countries: ['RU'],
+      cryptoAddresses: [],
+      programs: ['UKR']
+    });
+    expect(entries[1]).to.include({ name: 'Shell Trading LLC', type: 'entity' });
+  });
+
+  it('reads individuals and entities from the UN XML', function () {
+    const [person, entity] = parseSanctionsList('UN', 'xml', UN_XML);
+
+    expect(person).to.include({ externalId: '6908', name: 'Abdul Karim', type: 'individual' });
+    expect(person.aliases).to.deep.equal(['Abu Karim']);
+    expect(person.datesOfBirth).to.deep.equal(['1970']);
+    expect(person.countries).to.deep.equal(['Yemen']);
+    expect(entity).to.include({ externalId: '7001', name: 'Example Relief Fund', type: 'entity' });
+    expect(entity.countries).to.deep.equal(['Somalia']);
+  });
+
+  it('splits list columns of the generic CSV and drops rows without a name', function () {
+    const entries = parseSanctionsList('generic', 'csv', [
+      'id,name,type,aliases,datesOfBirth,countries,cryptoAddresses,programs',
+      'g-1,Jane Roe,individual,J. Roe|Janie,1990-01-01,GB|IE,0xDEF0000000000000000000000000000000000002,INTERNAL',
+      'g-2,,entity,,,,,'
+    ].join('\n'));
+
+    expect(entries).to.deep.equal([{
+      externalId: 'g-1',
+      name: 'Jane Roe',
+      aliases: ['J. Roe', 'Janie'],
+      type: 'individual',
+      datesOfBirth: ['1990-01-01'],
+      countries: ['GB', 'IE'],
+      cryptoAddresses: ['0xdef0000000000000000000000000000000000002'],
+      programs: ['INTERNAL']
+    }]);
+  });
+
+  it('refuses a list it has no parser for', function () {
+    expect(SUPPORTED_LISTS).to.include('OFAC_SDN:xml');
+    expect(() => parseSanctionsList('UN', 'csv', '')).to.throw('Unsupported sanctions list: UN (csv)');
+  });
+});
@@ -0,0 +1,127 @@
+// Transaction Limits tests
+// Window starts, overrides, per-type limits and amount validation
+
+const { expect } = require('chai');
+const { TransactionLimits, TransactionLimitError } = require('../kyc-aml-transaction-limits');
+
+const NOW = new Date('2024-03-15T12:00:00Z');
+
+// Answers the usage aggregation with fixed per-type sums
+function limitsWithUsage(rows = []) {
+  const calls = [];
+  const limits = new TransactionLimits({
+    Transaction: {
+      aggregate: async pipeline => {
+        calls.push(pipeline);
+        return rows;
+      }
+    }
+  });
+  limits.calls = calls;
+  return limits;
+}
+
+function user(fields = {}) {
+  return {
+    _id: 'user-1',
+    transactionLimits: { daily: 1000, rolling30d: 5000, monthly: 8000 },
+    ...fields
+  };
+}
+
+describe('Transaction Limits', function () {
+  describe('windowStarts', function () {
+    it('uses rolling 24 hours, rolling 30 days and the UTC calendar month', function () {
+      const starts = new TransactionLimits().windowStarts(NOW);
+
+      expect(starts.daily.toISOString()).to.equal('2024-03-14T12:00:00.000Z');
+      expect(starts.rolling30d.toISOString()).to.equal('2024-02-14T12:00:00.000Z');
+      expect(starts.monthly.toISOString()).to.equal('2024-03-01T00:00:00.000Z');
+    });
+  });
+
+  describe('getEffectiveLimits', function () {
+    it('prefers an active override and falls back to the base limits', function () {
+      const limits = new TransactionLimits().getEffectiveLimits(user({
+        limitOverrides: { daily: 250, setAt: new Date('2024-03-01'), expiresAt: new Date('2024-04-01') }
+      }), NOW);
+
+      expect(limits.overall).to.deep.equal({ daily: 250, rolling30d: 5000, monthly: 8000 });
+    });
+
+    it('ignores an expired override', function () {
+      const limits = new TransactionLimits().getEffectiveLimits(user({
+        limitOverrides: { daily: 250, setAt: new Date('2024-01-01'), expiresAt: new Date('2024-02-01') }
+      }), NOW);
+
+      expect(limits.overall.daily).to.equal(1000);
+    });
+  });
+
+  describe('check', function () {
+    it('allows a transaction that fits every window', async function () {
+      const limits = limitsWithUsage([{ _id: 'transfer', daily: 400, rolling30d: 900, monthly: 900 }]);
+
+      const result = await limits.check(user(), { amount: 600, type: 'transfer' }, NOW);
+
+      expect(result).to.deep.equal({ allowed: true, violations: [] });
+    });
+
+    it('reports the windows a transaction would exceed', async function () {
+      const limits = limitsWithUsage([
+        { _id: 'transfer', daily: 400, rolling30d: 4500, monthly: 4500 },
+        { _id: 'mint', daily: 100, rolling30d: 100, monthly: 100 }
+      ]);
+
+      const result = await limits.check(user(), { amount: 600, type: 'transfer' }, NOW);
+
+      expect(result.allowed).to.equal(false);
+      expect(result.violations).to.deep.equal([
+        { scope: 'overall', window: 'daily', limit: 1000, used: 500, remaining: 500 },
+        { scope: 'overall', window: 'rolling30d', limit: 5000, used: 4600, remaining: 400 }
+      ]);
+    });
+
+    it('applies per-type limits on top of the overall ones', async function () {
+      const limits = limitsWithUsage([{ _id: 'burn', daily: 150, rolling30d: 150, monthly: 150 }]);
+
+      const result = await limits.check(user({
+        transactionLimits: { daily: 1000, rolling30d: 5000, monthly: 8000, byType: { burn: { daily: 200 } } }
+      }), { amount: 100, type: 'burn' }, NOW);
+
+      expect(result.violations).to.deep.equal([
+        { scope: 'burn', window: 'daily', limit: 200, used: 150, remaining: 50 }
+      ]);
+    });
+
+    it('lets exempt incoming transactions through without counting usage', async function () {
+      const limits = limitsWithUsage();
+
+      const result = await limits.check(user(), { amount: 1e9, type: 'receive' }, NOW);
+
+      expect(result.allowed).to.equal(true);
+      expect(limits.calls).to.have.length(0);
+    });
+
+    it('refuses a missing or unknown type', async function () {
+      const limits = limitsWithUsage();
+
+      for (const type of [undefined, 'withdrawal']) {
+        const error = await limits.check(user(), { amount: 10, type }, NOW).catch(caught => caught);
+        expect(error).to.be.an.instanceOf(TransactionLimitError);
+        expect(error.statusCode).to.equal(400);
+      }
+    });
+
+    it('refuses amounts that are not positive numbers before reading usage', async function () {
+      const limits = limitsWithUsage();
+
+      for (const amount of [-500, 0, NaN, Infinity, '100', undefined, null]) {
+        const error = await limits.check(user(), { amount, type: 'transfer' }, NOW).catch(caught => caught);
+        expect(error, String(amount)).to.be.an.instanceOf(TransactionLimitError);
+        expect(error.statusCode).to.equal(400);
+      }
+      expect(limits.calls).to.have.length(0);
+    });
+  });
+});
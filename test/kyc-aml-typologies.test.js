@@ -0,0 +1,203 @@
+// Typology Detection tests
+// Each detector on a hand-built transaction history, and the alerts made from findings
+
+const { expect } = require('chai');
+const { TypologyDetector, findingToAlert, SEVERITY_SCORES } = require('../kyc-aml-typologies');
+
+const START = Date.parse('2024-03-01T08:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+let nextId = 1;
+
+function tx(fields) {
+  const { hours = 0, ...rest } = fields;
+  return {
+    _id: `tx-${nextId++}`,
+    userId: 'user-1',
+    type: 'transfer',
+    timestamp: new Date(START + hours * HOUR),
+    ...rest
+  };
+}
+
+// Each counterparty is a different address
+function address(index) {
+  return '0x' + String(index).padStart(40, '0');
+}
+
+describe('Typology Detection', function () {
+  beforeEach(function () {
+    nextId = 1;
+  });
+
+  describe('structuring', function () {
+    it('rates two just-under amounts passing the threshold in one day as high', async function () {
+      const findings = await new TypologyDetector().detect([
+        tx({ amount: 9500, hours: 0 }),
+        tx({ amount: 9700, hours: 5 })
+      ]);
+
+      expect(findings).to.have.length(1);
+      expect(findings[0]).to.include({ typology: 'structuring', severity: 'high', userId: 'user-1', totalAmount: 19200 });
+      expect(findings[0].evidence).to.deep.equal(['tx-1', 'tx-2']);
+      expect(findings[0].details).to.deep.equal({ threshold: 10000, thresholdNames: ['ctr'] });
+    });
+
+    it('rates a run of just-under amounts over several days as medium', async function () {
+      const findings = await new TypologyDetector().detect([
+        tx({ amount: 9200, hours: 0 }),
+        tx({ amount: 9300, hours: 30 }),
+        tx({ amount: 9400, hours: 60 }),
+        tx({ amount: 500, hours: 61 })
+      ]);
+
+      expect(findings.map(f => [f.typology, f.severity, f.evidence.length])).to.deep.equal([
+        ['structuring', 'medium', 3]
+      ]);
+    });
+
+    it('checks thresholds with the same amount once', async function () {
+      const detector = new TypologyDetector({
+        getThresholds: async () => [{ name: 'ctr', amount: 10000 }, { name: 'large_tx', amount: 10000 }]
+      });
+
+      const findings = await detector.detect([tx({ amount: 9500, hours: 0 }), tx({ amount: 9600, hours: 1 })]);
+
+      expect(findings).to.have.length(1);
+      expect(findings[0].details.thresholdNames).to.deep.equal(['ctr', 'large_tx']);
+    });
+  });
+
+  describe('pass-through', function () {
+    it('pairs incoming funds with nearly all of them sent on within the window', async function () {
+      const findings = await new TypologyDetector().detect([
+        tx({ type: 'receive', amount: 5000, hours: 0 }),
+        tx({ type: 'transfer', amount: 4800, hours: 2 }),
+        tx({ type: 'receive', amount: 3000, hours: 5 }),
+        tx({ type: 'transfer', amount: 2900, hours: 6 })
+      ]);
+
+      expect(findings).to.have.length(1);
+      expect(findings[0]).to.include({ typology: 'pass_through', severity: 'medium', totalAmount: 15700 });
+      expect(findings[0].details.pairs).to.deep.equal([
+        { incoming: 'tx-1', outgoing: 'tx-2', holdMinutes: 120, retainedAmount: 200 },
+        { incoming: 'tx-3', outgoing: 'tx-4', holdMinutes: 60, retainedAmount: 100 }
+      ]);
+    });
+
+    it('ignores funds that mostly stay or leave after the window', async function () {
+      const findings = await new TypologyDetector().detect([
+        tx({ type: 'receive', amount: 5000, hours: 0 }),
+        tx({ type: 'transfer', amount: 2000, hours: 1 }),
+        tx({ type: 'receive', amount: 3000, hours: 5 }),
+        tx({ type: 'transfer', amount: 2900, hours: 40 })
+      ]);
+
+      expect(findings.filter(f => f.typology === 'pass_through')).to.deep.equal([]);
+    });
+  });
+
+  describe('round amounts', function () {
+    it('grades a burst of round amounts by count and total', async function () {
+      const detector = new TypologyDetector();
+
+      const few = await detector.detect([1, 2, 3, 4].map(hours => tx({ amount: 1000, hours })));
+      expect(few.map(f => [f.typology, f.severity])).to.deep.equal([['round_amount_burst', 'low']]);
+
+      const many = await detector.detect([1, 2, 3, 4, 5, 6, 7, 8].map(hours => tx({ amount: 2000, hours })));
+      expect(many.map(f => [f.typology, f.severity])).to.deep.equal([['round_amount_burst', 'high']]);
+    });
+  });
+
+  describe('dormant reactivation', function () {
+    function detectorWithLastActivity(timestamp) {
+      return new TypologyDetector({
+        Transaction: {
+          findOne: () => ({ sort: () => ({ lean: async () => (timestamp ? { timestamp } : null) }) })
+        }
+      });
+    }
+
+    it('reports volume after a long idle period', async function () {
+      const detector = detectorWithLastActivity(new Date(START - 365 * 24 * HOUR));
+
+      const findings = await detector.detect([tx({ type: 'receive', amount: 6100, hours: 0 })]);
+
+      expect(findings).to.have.length(1);
+      expect(findings[0]).to.include({ typology: 'dormant_reactivation', severity: 'medium' });
+      expect(findings[0].details.idleDays).to.equal(365);
+    });
+
+    it('ignores recent activity and new accounts', async function () {
+      const transactions = [tx({ type: 'receive', amount: 6100, hours: 0 })];
+
+      expect(await detectorWithLastActivity(new Date(START - 30 * 24 * HOUR)).detect(transactions)).to.deep.equal([]);
+      expect(await detectorWithLastActivity(null).detect(transactions)).to.deep.equal([]);
+    });
+  });
+
+  describe('fan-in and fan-out', function () {
+    it('rates collecting from many and paying many as high', async function () {
+      const transactions = [];
+      for (let i = 0; i < 10; i++) {
+        transactions.push(tx({ type: 'receive', amount: 100, hours: i, counterpartyAddress: address(i) }));
+        transactions.push(tx({ type: 'transfer', amount: 50, hours: i + 0.5, counterpartyAddress: address(100 + i) }));
+      }
+
+      const findings = await new TypologyDetector().detect(transactions);
+
+      expect(findings.map(f => [f.typology, f.severity, f.details.counterparties])).to.deep.equal([
+        ['fan_in', 'high', 10],
+        ['fan_out', 'high', 10]
+      ]);
+    });
+
+    it('counts one counterparty in different letter cases once', async function () {
+      const transactions = [];
+      for (let i = 0; i < 10; i++) {
+        const counterparty = i % 2 === 0 ? '0xABCDEF0000000000000000000000000000000001' : '0xabcdef0000000000000000000000000000000001';
+        transactions.push(tx({ type: 'receive', amount: 100, hours: i, counterpartyAddress: counterparty }));
+      }
+
+      expect(await new TypologyDetector().detect(transactions)).to.deep.equal([]);
+    });
+  });
+
+  describe('detect', function () {
+    it('looks at each customer separately and lists the most severe first', async function () {
+      const findings = await new TypologyDetector().detect([
+        tx({ userId: { _id: 'user-2' }, amount: 1000, hours: 1 }),
+        tx({ userId: { _id: 'user-2' }, amount: 1000, hours: 2 }),
+        tx({ amount: 9500, hours: 0 }),
+        tx({ userId: { _id: 'user-2' }, amount: 1000, hours: 3 }),
+        tx({ amount: 9600, hours: 1 }),
+        tx({ userId: { _id: 'user-2' }, amount: 1000, hours: 4 }),
+        tx({ userId: null, amount: 9999, hours: 0 })
+      ]);
+
+      expect(findings.map(f => [f.userId, f.typology, f.severity])).to.deep.equal([
+        ['user-1', 'structuring', 'high'],
+        ['user-2', 'round_amount_burst', 'low']
+      ]);
+    });
+  });
+
+  describe('findingToAlert', function () {
+    it('maps severity to a risk score and fingerprints the evidence in any order', async function () {
+      const detector = new TypologyDetector();
+      const transactions = [tx({ amount: 9500, hours: 0 }), tx({ amount: 9700, hours: 5 })];
+
+      const [forward] = await detector.detect(transactions);
+      const [backward] = await detector.detect(transactions.slice().reverse());
+      const alert = findingToAlert(forward);
+
+      expect(alert).to.include({
+        source: 'typology_detection',
+        typology: 'structuring',
+        riskScore: SEVERITY_SCORES.high,
+        fingerprint: backward.fingerprint
+      });
+      expect(alert.reason).to.equal(forward.description);
+    });
+  });
+});
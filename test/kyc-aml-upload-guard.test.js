@@ -0,0 +1,106 @@
+// Upload Guard tests
+// PDF active content checks, including escaped names and compressed object streams
+
+const zlib = require('zlib');
+const { expect } = require('chai');
+const { stripMetadata, UploadError } = require('../kyc-aml-upload-guard');
+
+// Minimal PDF around the given object bodies; not a valid xref, which the check does not need
+function buildPdf(objects, trailer = '<< /Root 1 0 R >>') {
+  const body = objects.map((object, index) => Buffer.concat([
+    Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+    Buffer.isBuffer(object) ? object : Buffer.from(object, 'latin1'),
+    Buffer.from('\nendobj\n', 'latin1')
+  ]));
+  return Buffer.concat([
+    Buffer.from('%PDF-1.7\n', 'latin1'),
+    ...body,
+    Buffer.from(`trailer\n${trailer}\n%%EOF\n`, 'latin1')
+  ]);
+}
+
+// Object stream whose data is the given objects, compressed unless a filter says otherwise
+function objectStream(content, dictionary = '/Filter /FlateDecode', encode = zlib.deflateSync) {
+  const data = encode(Buffer.from(content, 'latin1'));
+  return Buffer.concat([
+    Buffer.from(`<< /Type /ObjStm /N 1 /First 4 /Length ${data.length} ${dictionary} >>\nstream\n`, 'latin1'),
+    data,
+    Buffer.from('\nendstream', 'latin1')
+  ]);
+}
+
+function expectRefused(pdf, message) {
+  expect(() => stripMetadata(pdf, 'application/pdf')).to.throw(UploadError, message);
+}
+
+describe('Upload Guard', function () {
+  describe('PDF inspection', function () {
+    it('accepts a PDF without active content unchanged', function () {
+      const pdf = buildPdf(['<< /Type /Catalog /Pages 2 0 R >>', '<< /Type /Pages /Kids [] /Count 0 >>']);
+      expect(stripMetadata(pdf, 'application/pdf')).to.equal(pdf);
+    });
+
+    it('refuses a plain JavaScript action', function () {
+      const pdf = buildPdf(['<< /Type /Catalog /OpenAction << /S /JavaScript /JS (app.alert(1)) >> >>']);
+      expectRefused(pdf, 'scripts');
+    });
+
+    it('refuses names written with #xx escapes', function () {
+      const pdf = buildPdf(['<< /Type /Catalog /OpenAction << /S /J#61vaScript /J#53 (app.alert(1)) >> >>']);
+      expectRefused(pdf, 'scripts');
+    });
+
+    it('refuses an escaped launch action', function () {
+      const pdf = buildPdf(['<< /Type /Catalog /OpenAction << /S /#4caunch /F (cmd.exe) >> >>']);
+      expectRefused(pdf, 'scripts');
+    });
+
+    it('refuses a script inside a compressed object stream', function () {
+      const pdf = buildPdf([
+        '<< /Type /Catalog /OpenAction 3 0 R >>',
+        objectStream('3 0 << /S /JavaScript /JS (app.alert(1)) >>')
+      ]);
+      expectRefused(pdf, 'scripts');
+    });
+
+    it('refuses an escaped script inside an object stream with an escaped filter name', function () {
+      const pdf = buildPdf([
+        '<< /Type /Catalog /OpenAction 3 0 R >>',
+        objectStream('3 0 << /S /J#61vaScript /JS (app.alert(1)) >>', '/Filter /Fl#61teDecode')
+      ]);
+      expectRefused(pdf, 'scripts');
+    });
+
+    it('accepts a compressed object stream without active content', function () {
+      const pdf = buildPdf([
+        '<< /Type /Catalog /Pages 3 0 R >>',
+        objectStream('3 0 << /Type /Pages /Kids [] /Count 0 >>')
+      ]);
+      expect(stripMetadata(pdf, 'application/pdf')).to.equal(pdf);
+    });
+
+    it('refuses an object stream it cannot decode', function () {
+      const pdf = buildPdf([
+        '<< /Type /Catalog /Pages 3 0 R >>',
+        objectStream('3 0 << /S /JavaScript >>', '/Filter /ASCIIHexDecode', content => Buffer.from(content.toString('hex') + '>', 'latin1'))
+      ]);
+      expectRefused(pdf, 'cannot be fully checked');
+    });
+
+    it('refuses a corrupt compressed object stream', function () {
+      const pdf = buildPdf([
+        '<< /Type /Catalog /Pages 3 0 R >>',
+        objectStream('not deflated', '/Filter /FlateDecode', content => content)
+      ]);
+      expectRefused(pdf, 'cannot be fully checked');
+    });
+
+    it('refuses an encrypted PDF with object streams', function () {
+      const pdf = buildPdf([
+        '<< /Type /Catalog /Pages 3 0 R >>',
+        objectStream('3 0 << /Type /Pages /Kids [] /Count 0 >>')
+      ], '<< /Root 1 0 R /Encrypt 4 0 R >>');
+      expectRefused(pdf, 'cannot be fully checked');
+    });
+  });
+});